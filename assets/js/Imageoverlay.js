@@ -1250,4 +1250,105 @@
             // For raster images, img.onload is critical to get naturalWidth/Height.
             // If the image cannot be loaded for natural dimensions, the fallback will apply.
             img.src = dataUrl;
-        }
\ No newline at end of file
+        }
+        /**
+         * Current image overlays with their image data, corners and opacity, for the
+         * project workspace (project-workspace.js). Overlays hidden through the layer
+         * control keep the state saved when they were removed.
+         * @returns {Array} [{fileName, dataUrl, mimeType, originalMimeType, type, corners, opacity, visible}]
+         */
+        window.serializeImageOverlays = function() {
+            return Object.keys(overlaidImagesData).map(fileName => {
+                const data = overlaidImagesData[fileName];
+                const layer = data.currentLayerRef;
+                let state = data.lastKnownState;
+                let opacity = data.lastKnownOpacity;
+                if (layer) {
+                    state = typeof layer.getCorners === 'function' ? layer.getCorners() : layer.getBounds();
+                    if (layer.options && layer.options.opacity !== undefined) opacity = layer.options.opacity;
+                }
+                // Static rasters keep bounds, distortable overlays keep their four corners
+                const corners = state && typeof state.getNorthWest === 'function' ?
+                    [state.getNorthWest(), state.getNorthEast(), state.getSouthEast(), state.getSouthWest()] :
+                    (state || []);
+                return {
+                    fileName: fileName,
+                    dataUrl: data.dataUrl,
+                    mimeType: data.mimeType,
+                    originalMimeType: data.originalMimeType,
+                    type: data.type,
+                    corners: corners.map(c => ({ lat: c.lat, lng: c.lng })),
+                    opacity: opacity !== undefined ? opacity : 1.0,
+                    visible: !!layer && map.hasLayer(layer)
+                };
+            });
+        };
+
+        /**
+         * Replaces all image overlays with entries from serializeImageOverlays.
+         * Hidden overlays are listed in the layer control without being shown.
+         */
+        window.restoreImageOverlays = function(entries) {
+            Object.keys(overlaidImagesData).forEach(fileName => {
+                const layer = overlaidImagesData[fileName].currentLayerRef;
+                if (layer) {
+                    try {
+                        layerswitcher.removeLayer(layer);
+                    } catch (e) {
+                        console.warn(`Could not remove layer from layerswitcher (restore) for ${fileName}:`, e);
+                    }
+                    if (map.hasLayer(layer)) {
+                        map.removeLayer(layer);
+                    }
+                }
+                delete overlaidImagesData[fileName];
+            });
+
+            (entries || []).forEach(entry => {
+                if (!entry.dataUrl || !entry.corners || entry.corners.length !== 4) {
+                    console.warn(`Skipping image overlay '${entry.fileName}' without image data or corners.`);
+                    return;
+                }
+                const corners = entry.corners.map(c => L.latLng(c.lat, c.lng));
+                const opacity = entry.opacity !== undefined ? entry.opacity : 1.0;
+                let layer;
+                let lastKnownState;
+                if (entry.type === 'staticRaster') {
+                    lastKnownState = L.latLngBounds(corners);
+                    layer = L.imageOverlay(entry.dataUrl, lastKnownState, {
+                        opacity: opacity,
+                        interactive: false
+                    });
+                } else {
+                    lastKnownState = corners;
+                    layer = new L.DistortableImageOverlay(entry.dataUrl, {
+                        corners: corners,
+                        opacity: opacity,
+                        interactive: true,
+                        actions: [
+                            L.BorderAction, L.DeleteAction, L.DistortAction, L.DragAction,
+                            L.FreeRotateAction, L.LockAction, L.OpacityAction, L.RotateAction,
+                            L.ScaleAction, L.RestoreAction, L.StackAction, L.ExportAction,
+                        ]
+                    });
+                }
+                layer._originalFileName = entry.fileName;
+
+                const layerControlDisplayName = `${entry.fileName} (${Date.now().toString(36).substring(2, 7)})`;
+                overlaidImagesData[entry.fileName] = {
+                    dataUrl: entry.dataUrl,
+                    mimeType: entry.mimeType,
+                    originalMimeType: entry.originalMimeType || entry.mimeType,
+                    type: entry.type === 'staticRaster' ? 'staticRaster' : 'distortable',
+                    lastKnownState: lastKnownState,
+                    lastKnownOpacity: opacity,
+                    elementId: `image-row-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`,
+                    currentLayerRef: entry.visible === false ? null : layer,
+                    layerControlDisplayName: layerControlDisplayName
+                };
+                if (entry.visible !== false) {
+                    layer.addTo(map);
+                }
+                layerswitcher.addOverlay(layer, layerControlDisplayName);
+            });
+        };
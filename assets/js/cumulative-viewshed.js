@@ -0,0 +1,558 @@
+// =================================================================
+// CUMULATIVE VIEWSHED – raster visibility of the study area from the intervisibility sites
+// =================================================================
+// intervisibility.js answers "can site A see site B". Landscape studies also ask how much of
+// the land each site sees, and how many sites see each place (the cumulative viewshed).
+// One Terrarium/DEM patch covering every site plus the analysis radius is fetched with
+// HC_fetchTerrainPatch (horizon.js) and averaged down to an analysis grid in the same
+// Web-Mercator pixel space, so the result lines up exactly with the map and exports as an
+// EPSG:3857 raster. For each site, line-of-sight rays are cast from the observer's eye to
+// every cell on the edge of the analysis square (the "R2" sweep): a cell is visible when its
+// target height clears the steepest terrain angle met so far along the ray, after Earth
+// curvature and refraction (k = 0.13, as in the pairwise checks). The per-site binary
+// viewsheds are summed into the cumulative count surface.
+
+(function() {
+    'use strict';
+
+    const LAYER_NAME = 'Cumulative Viewshed';
+    const EARTH_RADIUS = 6371000;             // m, curvature drop (as intervisibility.js)
+    const MERCATOR_RADIUS = 6378137;          // m, EPSG:3857 sphere
+    const REFRACTIVITY_COEFFICIENT = 0.13;
+    const MAX_GRID_CELLS = 800;               // analysis grid cells per side
+    const MAX_TILE_RADIUS = 6;                // 13×13 DEM tiles
+    const NODATA = -9999;
+    const OUTSIDE = 255;                      // per-site grid: beyond the analysis radius or on no-data
+    const RAMP = [[255, 255, 178], [254, 204, 92], [253, 141, 60], [240, 59, 32], [189, 0, 38]];
+    const SITE_COLOUR = [46, 204, 113];
+    const DEFAULTS = {
+        radiusKm: 10,
+        zoom: 11,
+        targetHeight: 0
+    };
+
+    let result = null;      // { zoom, factor, n, originX, originY, cellMetres, sites, cumulative, covered }, see run()
+    let layerGroup = null;
+    let legend = null;
+    let running = false;
+    let cancelRequested = false;
+
+    function readNumber(id, fallback) {
+        const v = parseFloat($(id).val());
+        return isNaN(v) ? fallback : v;
+    }
+
+    function readSettings() {
+        return {
+            radiusKm: Math.max(0.5, Math.abs(readNumber('#cv-radius', DEFAULTS.radiusKm))),
+            zoom: Math.round(readNumber('#cv-zoom', DEFAULTS.zoom)),
+            targetHeight: Math.max(0, readNumber('#cv-target-height', DEFAULTS.targetHeight))
+        };
+    }
+
+    function setStatus(message, busy) {
+        $('#cv-status').html(busy ? `<i class="fa fa-spinner fa-spin"></i> ${message}` : message);
+    }
+
+    function metresPerPixel(lat, zoom) {
+        return 2 * Math.PI * MERCATOR_RADIUS * Math.cos(lat * Math.PI / 180) / Math.pow(2, zoom + 8);
+    }
+
+    // -----------------------------------------------------------------
+    // Terrain
+    // -----------------------------------------------------------------
+
+    /**
+     * DEM patch centred on the sites' bounding box, reaching at least radiusKm beyond every site.
+     */
+    async function fetchStudyArea(sites, settings, mapInstance) {
+        const lats = sites.map(s => s.lat);
+        const lngs = sites.map(s => s.lng);
+        const centre = L.latLng((Math.min(...lats) + Math.max(...lats)) / 2, (Math.min(...lngs) + Math.max(...lngs)) / 2);
+        const reach = Math.max(...sites.map(s => mapInstance.distance(centre, [s.lat, s.lng]))) + settings.radiusKm * 1000;
+        const tileMetres = metresPerPixel(centre.lat, settings.zoom) * 256;
+        const radiusTiles = Math.max(1, Math.ceil(reach / tileMetres));
+        if (radiusTiles > MAX_TILE_RADIUS) {
+            throw new Error(`The study area needs ${(radiusTiles * 2 + 1) ** 2} DEM tiles; reduce the radius or choose a coarser resolution.`);
+        }
+        return window.HC_fetchTerrainPatch(centre, settings.zoom, radiusTiles, mapInstance, (done, total) => {
+            setStatus(`Downloading terrain ${done}/${total} tiles...`, true);
+        });
+    }
+
+    // Block means of factor×factor DEM pixels; NaN where the whole block is no-data
+    function downsample(dem, factor) {
+        const n = Math.floor(dem.width / factor);
+        const grid = new Float32Array(n * n);
+        for (let gy = 0; gy < n; gy++) {
+            for (let gx = 0; gx < n; gx++) {
+                let sum = 0;
+                let count = 0;
+                for (let y = gy * factor; y < (gy + 1) * factor; y++) {
+                    const row = y * dem.width;
+                    for (let x = gx * factor; x < (gx + 1) * factor; x++) {
+                        const h = dem.data[row + x];
+                        if (!isNaN(h)) {
+                            sum += h;
+                            count++;
+                        }
+                    }
+                }
+                grid[gy * n + gx] = count ? sum / count : NaN;
+            }
+        }
+        return { grid, n };
+    }
+
+    // -----------------------------------------------------------------
+    // Viewshed
+    // -----------------------------------------------------------------
+
+    /**
+     * Binary viewshed of one site on the analysis grid: 1 visible, 0 hidden, OUTSIDE beyond radiusCells
+     * or on no-data cells, which neither block nor receive sightlines.
+     * eye is the observer's eye elevation (m); targetHeight is added to each cell before testing it.
+     */
+    function siteViewshed(grid, n, cx, cy, eye, radiusCells, cellMetres, targetHeight) {
+        const out = new Uint8Array(n * n).fill(OUTSIDE);
+        const r2 = radiusCells * radiusCells;
+        const y0 = Math.max(0, cy - radiusCells), y1 = Math.min(n - 1, cy + radiusCells);
+        const x0 = Math.max(0, cx - radiusCells), x1 = Math.min(n - 1, cx + radiusCells);
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                if ((x - cx) * (x - cx) + (y - cy) * (y - cy) <= r2) out[y * n + x] = isNaN(grid[y * n + x]) ? OUTSIDE : 0;
+            }
+        }
+        out[cy * n + cx] = 1;
+        const curvature = (1 - REFRACTIVITY_COEFFICIENT) / (2 * EARTH_RADIUS);
+
+        function ray(tx, ty) {
+            const dx = tx - cx, dy = ty - cy;
+            const steps = Math.max(Math.abs(dx), Math.abs(dy));
+            let maxTan = -Infinity;
+            for (let s = 1; s <= steps; s++) {
+                const ix = Math.round(cx + dx * s / steps);
+                const iy = Math.round(cy + dy * s / steps);
+                if (ix < 0 || iy < 0 || ix >= n || iy >= n) return;
+                const c2 = (ix - cx) * (ix - cx) + (iy - cy) * (iy - cy);
+                if (c2 > r2) return;
+                const d = Math.sqrt(c2) * cellMetres;
+                const i = iy * n + ix;
+                if (isNaN(grid[i])) continue;
+                const h = grid[i] - d * d * curvature - eye;
+                if ((h + targetHeight) / d >= maxTan) out[i] = 1;
+                const tan = h / d;
+                if (tan > maxTan) maxTan = tan;
+            }
+        }
+
+        for (let k = -radiusCells; k <= radiusCells; k++) {
+            ray(cx + k, cy - radiusCells);
+            ray(cx + k, cy + radiusCells);
+            ray(cx - radiusCells, cy + k);
+            ray(cx + radiusCells, cy + k);
+        }
+        return out;
+    }
+
+    async function run() {
+        if (running) return;
+        if (typeof window.HC_fetchTerrainPatch !== 'function' || !window.HC_DEMSources) {
+            alert('Horizon terrain functions not loaded.');
+            return;
+        }
+        const mapInstance = window.map;
+        const sites = typeof window.getIVSites === 'function' ? window.getIVSites() : [];
+        if (!mapInstance || sites.length === 0) {
+            alert('No sites loaded. Please open a marker collection in Intervisibility Analysis first.');
+            return;
+        }
+        const settings = readSettings();
+
+        running = true;
+        cancelRequested = false;
+        $('#cv-btn-run').prop('disabled', true);
+        $('#cv-btn-cancel').show();
+        try {
+            const dem = await fetchStudyArea(sites, settings, mapInstance);
+            const factor = Math.max(1, Math.ceil(dem.width / MAX_GRID_CELLS));
+            const { grid, n } = downsample(dem, factor);
+            const cumulative = new Uint16Array(n * n);
+            const covered = new Uint8Array(n * n);
+            const computed = [];
+            let skipped = 0;
+            for (let i = 0; i < sites.length; i++) {
+                if (cancelRequested) break;
+                const site = sites[i];
+                setStatus(`Viewshed ${i + 1}/${sites.length} (${site.name})...`, true);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                const latlng = L.latLng(site.lat, site.lng);
+                const pt = mapInstance.project(latlng, dem.zoom);
+                const cx = Math.floor((pt.x - dem.originPoint.x) / factor);
+                const cy = Math.floor((pt.y - dem.originPoint.y) / factor);
+                if (cx < 0 || cy < 0 || cx >= n || cy >= n) {
+                    skipped++;
+                    continue;
+                }
+                const cellMetres = metresPerPixel(site.lat, dem.zoom) * factor;
+                const ground = window.HC_getInterpolatedHeight(dem, latlng, mapInstance);
+                const groundElevation = ground === null || isNaN(ground) ? grid[cy * n + cx] : ground;
+                if (isNaN(groundElevation)) {
+                    skipped++;
+                    continue;
+                }
+                const eye = groundElevation + (site.observerHeight || 0);
+                const radiusCells = Math.max(1, Math.round(settings.radiusKm * 1000 / cellMetres));
+                const visible = siteViewshed(grid, n, cx, cy, eye, radiusCells, cellMetres, settings.targetHeight);
+                let visibleCells = 0;
+                let rangeCells = 0;
+                for (let j = 0; j < visible.length; j++) {
+                    if (visible[j] === OUTSIDE) continue;
+                    covered[j] = 1;
+                    rangeCells++;
+                    if (visible[j] === 1) {
+                        cumulative[j]++;
+                        visibleCells++;
+                    }
+                }
+                computed.push({
+                    name: site.name,
+                    uniqueId: site.uniqueId,
+                    groundElevation: groundElevation,
+                    eyeElevation: eye,
+                    visible: visible,
+                    visibleCells: visibleCells,
+                    rangeCells: rangeCells
+                });
+            }
+            const centreLat = mapInstance.unproject([dem.originPoint.x + dem.width / 2, dem.originPoint.y + dem.width / 2], dem.zoom).lat;
+            result = {
+                zoom: dem.zoom,
+                factor: factor,
+                n: n,
+                originX: dem.originPoint.x,
+                originY: dem.originPoint.y,
+                cellMetres: metresPerPixel(centreLat, dem.zoom) * factor,
+                settings: settings,
+                sites: computed,
+                cumulative: cumulative,
+                covered: covered,
+                source: dem.source
+            };
+            populateDisplaySelect();
+            render();
+            let message = `${computed.length} site viewshed${computed.length === 1 ? '' : 's'} on ${n}×${n} cells of ~${Math.round(result.cellMetres)} m.`;
+            if (cancelRequested) message = `Cancelled after ${computed.length}/${sites.length} sites. ` + message;
+            if (skipped) message += ` ${skipped} site${skipped === 1 ? '' : 's'} outside the terrain patch or on no-data skipped.`;
+            setStatus(message, false);
+        } catch (err) {
+            console.error('Cumulative viewshed failed:', err);
+            setStatus('', false);
+            if (window.displayMessage) {
+                window.displayMessage('overallStatus', 'Cumulative viewshed failed: ' + err.message, 'error');
+            } else {
+                alert('Cumulative viewshed failed: ' + err.message);
+            }
+        } finally {
+            running = false;
+            $('#cv-btn-run').prop('disabled', false);
+            $('#cv-btn-cancel').hide();
+        }
+    }
+
+    function cancel() {
+        cancelRequested = true;
+    }
+
+    // -----------------------------------------------------------------
+    // Display
+    // -----------------------------------------------------------------
+
+    // Values of the displayed surface: count per cell, or 0/1 for one site; NODATA outside the analysis radius and on no-data
+    function displayedValues() {
+        const choice = $('#cv-display').val();
+        const site = choice && choice !== 'cumulative' ? result.sites[parseInt(choice, 10)] : null;
+        const values = new Int16Array(result.n * result.n);
+        for (let i = 0; i < values.length; i++) {
+            if (site) {
+                values[i] = site.visible[i] === OUTSIDE ? NODATA : site.visible[i];
+            } else {
+                values[i] = result.covered[i] ? result.cumulative[i] : NODATA;
+            }
+        }
+        return { values, site, max: site ? 1 : Math.max(1, result.sites.length) };
+    }
+
+    function rampColour(count, max) {
+        const t = max <= 1 ? 1 : (count - 1) / (max - 1);
+        const pos = t * (RAMP.length - 1);
+        const i = Math.min(RAMP.length - 2, Math.floor(pos));
+        const f = pos - i;
+        return RAMP[i].map((c, k) => Math.round(c + (RAMP[i + 1][k] - c) * f));
+    }
+
+    function renderCanvas(surface) {
+        const n = result.n;
+        const canvas = document.createElement('canvas');
+        canvas.width = n;
+        canvas.height = n;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(n, n);
+        for (let i = 0; i < surface.values.length; i++) {
+            const v = surface.values[i];
+            if (v === NODATA || v === 0) continue;    // hidden cells stay transparent over the basemap
+            const rgb = surface.site ? SITE_COLOUR : rampColour(v, surface.max);
+            image.data[i * 4] = rgb[0];
+            image.data[i * 4 + 1] = rgb[1];
+            image.data[i * 4 + 2] = rgb[2];
+            image.data[i * 4 + 3] = 200;
+        }
+        ctx.putImageData(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    // Site names come from user GeoJSON
+    function escapeHtml(text) {
+        return $('<div>').text(text).html();
+    }
+
+    function legendHtml(surface) {
+        if (surface.site) {
+            return `<strong>${escapeHtml(surface.site.name)}</strong><br>` +
+                `<i style="display:inline-block;width:12px;height:12px;background:rgb(${SITE_COLOUR.join(',')});"></i> Visible`;
+        }
+        const stops = RAMP.map((c, i) => `rgb(${c.join(',')}) ${Math.round(i * 100 / (RAMP.length - 1))}%`).join(', ');
+        return '<strong>Sites seeing cell</strong>' +
+            `<div style="width:140px;height:10px;margin:4px 0;background:linear-gradient(to right, ${stops});"></div>` +
+            `<div style="display:flex;justify-content:space-between;"><span>1</span><span>${surface.max}</span></div>`;
+    }
+
+    function removeLayerGroup() {
+        if (legend) {
+            legend.remove();
+            legend = null;
+        }
+        if (!layerGroup) return;
+        if (window.map && window.map.hasLayer(layerGroup)) {
+            window.map.removeLayer(layerGroup);
+        }
+        if (window.layersControl) {
+            window.layersControl.removeLayer(layerGroup);
+        }
+        const index = window.scriptCOverlayGroups ? window.scriptCOverlayGroups.indexOf(layerGroup) : -1;
+        if (index > -1) window.scriptCOverlayGroups.splice(index, 1);
+        layerGroup = null;
+    }
+
+    function render() {
+        removeLayerGroup();
+        const mapInstance = window.map;
+        if (!mapInstance || !result) return;
+        const surface = displayedValues();
+        const size = result.n * result.factor;
+        const bounds = L.latLngBounds(
+            mapInstance.unproject([result.originX, result.originY + size], result.zoom),
+            mapInstance.unproject([result.originX + size, result.originY], result.zoom)
+        );
+        const overlay = L.imageOverlay(renderCanvas(surface), bounds, { opacity: 0.75, interactive: false });
+        overlay.on('load', function() {
+            const el = overlay.getElement();
+            if (el) el.style.imageRendering = 'pixelated';
+        });
+
+        legend = L.control({ position: 'bottomright' });
+        legend.onAdd = function() {
+            const div = L.DomUtil.create('div', 'leaflet-bar');
+            div.style.cssText = 'background:white;padding:6px 8px;font-size:11px;';
+            div.innerHTML = legendHtml(surface);
+            return div;
+        };
+        layerGroup = L.layerGroup([overlay]);
+        layerGroup.layerNameForControl = LAYER_NAME;
+        // The legend follows the overlay when it is switched in the layer control
+        layerGroup.on('add', function() { if (legend) legend.addTo(mapInstance); });
+        layerGroup.on('remove', function() { if (legend) legend.remove(); });
+        mapInstance.addLayer(layerGroup);
+        if (window.layersControl) {
+            window.layersControl.addOverlay(layerGroup, LAYER_NAME);
+        }
+        if (!window.scriptCOverlayGroups) window.scriptCOverlayGroups = [];
+        window.scriptCOverlayGroups.push(layerGroup);
+        renderSummary();
+    }
+
+    function populateDisplaySelect() {
+        const select = $('#cv-display');
+        select.empty().append('<option value="cumulative">Cumulative (sites seeing each cell)</option>');
+        result.sites.forEach((s, i) => {
+            select.append($('<option>').val(String(i)).text(s.name));
+        });
+        $('#cv-display-group').show();
+    }
+
+    function renderSummary() {
+        const el = $('#cv-summary');
+        if (!result) {
+            el.empty();
+            return;
+        }
+        let rangeCells = 0, seenCells = 0, maxCount = 0;
+        for (let i = 0; i < result.cumulative.length; i++) {
+            if (!result.covered[i]) continue;
+            rangeCells++;
+            if (result.cumulative[i] > 0) seenCells++;
+            if (result.cumulative[i] > maxCount) maxCount = result.cumulative[i];
+        }
+        const cellKm2 = result.cellMetres * result.cellMetres / 1e6;
+        let html = `<div><strong>Seen by at least one site:</strong> ${rangeCells ? (seenCells * 100 / rangeCells).toFixed(1) : '0'}% ` +
+            `(${(seenCells * cellKm2).toFixed(1)} km²)</div><div><strong>Most sites seeing one cell:</strong> ${maxCount}</div>`;
+        html += '<table class="table table-condensed" style="font-size:11px;margin-top:5px;"><tr><th>Site</th><th>Visible km²</th><th>% of radius</th></tr>';
+        result.sites.forEach(s => {
+            html += `<tr><td>${escapeHtml(s.name)}</td><td>${(s.visibleCells * cellKm2).toFixed(1)}</td>` +
+                `<td>${s.rangeCells ? (s.visibleCells * 100 / s.rangeCells).toFixed(1) : '0'}</td></tr>`;
+        });
+        el.html(html + '</table>');
+    }
+
+    // -----------------------------------------------------------------
+    // Export (EPSG:3857 grids)
+    // -----------------------------------------------------------------
+
+    // Upper-left corner and cell size of the analysis grid in Web-Mercator metres
+    function georeference() {
+        const worldPixels = 256 * Math.pow(2, result.zoom);
+        const circumference = 2 * Math.PI * MERCATOR_RADIUS;
+        return {
+            west: (result.originX / worldPixels - 0.5) * circumference,
+            north: (0.5 - result.originY / worldPixels) * circumference,
+            cellSize: result.factor * circumference / worldPixels
+        };
+    }
+
+    const EPSG_3857_WKT = 'PROJCS["WGS_84_Pseudo_Mercator",GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+        'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]],PROJECTION["Mercator"],PARAMETER["False_Easting",0.0],' +
+        'PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],PARAMETER["Standard_Parallel_1",0.0],UNIT["Meter",1.0]]';
+
+    function exportBaseName(surface) {
+        if (!surface.site) return 'cumulative-viewshed';
+        return 'viewshed-' + String(surface.site.name).replace(/[^a-z0-9_-]+/gi, '_');
+    }
+
+    function buildAsc(surface) {
+        const g = georeference();
+        const n = result.n;
+        const lines = [
+            `ncols ${n}`,
+            `nrows ${n}`,
+            `xllcorner ${g.west.toFixed(3)}`,
+            `yllcorner ${(g.north - n * g.cellSize).toFixed(3)}`,
+            `cellsize ${g.cellSize.toFixed(6)}`,
+            `NODATA_value ${NODATA}`
+        ];
+        for (let y = 0; y < n; y++) {
+            lines.push(Array.prototype.join.call(surface.values.subarray(y * n, (y + 1) * n), ' '));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Single-strip, uncompressed Int16 GeoTIFF with EPSG:3857 geokeys and a GDAL no-data tag.
+     */
+    function buildGeoTiff(surface) {
+        const g = georeference();
+        const n = result.n;
+        const SHORT = 3, LONG = 4, DOUBLE = 12, ASCII = 2;
+        const TYPE_SIZE = { [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8, [ASCII]: 1 };
+        const nodata = Array.from(String(NODATA) + '\0', ch => ch.charCodeAt(0));
+        const entries = [
+            [256, LONG, [n]],                   // ImageWidth
+            [257, LONG, [n]],                   // ImageLength
+            [258, SHORT, [16]],                 // BitsPerSample
+            [259, SHORT, [1]],                  // Compression: none
+            [262, SHORT, [1]],                  // PhotometricInterpretation: BlackIsZero
+            [273, LONG, [0]],                   // StripOffsets, set below
+            [277, SHORT, [1]],                  // SamplesPerPixel
+            [278, LONG, [n]],                   // RowsPerStrip
+            [279, LONG, [surface.values.byteLength]], // StripByteCounts
+            [284, SHORT, [1]],                  // PlanarConfiguration
+            [339, SHORT, [2]],                  // SampleFormat: signed integer
+            [33550, DOUBLE, [g.cellSize, g.cellSize, 0]],           // ModelPixelScale
+            [33922, DOUBLE, [0, 0, 0, g.west, g.north, 0]],         // ModelTiepoint
+            [34735, SHORT, [1, 1, 0, 3, 1024, 0, 1, 1, 1025, 0, 1, 1, 3072, 0, 1, 3857]], // GeoKeyDirectory
+            [42113, ASCII, nodata]              // GDAL_NODATA
+        ];
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let offset = 8 + ifdSize;
+        const external = entries.map(e => {
+            const bytes = e[2].length * TYPE_SIZE[e[1]];
+            if (bytes <= 4) return null;
+            const at = offset;
+            offset += bytes + (bytes % 2);
+            return at;
+        });
+        const dataOffset = offset;
+        entries[5][2][0] = dataOffset;
+
+        const buffer = new ArrayBuffer(dataOffset + surface.values.byteLength);
+        const view = new DataView(buffer);
+        view.setUint16(0, 0x4949);          // "II", little-endian
+        view.setUint16(2, 42, true);
+        view.setUint32(4, 8, true);
+        view.setUint16(8, entries.length, true);
+        entries.forEach((e, i) => {
+            const [tag, type, values] = e;
+            const at = 10 + i * 12;
+            view.setUint16(at, tag, true);
+            view.setUint16(at + 2, type, true);
+            view.setUint32(at + 4, values.length, true);
+            let p = external[i] === null ? at + 8 : external[i];
+            if (external[i] !== null) view.setUint32(at + 8, external[i], true);
+            values.forEach(v => {
+                if (type === SHORT) { view.setUint16(p, v, true); p += 2; }
+                else if (type === LONG) { view.setUint32(p, v, true); p += 4; }
+                else if (type === DOUBLE) { view.setFloat64(p, v, true); p += 8; }
+                else { view.setUint8(p, v); p += 1; }
+            });
+        });
+        view.setUint32(10 + entries.length * 12, 0, true);  // no further IFDs
+        for (let i = 0; i < surface.values.length; i++) {
+            view.setInt16(dataOffset + i * 2, surface.values[i], true);
+        }
+        return buffer;
+    }
+
+    const download = window.ExportUtils.download;
+
+    async function exportRaster(format) {
+        if (!result) {
+            alert('No viewshed results. Please run the cumulative viewshed first.');
+            return;
+        }
+        const surface = displayedValues();
+        const name = exportBaseName(surface);
+        if (format === 'tif') {
+            download(new Blob([buildGeoTiff(surface)], { type: 'image/tiff' }), name + '.tif');
+            return;
+        }
+        const asc = buildAsc(surface);
+        if (typeof JSZip === 'undefined') {
+            download(new Blob([asc], { type: 'text/plain' }), name + '.asc');
+            return;
+        }
+        // ASC carries no CRS of its own; ship the .prj beside it
+        const zip = new JSZip();
+        zip.file(name + '.asc', asc);
+        zip.file(name + '.prj', EPSG_3857_WKT);
+        download(await zip.generateAsync({ type: 'blob' }), name + '-asc.zip');
+    }
+
+    window.CV_runCumulativeViewshed = run;
+    window.CV_cancelCumulativeViewshed = cancel;
+    window.CV_exportCumulativeViewshed = exportRaster;
+
+    $(document).ready(function() {
+        $('#cv-display').on('change', function() {
+            if (result && !running) render();
+        });
+    });
+})();
@@ -0,0 +1,440 @@
+// =================================================================
+// DEM SOURCES – pluggable elevation providers for the horizon profiler,
+// rise/set workflow and intervisibility analysis
+// =================================================================
+// Every elevation read in horizon.js / intervisibility.js goes through
+// HC_DEMSources.getTile(zoom, x, y), which returns a 256x256 Float32Array of
+// heights (metres) on the Web Mercator tile grid, or null when no data exists.
+// Providers:
+//   terrarium   - Terrarium-encoded PNG tiles from a URL template (AWS by default)
+//   grid        - user-loaded GeoTIFF or ESRI ASCII grid (e.g. LiDAR / OSi DTM)
+//   tile-folder - local folder of Terrarium PNG tiles laid out as {z}/{x}/{y}.png
+// The local providers can optionally fill gaps from the online Terrarium tiles.
+
+(function() {
+    'use strict';
+
+    const TILE_SIZE = 256;
+    const DEFAULT_TERRARIUM_URL = 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png';
+
+    // Projections offered for grids that do not carry their own CRS (ASC files)
+    const GRID_CRS_DEFS = {
+        'EPSG:4326': null, // built into proj4
+        'EPSG:3857': null, // built into proj4
+        'EPSG:2157': '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+        'EPSG:29903': '+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=1.000035 +x_0=200000 +y_0=250000 +ellps=mod_airy +towgs84=482.5,-130.6,564.6,-1.042,-0.214,-0.631,8.15 +units=m +no_defs',
+        'EPSG:27700': '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +towgs84=446.448,-125.157,542.06,0.15,0.247,0.842,-20.489 +units=m +no_defs'
+    };
+
+    if (typeof proj4 !== 'undefined') {
+        Object.keys(GRID_CRS_DEFS).forEach(code => {
+            if (GRID_CRS_DEFS[code]) proj4.defs(code, GRID_CRS_DEFS[code]);
+        });
+    }
+
+    // -----------------------------------------------------------------
+    // Shared helpers
+    // -----------------------------------------------------------------
+    let decodeCanvas = null;
+
+    // Decode a Terrarium-encoded image (Image or ImageBitmap) into metres
+    function decodeTerrarium(img) {
+        if (!decodeCanvas) {
+            decodeCanvas = document.createElement('canvas');
+            decodeCanvas.width = TILE_SIZE;
+            decodeCanvas.height = TILE_SIZE;
+        }
+        const ctx = decodeCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.clearRect(0, 0, TILE_SIZE, TILE_SIZE);
+        ctx.drawImage(img, 0, 0, TILE_SIZE, TILE_SIZE);
+        const raw = ctx.getImageData(0, 0, TILE_SIZE, TILE_SIZE).data;
+        const out = new Float32Array(TILE_SIZE * TILE_SIZE);
+        for (let i = 0, j = 0; i < raw.length; i += 4, j++) {
+            out[j] = (raw[i] * 256 + raw[i+1] + raw[i+2] / 256) - 32768;
+        }
+        return out;
+    }
+
+    function loadImage(url) {
+        return new Promise(resolve => {
+            const img = new Image();
+            img.crossOrigin = "Anonymous";
+            img.src = url;
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+        });
+    }
+
+    // Global Web Mercator pixel -> lat/lng (matches L.CRS.EPSG3857 projection)
+    function pixelToLatLng(px, py, zoom) {
+        const n = TILE_SIZE * Math.pow(2, zoom);
+        const lng = px / n * 360 - 180;
+        const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * py / n))) * 180 / Math.PI;
+        return { lat, lng };
+    }
+
+    // -----------------------------------------------------------------
+    // Terrarium tile provider
+    // -----------------------------------------------------------------
+    function createTerrariumProvider(urlTemplate) {
+        const template = urlTemplate || DEFAULT_TERRARIUM_URL;
+        return {
+            id: 'terrarium',
+            label: 'Terrarium tiles',
+            async getTile(zoom, x, y) {
+                const url = template.replace('{z}', zoom).replace('{x}', x).replace('{y}', y);
+                const img = await loadImage(url);
+                return img ? decodeTerrarium(img) : null;
+            },
+            describe() {
+                return { provider: 'terrarium', name: 'Terrarium tiles', url: template };
+            }
+        };
+    }
+
+    // -----------------------------------------------------------------
+    // GeoTIFF / ESRI ASCII grid provider
+    // -----------------------------------------------------------------
+    // Grid layout: row 0 is the northern edge; x0/yTop are the outer edges of
+    // the top-left cell in grid CRS units.
+    function parseAsciiGrid(text) {
+        const lines = text.split(/\r?\n/);
+        const header = {};
+        let lineIdx = 0;
+        while (lineIdx < lines.length) {
+            const parts = lines[lineIdx].trim().split(/\s+/);
+            if (parts.length === 2 && /^[a-zA-Z_]+$/.test(parts[0])) {
+                header[parts[0].toLowerCase()] = parseFloat(parts[1]);
+                lineIdx++;
+            } else {
+                break;
+            }
+        }
+        const cols = header.ncols;
+        const rows = header.nrows;
+        const cellX = header.cellsize || header.dx;
+        const cellY = header.cellsize || header.dy;
+        if (!cols || !rows || !cellX || !cellY) {
+            throw new Error('ASC header is missing ncols/nrows/cellsize.');
+        }
+        let x0 = header.xllcorner;
+        let yBottom = header.yllcorner;
+        if (x0 === undefined && header.xllcenter !== undefined) x0 = header.xllcenter - cellX / 2;
+        if (yBottom === undefined && header.yllcenter !== undefined) yBottom = header.yllcenter - cellY / 2;
+        if (x0 === undefined || yBottom === undefined) {
+            throw new Error('ASC header is missing xllcorner/yllcorner.');
+        }
+
+        const data = new Float32Array(cols * rows);
+        const body = lines.slice(lineIdx).join(' ').trim().split(/\s+/);
+        if (body.length < cols * rows) {
+            throw new Error(`ASC grid has ${body.length} values, expected ${cols * rows}.`);
+        }
+        for (let i = 0; i < cols * rows; i++) data[i] = parseFloat(body[i]);
+
+        return {
+            data, cols, rows, cellX, cellY,
+            x0: x0,
+            yTop: yBottom + rows * cellY,
+            nodata: header.nodata_value !== undefined ? header.nodata_value : null,
+            crs: null
+        };
+    }
+
+    async function parseGeoTiff(buffer) {
+        if (typeof GeoTIFF === 'undefined') {
+            throw new Error('GeoTIFF library not loaded.');
+        }
+        const tiff = await GeoTIFF.fromArrayBuffer(buffer);
+        const image = await tiff.getImage();
+        const cols = image.getWidth();
+        const rows = image.getHeight();
+        const bbox = image.getBoundingBox(); // [minX, minY, maxX, maxY]
+        const raster = await image.readRasters({ samples: [0], interleave: true });
+        const data = raster instanceof Float32Array ? raster : Float32Array.from(raster);
+        const nodataRaw = image.getGDALNoData();
+        const geoKeys = image.getGeoKeys() || {};
+        const epsg = geoKeys.ProjectedCSTypeGeoKey || geoKeys.GeographicTypeGeoKey;
+        return {
+            data, cols, rows,
+            cellX: (bbox[2] - bbox[0]) / cols,
+            cellY: (bbox[3] - bbox[1]) / rows,
+            x0: bbox[0],
+            yTop: bbox[3],
+            nodata: nodataRaw !== null && nodataRaw !== undefined ? Number(nodataRaw) : null,
+            crs: epsg && epsg !== 32767 ? `EPSG:${epsg}` : null
+        };
+    }
+
+    // Bilinear sample of a grid at grid-CRS coordinates; NaN outside/no-data
+    function sampleGrid(grid, X, Y) {
+        const c = (X - grid.x0) / grid.cellX - 0.5;
+        const r = (grid.yTop - Y) / grid.cellY - 0.5;
+        if (c < 0 || r < 0 || c > grid.cols - 1 || r > grid.rows - 1) return NaN;
+        const c0 = Math.min(Math.floor(c), grid.cols - 2);
+        const r0 = Math.min(Math.floor(r), grid.rows - 2);
+        const dc = c - c0;
+        const dr = r - r0;
+        const idx = r0 * grid.cols + c0;
+        const h00 = grid.data[idx];
+        const h10 = grid.data[idx + 1];
+        const h01 = grid.data[idx + grid.cols];
+        const h11 = grid.data[idx + grid.cols + 1];
+        const nd = grid.nodata;
+        if (nd !== null && (h00 === nd || h10 === nd || h01 === nd || h11 === nd)) return NaN;
+        return (h00 * (1 - dc) + h10 * dc) * (1 - dr) + (h01 * (1 - dc) + h11 * dc) * dr;
+    }
+
+    function createGridProvider(grid, fileName, format, fallbackProvider) {
+        const crs = grid.crs || 'EPSG:4326';
+        const isGeographic = crs === 'EPSG:4326';
+        if (!isGeographic && typeof proj4 === 'undefined') {
+            throw new Error('proj4 is required for projected grids.');
+        }
+        const toGrid = isGeographic ? null : proj4('EPSG:4326', crs);
+
+        // Lat/lng bounds of the grid, used to skip tiles outside its coverage
+        const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+        const xR = grid.x0 + grid.cols * grid.cellX;
+        const yB = grid.yTop - grid.rows * grid.cellY;
+        for (let i = 0; i <= 4; i++) {
+            for (let j = 0; j <= 4; j++) {
+                const X = grid.x0 + (xR - grid.x0) * i / 4;
+                const Y = yB + (grid.yTop - yB) * j / 4;
+                const ll = isGeographic ? [X, Y] : toGrid.inverse([X, Y]);
+                bounds.minLng = Math.min(bounds.minLng, ll[0]);
+                bounds.maxLng = Math.max(bounds.maxLng, ll[0]);
+                bounds.minLat = Math.min(bounds.minLat, ll[1]);
+                bounds.maxLat = Math.max(bounds.maxLat, ll[1]);
+            }
+        }
+
+        // Projecting every pixel is too slow for a 200 km scan, so project a
+        // 17x17 lattice per tile and interpolate grid coordinates in between.
+        const LATTICE = 16;
+        const STEP = TILE_SIZE / LATTICE;
+
+        return {
+            id: 'grid',
+            label: fileName,
+            bounds: bounds,
+            async getTile(zoom, x, y) {
+                const nw = pixelToLatLng(x * TILE_SIZE, y * TILE_SIZE, zoom);
+                const se = pixelToLatLng((x + 1) * TILE_SIZE, (y + 1) * TILE_SIZE, zoom);
+                const intersects = !(se.lat > bounds.maxLat || nw.lat < bounds.minLat ||
+                                     nw.lng > bounds.maxLng || se.lng < bounds.minLng);
+                const base = fallbackProvider ? await fallbackProvider.getTile(zoom, x, y) : null;
+                if (!intersects) return base;
+
+                const lattice = new Float64Array((LATTICE + 1) * (LATTICE + 1) * 2);
+                for (let j = 0; j <= LATTICE; j++) {
+                    for (let i = 0; i <= LATTICE; i++) {
+                        const ll = pixelToLatLng(x * TILE_SIZE + i * STEP, y * TILE_SIZE + j * STEP, zoom);
+                        const p = isGeographic ? [ll.lng, ll.lat] : toGrid.forward([ll.lng, ll.lat]);
+                        const k = (j * (LATTICE + 1) + i) * 2;
+                        lattice[k] = p[0];
+                        lattice[k + 1] = p[1];
+                    }
+                }
+
+                // Without a fallback, pixels outside the grid are no-data (NaN), not sea level
+                const out = base || new Float32Array(TILE_SIZE * TILE_SIZE).fill(NaN);
+                let hits = 0;
+                for (let py = 0; py < TILE_SIZE; py++) {
+                    const fy = (py + 0.5) / STEP;
+                    const j0 = Math.min(Math.floor(fy), LATTICE - 1);
+                    const ty = fy - j0;
+                    for (let px = 0; px < TILE_SIZE; px++) {
+                        const fx = (px + 0.5) / STEP;
+                        const i0 = Math.min(Math.floor(fx), LATTICE - 1);
+                        const tx = fx - i0;
+                        const k00 = (j0 * (LATTICE + 1) + i0) * 2;
+                        const k10 = k00 + 2;
+                        const k01 = k00 + (LATTICE + 1) * 2;
+                        const k11 = k01 + 2;
+                        const X = (lattice[k00] * (1 - tx) + lattice[k10] * tx) * (1 - ty) + (lattice[k01] * (1 - tx) + lattice[k11] * tx) * ty;
+                        const Y = (lattice[k00+1] * (1 - tx) + lattice[k10+1] * tx) * (1 - ty) + (lattice[k01+1] * (1 - tx) + lattice[k11+1] * tx) * ty;
+                        const h = sampleGrid(grid, X, Y);
+                        if (!isNaN(h)) {
+                            out[py * TILE_SIZE + px] = h;
+                            hits++;
+                        }
+                    }
+                }
+                return (hits > 0 || base) ? out : null;
+            },
+            describe() {
+                return {
+                    provider: 'grid',
+                    name: fileName,
+                    format: format,
+                    crs: crs,
+                    cols: grid.cols,
+                    rows: grid.rows,
+                    cellSize: grid.cellX,
+                    fallback: fallbackProvider ? fallbackProvider.describe().name : null
+                };
+            }
+        };
+    }
+
+    // -----------------------------------------------------------------
+    // Local Terrarium tile-folder provider ({z}/{x}/{y}.png)
+    // -----------------------------------------------------------------
+    function createTileFolderProvider(fileList, fallbackProvider) {
+        const index = new Map();
+        const zooms = new Set();
+        let folderName = null;
+        Array.from(fileList).forEach(file => {
+            const path = (file.webkitRelativePath || file.name).split('/');
+            if (!folderName && path.length > 1) folderName = path[0];
+            if (path.length < 3) return;
+            const name = path[path.length - 1];
+            const m = /^(\d+)\.png$/i.exec(name);
+            const z = parseInt(path[path.length - 3], 10);
+            const x = parseInt(path[path.length - 2], 10);
+            if (!m || isNaN(z) || isNaN(x)) return;
+            index.set(`${z}/${x}/${m[1]}`, file);
+            zooms.add(z);
+        });
+        if (index.size === 0) {
+            throw new Error('No {z}/{x}/{y}.png tiles found in the selected folder.');
+        }
+
+        return {
+            id: 'tile-folder',
+            label: folderName || 'Local tiles',
+            async getTile(zoom, x, y) {
+                const file = index.get(`${zoom}/${x}/${y}`);
+                if (!file) {
+                    return fallbackProvider ? fallbackProvider.getTile(zoom, x, y) : null;
+                }
+                const url = URL.createObjectURL(file);
+                try {
+                    const img = await loadImage(url);
+                    return img ? decodeTerrarium(img) : null;
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            },
+            describe() {
+                return {
+                    provider: 'tile-folder',
+                    name: folderName || 'Local tiles',
+                    tileCount: index.size,
+                    zooms: Array.from(zooms).sort((a, b) => a - b),
+                    fallback: fallbackProvider ? fallbackProvider.describe().name : null
+                };
+            }
+        };
+    }
+
+    // -----------------------------------------------------------------
+    // Registry
+    // -----------------------------------------------------------------
+    const terrariumProvider = createTerrariumProvider();
+    let activeProvider = terrariumProvider;
+
+    function setActive(provider) {
+        activeProvider = provider || terrariumProvider;
+        // Cached terrain patches were built from the previous source
+        window.dispatchEvent(new CustomEvent('hc-dem-source-changed', { detail: activeProvider.describe() }));
+        updateDemStatus();
+    }
+
+    async function loadGridFile(file, crsOverride, useFallback) {
+        const isAsc = /\.(asc|txt)$/i.test(file.name);
+        let grid;
+        if (isAsc) {
+            grid = parseAsciiGrid(await file.text());
+        } else {
+            grid = await parseGeoTiff(await file.arrayBuffer());
+        }
+        if (!grid.crs || crsOverride) grid.crs = crsOverride || 'EPSG:4326';
+        const provider = createGridProvider(grid, file.name, isAsc ? 'ESRI ASCII' : 'GeoTIFF', useFallback ? terrariumProvider : null);
+        setActive(provider);
+        return provider;
+    }
+
+    function loadTileFolder(fileList, useFallback) {
+        const provider = createTileFolderProvider(fileList, useFallback ? terrariumProvider : null);
+        setActive(provider);
+        return provider;
+    }
+
+    window.HC_DEMSources = {
+        TILE_SIZE: TILE_SIZE,
+        getTile: (zoom, x, y) => activeProvider.getTile(zoom, x, y),
+        describe: () => activeProvider.describe(),
+        getActive: () => activeProvider,
+        setActive: setActive,
+        useTerrarium: (urlTemplate) => setActive(urlTemplate ? createTerrariumProvider(urlTemplate) : terrariumProvider),
+        loadGridFile: loadGridFile,
+        loadTileFolder: loadTileFolder,
+        parseAsciiGrid: parseAsciiGrid,
+        decodeTerrarium: decodeTerrarium
+    };
+
+    // -----------------------------------------------------------------
+    // Sidebar UI
+    // -----------------------------------------------------------------
+    function updateDemStatus(message, isError) {
+        const el = document.getElementById('hc-dem-status');
+        if (!el) return;
+        if (message) {
+            el.textContent = message;
+        } else {
+            const d = activeProvider.describe();
+            let text = `Using: ${d.name}`;
+            if (d.crs) text += ` (${d.crs}, ${d.cols}×${d.rows})`;
+            if (d.tileCount) text += ` (${d.tileCount} tiles, Z${d.zooms.join('/Z')})`;
+            if (d.fallback) text += ` + ${d.fallback} outside coverage`;
+            el.textContent = text;
+        }
+        el.className = isError ? 'text-danger' : 'text-muted';
+    }
+
+    $(document).ready(function() {
+        const $select = $('#hc-dem-source');
+        if ($select.length === 0) return;
+
+        function showInputs() {
+            const v = $select.val();
+            $('#hc-dem-grid-row').toggle(v === 'grid');
+            $('#hc-dem-folder-row').toggle(v === 'tile-folder');
+            $('#hc-dem-fallback-row').toggle(v !== 'terrarium');
+        }
+
+        $select.on('change', function() {
+            showInputs();
+            if ($select.val() === 'terrarium') setActive(terrariumProvider);
+        });
+
+        $('#hc-dem-grid-file').on('change', async function() {
+            const file = this.files[0];
+            if (!file) return;
+            updateDemStatus(`Loading ${file.name}...`);
+            try {
+                await loadGridFile(file, $('#hc-dem-grid-crs').val() || null, $('#hc-dem-fallback').is(':checked'));
+            } catch (err) {
+                console.error('Error loading DEM grid:', err);
+                updateDemStatus('Error: ' + err.message, true);
+            }
+            this.value = '';
+        });
+
+        $('#hc-dem-folder').on('change', function() {
+            if (!this.files || this.files.length === 0) return;
+            try {
+                loadTileFolder(this.files, $('#hc-dem-fallback').is(':checked'));
+            } catch (err) {
+                console.error('Error loading tile folder:', err);
+                updateDemStatus('Error: ' + err.message, true);
+            }
+            this.value = '';
+        });
+
+        showInputs();
+        updateDemStatus();
+    });
+})();
@@ -456,11 +456,13 @@
             if (this.drawingManager) this.drawingManager.stopDrawing();
         },
         
-        exportDrawings: function() {
-            if (!this.drawingManager || !this.drawingManager.drawnItems) {
-                alert('No drawings to export.');
-                return;
-            }
+        /**
+         * Drawn items and current style settings as a DrawingToolsExport object
+         * (written by exportDrawings and stored with a project, project-workspace.js)
+         * @returns {Object|null} null if the drawing tools are not initialised
+         */
+        serializeDrawings: function() {
+            if (!this.drawingManager || !this.drawingManager.drawnItems) return null;
             
             // Collect all drawn items
             const features = [];
@@ -600,12 +602,20 @@
                 arrowSize: document.getElementById('arrow-size') ? parseInt(document.getElementById('arrow-size').value) : 15
             };
             
-            const exportData = {
+            return {
                 type: 'DrawingToolsExport',
                 version: '1.0',
                 styles: styles,
                 features: features
             };
+        },
+        
+        exportDrawings: function() {
+            const exportData = this.serializeDrawings();
+            if (!exportData) {
+                alert('No drawings to export.');
+                return;
+            }
             
             const jsonString = JSON.stringify(exportData, null, 2);
             const blob = new Blob([jsonString], { type: 'application/json' });
@@ -618,144 +628,149 @@
             document.body.removeChild(link);
             URL.revokeObjectURL(url);
             
-            UIUtils.setStatus(`Exported ${features.length} items with styles.`);
+            UIUtils.setStatus(`Exported ${exportData.features.length} items with styles.`);
         },
         
-        importDrawings: function(event) {
-            const file = event.target.files[0];
-            if (!file) return;
+        /**
+         * Replaces the drawn items (and style settings) with a DrawingToolsExport object
+         * @throws {Error} If the object is not a DrawingToolsExport
+         */
+        restoreDrawings: function(importData) {
+            // Validate format
+            if (!importData || importData.type !== 'DrawingToolsExport') {
+                throw new Error('Invalid file format. Expected DrawingToolsExport file.');
+            }
             
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const importData = JSON.parse(e.target.result);
+            // Restore styles
+            if (importData.styles) {
+                const styles = importData.styles;
+                const outlineColorEl = document.getElementById('outline-color');
+                const outlineWeightEl = document.getElementById('outline-weight');
+                const outlineDashedEl = document.getElementById('outline-dashed');
+                const fillColorEl = document.getElementById('fill-color');
+                const fillOpacityEl = document.getElementById('fill-opacity');
+                const arrowFreqEl = document.getElementById('arrow-frequency');
+                const arrowSizeEl = document.getElementById('arrow-size');
+                
+                if (outlineColorEl) outlineColorEl.value = styles.outlineColor || '#333333';
+                if (outlineWeightEl) {
+                    outlineWeightEl.value = styles.outlineWeight || 2;
+                    if (UIUtils.updateWeightLabel) UIUtils.updateWeightLabel(styles.outlineWeight || 2);
+                }
+                if (outlineDashedEl) outlineDashedEl.checked = styles.outlineDashed || false;
+                if (fillColorEl) fillColorEl.value = styles.fillColor || '#3388ff';
+                if (fillOpacityEl) {
+                    fillOpacityEl.value = styles.fillOpacity !== undefined ? styles.fillOpacity : 1;
+                    if (UIUtils.updateOpacityLabel) UIUtils.updateOpacityLabel(styles.fillOpacity !== undefined ? styles.fillOpacity : 1);
+                }
+                if (arrowFreqEl) arrowFreqEl.value = styles.arrowFrequency || 'end';
+                if (arrowSizeEl) {
+                    arrowSizeEl.value = styles.arrowSize || 15;
+                    if (UIUtils.updateArrowSizeLabel) UIUtils.updateArrowSizeLabel(styles.arrowSize || 15);
+                }
+            }
+            
+            // Clear existing drawings
+            if (this.drawingManager) {
+                this.drawingManager.drawnItems.clearLayers();
+                this.drawingManager.decoratorItems.clearLayers();
+            }
+            
+            // Restore features
+            if (importData.features && Array.isArray(importData.features)) {
+                importData.features.forEach(feature => {
+                    if (!feature.geometry || !feature.properties) return;
                     
-                    // Validate format
-                    if (importData.type !== 'DrawingToolsExport') {
-                        alert('Invalid file format. Expected DrawingToolsExport file.');
-                        return;
-                    }
+                    let layer = null;
+                    const props = feature.properties;
                     
-                    // Restore styles
-                    if (importData.styles) {
-                        const styles = importData.styles;
-                        const outlineColorEl = document.getElementById('outline-color');
-                        const outlineWeightEl = document.getElementById('outline-weight');
-                        const outlineDashedEl = document.getElementById('outline-dashed');
-                        const fillColorEl = document.getElementById('fill-color');
-                        const fillOpacityEl = document.getElementById('fill-opacity');
-                        const arrowFreqEl = document.getElementById('arrow-frequency');
-                        const arrowSizeEl = document.getElementById('arrow-size');
-                        
-                        if (outlineColorEl) outlineColorEl.value = styles.outlineColor || '#333333';
-                        if (outlineWeightEl) {
-                            outlineWeightEl.value = styles.outlineWeight || 2;
-                            if (UIUtils.updateWeightLabel) UIUtils.updateWeightLabel(styles.outlineWeight || 2);
-                        }
-                        if (outlineDashedEl) outlineDashedEl.checked = styles.outlineDashed || false;
-                        if (fillColorEl) fillColorEl.value = styles.fillColor || '#3388ff';
-                        if (fillOpacityEl) {
-                            fillOpacityEl.value = styles.fillOpacity !== undefined ? styles.fillOpacity : 1;
-                            if (UIUtils.updateOpacityLabel) UIUtils.updateOpacityLabel(styles.fillOpacity !== undefined ? styles.fillOpacity : 1);
-                        }
-                        if (arrowFreqEl) arrowFreqEl.value = styles.arrowFrequency || 'end';
-                        if (arrowSizeEl) {
-                            arrowSizeEl.value = styles.arrowSize || 15;
-                            if (UIUtils.updateArrowSizeLabel) UIUtils.updateArrowSizeLabel(styles.arrowSize || 15);
+                    if (props.type === 'marker' && feature.geometry.type === 'Point') {
+                        const coords = feature.geometry.coordinates;
+                        const icon = props.icon ? L.divIcon({
+                            className: 'text-label-icon',
+                            html: props.icon,
+                            iconSize: null,
+                            iconAnchor: [0, 0]
+                        }) : L.Icon.Default.prototype;
+                        layer = L.marker([coords[1], coords[0]], {
+                            icon: icon,
+                            draggable: props.draggable || false
+                        });
+                    } else if (props.type === 'circleMarker' && feature.geometry.type === 'Point') {
+                        const coords = feature.geometry.coordinates;
+                        layer = L.circleMarker([coords[1], coords[0]], {
+                            radius: props.radius || 8,
+                            color: props.color || '#333333',
+                            fillColor: props.fillColor || '#3388ff',
+                            fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1,
+                            weight: props.weight || 2
+                        });
+                        if (props.popup) layer.bindPopup(props.popup);
+                    } else if (props.type === 'polyline' && feature.geometry.type === 'LineString') {
+                        const coords = feature.geometry.coordinates.map(c => [c[1], c[0]]);
+                        layer = L.polyline(coords, {
+                            color: props.color || '#333333',
+                            weight: props.weight || 2,
+                            opacity: props.opacity !== undefined ? props.opacity : 0.8,
+                            dashArray: props.dashArray || null
+                        });
+                        if (props.hasArrow && this.drawingManager) {
+                            this.drawingManager.currentDrawType = 'arrow';
+                            this.drawingManager._addArrowDecoration(layer);
                         }
+                    } else if (props.type === 'polygon' && feature.geometry.type === 'Polygon') {
+                        const coords = feature.geometry.coordinates.map(ring => ring.map(c => [c[1], c[0]]));
+                        layer = L.polygon(coords, {
+                            color: props.color || '#333333',
+                            weight: props.weight || 2,
+                            opacity: props.opacity !== undefined ? props.opacity : 0.8,
+                            fillColor: props.fillColor || '#3388ff',
+                            fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1,
+                            dashArray: props.dashArray || null
+                        });
+                    } else if (props.type === 'rectangle' && feature.geometry.type === 'Polygon') {
+                        const coords = feature.geometry.coordinates[0];
+                        const bounds = L.latLngBounds(coords.map(c => [c[1], c[0]]));
+                        layer = L.rectangle(bounds, {
+                            color: props.color || '#333333',
+                            weight: props.weight || 2,
+                            opacity: props.opacity !== undefined ? props.opacity : 0.8,
+                            fillColor: props.fillColor || '#3388ff',
+                            fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1
+                        });
+                    } else if (props.type === 'circle' && feature.geometry.type === 'Point') {
+                        const coords = feature.geometry.coordinates;
+                        layer = L.circle([coords[1], coords[0]], {
+                            radius: props.radius || 1000,
+                            color: props.color || '#333333',
+                            weight: props.weight || 2,
+                            opacity: props.opacity !== undefined ? props.opacity : 0.8,
+                            fillColor: props.fillColor || '#3388ff',
+                            fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1
+                        });
                     }
                     
-                    // Clear existing drawings
-                    if (this.drawingManager) {
-                        this.drawingManager.drawnItems.clearLayers();
-                        this.drawingManager.decoratorItems.clearLayers();
-                    }
-                    
-                    // Restore features
-                    if (importData.features && Array.isArray(importData.features)) {
-                        importData.features.forEach(feature => {
-                            if (!feature.geometry || !feature.properties) return;
-                            
-                            let layer = null;
-                            const props = feature.properties;
-                            
-                            if (props.type === 'marker' && feature.geometry.type === 'Point') {
-                                const coords = feature.geometry.coordinates;
-                                const icon = props.icon ? L.divIcon({
-                                    className: 'text-label-icon',
-                                    html: props.icon,
-                                    iconSize: null,
-                                    iconAnchor: [0, 0]
-                                }) : L.Icon.Default.prototype;
-                                layer = L.marker([coords[1], coords[0]], {
-                                    icon: icon,
-                                    draggable: props.draggable || false
-                                });
-                            } else if (props.type === 'circleMarker' && feature.geometry.type === 'Point') {
-                                const coords = feature.geometry.coordinates;
-                                layer = L.circleMarker([coords[1], coords[0]], {
-                                    radius: props.radius || 8,
-                                    color: props.color || '#333333',
-                                    fillColor: props.fillColor || '#3388ff',
-                                    fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1,
-                                    weight: props.weight || 2
-                                });
-                                if (props.popup) layer.bindPopup(props.popup);
-                            } else if (props.type === 'polyline' && feature.geometry.type === 'LineString') {
-                                const coords = feature.geometry.coordinates.map(c => [c[1], c[0]]);
-                                layer = L.polyline(coords, {
-                                    color: props.color || '#333333',
-                                    weight: props.weight || 2,
-                                    opacity: props.opacity !== undefined ? props.opacity : 0.8,
-                                    dashArray: props.dashArray || null
-                                });
-                                if (props.hasArrow && this.drawingManager) {
-                                    this.drawingManager.currentDrawType = 'arrow';
-                                    this.drawingManager._addArrowDecoration(layer);
-                                }
-                            } else if (props.type === 'polygon' && feature.geometry.type === 'Polygon') {
-                                const coords = feature.geometry.coordinates.map(ring => ring.map(c => [c[1], c[0]]));
-                                layer = L.polygon(coords, {
-                                    color: props.color || '#333333',
-                                    weight: props.weight || 2,
-                                    opacity: props.opacity !== undefined ? props.opacity : 0.8,
-                                    fillColor: props.fillColor || '#3388ff',
-                                    fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1,
-                                    dashArray: props.dashArray || null
-                                });
-                            } else if (props.type === 'rectangle' && feature.geometry.type === 'Polygon') {
-                                const coords = feature.geometry.coordinates[0];
-                                const bounds = L.latLngBounds(coords.map(c => [c[1], c[0]]));
-                                layer = L.rectangle(bounds, {
-                                    color: props.color || '#333333',
-                                    weight: props.weight || 2,
-                                    opacity: props.opacity !== undefined ? props.opacity : 0.8,
-                                    fillColor: props.fillColor || '#3388ff',
-                                    fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1
-                                });
-                            } else if (props.type === 'circle' && feature.geometry.type === 'Point') {
-                                const coords = feature.geometry.coordinates;
-                                layer = L.circle([coords[1], coords[0]], {
-                                    radius: props.radius || 1000,
-                                    color: props.color || '#333333',
-                                    weight: props.weight || 2,
-                                    opacity: props.opacity !== undefined ? props.opacity : 0.8,
-                                    fillColor: props.fillColor || '#3388ff',
-                                    fillOpacity: props.fillOpacity !== undefined ? props.fillOpacity : 1
-                                });
-                            }
-                            
-                            if (layer && this.drawingManager) {
-                                this.drawingManager.drawnItems.addLayer(layer);
-                            }
-                        });
-                        
-                        if (this.drawingManager) {
-                            this.drawingManager.updateCount();
-                        }
-                        
-                        UIUtils.setStatus(`Imported ${importData.features.length} items with styles.`);
+                    if (layer && this.drawingManager) {
+                        this.drawingManager.drawnItems.addLayer(layer);
                     }
+                });
+                
+                if (this.drawingManager) {
+                    this.drawingManager.updateCount();
+                }
+                
+                UIUtils.setStatus(`Imported ${importData.features.length} items with styles.`);
+            }
+        },
+        
+        importDrawings: function(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    this.restoreDrawings(JSON.parse(e.target.result));
                 } catch (error) {
                     alert('Error reading file: ' + error.message);
                     console.error('Import error:', error);
@@ -0,0 +1,433 @@
+// =================================================================
+// EPHEMERIS – low-precision Sun and Moon positions for any epoch
+// =================================================================
+// Calendar dates use astronomical year numbering (year 0 = 1 BCE) and the
+// Julian calendar before 1582 October 15, Gregorian after (Meeus ch. 7).
+// Sun: Meeus ch. 25 (low accuracy, ~0.01°), obliquity after Bretagnon as in
+// omphalopsychicsingle.js. Moon: Meeus ch. 47 with the full periodic tables and
+// nutation (~10" in longitude near the present, a few arcminutes at 3000 BCE where
+// ΔT dominates); lunarStandstills() finds the major/minor declination limits of a
+// nodal cycle from it, replacing the fixed obliquity ± 5.15° rule.
+// Times are UT; ΔT follows the long-term parabola of Morrison & Stephenson
+// (2004), -20 + 32u² seconds with u = (year - 1820)/100.
+// Pure functions, so the module also loads in Web Workers and Node.
+
+(function(global) {
+    'use strict';
+
+    const DEG = Math.PI / 180;
+    const J2000 = 2451545.0;
+    const EARTH_EQUATORIAL_RADIUS_KM = 6378.14;
+    const MOON_NODAL_CYCLE_YEARS = 18.61;
+    const MOON_SAMPLE_DAYS = 0.25;
+
+    // Moon: periodic terms of Σl and Σr (Meeus table 47.A)
+    // [D, M, M', F, Σl (1e-6 deg), Σr (1e-3 km)]
+    const MOON_LR = [
+        [0, 0, 1, 0, 6288774, -20905355],
+        [2, 0, -1, 0, 1274027, -3699111],
+        [2, 0, 0, 0, 658314, -2955968],
+        [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888],
+        [0, 0, 0, 2, -114332, -3149],
+        [2, 0, -2, 0, 58793, 246158],
+        [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733],
+        [2, -1, 0, 0, 45758, -204586],
+        [0, 1, -1, 0, -40923, -129620],
+        [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755],
+        [2, 0, 0, -2, 15327, 10321],
+        [0, 0, 1, 2, -12528, 0],
+        [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782],
+        [0, 0, 3, 0, 10034, -23210],
+        [4, 0, -2, 0, 8548, -21636],
+        [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824],
+        [1, 0, -1, 0, -5163, -8379],
+        [1, 1, 0, 0, 4987, -16675],
+        [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445],
+        [4, 0, 0, 0, 3861, -11650],
+        [2, 0, -3, 0, 3665, 14403],
+        [0, 1, -2, 0, -2689, -7003],
+        [2, 0, -1, 2, -2602, 0],
+        [2, -1, -2, 0, 2390, 10056],
+        [1, 0, 1, 0, -2348, 6322],
+        [2, -2, 0, 0, 2236, -9884],
+        [0, 1, 2, 0, -2120, 5751],
+        [0, 2, 0, 0, -2069, 0],
+        [2, -2, -1, 0, 2048, -4950],
+        [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0],
+        [4, -1, -1, 0, 1215, -3958],
+        [0, 0, 2, 2, -1110, 0],
+        [3, 0, -1, 0, -892, 3258],
+        [2, 1, 1, 0, -810, 2616],
+        [4, -1, -2, 0, 759, -1897],
+        [0, 2, -1, 0, -713, -2117],
+        [2, 2, -1, 0, -700, 2354],
+        [2, 1, -2, 0, 691, 0],
+        [2, -1, 0, -2, 596, 0],
+        [4, 0, 1, 0, 549, -1423],
+        [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571],
+        [1, 0, -2, 0, -487, -1739],
+        [2, 1, 0, -2, -399, 0],
+        [0, 0, 2, -2, -381, -4421],
+        [1, 1, 1, 0, 351, 0],
+        [3, 0, -2, 0, -340, 0],
+        [4, 0, -3, 0, 330, 0],
+        [2, -1, 2, 0, 327, 0],
+        [0, 2, 1, 0, -323, 1165],
+        [1, 1, -1, 0, 299, 0],
+        [2, 0, 3, 0, 294, 0],
+        [2, 0, -1, -2, 0, 8752]
+    ];
+    // Periodic terms of Σb (Meeus table 47.B): [D, M, M', F, Σb (1e-6 deg)]
+    const MOON_B = [
+        [0, 0, 0, 1, 5128122],
+        [0, 0, 1, 1, 280602],
+        [0, 0, 1, -1, 277693],
+        [2, 0, 0, -1, 173237],
+        [2, 0, -1, 1, 55413],
+        [2, 0, -1, -1, 46271],
+        [2, 0, 0, 1, 32573],
+        [0, 0, 2, 1, 17198],
+        [2, 0, 1, -1, 9266],
+        [0, 0, 2, -1, 8822],
+        [2, -1, 0, -1, 8216],
+        [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200],
+        [2, 1, 0, -1, -3359],
+        [2, -1, -1, 1, 2463],
+        [2, -1, 0, 1, 2211],
+        [2, -1, -1, -1, 2065],
+        [0, 1, -1, -1, -1870],
+        [4, 0, -1, -1, 1828],
+        [0, 1, 0, 1, -1794],
+        [0, 0, 0, 3, -1749],
+        [0, 1, -1, 1, -1565],
+        [1, 0, 0, 1, -1491],
+        [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410],
+        [0, 1, 0, -1, -1344],
+        [1, 0, 0, -1, -1335],
+        [0, 0, 3, 1, 1107],
+        [4, 0, 0, -1, 1021],
+        [4, 0, -1, 1, 833],
+        [0, 0, 1, -3, 777],
+        [4, 0, -2, 1, 671],
+        [2, 0, 0, -3, 607],
+        [2, 0, 2, -1, 596],
+        [2, -1, 1, -1, 491],
+        [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439],
+        [2, 0, 2, 1, 422],
+        [2, 0, -3, -1, 421],
+        [2, 1, -1, 1, -366],
+        [2, 1, 0, 1, -351],
+        [4, 0, 0, 1, 331],
+        [2, -1, 1, 1, 315],
+        [2, -2, 0, -1, 302],
+        [0, 0, 1, 3, -283],
+        [2, 1, 1, -1, -229],
+        [1, 1, 0, -1, 223],
+        [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220],
+        [2, 1, -1, -1, -220],
+        [1, 0, 1, 1, -185],
+        [2, -1, -2, -1, 181],
+        [0, 1, 2, 1, -177],
+        [4, 0, -2, -1, 176],
+        [4, -1, -1, -1, 166],
+        [1, 0, 1, -1, -164],
+        [4, 0, 1, -1, 132],
+        [1, 0, -1, -1, -119],
+        [4, -1, 0, -1, 115],
+        [2, -2, 0, 1, 107]
+    ];
+
+    function normalizeDegrees(d) {
+        return ((d % 360) + 360) % 360;
+    }
+
+    /**
+     * ΔT = TT - UT in seconds for an astronomical year.
+     */
+    function deltaT(year) {
+        const u = (year - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+
+    /**
+     * Julian Day (UT) at 0h of a calendar date.
+     * @param {number} year - Astronomical year.
+     * @param {number} month - 1-12.
+     * @param {number} day - Day of month, may carry a fraction.
+     */
+    function julianDay(year, month, day) {
+        let y = year, m = month;
+        if (m <= 2) {
+            y -= 1;
+            m += 12;
+        }
+        let b = 0;
+        const gregorian = year > 1582 || (year === 1582 && (month > 10 || (month === 10 && day >= 15)));
+        if (gregorian) {
+            const a = Math.floor(y / 100);
+            b = 2 - a + Math.floor(a / 4);
+        }
+        return Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + day + b - 1524.5;
+    }
+
+    /**
+     * Calendar date of a Julian Day.
+     * @returns {{year: number, month: number, day: number, calendar: string}} day carries the fraction.
+     */
+    function calendarDate(jd) {
+        const z = Math.floor(jd + 0.5);
+        const f = jd + 0.5 - z;
+        let a = z;
+        if (z >= 2299161) {
+            const alpha = Math.floor((z - 1867216.25) / 36524.25);
+            a = z + 1 + alpha - Math.floor(alpha / 4);
+        }
+        const b = a + 1524;
+        const c = Math.floor((b - 122.1) / 365.25);
+        const d = Math.floor(365.25 * c);
+        const e = Math.floor((b - d) / 30.6001);
+        const day = b - d - Math.floor(30.6001 * e) + f;
+        const month = e < 14 ? e - 1 : e - 13;
+        const year = month > 2 ? c - 4716 : c - 4715;
+        return { year: year, month: month, day: day, calendar: z >= 2299161 ? 'Gregorian' : 'Julian' };
+    }
+
+    // Terrestrial Time in Julian centuries from J2000 for a UT Julian Day
+    function centuriesTT(jdUT) {
+        const year = 2000 + (jdUT - J2000) / 365.25;
+        return (jdUT + deltaT(year) / 86400 - J2000) / 36525;
+    }
+
+    /**
+     * Greenwich mean sidereal time in degrees (Meeus 12.4).
+     * @param {number} jdUT - Julian Day (UT).
+     */
+    function siderealTime(jdUT) {
+        const T = (jdUT - J2000) / 36525;
+        return normalizeDegrees(280.46061837 + 360.98564736629 * (jdUT - J2000) +
+            0.000387933 * T * T - T * T * T / 38710000);
+    }
+
+    /**
+     * Mean obliquity of the ecliptic in degrees (Bretagnon, as eclipticObliquity() in omphalopsychicsingle.js).
+     * @param {number} T - Julian centuries from J2000.
+     */
+    function obliquity(T) {
+        const t = T / 10;
+        return 23.4392911 - 0.130025833 * t - 0.00000430556 * t * t + 0.000555347 * Math.pow(t, 3) -
+            0.00000142722 * Math.pow(t, 4) - 0.000000693528 * Math.pow(t, 5) -
+            0.0000000108472 * Math.pow(t, 6) + 0.000000000197778 * Math.pow(t, 7);
+    }
+
+    function eclipticToEquatorial(lambdaDeg, betaDeg, epsDeg) {
+        const l = lambdaDeg * DEG, b = betaDeg * DEG, e = epsDeg * DEG;
+        const sinDec = Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l);
+        const ra = Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l));
+        return {
+            ra: normalizeDegrees(ra / DEG),
+            dec: Math.asin(Math.max(-1, Math.min(1, sinDec))) / DEG
+        };
+    }
+
+    /**
+     * Apparent geocentric position of the Sun.
+     * @param {number} jdUT - Julian Day (UT).
+     * @returns {{longitude: number, ra: number, dec: number, semidiameter: number}} Degrees.
+     */
+    function sunPosition(jdUT) {
+        const T = centuriesTT(jdUT);
+        const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+        const M = (357.52911 + 35999.05029 * T - 0.0001537 * T * T) * DEG;
+        const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+        const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M) +
+            (0.019993 - 0.000101 * T) * Math.sin(2 * M) + 0.000289 * Math.sin(3 * M);
+        const omega = (125.04 - 1934.136 * T) * DEG;
+        const longitude = normalizeDegrees(L0 + C - 0.00569 - 0.00478 * Math.sin(omega));
+        const eps = obliquity(T) + 0.00256 * Math.cos(omega);
+        const nu = M + C * DEG;
+        const radiusAU = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(nu));
+        const eq = eclipticToEquatorial(longitude, 0, eps);
+        return {
+            longitude: longitude,
+            ra: eq.ra,
+            dec: eq.dec,
+            semidiameter: 0.266563 / radiusAU
+        };
+    }
+
+    /**
+     * Nutation in longitude and obliquity, degrees (Meeus ch. 22, terms larger than 0.1").
+     * @param {number} T - Julian centuries from J2000 (TT).
+     */
+    function nutation(T) {
+        const omega = (125.04452 - 1934.136261 * T) * DEG;
+        const Ls = (280.4665 + 36000.7698 * T) * DEG;
+        const Lm = (218.3165 + 481267.8813 * T) * DEG;
+        return {
+            longitude: (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * Ls) - 0.23 * Math.sin(2 * Lm) +
+                0.21 * Math.sin(2 * omega)) / 3600,
+            obliquity: (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * Ls) + 0.10 * Math.cos(2 * Lm) -
+                0.09 * Math.cos(2 * omega)) / 3600
+        };
+    }
+
+    /**
+     * Apparent geocentric position of the Moon (Meeus ch. 47, full tables 47.A/B).
+     * @param {number} jdUT - Julian Day (UT).
+     * @returns {{longitude: number, latitude: number, ra: number, dec: number,
+     *            distanceKm: number, parallax: number, semidiameter: number}} Angles in degrees.
+     */
+    function moonPosition(jdUT) {
+        const T = centuriesTT(jdUT);
+        const T2 = T * T, T3 = T2 * T, T4 = T3 * T;
+        const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000;
+        const D = (297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000) * DEG;
+        const M = (357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000) * DEG;
+        const Mp = (134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000) * DEG;
+        const F = (93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000) * DEG;
+        const E = 1 - 0.002516 * T - 0.0000074 * T2;
+        // Venus, Jupiter and flattening terms
+        const A1 = (119.75 + 131.849 * T) * DEG;
+        const A2 = (53.09 + 479264.290 * T) * DEG;
+        const A3 = (313.45 + 481266.484 * T) * DEG;
+        const LpRad = Lp * DEG;
+
+        let sumL = 3958 * Math.sin(A1) + 1962 * Math.sin(LpRad - F) + 318 * Math.sin(A2);
+        let sumR = 0;
+        let sumB = -2235 * Math.sin(LpRad) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) +
+            175 * Math.sin(A1 + F) + 127 * Math.sin(LpRad - Mp) - 115 * Math.sin(LpRad + Mp);
+        MOON_LR.forEach(t => {
+            const arg = t[0] * D + t[1] * M + t[2] * Mp + t[3] * F;
+            const ecc = Math.pow(E, Math.abs(t[1]));
+            sumL += t[4] * ecc * Math.sin(arg);
+            sumR += t[5] * ecc * Math.cos(arg);
+        });
+        MOON_B.forEach(t => {
+            const arg = t[0] * D + t[1] * M + t[2] * Mp + t[3] * F;
+            sumB += t[4] * Math.pow(E, Math.abs(t[1])) * Math.sin(arg);
+        });
+
+        const nut = nutation(T);
+        const longitude = normalizeDegrees(Lp + sumL / 1e6 + nut.longitude);
+        const latitude = sumB / 1e6;
+        const distanceKm = 385000.56 + sumR / 1000;
+        const eq = eclipticToEquatorial(longitude, latitude, obliquity(T) + nut.obliquity);
+        const parallax = Math.asin(EARTH_EQUATORIAL_RADIUS_KM / distanceKm) / DEG;
+        return {
+            longitude: longitude,
+            latitude: latitude,
+            ra: eq.ra,
+            dec: eq.dec,
+            distanceKm: distanceKm,
+            parallax: parallax,
+            semidiameter: 0.2725 * parallax
+        };
+    }
+
+    /**
+     * Parallax in altitude for an observer, from the Moon's horizontal parallax.
+     * The geocentric radius ρ of the observer follows Meeus ch. 11 (sea level).
+     * @param {number} horizontalParallax - Degrees.
+     * @param {number} latitudeDeg - Observer latitude.
+     * @param {number} altitudeDeg - Geocentric altitude of the Moon, 0 at the horizon.
+     */
+    function topocentricParallax(horizontalParallax, latitudeDeg, altitudeDeg) {
+        const rho = 0.99833 + 0.00167 * Math.cos(2 * latitudeDeg * DEG);
+        const h = (altitudeDeg || 0) * DEG;
+        return Math.asin(rho * Math.sin(horizontalParallax * DEG) * Math.cos(h)) / DEG;
+    }
+
+    /**
+     * Northern and southern declination extremes of the Moon, one per tropical month.
+     * Declination is sampled every stepDays and each extreme refined with a parabola.
+     * @returns {Array<{jd: number, extreme: string, position: Object}>} extreme is 'North' or 'South'.
+     */
+    function moonDeclinationExtremes(jdStart, jdEnd, stepDays) {
+        const step = stepDays || MOON_SAMPLE_DAYS;
+        const decAt = jd => moonPosition(jd).dec;
+        const extremes = [];
+        let prev = decAt(jdStart - step);
+        let curr = decAt(jdStart);
+        for (let jd = jdStart; jd < jdEnd; jd += step) {
+            const next = decAt(jd + step);
+            const isMax = curr > prev && curr >= next;
+            const isMin = curr < prev && curr <= next;
+            if (isMax || isMin) {
+                const denom = prev - 2 * curr + next;
+                const offset = denom !== 0 ? 0.5 * (prev - next) / denom : 0;
+                const jdExtreme = jd + offset * step;
+                extremes.push({ jd: jdExtreme, extreme: isMax ? 'North' : 'South', position: moonPosition(jdExtreme) });
+            }
+            prev = curr;
+            curr = next;
+        }
+        return extremes;
+    }
+
+    const standstillCache = new Map();
+
+    /**
+     * Major and minor lunar standstills of the nodal cycle centred on a year.
+     * Major: the most northerly and most southerly monthly extremes in the cycle;
+     * minor: the least northerly and least southerly. Each limit carries the Moon's
+     * geocentric parallax and semidiameter at that moment.
+     * @param {number} year - Astronomical year.
+     * @returns {{year: number, major: {north: Object, south: Object}, minor: {north: Object, south: Object}}}
+     *          Limits are {dec, jd, distanceKm, parallax, semidiameter}, degrees.
+     */
+    function lunarStandstills(year) {
+        if (standstillCache.has(year)) return standstillCache.get(year);
+        const middle = julianDay(year, 7, 1);
+        const halfCycle = MOON_NODAL_CYCLE_YEARS / 2 * 365.25;
+        const extremes = moonDeclinationExtremes(middle - halfCycle, middle + halfCycle);
+        const limit = e => ({
+            dec: e.position.dec,
+            jd: e.jd,
+            distanceKm: e.position.distanceKm,
+            parallax: e.position.parallax,
+            semidiameter: e.position.semidiameter
+        });
+        const pick = (extreme, better) => extremes
+            .filter(e => e.extreme === extreme)
+            .reduce((best, e) => (best === null || better(e.position.dec, best.position.dec) ? e : best), null);
+        const higher = (a, b) => a > b;
+        const lower = (a, b) => a < b;
+        const result = {
+            year: year,
+            major: { north: limit(pick('North', higher)), south: limit(pick('South', lower)) },
+            minor: { north: limit(pick('North', lower)), south: limit(pick('South', higher)) }
+        };
+        standstillCache.set(year, result);
+        return result;
+    }
+
+    const Ephemeris = {
+        deltaT: deltaT,
+        julianDay: julianDay,
+        calendarDate: calendarDate,
+        obliquity: obliquity,
+        siderealTime: siderealTime,
+        sunPosition: sunPosition,
+        moonPosition: moonPosition,
+        topocentricParallax: topocentricParallax,
+        moonDeclinationExtremes: moonDeclinationExtremes,
+        lunarStandstills: lunarStandstills
+    };
+
+    global.Ephemeris = Ephemeris;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Ephemeris;
+    }
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : this));
@@ -0,0 +1,35 @@
+// =================================================================
+// EXPORT UTILITIES – CSV quoting and file downloads for the export buttons
+// =================================================================
+(function(global) {
+    'use strict';
+
+    // CSV field in double quotes, with embedded quotes doubled; null and undefined are empty
+    function csvQuote(v) {
+        return `"${String(v === undefined || v === null ? '' : v).replace(/"/g, '""')}"`;
+    }
+
+    /**
+     * Save a file through a temporary link.
+     * @param {Blob|string} content - A Blob, or text (saved as UTF-8 CSV unless type is given).
+     * @param {string} fileName - Suggested file name.
+     * @param {string} [type] - MIME type for text content.
+     */
+    function download(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: type || 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.href = url;
+        link.download = fileName;
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
+
+    global.ExportUtils = {
+        csvQuote: csvQuote,
+        download: download
+    };
+})(typeof window !== 'undefined' ? window : this);
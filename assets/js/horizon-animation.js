@@ -0,0 +1,596 @@
+// =================================================================
+// HORIZON RISE/SET ANIMATION – Sun or Moon disc along its diurnal arc
+// =================================================================
+// For a fixed declination the disc is moved in hour angle across the horizon
+// silhouette (HC_profileData). Each frame places the disc from the observer's
+// latitude, lowers it by the horizontal parallax (Moon) and refracts the upper and
+// lower limbs separately (refraction.js, sidebar conditions), so the disc is drawn
+// with its true size and refraction flattening. A scan of the whole rising or setting
+// half of the arc finds where any part of the disc clears the profile: the first
+// gleam at rise, the last flash at set, and any disappearance behind peaks between.
+// The disc is drawn on the panoramas from HC_drawOverlays, clipped to the sky.
+// Frames export as a PNG sequence (ZIP), WebM (MediaRecorder) or animated GIF (omggif),
+// rendered by HC_renderPanorama on the visible panorama canvas.
+
+(function() {
+    'use strict';
+
+    const DEG = Math.PI / 180;
+    const BODIES = {
+        sun: { sdArcmin: 16.0, hpArcmin: 0.15, rate: 15.0, fill: 'rgba(255,200,0,0.95)', glow: 'rgba(255,170,0,0.35)' },
+        moon: { sdArcmin: 15.5, hpArcmin: 57.0, rate: 14.49, fill: 'rgba(235,235,225,0.95)', glow: 'rgba(255,255,255,0.25)' }
+    };
+    const SCAN_STEP = 0.02;   // hour angle step of the visibility scan, degrees (~5 s)
+    const LIMB_POINTS = 32;   // points on the disc outline tested against the profile
+    const GRID = 9;           // grid across the disc for the visible fraction
+    const GIF_MAX_WIDTH = 640;
+
+    let anim = null;          // computed animation, see compute()
+    let playTimer = null;
+    let exporting = false;
+
+    function normAz(az) {
+        return ((az % 360) + 360) % 360;
+    }
+
+    function readNumber(id, fallback) {
+        const v = parseFloat($(id).val());
+        return isNaN(v) ? fallback : v;
+    }
+
+    function setStatus(message) {
+        $('#anim-status').text(message);
+    }
+
+    function currentObserver() {
+        if (window.HC_locationData) {
+            return { lat: window.HC_locationData.latitude, elevation: window.HC_locationData.elevation_amsl };
+        }
+        const params = window.HC_cachedParams;
+        if (params && params.center) return { lat: params.center.lat, elevation: params.height || 0 };
+        return null;
+    }
+
+    function horizonLookup() {
+        const profile = window.HC_profileData;
+        if (!profile || profile.length < 2) return null;
+        return window.HorizonCore.horizonAltitudeLookup(profile
+            .filter(p => p && !isNaN(p.x) && !isNaN(p.y))
+            .map(p => ({ azimuth: normAz(p.x), altitude: p.y })));
+    }
+
+    // -----------------------------------------------------------------
+    // Disc geometry
+    // -----------------------------------------------------------------
+    /** Geocentric azimuth (from north) and altitude for hour angle H, degrees. */
+    function horizontal(lat, dec, H) {
+        const sinAlt = Math.sin(lat * DEG) * Math.sin(dec * DEG) + Math.cos(lat * DEG) * Math.cos(dec * DEG) * Math.cos(H * DEG);
+        const az = Math.atan2(Math.sin(H * DEG), Math.cos(H * DEG) * Math.sin(lat * DEG) - Math.tan(dec * DEG) * Math.cos(lat * DEG)) / DEG + 180;
+        return { az: normAz(az), alt: Math.asin(Math.max(-1, Math.min(1, sinAlt))) / DEG };
+    }
+
+    /**
+     * Apparent disc at hour angle H: centre, limbs and outline.
+     * @returns {{H, az, alt, ul, ll, halfWidth, topo, outline: Array<{az, alt}>}}
+     */
+    function discAt(st, H) {
+        const g = horizontal(st.lat, st.dec, H);
+        const topo = g.alt - Math.asin(Math.sin(st.hp * DEG) * Math.cos(g.alt * DEG)) / DEG;
+        const refracted = alt => alt + window.Refraction.astronomical(alt, st.conditions);
+        const ul = refracted(topo + st.sd);
+        const ll = refracted(topo - st.sd);
+        const centre = (ul + ll) / 2;
+        const halfWidth = st.sd / Math.max(0.05, Math.cos(centre * DEG));
+        const outline = [];
+        for (let i = 0; i < LIMB_POINTS; i++) {
+            const t = i / LIMB_POINTS * 2 * Math.PI;
+            outline.push({ az: g.az + halfWidth * Math.cos(t), alt: refracted(topo + st.sd * Math.sin(t)) });
+        }
+        return { H: H, az: g.az, alt: centre, ul: ul, ll: ll, halfWidth: halfWidth, topo: topo, outline: outline };
+    }
+
+    function clearance(st, p) {
+        const horizonAlt = st.altitudeAt(normAz(p.az));
+        return p.alt - (horizonAlt === null ? 0 : horizonAlt);
+    }
+
+    function isVisible(st, disc) {
+        return clearance(st, { az: disc.az, alt: disc.alt }) > 0 || disc.outline.some(p => clearance(st, p) > 0);
+    }
+
+    function visibleFraction(st, disc) {
+        const refracted = alt => alt + window.Refraction.astronomical(alt, st.conditions);
+        let inside = 0, seen = 0;
+        for (let i = 0; i < GRID; i++) {
+            for (let j = 0; j < GRID; j++) {
+                const u = (i + 0.5) / GRID * 2 - 1;
+                const v = (j + 0.5) / GRID * 2 - 1;
+                if (u * u + v * v > 1) continue;
+                inside++;
+                if (clearance(st, { az: disc.az + disc.halfWidth * u, alt: refracted(disc.topo + st.sd * v) }) > 0) seen++;
+            }
+        }
+        return inside ? seen / inside : 0;
+    }
+
+    /** Outline point that clears (or comes closest to clearing) the horizon. */
+    function brightestPoint(st, disc) {
+        return disc.outline.reduce((best, p) => clearance(st, p) > clearance(st, best) ? p : best, disc.outline[0]);
+    }
+
+    /**
+     * Visibility changes over the rising (H -180..0) or setting (0..180) half of the arc,
+     * refined by bisection to ~0.1 s.
+     */
+    function scanTransitions(st) {
+        const from = st.event === 'rise' ? -180 : 0;
+        const to = from + 180;
+        const transitions = [];
+        let prev = isVisible(st, discAt(st, from));
+        for (let H = from + SCAN_STEP; H <= to + 1e-9; H += SCAN_STEP) {
+            const vis = isVisible(st, discAt(st, H));
+            if (vis === prev) continue;
+            let lo = H - SCAN_STEP, hi = H;
+            for (let k = 0; k < 20; k++) {
+                const mid = (lo + hi) / 2;
+                if (isVisible(st, discAt(st, mid)) === prev) lo = mid; else hi = mid;
+            }
+            const disc = discAt(st, hi);
+            const point = brightestPoint(st, disc);
+            transitions.push({
+                H: hi,
+                type: vis ? 'gleam' : 'flash',
+                az: normAz(point.az),
+                alt: st.altitudeAt(normAz(point.az))
+            });
+            prev = vis;
+        }
+        return transitions;
+    }
+
+    // -----------------------------------------------------------------
+    // Compute
+    // -----------------------------------------------------------------
+    function readSettings() {
+        const body = $('#anim-body').val() === 'moon' ? 'moon' : 'sun';
+        const defaults = BODIES[body];
+        return {
+            body: body,
+            event: $('#anim-event').val() === 'set' ? 'set' : 'rise',
+            dec: parseFloat($('#anim-dec').val()),
+            sd: readNumber('#anim-sd', defaults.sdArcmin) / 60,
+            hp: readNumber('#anim-hp', defaults.hpArcmin) / 60,
+            frames: Math.max(2, Math.min(1000, Math.round(readNumber('#anim-frames', 120)))),
+            fps: Math.max(1, Math.min(60, readNumber('#anim-fps', 12)))
+        };
+    }
+
+    function compute() {
+        stop();
+        const observer = currentObserver();
+        const altitudeAt = horizonLookup();
+        if (!observer || !altitudeAt) {
+            alert('No horizon profile available. Please run a Horizon Probe first.');
+            return;
+        }
+        if (!window.Refraction || !window.HorizonCore) {
+            alert('Refraction or horizon core not loaded.');
+            return;
+        }
+        const st = readSettings();
+        if (isNaN(st.dec) || Math.abs(st.dec) > 90) {
+            alert('Enter a declination between -90° and +90°.');
+            return;
+        }
+        st.lat = observer.lat;
+        st.conditions = window.Refraction.readConditions(observer.elevation);
+        st.altitudeAt = altitudeAt;
+
+        const transitions = scanTransitions(st);
+        if (transitions.length === 0) {
+            const always = isVisible(st, discAt(st, st.event === 'rise' ? -90 : 90));
+            anim = null;
+            setStatus(always
+                ? 'The disc never drops below the horizon at this declination.'
+                : `The disc never clears the horizon on its ${st.event === 'rise' ? 'rising' : 'setting'} arc at this declination.`);
+            redraw();
+            return;
+        }
+
+        // Key moment and a lead-in/out long enough for the disc to move ~2 diameters
+        st.key = st.event === 'rise'
+            ? transitions.find(t => t.type === 'gleam')
+            : transitions.slice().reverse().find(t => t.type === 'flash');
+        if (!st.key) st.key = transitions[0];
+        const first = transitions[0].H;
+        const last = transitions[transitions.length - 1].H;
+        const rateAlt = Math.abs(horizontal(st.lat, st.dec, st.key.H + 0.1).alt - horizontal(st.lat, st.dec, st.key.H).alt) / 0.1;
+        const lead = Math.max(0.75, Math.min(15, (4 * st.sd + 0.5) / Math.max(1e-3, rateAlt)));
+        const start = first - lead;
+        const end = last + lead;
+
+        st.transitions = transitions;
+        st.frameList = [];
+        for (let i = 0; i < st.frames; i++) {
+            const disc = discAt(st, start + (end - start) * i / (st.frames - 1));
+            st.frameList.push({ disc: disc, fraction: visibleFraction(st, disc) });
+        }
+        st.arc = [];
+        for (let H = start; H <= end; H += (end - start) / 200) st.arc.push(discAt(st, H));
+        st.frame = 0;
+        anim = st;
+
+        $('#anim-frame').attr('max', st.frames - 1).val(0);
+        if (typeof window.HC_setPanoramaBearing === 'function') window.HC_setPanoramaBearing(st.key.az);
+        setStatus(`${st.key.type === 'gleam' ? 'First gleam' : 'Last flash'} at Az ${st.key.az.toFixed(2)}°, ` +
+            `horizon Alt ${st.key.alt.toFixed(2)}°${st.body === 'sun' ? `, ${solarTime(st.key.H)} LAT` : ''}` +
+            (transitions.length > 1 ? `; ${transitions.length} visibility changes (disc passes behind terrain).` : '.'));
+        redraw();
+    }
+
+    function fromTimeSeries() {
+        const ts = window.HC_timeSeries;
+        if (!ts || !ts.rows.length) {
+            alert('Run a Rise/Set Time Series first.');
+            return;
+        }
+        const event = $('#anim-event').val() === 'set' ? 'Set' : 'Rise';
+        const row = ts.rows.find(r => r.index === ts.selected && r.event === event) ||
+            ts.rows.find(r => r.index === ts.selected);
+        if (!row) return;
+        $('#anim-body').val(ts.body);
+        $('#anim-event').val(row.event === 'Set' ? 'set' : 'rise');
+        $('#anim-dec').val(row.declination.toFixed(4));
+        $('#anim-sd').val((row.semidiameter * 60).toFixed(2));
+        $('#anim-hp').val(ts.body === 'moon' ? (row.parallax * 60).toFixed(2) : BODIES.sun.hpArcmin);
+        compute();
+    }
+
+    /** Body defaults; an empty declination is filled with the solstice or major standstill for the Astronomical Date. */
+    function applyBodyDefaults() {
+        const body = $('#anim-body').val() === 'moon' ? 'moon' : 'sun';
+        $('#anim-sd').val(BODIES[body].sdArcmin);
+        $('#anim-hp').val(BODIES[body].hpArcmin);
+        if ($('#anim-dec').val() !== '' || !window.Ephemeris) return;
+        const age = parseFloat($('#age').val());
+        const year = isNaN(age) ? 2000 : (age === 0 ? 1 : (age < 1 ? age + 1 : age));
+        if (body === 'moon') {
+            const standstill = window.Ephemeris.lunarStandstills(year).major.north;
+            $('#anim-dec').val(standstill.dec.toFixed(4));
+            $('#anim-sd').val((standstill.semidiameter * 60).toFixed(2));
+            $('#anim-hp').val((standstill.parallax * 60).toFixed(2));
+        } else {
+            const T = (window.Ephemeris.julianDay(year, 6, 21) - 2451545.0) / 36525;
+            $('#anim-dec').val(window.Ephemeris.obliquity(T).toFixed(4));
+        }
+    }
+
+    // -----------------------------------------------------------------
+    // Labels
+    // -----------------------------------------------------------------
+    function pad2(n) {
+        return (n < 10 ? '0' : '') + n;
+    }
+
+    /** Local apparent solar time for an hour angle of the Sun. */
+    function solarTime(H) {
+        const seconds = Math.round((((12 + H / 15) % 24 + 24) % 24) * 3600) % 86400;
+        return `${pad2(Math.floor(seconds / 3600))}:${pad2(Math.floor(seconds / 60) % 60)}:${pad2(seconds % 60)}`;
+    }
+
+    /** Time from the key moment, e.g. "-2m 05s". */
+    function relativeTime(st, H) {
+        const seconds = Math.round((H - st.key.H) / BODIES[st.body].rate * 3600);
+        const abs = Math.abs(seconds);
+        return `${seconds < 0 ? '-' : '+'}${Math.floor(abs / 60)}m ${pad2(abs % 60)}s`;
+    }
+
+    function frameLabel(st, f) {
+        const when = st.body === 'sun' ? `${solarTime(f.disc.H)} LAT (${relativeTime(st, f.disc.H)})` : relativeTime(st, f.disc.H);
+        return `${when}  Az ${f.disc.az.toFixed(2)}°  Alt ${f.disc.alt.toFixed(2)}°  ${Math.round(f.fraction * 100)}% visible`;
+    }
+
+    // -----------------------------------------------------------------
+    // Panorama overlay (called from HC_drawOverlays)
+    // -----------------------------------------------------------------
+    function drawOverlay(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY) {
+        const st = anim;
+        if (!st || !$('#row-riseset-animation').is(':visible')) return;
+        const xFor = az => {
+            let diff = normAz(az) - currentBearing;
+            if (diff < -180) diff += 360;
+            if (diff > 180) diff -= 360;
+            return w / 2 + diff * pxPerDegX;
+        };
+        const yFor = alt => horizonY - alt * pxPerDegY;
+        const f = st.frameList[st.frame];
+        const colours = BODIES[st.body];
+
+        ctx.save();
+        // Diurnal arc of the disc centre
+        ctx.strokeStyle = 'rgba(255,255,255,0.7)';
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        st.arc.forEach((d, i) => {
+            const x = xFor(d.az), y = yFor(d.alt);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Disc, clipped to the sky above the silhouette
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(w, 0);
+        for (let x = w; x >= 0; x--) {
+            const horizonAlt = st.altitudeAt(normAz(currentBearing - fov / 2 + x / w * fov));
+            ctx.lineTo(x, yFor(horizonAlt === null ? 0 : horizonAlt));
+        }
+        ctx.closePath();
+        ctx.clip();
+        const cx = xFor(f.disc.az);
+        const cy = yFor(f.disc.alt);
+        const rx = Math.max(1.5, f.disc.halfWidth * pxPerDegX);
+        const ry = Math.max(1.5, (f.disc.ul - f.disc.ll) / 2 * pxPerDegY);
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, rx * 1.8, ry * 1.8, 0, 0, 2 * Math.PI);
+        ctx.fillStyle = colours.glow;
+        ctx.fill();
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, rx, ry, 0, 0, 2 * Math.PI);
+        ctx.fillStyle = colours.fill;
+        ctx.fill();
+        ctx.restore();
+
+        // First gleam / last flash and other visibility changes
+        ctx.save();
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        st.transitions.forEach(t => {
+            const x = xFor(t.az), y = yFor(t.alt);
+            const isKey = t === st.key;
+            const reached = st.event === 'rise' ? f.disc.H >= t.H : f.disc.H <= t.H;
+            ctx.strokeStyle = t.type === 'gleam' ? '#FF9800' : '#7E57C2';
+            ctx.lineWidth = isKey ? 2 : 1;
+            ctx.beginPath();
+            ctx.moveTo(x, y - 8);
+            ctx.lineTo(x, y + 8);
+            ctx.stroke();
+            if (isKey) {
+                const label = t.type === 'gleam' ? 'First gleam' : 'Last flash';
+                ctx.fillStyle = reached ? '#d32f2f' : '#000';
+                ctx.fillText(label, x, y + 20);
+            }
+        });
+        ctx.textAlign = 'left';
+        const label = frameLabel(st, f);
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(4, h - 20, ctx.measureText(label).width + 8, 16);
+        ctx.fillStyle = '#fff';
+        ctx.fillText(label, 8, h - 8);
+        ctx.restore();
+    }
+
+    // -----------------------------------------------------------------
+    // Playback
+    // -----------------------------------------------------------------
+    function redraw() {
+        if (typeof window.HC_renderPanorama === 'function') window.HC_renderPanorama();
+        if (anim) $('#anim-frame-label').text(frameLabel(anim, anim.frameList[anim.frame]));
+        else $('#anim-frame-label').text('');
+    }
+
+    function showFrame(i) {
+        if (!anim) return;
+        anim.frame = Math.max(0, Math.min(anim.frames - 1, i));
+        $('#anim-frame').val(anim.frame);
+        redraw();
+    }
+
+    function play() {
+        if (!anim || exporting) return;
+        if (playTimer) {
+            stop();
+            return;
+        }
+        if (anim.frame >= anim.frames - 1) anim.frame = 0;
+        $('#btn-anim-play').html('<i class="fa fa-pause"></i> Pause');
+        const st = anim;
+        playTimer = setInterval(() => {
+            if (st !== anim || st.frame >= st.frames - 1) {
+                stop();
+                return;
+            }
+            showFrame(st.frame + 1);
+        }, 1000 / st.fps);
+    }
+
+    function stop() {
+        if (playTimer) {
+            clearInterval(playTimer);
+            playTimer = null;
+        }
+        $('#btn-anim-play').html('<i class="fa fa-play"></i> Play');
+    }
+
+    // -----------------------------------------------------------------
+    // Export
+    // -----------------------------------------------------------------
+    function sourceCanvas() {
+        if ($('#chk-show-silhouette').is(':checked') && $('#row-visual-horizon-silhouette').is(':visible')) {
+            return document.getElementById('hc-panoCanvas');
+        }
+        if ($('#chk-show-hillshade').is(':checked') && $('#row-visual-horizon-hillshade').is(':visible')) {
+            return document.getElementById('hc-panoCanvasHillshade');
+        }
+        return null;
+    }
+
+    function baseName() {
+        const st = anim;
+        return `${st.body}-${st.event}-dec${st.dec.toFixed(2)}`;
+    }
+
+    const download = window.ExportUtils.download;
+
+    const canvasBlob = canvas => new Promise((resolve, reject) =>
+        canvas.toBlob(b => b ? resolve(b) : reject(new Error('Failed to create PNG blob from canvas')), 'image/png'));
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    async function exportPNG(canvas) {
+        if (!window.JSZip) throw new Error('JSZip library not found.');
+        const zip = new JSZip();
+        const folder = zip.folder(baseName());
+        let csv = 'Frame,Hour Angle (degrees),Time,Azimuth (degrees),Altitude (degrees),Upper Limb (degrees),Lower Limb (degrees),Visible Fraction\n';
+        for (let i = 0; i < anim.frames; i++) {
+            showFrame(i);
+            folder.file(`frame_${String(i + 1).padStart(4, '0')}.png`, await canvasBlob(canvas));
+            const f = anim.frameList[i];
+            const time = anim.body === 'sun' ? `${solarTime(f.disc.H)} LAT` : relativeTime(anim, f.disc.H);
+            csv += [i + 1, f.disc.H.toFixed(4), time, f.disc.az.toFixed(4), f.disc.alt.toFixed(4),
+                f.disc.ul.toFixed(4), f.disc.ll.toFixed(4), f.fraction.toFixed(3)].join(',') + '\n';
+            setStatus(`Rendering frame ${i + 1}/${anim.frames}...`);
+        }
+        folder.file('frames.csv', csv);
+        download(await zip.generateAsync({ type: 'blob' }), `${baseName()}-frames.zip`);
+    }
+
+    async function exportWebM(canvas) {
+        if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+            throw new Error('This browser cannot record canvas video (MediaRecorder).');
+        }
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(t => MediaRecorder.isTypeSupported(t));
+        if (!mimeType) throw new Error('This browser cannot record WebM video.');
+        const stream = canvas.captureStream(anim.fps);
+        const recorder = new MediaRecorder(stream, { mimeType: mimeType });
+        const chunks = [];
+        recorder.ondataavailable = e => { if (e.data && e.data.size) chunks.push(e.data); };
+        const done = new Promise(resolve => { recorder.onstop = resolve; });
+        recorder.start();
+        for (let i = 0; i < anim.frames; i++) {
+            showFrame(i);
+            setStatus(`Recording frame ${i + 1}/${anim.frames}...`);
+            await wait(1000 / anim.fps);
+        }
+        recorder.stop();
+        await done;
+        stream.getTracks().forEach(t => t.stop());
+        download(new Blob(chunks, { type: 'video/webm' }), `${baseName()}.webm`);
+    }
+
+    // 6x7x6 colour cube; the rest of the 256-entry palette is unused
+    function gifPalette() {
+        const palette = [];
+        for (let r = 0; r < 6; r++) {
+            for (let g = 0; g < 7; g++) {
+                for (let b = 0; b < 6; b++) {
+                    palette.push((r * 51 << 16) | (Math.round(g * 42.5) << 8) | b * 51);
+                }
+            }
+        }
+        while (palette.length < 256) palette.push(0);
+        return palette;
+    }
+
+    /**
+     * Upper bound on the size of an omggif file. Its LZW codes are never wider than 12 bits,
+     * so a frame's image data is at most 1.5 bytes per pixel plus the clear codes (one per
+     * 3838 codes) and a length byte per 255-byte sub-block. Each frame adds a graphic control
+     * extension, image descriptor and terminators (20 bytes); the file adds the header, 256-colour
+     * palette, loop extension and trailer (801 bytes).
+     */
+    function gifMaxSize(w, h, frames) {
+        const codes = w * h + Math.ceil(w * h / 3838) + 2;
+        const data = Math.ceil(codes * 1.5);
+        return 801 + frames * (data + Math.ceil(data / 255) + 32);
+    }
+
+    async function exportGIF(canvas) {
+        if (typeof window.GifWriter !== 'function') throw new Error('GIF encoder (omggif) not loaded.');
+        const scale = Math.min(1, GIF_MAX_WIDTH / canvas.width);
+        const w = Math.round(canvas.width * scale);
+        const h = Math.round(canvas.height * scale);
+        const scratch = document.createElement('canvas');
+        scratch.width = w;
+        scratch.height = h;
+        const sctx = scratch.getContext('2d');
+        const buffer = new Uint8Array(gifMaxSize(w, h, anim.frames));
+        const writer = new window.GifWriter(buffer, w, h, { palette: gifPalette(), loop: 0 });
+        const indices = new Uint8Array(w * h);
+        const delay = Math.max(2, Math.round(100 / anim.fps));
+        for (let i = 0; i < anim.frames; i++) {
+            showFrame(i);
+            sctx.drawImage(canvas, 0, 0, w, h);
+            const px = sctx.getImageData(0, 0, w, h).data;
+            for (let p = 0, q = 0; q < indices.length; p += 4, q++) {
+                indices[q] = Math.round(px[p] / 51) * 42 + Math.round(px[p + 1] / 42.5) * 6 + Math.round(px[p + 2] / 51);
+            }
+            writer.addFrame(0, 0, w, h, indices, { delay: delay });
+            setStatus(`Encoding frame ${i + 1}/${anim.frames}...`);
+            if (i % 10 === 0) await wait(0);
+        }
+        // Typed arrays drop writes past their end, so an overflow would otherwise be a truncated file
+        const length = writer.end();
+        if (length > buffer.length) throw new Error(`GIF encoder overflowed its buffer (${length} > ${buffer.length} bytes).`);
+        download(new Blob([buffer.subarray(0, length)], { type: 'image/gif' }), `${baseName()}.gif`);
+    }
+
+    async function exportAnimation() {
+        if (!anim) {
+            alert('Compute an animation first.');
+            return;
+        }
+        const canvas = sourceCanvas();
+        if (!canvas) {
+            alert('Show the silhouette or hillshade panorama to export the animation.');
+            return;
+        }
+        if (exporting) return;
+        stop();
+        exporting = true;
+        $('#btn-anim-export').prop('disabled', true);
+        const format = $('#anim-export-format').val();
+        const frame = anim.frame;
+        try {
+            if (format === 'webm') await exportWebM(canvas);
+            else if (format === 'gif') await exportGIF(canvas);
+            else await exportPNG(canvas);
+            setStatus(`Exported ${anim.frames} frames.`);
+        } catch (err) {
+            console.error('Animation export failed:', err);
+            alert('Animation export failed: ' + err.message);
+        } finally {
+            exporting = false;
+            $('#btn-anim-export').prop('disabled', false);
+            showFrame(frame);
+        }
+    }
+
+    window.HC_drawRiseSetAnimation = drawOverlay;
+    window.HC_computeRiseSetAnimation = compute;
+    window.HC_exportRiseSetAnimation = exportAnimation;
+
+    $(document).ready(function() {
+        $('#btn-toggle-animation').on('click', function() {
+            $('#row-riseset-animation').toggle();
+            if ($('#row-riseset-animation').is(':visible') && $('#anim-dec').val() === '') applyBodyDefaults();
+            redraw();
+        });
+        $('#anim-body').on('change', function() {
+            $('#anim-dec').val('');
+            applyBodyDefaults();
+        });
+        $('#btn-anim-compute').on('click', compute);
+        $('#btn-anim-from-ts').on('click', fromTimeSeries);
+        $('#btn-anim-play').on('click', play);
+        $('#btn-anim-prev').on('click', () => { stop(); if (anim) showFrame(anim.frame - 1); });
+        $('#btn-anim-next').on('click', () => { stop(); if (anim) showFrame(anim.frame + 1); });
+        $('#anim-frame').on('input', function() {
+            stop();
+            showFrame(parseInt(this.value, 10) || 0);
+        });
+        $('#btn-anim-export').on('click', exportAnimation);
+    });
+})();
@@ -0,0 +1,382 @@
+// =================================================================
+// BATCH HORIZON PROFILING – every site of the intervisibility layer
+// =================================================================
+// For each site loaded in Intervisibility Analysis (window.getIVSites) the sidebar
+// position is moved to the site (maphwt.js latlongChanged, so omphalopsychicsingle.js
+// recomputes the zero-horizon azimuths for its latitude), then the horizon profile and,
+// if "Calculate Rise/Set Locations" is ticked, the rise/set points are calculated with
+// window.HC_analyseBatchSite (horizon.js) at the Rise/Set resolution.
+// Each finished site is written to IndexedDB straight away, so a run interrupted by a
+// page reload can be resumed from the next site. The ZIP holds per site:
+//   profile.csv, rise-set.geojson and a polygonal Stellarium landscape folder,
+// plus summary.csv: which events reached the horizon at which site.
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'MACE_Horizon_Batch';
+    const DB_VERSION = 1;
+    const JOB_STORE = 'jobs';
+    const SITE_STORE = 'sites';
+    const JOB_KEY = 'current';
+
+    // Column order of the summary; other labels (stars) follow alphabetically
+    const EVENT_ORDER = ['SSR', 'SSS', 'WSR', 'WSS', 'ER', 'ES', 'NCQR', 'NCQS', 'SCQR', 'SCQS',
+        'NMLR', 'NMLS', 'SMLR', 'SMLS', 'NMNLR', 'NMNLS', 'SMNLR', 'SMNLS'];
+
+    let db = null;
+    let running = false;
+    let stopRequested = false;
+    let cancelToken = null; // the current site's viewshed sweep (HC_cancelViewshed)
+
+    // -----------------------------------------------------------------
+    // IndexedDB
+    // -----------------------------------------------------------------
+    function openDB() {
+        if (db) return Promise.resolve(db);
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+            request.onupgradeneeded = (event) => {
+                const upgradeDb = event.target.result;
+                if (!upgradeDb.objectStoreNames.contains(JOB_STORE)) {
+                    upgradeDb.createObjectStore(JOB_STORE, { keyPath: 'key' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(SITE_STORE)) {
+                    upgradeDb.createObjectStore(SITE_STORE, { keyPath: 'index' });
+                }
+            };
+        });
+    }
+
+    function storeRequest(storeName, mode, makeRequest) {
+        return openDB().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction([storeName], mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    const loadJob = () => storeRequest(JOB_STORE, 'readonly', store => store.get(JOB_KEY));
+    const saveJob = job => storeRequest(JOB_STORE, 'readwrite', store => store.put(job));
+    const saveSite = record => storeRequest(SITE_STORE, 'readwrite', store => store.put(record));
+    const loadSites = () => storeRequest(SITE_STORE, 'readonly', store => store.getAll());
+
+    async function clearStorage() {
+        await storeRequest(JOB_STORE, 'readwrite', store => store.clear());
+        await storeRequest(SITE_STORE, 'readwrite', store => store.clear());
+    }
+
+    // -----------------------------------------------------------------
+    // UI
+    // -----------------------------------------------------------------
+    function setStatus(message, type) {
+        const el = document.getElementById('batch-status');
+        if (!el) return;
+        el.textContent = message;
+        el.className = type === 'error' ? 'text-danger' : 'text-muted';
+    }
+
+    function updateButtons(job, completed) {
+        const unfinished = job && completed < job.sites.length;
+        $('#btn-batch-run').prop('disabled', running);
+        $('#btn-batch-stop').toggle(running);
+        $('#btn-batch-resume').toggle(!running && !!unfinished);
+        $('#btn-batch-zip').toggle(!running && completed > 0);
+        $('#btn-batch-clear').toggle(!running && !!job);
+    }
+
+    function selectedRiseSetRes() {
+        if ($('#res-riseset-max').is(':checked')) return 'max';
+        if ($('#res-riseset-super').is(':checked')) return 'super';
+        if ($('#res-riseset-hires').is(':checked')) return 'hires';
+        return 'quick';
+    }
+
+    function safeName(name) {
+        return String(name || 'site').replace(/[^a-z0-9]/gi, '_').replace(/_+/g, '_').toLowerCase().slice(0, 40);
+    }
+
+    function siteFolderName(record) {
+        return `${String(record.index + 1).padStart(3, '0')}_${safeName(record.name)}`;
+    }
+
+    // Events present at a site: one label per event, limbs merged
+    function siteEvents(record) {
+        return Array.from(new Set((record.events || []).map(e => e.displayLabel)));
+    }
+
+    function summaryColumns(records) {
+        const labels = new Set();
+        records.forEach(r => siteEvents(r).forEach(l => labels.add(l)));
+        const known = EVENT_ORDER.filter(l => labels.has(l));
+        const others = Array.from(labels).filter(l => EVENT_ORDER.indexOf(l) === -1).sort();
+        return known.concat(others);
+    }
+
+    // Site names and errors come from user GeoJSON and stored records
+    function escapeHtml(text) {
+        return $('<div>').text(text).html();
+    }
+
+    function renderSummary(records) {
+        const container = document.getElementById('batch-summary');
+        if (!container) return;
+        if (!records || records.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        const columns = summaryColumns(records);
+        let html = '<table class="table table-condensed" style="font-size:10px; margin-bottom:0;"><thead><tr><th>Site</th>' +
+            columns.map(c => `<th>${escapeHtml(c)}</th>`).join('') + '</tr></thead><tbody>';
+        records.forEach(r => {
+            if (r.error) {
+                html += `<tr><td>${escapeHtml(r.name)}</td><td colspan="${Math.max(1, columns.length)}" class="text-danger">${escapeHtml(r.error)}</td></tr>`;
+                return;
+            }
+            const events = siteEvents(r);
+            html += `<tr><td>${escapeHtml(r.name)}</td>` + columns.map(c => `<td>${events.indexOf(c) !== -1 ? '&#10003;' : ''}</td>`).join('') + '</tr>';
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    async function refresh() {
+        try {
+            const job = await loadJob();
+            const records = job ? (await loadSites()).sort((a, b) => a.index - b.index) : [];
+            renderSummary(records);
+            updateButtons(job, records.length);
+            return { job: job, records: records };
+        } catch (err) {
+            console.error('Batch horizon storage unavailable:', err);
+            setStatus('Batch storage (IndexedDB) unavailable: ' + err.message, 'error');
+            return { job: null, records: [] };
+        }
+    }
+
+    // -----------------------------------------------------------------
+    // Processing
+    // -----------------------------------------------------------------
+    function moveObserver(site) {
+        $('#latbox').val(site.lat);
+        $('#lngbox').val(site.lng);
+        if (typeof window.latlongChanged === 'function') {
+            window.latlongChanged();
+        } else if (typeof window.compute === 'function') {
+            window.compute();
+        }
+    }
+
+    async function processSite(job, site, index) {
+        const record = { index: index, name: site.name, uniqueId: site.uniqueId, lat: site.lat, lng: site.lng };
+        try {
+            moveObserver(site);
+            const profile = await window.HC_analyseBatchSite(L.latLng(site.lat, site.lng), job.resKey, job.doRiseSet, cancelToken);
+            const params = window.HC_cachedParams || {};
+            record.elevation = params.height || 0;
+            record.dem = params.dem ? params.dem.name : null;
+            record.profile = profile.filter(p => p && !isNaN(p.x) && !isNaN(p.y)).map(p => ({ x: p.x, y: p.y }));
+            if (job.doRiseSet) {
+                record.events = window.HC_getRiseSetLocations().map(e => ({
+                    label: e.label,
+                    displayLabel: e.displayLabel,
+                    azimuth: e.azimuth,
+                    lat: e.latlng.lat,
+                    lng: e.latlng.lng
+                }));
+                record.riseSetGeoJSON = JSON.stringify(window.HC_buildRiseSetGeoJSON(), null, 2);
+            } else {
+                record.events = [];
+            }
+        } catch (err) {
+            if (err && err.cancelled) throw err;
+            console.error(`Batch horizon: ${site.name} failed:`, err);
+            record.error = err && err.message ? err.message : String(err);
+        }
+        await saveSite(record);
+        return record;
+    }
+
+    async function runJob(job) {
+        if (running) return;
+        if (typeof window.HC_analyseBatchSite !== 'function') {
+            alert('Horizon profiler not loaded.');
+            return;
+        }
+        running = true;
+        stopRequested = false;
+        cancelToken = { cancelled: false };
+        updateButtons(job, 0);
+        if (job.epoch !== undefined && job.epoch !== null) {
+            $('#age').val(job.epoch);
+        }
+        try {
+            const done = new Set((await loadSites()).map(r => r.index));
+            for (let i = 0; i < job.sites.length; i++) {
+                if (stopRequested) break;
+                if (done.has(i)) continue;
+                setStatus(`Site ${i + 1}/${job.sites.length}: ${job.sites[i].name}...`);
+                try {
+                    await processSite(job, job.sites[i], i);
+                } catch (err) {
+                    if (err && err.cancelled) break;
+                    throw err;
+                }
+                done.add(i);
+                renderSummary((await loadSites()).sort((a, b) => a.index - b.index));
+            }
+            const finished = done.size;
+            if (finished >= job.sites.length) {
+                setStatus(`Batch complete: ${finished} sites. Download the ZIP for profiles, rise/set GeoJSON and Stellarium landscapes.`);
+            } else {
+                setStatus(`Batch stopped after ${finished}/${job.sites.length} sites. Resume to continue.`);
+            }
+        } catch (err) {
+            console.error('Batch horizon profiling failed:', err);
+            setStatus('Batch failed: ' + err.message, 'error');
+        } finally {
+            running = false;
+            await refresh();
+        }
+    }
+
+    async function startBatch() {
+        const sites = typeof window.getIVSites === 'function' ? window.getIVSites() : [];
+        if (sites.length === 0) {
+            alert('No sites loaded. Load a site GeoJSON in Intervisibility Analysis first.');
+            return;
+        }
+        const existing = await loadJob().catch(() => null);
+        if (existing && !confirm('Discard the results of the previous batch and start a new one?')) {
+            return;
+        }
+        const job = {
+            key: JOB_KEY,
+            createdAt: new Date().toISOString(),
+            resKey: selectedRiseSetRes(),
+            doRiseSet: $('#chk-rise-set').is(':checked'),
+            epoch: $('#age').val(),
+            sites: sites
+        };
+        try {
+            await clearStorage();
+            await saveJob(job);
+        } catch (err) {
+            console.error('Batch horizon storage unavailable:', err);
+            setStatus('Batch storage (IndexedDB) unavailable: ' + err.message, 'error');
+            return;
+        }
+        renderSummary([]);
+        await runJob(job);
+    }
+
+    async function resumeBatch() {
+        let job;
+        try {
+            job = await loadJob();
+        } catch (err) {
+            console.error('Batch horizon storage unavailable:', err);
+            setStatus('Batch storage (IndexedDB) unavailable: ' + err.message, 'error');
+            return;
+        }
+        if (!job) return;
+        await runJob(job);
+    }
+
+    function stopBatch() {
+        stopRequested = true;
+        // The interrupted site is not stored, so Resume starts it again
+        if (cancelToken && window.HC_cancelViewshed) window.HC_cancelViewshed(cancelToken);
+        setStatus('Stopping...');
+    }
+
+    async function discardBatch() {
+        if (!confirm('Discard the stored batch results?')) return;
+        try {
+            await clearStorage();
+        } catch (err) {
+            console.error('Batch horizon storage unavailable:', err);
+            setStatus('Batch storage (IndexedDB) unavailable: ' + err.message, 'error');
+            return;
+        }
+        setStatus('');
+        await refresh();
+    }
+
+    function summaryCSV(job, records) {
+        const columns = summaryColumns(records);
+        const quote = window.ExportUtils.csvQuote;
+        let csv = ['Site', 'ID', 'Latitude', 'Longitude', 'Observer height (m)', 'DEM', 'Error'].concat(columns).map(quote).join(',') + '\n';
+        records.forEach(r => {
+            const events = siteEvents(r);
+            csv += [quote(r.name), quote(r.uniqueId), r.lat.toFixed(6), r.lng.toFixed(6),
+                r.elevation !== undefined ? r.elevation.toFixed(1) : '', quote(r.dem), quote(r.error)]
+                .concat(columns.map(c => events.indexOf(c) !== -1 ? 1 : 0)).join(',') + '\n';
+        });
+        return csv;
+    }
+
+    async function downloadZip() {
+        if (!window.JSZip) {
+            alert("JSZip library not found. Please ensure it is included.");
+            return;
+        }
+        const { job, records } = await refresh();
+        if (!job || records.length === 0) return;
+        setStatus('Creating ZIP...');
+        const zip = new JSZip();
+        const root = zip.folder('horizon-batch');
+        root.file('summary.csv', summaryCSV(job, records));
+        let author = $('#hc-export-author').val() || 'Unknown';
+        author += ' via MACE by Brian Doyle - Archaeoastronomy Ireland';
+        records.forEach(r => {
+            if (r.error || !r.profile) return;
+            const folder = root.folder(siteFolderName(r));
+            folder.file('profile.csv', window.HC_profileToCSV(r.profile));
+            if (r.riseSetGeoJSON) {
+                folder.file('rise-set.geojson', r.riseSetGeoJSON);
+            }
+            window.HC_addStellariumLandscape(folder.folder('stellarium'), r.profile, null, {
+                name: r.name,
+                author: author,
+                lat: r.lat,
+                lng: r.lng,
+                elev: r.elevation || 0,
+                dem: r.dem
+            });
+        });
+        try {
+            const blob = await zip.generateAsync({ type: 'blob' });
+            window.ExportUtils.download(blob, `horizon-batch-${job.createdAt.split('T')[0]}.zip`);
+            setStatus(`ZIP created for ${records.length} sites.`);
+        } catch (err) {
+            console.error('Error generating batch ZIP:', err);
+            alert('Failed to generate zip file: ' + err.message);
+        }
+    }
+
+    $(document).ready(function() {
+        $('#btn-batch-run').on('click', startBatch);
+        $('#btn-batch-stop').on('click', stopBatch);
+        $('#btn-batch-resume').on('click', resumeBatch);
+        $('#btn-batch-zip').on('click', downloadZip);
+        $('#btn-batch-clear').on('click', discardBatch);
+        if (!window.indexedDB) {
+            setStatus('Batch profiling needs IndexedDB, which this browser does not provide.', 'error');
+            return;
+        }
+        refresh().then(({ job, records }) => {
+            if (job && records.length < job.sites.length) {
+                setStatus(`Unfinished batch: ${records.length}/${job.sites.length} sites done. Resume to continue.`);
+            }
+        });
+    });
+})();
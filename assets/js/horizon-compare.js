@@ -0,0 +1,402 @@
+// =================================================================
+// HORIZON PROFILE COMPARISON – overlays, difference plot, RMS statistics
+// =================================================================
+// Keeps any number of named horizon profiles next to the current one (HC_profileData):
+// snapshots of earlier probes (e.g. Quick vs Max, or a neighbouring observer position),
+// saved horizon GeoJSON files and profile CSVs. They are drawn as extra Chart.js series
+// (HC_renderChart) and silhouette lines on the panoramas (HC_drawPano). Against a chosen
+// reference, the altitude difference is plotted against azimuth and summarised as
+// mean, RMS and maximum deviation; both export as CSV.
+
+(function() {
+    'use strict';
+
+    const COLORS = ['#d62728', '#1f77b4', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22'];
+    const GRID_STEP = 0.1; // azimuth step of the comparison grid, degrees
+    const MAX_GAP_STEPS = 3; // wider gaps between profile points are unmeasured, not interpolated
+    const CURRENT_ID = 'current';
+
+    let overlays = []; // [{ id, name, color, visible, data: [{x, y}] }]
+    let nextId = 1;
+    let referenceId = CURRENT_ID;
+    let diffChart = null;
+
+    // -----------------------------------------------------------------
+    // Profiles
+    // -----------------------------------------------------------------
+    function toSeries(profileData) {
+        return profileData
+            .filter(p => p && !isNaN(p.x))
+            .map(p => ({ x: ((Number(p.x) % 360) + 360) % 360, y: Number(p.y) }))
+            .sort((a, b) => a.x - b.x);
+    }
+
+    function currentSeries() {
+        const data = window.HC_profileData;
+        if (!data || data.length === 0) return null;
+        return { id: CURRENT_ID, name: 'Current profile', color: '#2e8b57', visible: true, data: toSeries(data) };
+    }
+
+    function allSeries() {
+        const current = currentSeries();
+        return (current ? [current] : []).concat(overlays);
+    }
+
+    function addOverlay(name, data) {
+        const series = toSeries(data);
+        if (series.filter(p => !isNaN(p.y)).length < 2) {
+            alert('The profile has no usable azimuth/altitude points.');
+            return;
+        }
+        const id = nextId++;
+        overlays.push({
+            id: String(id),
+            name: name,
+            color: COLORS[(id - 1) % COLORS.length],
+            visible: true,
+            data: series
+        });
+        redraw();
+    }
+
+    // Typical azimuth spacing of a series (median gap between neighbouring points)
+    function typicalStep(pts) {
+        const gaps = pts.map((p, i) => ((pts[(i + 1) % pts.length].x - p.x) % 360 + 360) % 360)
+            .filter(g => g > 0).sort((a, b) => a - b);
+        return gaps.length ? gaps[Math.floor(gaps.length / 2)] : 1;
+    }
+
+    /**
+     * Altitude at an azimuth by linear interpolation between the neighbouring profile
+     * points (wrapping through north). NaN if either neighbour is unmeasured or the
+     * azimuth falls in a gap of more than MAX_GAP_STEPS typical steps.
+     */
+    function altitudeAt(series, az) {
+        const pts = series.data;
+        const n = pts.length;
+        if (series.step === undefined) series.step = typicalStep(pts);
+        let lo = 0, hi = n;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (pts[mid].x <= az) lo = mid + 1; else hi = mid;
+        }
+        const a = pts[(lo - 1 + n) % n];
+        const b = pts[lo % n];
+        if (isNaN(a.y) || isNaN(b.y)) return NaN;
+        const span = ((b.x - a.x) % 360 + 360) % 360;
+        if (span === 0) return a.y;
+        if (span > MAX_GAP_STEPS * series.step) return NaN;
+        const t = (((az - a.x) % 360) + 360) % 360 / span;
+        return a.y + t * (b.y - a.y);
+    }
+
+    /**
+     * Differences of every other series from the reference on the common 0.1° grid.
+     * @returns {{reference: Object, rows: Array, stats: Array}|null}
+     */
+    function compare() {
+        const series = allSeries();
+        const reference = series.find(s => s.id === referenceId) || series[0];
+        if (!reference || series.length < 2) return null;
+        const others = series.filter(s => s !== reference);
+        const steps = Math.round(360 / GRID_STEP);
+        const rows = [];
+        const acc = others.map(() => ({ n: 0, sum: 0, sumSq: 0, maxAbs: 0, maxAz: null, maxDiff: 0 }));
+        for (let g = 0; g < steps; g++) {
+            const az = Math.round(g * GRID_STEP * 1e6) / 1e6;
+            const refAlt = altitudeAt(reference, az);
+            const values = others.map((s, i) => {
+                const alt = altitudeAt(s, az);
+                const diff = alt - refAlt;
+                if (!isNaN(diff)) {
+                    const a = acc[i];
+                    a.n++;
+                    a.sum += diff;
+                    a.sumSq += diff * diff;
+                    if (Math.abs(diff) > a.maxAbs) {
+                        a.maxAbs = Math.abs(diff);
+                        a.maxDiff = diff;
+                        a.maxAz = az;
+                    }
+                }
+                return { alt: alt, diff: diff };
+            });
+            rows.push({ az: az, refAlt: refAlt, values: values });
+        }
+        const stats = others.map((s, i) => {
+            const a = acc[i];
+            return {
+                name: s.name,
+                color: s.color,
+                n: a.n,
+                mean: a.n ? a.sum / a.n : NaN,
+                rms: a.n ? Math.sqrt(a.sumSq / a.n) : NaN,
+                maxDiff: a.maxDiff,
+                maxAz: a.maxAz
+            };
+        });
+        return { reference: reference, others: others, rows: rows, stats: stats };
+    }
+
+    // -----------------------------------------------------------------
+    // Drawing
+    // -----------------------------------------------------------------
+    /**
+     * Extra Chart.js datasets for the horizon chart (called from HC_renderChart).
+     */
+    function chartDatasets() {
+        return overlays.filter(o => o.visible).map(o => ({
+            label: o.name,
+            data: (o.data.length > 720 ? o.data.filter((_, i) => i % 5 === 0) : o.data)
+                .map(p => ({ x: p.x, y: isNaN(p.y) ? null : p.y })),
+            borderColor: o.color,
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+        }));
+    }
+
+    /**
+     * Overlay silhouettes on a panorama canvas (called from HC_drawPano).
+     */
+    function drawPanoOverlays(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY) {
+        overlays.filter(o => o.visible).forEach(o => {
+            ctx.beginPath();
+            let penDown = false;
+            const startAngle = currentBearing - fov / 2;
+            for (let x = 0; x <= w; x += 2) {
+                const az = (((startAngle + (x / w) * fov) % 360) + 360) % 360;
+                const alt = altitudeAt(o, az);
+                if (isNaN(alt)) {
+                    penDown = false;
+                    continue;
+                }
+                const y = horizonY - alt * pxPerDegY;
+                if (penDown) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+                penDown = true;
+            }
+            ctx.strokeStyle = o.color;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        });
+    }
+
+    function renderList() {
+        const series = allSeries();
+        if (!series.some(s => s.id === referenceId)) referenceId = series.length ? series[0].id : CURRENT_ID;
+        const refSelect = $('#cmp-reference').empty();
+        series.forEach(s => refSelect.append($('<option>').val(s.id).text(s.name)));
+        refSelect.val(referenceId);
+
+        const list = $('#cmp-overlay-list').empty();
+        overlays.forEach(o => {
+            const row = $('<div style="display:flex; align-items:center; gap:5px; margin-bottom:3px;"></div>');
+            row.append($('<span>').css({ display: 'inline-block', width: '14px', height: '4px', background: o.color }));
+            row.append($('<input type="checkbox" title="Show">').prop('checked', o.visible).on('change', function() {
+                o.visible = this.checked;
+                redraw();
+            }));
+            row.append($('<input type="text" class="form-control input-sm" style="height:22px; padding:1px 5px; font-size:11px;">')
+                .val(o.name).on('change', function() {
+                    o.name = this.value || o.name;
+                    redraw();
+                }));
+            row.append($('<button class="btn btn-xs btn-default" title="Remove"><i class="fa fa-times"></i></button>').on('click', function() {
+                overlays = overlays.filter(x => x !== o);
+                redraw();
+            }));
+            list.append(row);
+        });
+    }
+
+    function renderDifference() {
+        const result = compare();
+        const canvas = document.getElementById('hc-diffChart');
+        if (diffChart) {
+            diffChart.destroy();
+            diffChart = null;
+        }
+        const statsBody = $('#cmp-stats-body').empty();
+        if (!result || !canvas) return;
+
+        diffChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: result.others.map((s, i) => ({
+                    label: `${s.name} − ${result.reference.name}`,
+                    data: result.rows.filter((_, r) => r % 2 === 0)
+                        .map(r => ({ x: r.az, y: isNaN(r.values[i].diff) ? null : r.values[i].diff })),
+                    borderColor: s.color,
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: false
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: { type: 'linear', min: 0, max: 360, ticks: { stepSize: 45 }, title: { display: true, text: 'Bearing' } },
+                    y: { title: { display: true, text: 'Δ Altitude (Deg)' } }
+                },
+                plugins: { tooltip: { intersect: false, mode: 'index' } }
+            }
+        });
+
+        result.stats.forEach(st => {
+            const fmt = v => isNaN(v) ? '–' : v.toFixed(3);
+            statsBody.append(`<tr><td><span style="color:${st.color};">&#9632;</span> ${$('<span>').text(st.name).html()}</td>` +
+                `<td>${st.n}</td><td>${fmt(st.mean)}</td><td>${fmt(st.rms)}</td>` +
+                `<td>${fmt(st.maxDiff)}</td><td>${st.maxAz === null ? '–' : st.maxAz.toFixed(1)}</td></tr>`);
+        });
+    }
+
+    function redraw() {
+        $('#row-profile-compare').toggle(overlays.length > 0);
+        renderList();
+        // Redraws the comparison through HC_updateProfileComparison
+        if (window.HC_profileData && window.HC_profileData.length > 0 && typeof window.HC_renderChart === 'function') {
+            window.HC_renderChart(window.HC_profileData);
+        } else {
+            renderDifference();
+        }
+        if (typeof window.HC_renderPanorama === 'function' && window.HC_profileData && window.HC_profileData.length > 0) {
+            window.HC_renderPanorama();
+        }
+    }
+
+    // -----------------------------------------------------------------
+    // Adding profiles
+    // -----------------------------------------------------------------
+    function currentProfileName() {
+        const params = window.HC_cachedParams || {};
+        const res = $('#current-profile-resolution').text();
+        const parts = [];
+        if (params.dem && params.dem.name) parts.push(params.dem.name);
+        if (res && res !== 'Not Calculated') parts.push(res);
+        if (params.center) parts.push(`${params.center.lat.toFixed(5)}, ${params.center.lng.toFixed(5)}`);
+        return parts.join(' – ') || `Profile ${nextId}`;
+    }
+
+    function addCurrentAsOverlay() {
+        if (!window.HC_profileData || window.HC_profileData.length === 0) {
+            alert('No horizon profile to add. Please run horizon probe first.');
+            return;
+        }
+        addOverlay(currentProfileName(), window.HC_profileData);
+    }
+
+    function parseProfileCSV(text) {
+        const data = [];
+        text.split(/\r?\n/).forEach(line => {
+            const parts = line.split(/[,;\t]/).map(s => parseFloat(s));
+            if (parts.length >= 2 && !isNaN(parts[0]) && !isNaN(parts[1])) {
+                data.push({ x: parts[0], y: parts[1] });
+            }
+        });
+        return data;
+    }
+
+    function handleOverlayFileSelect(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                let data;
+                if (/\.(geo)?json$/i.test(file.name)) {
+                    data = window.HC_readSavedProfilePoints(JSON.parse(e.target.result));
+                    if (!data) throw new Error('No horizon profile data found in file.');
+                } else {
+                    data = parseProfileCSV(e.target.result);
+                }
+                addOverlay(file.name.replace(/\.[^.]+$/, ''), data);
+            } catch (err) {
+                console.error('Error loading overlay profile:', err);
+                alert('Error loading overlay profile: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    // -----------------------------------------------------------------
+    // CSV export
+    // -----------------------------------------------------------------
+    const quote = window.ExportUtils.csvQuote;
+    const download = window.ExportUtils.download;
+
+    function exportDifferenceCSV() {
+        const result = compare();
+        if (!result) {
+            alert('Add at least one overlay profile to compare.');
+            return;
+        }
+        const fmt = v => isNaN(v) ? '' : v.toFixed(4);
+        const header = ['Azimuth (degrees)', `${result.reference.name} altitude`];
+        result.others.forEach(s => header.push(`${s.name} altitude`, `${s.name} difference`));
+        let csv = header.map(quote).join(',') + '\n';
+        result.rows.forEach(r => {
+            csv += [r.az.toFixed(1), fmt(r.refAlt)].concat(...r.values.map(v => [fmt(v.alt), fmt(v.diff)])).join(',') + '\n';
+        });
+        download(csv, 'horizon-profile-differences.csv');
+    }
+
+    function exportStatsCSV() {
+        const result = compare();
+        if (!result) {
+            alert('Add at least one overlay profile to compare.');
+            return;
+        }
+        const fmt = v => isNaN(v) ? '' : v.toFixed(4);
+        let csv = ['Profile', 'Reference', 'Azimuths compared', 'Mean difference (degrees)', 'RMS difference (degrees)',
+            'Max deviation (degrees)', 'Max deviation azimuth (degrees)'].map(quote).join(',') + '\n';
+        result.stats.forEach(st => {
+            csv += [quote(st.name), quote(result.reference.name), st.n, fmt(st.mean), fmt(st.rms), fmt(st.maxDiff),
+                st.maxAz === null ? '' : st.maxAz.toFixed(1)].join(',') + '\n';
+        });
+        download(csv, 'horizon-profile-statistics.csv');
+    }
+
+    window.HC_getProfileOverlayDatasets = chartDatasets;
+    window.HC_drawProfileOverlays = drawPanoOverlays;
+    window.HC_updateProfileComparison = function() {
+        if (overlays.length === 0) return;
+        renderList();
+        renderDifference();
+    };
+    window.HC_addCurrentProfileOverlay = addCurrentAsOverlay;
+    window.HC_handleOverlayFileSelect = handleOverlayFileSelect;
+    window.HC_exportProfileDifferenceCSV = exportDifferenceCSV;
+    window.HC_exportProfileStatsCSV = exportStatsCSV;
+
+    // Overlay list and reference for the project workspace (project-workspace.js)
+    window.HC_getProfileOverlays = function() {
+        return {
+            referenceId: referenceId,
+            overlays: overlays.map(o => ({ id: o.id, name: o.name, color: o.color, visible: o.visible, data: o.data }))
+        };
+    };
+    window.HC_setProfileOverlays = function(state) {
+        overlays = ((state && state.overlays) || []).map(o => ({
+            id: String(o.id),
+            name: o.name,
+            color: o.color,
+            visible: o.visible !== false,
+            // JSON turns unmeasured (NaN) altitudes into null
+            data: o.data.map(p => ({ x: p.x, y: p.y === null ? NaN : p.y }))
+        }));
+        nextId = overlays.reduce((max, o) => Math.max(max, (parseInt(o.id, 10) || 0) + 1), 1);
+        referenceId = state && state.referenceId ? state.referenceId : CURRENT_ID;
+        redraw();
+    };
+
+    $(document).ready(function() {
+        $('#cmp-reference').on('change', function() {
+            referenceId = this.value;
+            renderDifference();
+        });
+    });
+})();
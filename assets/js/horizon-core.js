@@ -0,0 +1,315 @@
+// =================================================================
+// HORIZON CORE – headless radial horizon sweep
+// =================================================================
+// No DOM, Leaflet or jQuery dependencies: the same file is loaded by
+// index.html (window.HorizonCore), importScripts() in a Web Worker
+// (self.HorizonCore) and require() in Node (module.exports).
+//
+// Node example:
+//   const HorizonCore = require('./assets/js/horizon-core.js');
+//   const sampler = HorizonCore.createGridSampler(heights, width, 11, originX, originY);
+//   const profile = await HorizonCore.sweep({ sampler, lat, lng, observerH, steps: 360 });
+
+(function(global) {
+    'use strict';
+
+    const EARTH_RADIUS_METERS = 6371000;        // Earth's mean radius in meters
+    const DEFAULT_REFRACTION_COEFFICIENT = 0.13; // Standard atmospheric refraction coefficient k
+    const DEFAULT_SCAN_RADIUS_KM = 200;
+    const TILE_SIZE = 256;
+
+    /**
+     * Project lat/lng to global Web Mercator pixel coordinates at a zoom level.
+     * Matches Leaflet's map.project() for the default EPSG:3857 CRS.
+     */
+    function project(lat, lng, zoom) {
+        const n = TILE_SIZE * Math.pow(2, zoom);
+        const clampedLat = Math.max(-85.0511287798, Math.min(85.0511287798, lat));
+        const sinLat = Math.sin(clampedLat * Math.PI / 180);
+        return {
+            x: n * (lng + 180) / 360,
+            y: n * (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI))
+        };
+    }
+
+    /**
+     * Inverse of project(): global Web Mercator pixel coordinates to lat/lng.
+     */
+    function unproject(x, y, zoom) {
+        const n = TILE_SIZE * Math.pow(2, zoom);
+        const lng = x / n * 360 - 180;
+        const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+        return { lat: lat, lng: lng };
+    }
+
+    /**
+     * Haversine distance in meters (same as Leaflet's L.LatLng.distanceTo).
+     */
+    function distance(lat1, lng1, lat2, lng2) {
+        const rad = Math.PI / 180;
+        const sinDLat = Math.sin((lat2 - lat1) * rad / 2);
+        const sinDLon = Math.sin((lng2 - lng1) * rad / 2);
+        const a = sinDLat * sinDLat + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * sinDLon * sinDLon;
+        return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Great-circle destination point (same formula as LatLon.destinationPoint in latlon-spherical.js).
+     * @returns {{lat: number, lng: number}}
+     */
+    function destinationPoint(lat, lng, distMeters, bearingDeg) {
+        const d = distMeters / EARTH_RADIUS_METERS;
+        const theta = bearingDeg * Math.PI / 180;
+        const phi1 = lat * Math.PI / 180;
+        const lambda1 = lng * Math.PI / 180;
+        const sinPhi2 = Math.sin(phi1) * Math.cos(d) + Math.cos(phi1) * Math.sin(d) * Math.cos(theta);
+        const phi2 = Math.asin(sinPhi2);
+        const y = Math.sin(theta) * Math.sin(d) * Math.cos(phi1);
+        const x = Math.cos(d) - Math.sin(phi1) * sinPhi2;
+        const lambda2 = lambda1 + Math.atan2(y, x);
+        return { lat: phi2 * 180 / Math.PI, lng: ((lambda2 * 180 / Math.PI) + 540) % 360 - 180 };
+    }
+
+    /**
+     * Bilinear sampler over a height grid laid out on the Web Mercator pixel grid
+     * (the DEM patch produced by HC_fetchTerrainPatch, or a crop of it).
+     * @param {Float32Array} data - Heights in meters, row-major.
+     * @param {number} width - Grid width in pixels.
+     * @param {number} zoom - Web Mercator zoom of the grid.
+     * @param {number} originX - Global pixel X of the grid's top-left corner.
+     * @param {number} originY - Global pixel Y of the grid's top-left corner.
+     * @param {number} [height=width] - Grid height in pixels.
+     * @returns {Object} Sampler: { zoom, originX, originY, sample(gx, gy) }; sample() returns null outside the grid.
+     */
+    function createGridSampler(data, width, zoom, originX, originY, height) {
+        const rows = height || width;
+        return {
+            zoom: zoom,
+            originX: originX,
+            originY: originY,
+            sample: function(gx, gy) {
+                const lx = gx - originX;
+                const ly = gy - originY;
+                if (lx < 0 || lx >= width - 1 || ly < 0 || ly >= rows - 1) return null;
+                const x0 = Math.floor(lx);
+                const y0 = Math.floor(ly);
+                const dx = lx - x0;
+                const dy = ly - y0;
+                const idx = y0 * width + x0;
+                const h0 = data[idx] * (1 - dx) + data[idx + 1] * dx;
+                const h1 = data[idx + width] * (1 - dx) + data[idx + width + 1] * dx;
+                return h0 * (1 - dy) + h1 * dy;
+            }
+        };
+    }
+
+    /**
+     * Wrap a sampler so that samples close to known horizon points take a better elevation
+     * (used by Max resolution to substitute Z14 heights found near the initial Z12 horizon).
+     * @param {Object} sampler - Base sampler.
+     * @param {Object} overrides - Keyed by bearing rounded to 0.1°: { lat, lng, elev }.
+     * @param {number} snapMeters - Samples closer than this to the horizon point use its elevation.
+     */
+    function withHorizonOverrides(sampler, overrides, snapMeters) {
+        return {
+            zoom: sampler.zoom,
+            originX: sampler.originX,
+            originY: sampler.originY,
+            color: sampler.color,
+            sample: function(gx, gy, bearing, distMeters) {
+                const baseH = sampler.sample(gx, gy, bearing, distMeters);
+                if (baseH === null) return null;
+                const point = overrides[Math.round(bearing * 10) / 10];
+                if (!point || point.elev === null || isNaN(point.elev)) return baseH;
+                const ll = unproject(gx, gy, sampler.zoom);
+                return distance(ll.lat, ll.lng, point.lat, point.lng) < snapMeters ? point.elev : baseH;
+            }
+        };
+    }
+
+    /**
+     * CANONICAL MACE2026 HORIZON ALTITUDE FORMULA (do not change; other code must match this exactly)
+     * Astronomical horizon using level surface through observer and ray curvature.
+     * 1. Height of astronomical horizon point at distance d: h = d²(1-k)/(2R)
+     * 2. Angular altitude (radians): (terrainH - (observerH + h)) / d
+     * @returns {number} Altitude in degrees, clamped to ±90.
+     */
+    function apparentTerrainAltitude(terrainH, observerH, distMeters, refractionK) {
+        const h = (distMeters * distMeters * (1 - refractionK)) / (2 * EARTH_RADIUS_METERS);
+        const horizonHeight = observerH + h;
+        const angleRadians = (terrainH - horizonHeight) / distMeters;
+        const angle = angleRadians * (180 / Math.PI);
+        return Math.max(-90, Math.min(90, angle));
+    }
+
+    /**
+     * Horizon altitude at any azimuth by binary search and linear interpolation.
+     * @param {Float64Array|Array<number>} azimuths - Ascending, wrapped so [0, 360) is bracketed.
+     * @param {Float64Array|Array<number>} altitudes - Same length; may be rewritten between calls.
+     * @returns {function(number): (number|null)}
+     */
+    function altitudeLookup(azimuths, altitudes) {
+        return function(azimuth) {
+            const target = ((azimuth % 360) + 360) % 360;
+            let lo = 0, hi = azimuths.length - 1;
+            if (target < azimuths[lo] || target > azimuths[hi]) return null;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (azimuths[mid] <= target) lo = mid; else hi = mid;
+            }
+            const span = azimuths[hi] - azimuths[lo];
+            if (span <= 0) return altitudes[lo];
+            return altitudes[lo] + (target - azimuths[lo]) / span * (altitudes[hi] - altitudes[lo]);
+        };
+    }
+
+    /**
+     * altitudeLookup() over {azimuth, altitude} horizon points (any order), with one
+     * wrapped point added at each end.
+     */
+    function horizonAltitudeLookup(horizonData) {
+        const points = horizonData.filter(p => p && !isNaN(p.azimuth) && !isNaN(p.altitude))
+            .slice().sort((a, b) => a.azimuth - b.azimuth);
+        const n = points.length;
+        if (n === 0) return () => null;
+        const azimuths = new Float64Array(n + 2);
+        const altitudes = new Float64Array(n + 2);
+        for (let i = 0; i < n; i++) {
+            azimuths[i + 1] = points[i].azimuth;
+            altitudes[i + 1] = points[i].altitude;
+        }
+        azimuths[0] = points[n - 1].azimuth - 360;
+        altitudes[0] = altitudes[n];
+        azimuths[n + 1] = points[0].azimuth + 360;
+        altitudes[n + 1] = altitudes[1];
+        return altitudeLookup(azimuths, altitudes);
+    }
+
+    /**
+     * Trace one bearing outward from the observer.
+     * @returns {{x: number, y: number, latlng: ({lat, lng}|null), segments: Array}}
+     */
+    function traceBearing(sampler, center, lat, lng, observerH, bearing, metersPerPx, maxPx, refractionK) {
+        const rad = (bearing - 90) * (Math.PI / 180);
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const stepPx = 1;
+        const originX = sampler.originX || 0;
+        const originY = sampler.originY || 0;
+
+        let maxAngle = -90;
+        let horizonLatLng = null;
+        const segments = [];
+        let currentMaxAngle = -90; // Track current max for segment building
+        let prevTerrainH = observerH;
+
+        for (let r = 2; r < maxPx; r += stepPx) {
+            const distMeters = r * metersPerPx;
+            const gx = center.x + (cos * r);
+            const gy = center.y + (sin * r);
+            const terrainH = sampler.sample(gx, gy, bearing, distMeters);
+            if (terrainH === null || terrainH === undefined) break;
+            if (isNaN(terrainH)) continue; // no-data hole in a local grid
+
+            const angle = apparentTerrainAltitude(terrainH, observerH, distMeters, refractionK);
+            const slope = (terrainH - prevTerrainH) / (stepPx * metersPerPx);
+            prevTerrainH = terrainH;
+
+            if (angle > currentMaxAngle) {
+                const lx = gx - originX;
+                const ly = gy - originY;
+                segments.push({
+                    top: angle,
+                    bottom: currentMaxAngle,
+                    dist: distMeters,
+                    height: terrainH,
+                    slope: slope,
+                    lx: lx,
+                    ly: ly,
+                    color: sampler.color ? sampler.color(lx, ly, terrainH) : null
+                });
+                currentMaxAngle = angle;
+                maxAngle = angle;
+                // Great-circle position avoids the northward shift of map-projection unproject at long range
+                horizonLatLng = destinationPoint(lat, lng, distMeters, bearing);
+            }
+        }
+        const altDeg = Math.max(-90, Math.min(90, maxAngle));
+        return { x: bearing, y: altDeg, latlng: horizonLatLng, segments: segments };
+    }
+
+    function cancelledError() {
+        const err = new Error('Horizon calculation cancelled.');
+        err.cancelled = true;
+        return err;
+    }
+
+    /**
+     * Radial horizon sweep.
+     * @param {Object} opts
+     * @param {Object} opts.sampler - { zoom, originX?, originY?, sample(gx, gy, bearing, distMeters), color?(lx, ly, h) }.
+     *        sample() returns the terrain height at global pixel (gx, gy), or null when the ray leaves the data.
+     * @param {number} opts.lat - Observer latitude.
+     * @param {number} opts.lng - Observer longitude.
+     * @param {number} opts.observerH - Observer eye height above datum (m).
+     * @param {number} opts.steps - Number of bearings over 360°.
+     * @param {number} [opts.refractionK=0.13] - Refraction coefficient k.
+     * @param {number} [opts.maxDistKm=200] - Scan radius.
+     * @param {Function} [opts.yieldFn] - Awaited ~20 times during the sweep (e.g. to let the UI repaint).
+     * @param {Function} [opts.onProgress] - Called with (completedSteps, steps) at each yield point.
+     * @param {Function} [opts.isCancelled] - Checked at each yield point; when it returns true the sweep
+     *        rejects with an Error whose `cancelled` property is true.
+     * @param {number} [opts.fromIndex=0] - First bearing index to trace (for partitioned sweeps).
+     * @param {number} [opts.toIndex=steps] - One past the last bearing index to trace.
+     * @returns {Promise<Array>} Profile: [{x: bearing, y: altitude, latlng: {lat, lng}|null, segments}]
+     */
+    async function sweep(opts) {
+        const sampler = opts.sampler;
+        const steps = opts.steps;
+        const refractionK = opts.refractionK !== undefined ? opts.refractionK : DEFAULT_REFRACTION_COEFFICIENT;
+        const maxDistKm = opts.maxDistKm || DEFAULT_SCAN_RADIUS_KM;
+        const center = project(opts.lat, opts.lng, sampler.zoom);
+        const metersPerPx = 40075016 * Math.cos(opts.lat * Math.PI / 180) / Math.pow(2, sampler.zoom + 8);
+        const maxPx = (maxDistKm * 1000) / metersPerPx;
+        const YIELD_INTERVAL = Math.max(10, Math.floor(steps / 20)); // Yield ~20 times during calculation
+
+        const fromIndex = opts.fromIndex || 0;
+        const toIndex = opts.toIndex !== undefined ? opts.toIndex : steps;
+
+        const profile = [];
+        for (let i = fromIndex; i < toIndex; i++) {
+            const bearing = i * (360 / steps);
+            profile.push(traceBearing(sampler, center, opts.lat, opts.lng, opts.observerH, bearing, metersPerPx, maxPx, refractionK));
+
+            if (i % YIELD_INTERVAL === 0 || i === toIndex - 1) {
+                if (opts.yieldFn) await opts.yieldFn();
+                if (opts.isCancelled && opts.isCancelled()) throw cancelledError();
+                if (opts.onProgress) opts.onProgress(i + 1 - fromIndex, toIndex - fromIndex);
+            }
+        }
+        return profile;
+    }
+
+    const HorizonCore = {
+        EARTH_RADIUS_METERS: EARTH_RADIUS_METERS,
+        DEFAULT_REFRACTION_COEFFICIENT: DEFAULT_REFRACTION_COEFFICIENT,
+        DEFAULT_SCAN_RADIUS_KM: DEFAULT_SCAN_RADIUS_KM,
+        project: project,
+        unproject: unproject,
+        distance: distance,
+        destinationPoint: destinationPoint,
+        createGridSampler: createGridSampler,
+        withHorizonOverrides: withHorizonOverrides,
+        cancelledError: cancelledError,
+        apparentTerrainAltitude: apparentTerrainAltitude,
+        altitudeLookup: altitudeLookup,
+        horizonAltitudeLookup: horizonAltitudeLookup,
+        traceBearing: traceBearing,
+        sweep: sweep
+    };
+
+    global.HorizonCore = HorizonCore;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HorizonCore;
+    }
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : this));
@@ -0,0 +1,483 @@
+// =================================================================
+// HORIZON FORESIGHT ANALYSIS – distance to the horizon, notches, peaks, parallax
+// =================================================================
+// The horizon-defining point of every profile bearing (HC_profileData[i].latlng) gives
+// the distance to the foresight. It is plotted against azimuth with notches and peaks flagged
+// (local minima/maxima of altitude within a window and with a minimum depth/prominence).
+// After HC_executeRiseSetCalculations (hwtip.js) every event's centre marker gets a
+// foresight report: distance, feature, and its parallax sensitivity. Moving the observer
+// sideways by Δx turns a foresight at distance d by atan(Δx / d), so the observer can move
+// d·tan θ before the alignment shifts by θ. The declination change that shift causes follows
+// from sin δ = sin φ sin h + cos φ cos h cos A.
+
+(function() {
+    'use strict';
+
+    const DEG = Math.PI / 180;
+    const NEAR_KM = 1;        // foresights closer than this are "near"
+    const FAR_KM = 10;        // and farther than this "distant"
+    const LATERAL_STEP = 10;  // observer shift used for the Δδ column, m
+    const MAX_GAP_STEPS = 3;  // wider gaps between profile points are unmeasured, not interpolated
+    const DEFAULTS = { tolerance: 0.25, window: 2, prominence: 0.1 };
+
+    let observer = null;      // { lat, lng } of the last rise/set run
+    let events = [];          // per-event reports, see eventReport()
+    let analysis = null;      // { points, step, features }
+    let chart = null;
+
+    function normAz(az) {
+        return ((az % 360) + 360) % 360;
+    }
+
+    function readNumber(id, fallback) {
+        const v = parseFloat($(id).val());
+        return isNaN(v) ? fallback : v;
+    }
+
+    function readSettings() {
+        return {
+            tolerance: Math.max(0.001, Math.abs(readNumber('#fs-tolerance', DEFAULTS.tolerance))),
+            window: Math.max(0.1, Math.abs(readNumber('#fs-window', DEFAULTS.window))),
+            prominence: Math.max(0, Math.abs(readNumber('#fs-prominence', DEFAULTS.prominence)))
+        };
+    }
+
+    function currentObserver() {
+        if (window.HC_locationData) {
+            return { lat: window.HC_locationData.latitude, lng: window.HC_locationData.longitude };
+        }
+        const params = window.HC_cachedParams;
+        if (params && params.center) return { lat: params.center.lat, lng: params.center.lng };
+        return observer;
+    }
+
+    function rangeClass(km) {
+        if (isNaN(km)) return '';
+        return km < NEAR_KM ? 'near' : (km > FAR_KM ? 'distant' : 'intermediate');
+    }
+
+    // -----------------------------------------------------------------
+    // Profile analysis
+    // -----------------------------------------------------------------
+    /** Profile points sorted by azimuth with distance (km) and ground elevation of the horizon. */
+    function profilePoints(obs) {
+        const profile = window.HC_profileData;
+        if (!profile || profile.length < 3 || !obs) return null;
+        return profile
+            .filter(p => p && !isNaN(p.x) && !isNaN(p.y))
+            .map(p => {
+                const last = p.segments && p.segments.length ? p.segments[p.segments.length - 1] : null;
+                let dist = p.latlng ? window.HorizonCore.distance(obs.lat, obs.lng, p.latlng.lat, p.latlng.lng) : NaN;
+                if (isNaN(dist) && last) dist = last.dist;
+                return {
+                    az: normAz(p.x),
+                    alt: p.y,
+                    km: dist / 1000,
+                    height: last && last.height !== undefined ? last.height : NaN
+                };
+            })
+            .sort((a, b) => a.az - b.az);
+    }
+
+    /** Degrees from azimuth a forward (clockwise) to azimuth b. */
+    function azGap(a, b) {
+        return normAz(b - a);
+    }
+
+    /**
+     * Typical azimuth spacing of the profile (median gap between neighbouring points). Gaps in
+     * survey imports or partial horizons are wider and do not count.
+     */
+    function typicalStep(points) {
+        const gaps = points.map((p, i) => azGap(p.az, points[(i + 1) % points.length].az)).filter(g => g > 0).sort((a, b) => a - b);
+        return gaps.length ? gaps[Math.floor(gaps.length / 2)] : 1;
+    }
+
+    function stepOf(points) {
+        return analysis && analysis.points === points ? analysis.step : typicalStep(points);
+    }
+
+    /**
+     * Notches (local altitude minima) and peaks (maxima) within ±window/2 degrees.
+     * Depth of a notch is the lower of the highest points on either side minus its altitude;
+     * prominence of a peak is its altitude minus the higher of the lowest points on either side.
+     * The window is measured in azimuth, so gaps in the profile narrow it rather than pull in
+     * points from beyond the gap; a point needs a neighbour on both sides to be a feature.
+     */
+    function findFeatures(points, settings) {
+        const n = points.length;
+        const half = Math.max(settings.window / 2, typicalStep(points));
+        const features = [];
+        for (let i = 0; i < n; i++) {
+            const az = points[i].az;
+            const alt = points[i].alt;
+            let isMin = true, isMax = true;
+            let leftMax = -Infinity, rightMax = -Infinity, leftMin = Infinity, rightMin = Infinity;
+            for (let k = 1; k < n; k++) {
+                const p = points[(i - k + n) % n];
+                if (azGap(p.az, az) > half) break;
+                // Ties go to the first sample so a flat-bottomed notch or flat top is flagged once
+                if (p.alt <= alt) isMin = false;
+                if (p.alt >= alt) isMax = false;
+                leftMax = Math.max(leftMax, p.alt);
+                leftMin = Math.min(leftMin, p.alt);
+            }
+            for (let k = 1; k < n; k++) {
+                const p = points[(i + k) % n];
+                if (azGap(az, p.az) > half) break;
+                if (p.alt < alt) isMin = false;
+                if (p.alt > alt) isMax = false;
+                rightMax = Math.max(rightMax, p.alt);
+                rightMin = Math.min(rightMin, p.alt);
+            }
+            if (leftMax === -Infinity || rightMax === -Infinity) continue;
+            if (isMin) {
+                const depth = Math.min(leftMax, rightMax) - alt;
+                if (depth >= settings.prominence && depth > 0) features.push({ type: 'notch', index: i, size: depth });
+            } else if (isMax) {
+                const prominence = alt - Math.max(leftMin, rightMin);
+                if (prominence >= settings.prominence && prominence > 0) features.push({ type: 'peak', index: i, size: prominence });
+            }
+        }
+        return features.map(f => Object.assign(f, {
+            az: points[f.index].az,
+            alt: points[f.index].alt,
+            km: points[f.index].km
+        }));
+    }
+
+    function analyse() {
+        const obs = currentObserver();
+        const points = profilePoints(obs);
+        if (!points) {
+            analysis = null;
+            return null;
+        }
+        analysis = { points: points, step: typicalStep(points), features: findFeatures(points, readSettings()) };
+        return analysis;
+    }
+
+    /**
+     * Horizon at an azimuth: altitude interpolated between the neighbouring profile points
+     * (binary search on azimuth, wrapping through north); distance and horizon elevation from
+     * the nearer of the two, as the horizon-defining point jumps between ridges. All NaN when
+     * the azimuth falls in a gap of more than MAX_GAP_STEPS typical steps.
+     */
+    function pointAt(points, az) {
+        const n = points.length;
+        az = normAz(az);
+        let lo = 0, hi = n;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (points[mid].az <= az) lo = mid + 1; else hi = mid;
+        }
+        const a = points[(lo - 1 + n) % n];
+        const b = points[lo % n];
+        const span = azGap(a.az, b.az);
+        const t = span > 0 ? azGap(a.az, az) / span : 0;
+        if (span > MAX_GAP_STEPS * stepOf(points)) {
+            return { az: az, alt: NaN, km: NaN, height: NaN };
+        }
+        const near = t <= 0.5 ? a : b;
+        return { az: az, alt: a.alt + t * (b.alt - a.alt), km: near.km, height: near.height };
+    }
+
+    // -----------------------------------------------------------------
+    // Per-event report
+    // -----------------------------------------------------------------
+    function bearing(from, to) {
+        const phi1 = from.lat * DEG, phi2 = to.lat * DEG, dLon = (to.lng - from.lng) * DEG;
+        const y = Math.sin(dLon) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+        return normAz(Math.atan2(y, x) / DEG);
+    }
+
+    /** dδ/dA and dδ/dh (degrees per degree) at azimuth A and altitude h. */
+    function declinationRates(lat, az, alt) {
+        const phi = lat * DEG, A = az * DEG, h = alt * DEG;
+        const sinDec = Math.sin(phi) * Math.sin(h) + Math.cos(phi) * Math.cos(h) * Math.cos(A);
+        const cosDec = Math.sqrt(Math.max(1e-12, 1 - sinDec * sinDec));
+        return {
+            declination: Math.asin(sinDec) / DEG,
+            perAzimuth: -Math.cos(phi) * Math.cos(h) * Math.sin(A) / cosDec,
+            perAltitude: (Math.sin(phi) * Math.cos(h) - Math.cos(phi) * Math.sin(h) * Math.cos(A)) / cosDec
+        };
+    }
+
+    /** Horizon slope around an azimuth, degrees of altitude per degree of azimuth. */
+    function localSlope(points, az) {
+        const d = Math.max(0.2, stepOf(points));
+        return (pointAt(points, az + d).alt - pointAt(points, az - d).alt) / (2 * d);
+    }
+
+    function describeFeature(points, features, az, settings) {
+        let nearest = null, offset = Infinity;
+        features.forEach(f => {
+            let d = f.az - az;
+            if (d > 180) d -= 360;
+            if (d < -180) d += 360;
+            if (Math.abs(d) < Math.abs(offset)) {
+                nearest = f;
+                offset = d;
+            }
+        });
+        if (nearest && Math.abs(offset) <= settings.window / 2) {
+            return { type: nearest.type, size: nearest.size, offset: offset, featureAz: nearest.az };
+        }
+        const slope = localSlope(points, az);
+        const type = isNaN(slope) ? 'gap' : (Math.abs(slope) > 0.2 ? 'slope' : 'ridge');
+        return { type: type, size: NaN, offset: NaN, featureAz: NaN };
+    }
+
+    function eventReport(def, latlng, obs, settings) {
+        const points = analysis.points;
+        const az = bearing(obs, latlng);
+        const p = pointAt(points, az);
+        const km = window.HorizonCore.distance(obs.lat, obs.lng, latlng.lat, latlng.lng) / 1000;
+        const dist = km > 0 ? km : p.km;
+        const rates = declinationRates(obs.lat, az, p.alt);
+        const shift = dist * 1000 * Math.tan(settings.tolerance * DEG);
+        const azPerStep = Math.atan(LATERAL_STEP / (dist * 1000)) / DEG;
+        return {
+            key: def.key,
+            name: def.name,
+            color: def.color,
+            azimuth: az,
+            altitude: p.alt,
+            declination: rates.declination,
+            km: dist,
+            range: rangeClass(dist),
+            height: p.height,
+            slope: localSlope(points, az),
+            feature: describeFeature(points, analysis.features, az, settings),
+            shift: shift,
+            azPerStep: azPerStep,
+            decPerStep: Math.abs(rates.perAzimuth) * azPerStep,
+            decPerTolerance: Math.abs(rates.perAzimuth) * settings.tolerance,
+            decPerAltTolerance: Math.abs(rates.perAltitude) * settings.tolerance
+        };
+    }
+
+    function buildEvents() {
+        events = [];
+        const obs = observer || currentObserver();
+        if (!analysis || !obs || !window.centerMarkers || !window.HC_RISE_SET_EVENTS) return;
+        const settings = readSettings();
+        window.HC_RISE_SET_EVENTS.forEach(def => {
+            const marker = window.centerMarkers[def.key];
+            if (!marker || typeof marker.getLatLng !== 'function') return;
+            events.push(eventReport(def, marker.getLatLng(), obs, settings));
+        });
+    }
+
+    // -----------------------------------------------------------------
+    // View
+    // -----------------------------------------------------------------
+    function fmt(v, digits) {
+        return isNaN(v) ? '–' : v.toFixed(digits);
+    }
+
+    function featureText(f) {
+        if (f.type === 'notch') return `Notch ${f.size.toFixed(2)}° deep (${f.offset >= 0 ? '+' : ''}${f.offset.toFixed(2)}°)`;
+        if (f.type === 'peak') return `Peak ${f.size.toFixed(2)}° (${f.offset >= 0 ? '+' : ''}${f.offset.toFixed(2)}°)`;
+        if (f.type === 'gap') return 'No horizon data';
+        return f.type === 'slope' ? 'Sloping horizon' : 'Even ridge';
+    }
+
+    function renderChart() {
+        const canvas = document.getElementById('hc-foresightChart');
+        if (chart) {
+            chart.destroy();
+            chart = null;
+        }
+        if (!analysis || !canvas || typeof Chart === 'undefined') return;
+        const points = analysis.points.filter(p => p.km > 0);
+        const featureData = type => analysis.features.filter(f => f.type === type && f.km > 0)
+            .map(f => ({ x: f.az, y: f.km, size: f.size, alt: f.alt }));
+
+        chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [
+                    {
+                        label: 'Distance to horizon',
+                        data: points.map(p => ({ x: p.az, y: p.km })),
+                        borderColor: '#2e8b57',
+                        borderWidth: 1,
+                        pointRadius: 0,
+                        fill: false,
+                        order: 3
+                    },
+                    {
+                        label: 'Notches',
+                        type: 'scatter',
+                        data: featureData('notch'),
+                        pointStyle: 'triangle',
+                        rotation: 180,
+                        pointRadius: 5,
+                        backgroundColor: '#1f77b4',
+                        order: 2
+                    },
+                    {
+                        label: 'Peaks',
+                        type: 'scatter',
+                        data: featureData('peak'),
+                        pointStyle: 'triangle',
+                        pointRadius: 5,
+                        backgroundColor: '#d62728',
+                        order: 2
+                    },
+                    {
+                        label: 'Rise/set events',
+                        type: 'scatter',
+                        data: events.filter(e => e.km > 0).map(e => ({ x: e.azimuth, y: e.km, name: e.name })),
+                        pointStyle: 'crossRot',
+                        pointRadius: 7,
+                        borderWidth: 2,
+                        borderColor: events.filter(e => e.km > 0).map(e => e.color),
+                        order: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: { type: 'linear', min: 0, max: 360, ticks: { stepSize: 45 }, title: { display: true, text: 'Bearing' } },
+                    y: { type: 'logarithmic', title: { display: true, text: 'Distance (km)' } }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => {
+                                const d = ctx.raw;
+                                if (d.name) return `${d.name}: Az ${d.x.toFixed(2)}°, ${d.y.toFixed(2)} km`;
+                                if (d.size !== undefined) {
+                                    return `${ctx.dataset.label.slice(0, -1)} Az ${d.x.toFixed(1)}°, Alt ${d.alt.toFixed(2)}°, ` +
+                                        `${d.size.toFixed(2)}°, ${d.y.toFixed(2)} km`;
+                                }
+                                return `Az ${d.x.toFixed(1)}°: ${d.y.toFixed(2)} km`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    function renderTable() {
+        const body = $('#fs-events-body').empty();
+        $('#fs-shift-header').text(`Shift for ${readSettings().tolerance}° (m)`);
+        if (events.length === 0) {
+            body.append('<tr><td colspan="9" class="text-muted">Calculate rise/set locations for a per-event report.</td></tr>');
+            return;
+        }
+        events.forEach(e => {
+            body.append(`<tr><td><span style="color:${e.color};">&#9632;</span> ${$('<span>').text(e.name).html()}</td>` +
+                `<td>${e.azimuth.toFixed(2)}</td><td>${fmt(e.altitude, 2)}</td><td>${fmt(e.km, 2)} <span class="text-muted">${e.range}</span></td>` +
+                `<td>${featureText(e.feature)}</td><td>${fmt(e.height, 0)}</td><td>${fmt(e.shift, 1)}</td>` +
+                `<td>${fmt(e.decPerStep, 4)}</td><td>${fmt(e.decPerTolerance, 3)} / ${fmt(e.decPerAltTolerance, 3)}</td></tr>`);
+        });
+    }
+
+    function renderSummary() {
+        if (!analysis) {
+            $('#fs-summary').text('');
+            return;
+        }
+        const km = analysis.points.map(p => p.km).filter(v => v > 0);
+        const notches = analysis.features.filter(f => f.type === 'notch').length;
+        const peaks = analysis.features.length - notches;
+        const near = km.filter(v => v < NEAR_KM).length;
+        const far = km.filter(v => v > FAR_KM).length;
+        $('#fs-summary').text(km.length
+            ? `Distance ${Math.min(...km).toFixed(2)}–${Math.max(...km).toFixed(1)} km; ` +
+              `${Math.round(near / km.length * 100)}% near (<${NEAR_KM} km), ${Math.round(far / km.length * 100)}% distant (>${FAR_KM} km); ` +
+              `${notches} notches, ${peaks} peaks.`
+            : 'The profile has no horizon positions to measure distances from.');
+    }
+
+    function refresh() {
+        if (!$('#row-foresight').is(':visible')) return;
+        analyse();
+        buildEvents();
+        renderSummary();
+        renderTable();
+        renderChart();
+    }
+
+    function toggle() {
+        if (!window.HC_profileData || window.HC_profileData.length === 0) {
+            alert('No horizon profile available. Please run a Horizon Probe first.');
+            return;
+        }
+        $('#row-foresight').toggle();
+        refresh();
+    }
+
+    /**
+     * Called at the end of HC_executeRiseSetCalculations: keeps the observer and shows the report.
+     */
+    function runReport(horizonData, locationData) {
+        observer = { lat: locationData.latitude, lng: locationData.longitude };
+        if (!window.HC_profileData || window.HC_profileData.length === 0) return;
+        $('#row-foresight').show();
+        refresh();
+    }
+
+    // -----------------------------------------------------------------
+    // CSV export
+    // -----------------------------------------------------------------
+    const quote = window.ExportUtils.csvQuote;
+    const download = window.ExportUtils.download;
+
+    function exportProfileCSV() {
+        if (!analyse()) {
+            alert('No horizon profile available. Please run a Horizon Probe first.');
+            return;
+        }
+        const flags = {};
+        analysis.features.forEach(f => { flags[f.index] = f; });
+        let csv = ['Azimuth (degrees)', 'Altitude (degrees)', 'Distance (km)', 'Range', 'Horizon elevation (m)',
+            'Feature', 'Depth/prominence (degrees)'].map(quote).join(',') + '\n';
+        analysis.points.forEach((p, i) => {
+            const f = flags[i];
+            csv += [p.az.toFixed(2), p.alt.toFixed(4), isNaN(p.km) ? '' : p.km.toFixed(3), rangeClass(p.km),
+                isNaN(p.height) ? '' : p.height.toFixed(1), f ? f.type : '', f ? f.size.toFixed(4) : ''].join(',') + '\n';
+        });
+        download(csv, 'horizon-foresight-profile.csv');
+    }
+
+    function exportEventsCSV() {
+        refresh();
+        if (events.length === 0) {
+            alert('No rise/set events. Please calculate rise/set locations first.');
+            return;
+        }
+        const tolerance = readSettings().tolerance;
+        let csv = ['Event', 'Azimuth (degrees)', 'Horizon altitude (degrees)', 'Horizon declination (degrees, no refraction)', 'Distance (km)', 'Range',
+            'Horizon elevation (m)', 'Horizon slope (degrees/degree)', 'Feature', 'Feature size (degrees)', 'Feature offset (degrees)',
+            `Observer shift for ${tolerance} degrees (m)`, `Azimuth shift per ${LATERAL_STEP} m lateral (degrees)`,
+            `Declination shift per ${LATERAL_STEP} m lateral (degrees)`, `Declination shift for ${tolerance} degrees azimuth (degrees)`,
+            `Declination shift for ${tolerance} degrees altitude (degrees)`].map(quote).join(',') + '\n';
+        const num = (v, d) => isNaN(v) ? '' : v.toFixed(d);
+        events.forEach(e => {
+            csv += [quote(e.name), e.azimuth.toFixed(3), num(e.altitude, 4), num(e.declination, 4), num(e.km, 3), e.range,
+                num(e.height, 1), num(e.slope, 3), e.feature.type, num(e.feature.size, 4), num(e.feature.offset, 3),
+                num(e.shift, 2), num(e.azPerStep, 5), num(e.decPerStep, 5), num(e.decPerTolerance, 4),
+                num(e.decPerAltTolerance, 4)].join(',') + '\n';
+        });
+        download(csv, 'horizon-foresight-events.csv');
+    }
+
+    window.HC_toggleForesightAnalysis = toggle;
+    window.HC_updateForesightAnalysis = refresh;
+    window.HC_runForesightReport = runReport;
+    window.HC_exportForesightProfileCSV = exportProfileCSV;
+    window.HC_exportForesightEventsCSV = exportEventsCSV;
+
+    $(document).ready(function() {
+        $('#fs-tolerance, #fs-window, #fs-prominence').on('change', refresh);
+    });
+})();
@@ -0,0 +1,514 @@
+// =================================================================
+// HORIZON HEIGHT/POSITION SCAN – rise/set azimuths for other observer heights and positions
+// =================================================================
+// The probe computes one horizon for an eye 2 m above the ground at the marker. People
+// stood on mounds, walls and cairns, or inside passage tombs, and a near horizon changes
+// quickly with both. The scan recomputes the horizon (HC_computeObserverHorizon in
+// horizon.js, reusing the probe's terrain) for
+//   heights  - a range of eye heights above the ground at the marker
+//   grid     - an N×N grid of positions around the marker at a fixed eye height
+// and re-runs findActualAzimuthForTargetApparentAltitude (hwtip.js) for the centre of each
+// solar/lunar event on every horizon. Each event's azimuth is reported against the
+// reference configuration (the height nearest 2 m, or the centre of the grid) and, when an
+// alignment azimuth is given, against that alignment and its tolerance.
+
+(function() {
+    'use strict';
+
+    const LAYER_NAME = 'Height/Position Scan';
+    const REFERENCE_HEIGHT = 2;     // m above ground, as used by the probe
+    const MAX_CONFIGURATIONS = 81;  // each one is a full viewshed
+    const ALIGNMENT_WINDOW = 5;     // events further than this from the alignment are not plotted, degrees
+    const DEFAULTS = {
+        heightMin: 0,
+        heightMax: 10,
+        heightStep: 1,
+        gridSize: 5,
+        gridSpacing: 20,
+        gridHeight: REFERENCE_HEIGHT,
+        steps: 720,
+        tolerance: 0.25
+    };
+
+    let scan = null;        // { mode, observer, settings, events, configurations }, see run()
+    let chart = null;
+    let layerGroup = null;
+    let running = false;
+    let stopRequested = false;
+    let cancelToken = null; // viewshed sweeps of the running scan (HC_cancelViewshed)
+
+    function readNumber(id, fallback) {
+        const v = parseFloat($(id).val());
+        return isNaN(v) ? fallback : v;
+    }
+
+    function readSettings() {
+        const alignment = parseFloat($('#hs-alignment').val());
+        let gridSize = Math.max(3, Math.round(readNumber('#hs-grid-size', DEFAULTS.gridSize)));
+        if (gridSize % 2 === 0) gridSize++; // odd, so the marker is the centre cell
+        return {
+            mode: $('#hs-mode').val() === 'grid' ? 'grid' : 'heights',
+            heightMin: Math.max(0, readNumber('#hs-height-min', DEFAULTS.heightMin)),
+            heightMax: Math.max(0, readNumber('#hs-height-max', DEFAULTS.heightMax)),
+            heightStep: Math.max(0.1, Math.abs(readNumber('#hs-height-step', DEFAULTS.heightStep))),
+            gridSize: gridSize,
+            gridSpacing: Math.max(1, Math.abs(readNumber('#hs-grid-spacing', DEFAULTS.gridSpacing))),
+            gridHeight: Math.max(0, readNumber('#hs-grid-height', DEFAULTS.gridHeight)),
+            steps: Math.round(readNumber('#hs-steps', DEFAULTS.steps)),
+            alignment: isNaN(alignment) ? null : window.normalizeAzimuth(alignment),
+            tolerance: Math.max(0.001, Math.abs(readNumber('#hs-tolerance', DEFAULTS.tolerance)))
+        };
+    }
+
+    // Signed difference a - b, unwrapped across north
+    function azDiff(a, b) {
+        return ((a - b + 540) % 360) - 180;
+    }
+
+    function fmt(v, digits) {
+        return (v === null || v === undefined || isNaN(v)) ? '–' : v.toFixed(digits);
+    }
+
+    // -----------------------------------------------------------------
+    // Configurations
+    // -----------------------------------------------------------------
+    function buildConfigurations(settings, observer) {
+        const configurations = [];
+        if (settings.mode === 'heights') {
+            const lo = Math.min(settings.heightMin, settings.heightMax);
+            const hi = Math.max(settings.heightMin, settings.heightMax);
+            for (let h = lo; h <= hi + 1e-9; h += settings.heightStep) {
+                const height = Math.round(h * 100) / 100;
+                configurations.push({ label: `${height} m`, height: height, east: 0, north: 0, lat: observer.lat, lng: observer.lng });
+            }
+            return configurations;
+        }
+        const half = (settings.gridSize - 1) / 2;
+        for (let row = half; row >= -half; row--) {
+            for (let col = -half; col <= half; col++) {
+                const east = col * settings.gridSpacing;
+                const north = row * settings.gridSpacing;
+                const dist = Math.sqrt(east * east + north * north);
+                const p = dist > 0
+                    ? window.HorizonCore.destinationPoint(observer.lat, observer.lng, dist, Math.atan2(east, north) * 180 / Math.PI)
+                    : { lat: observer.lat, lng: observer.lng };
+                configurations.push({
+                    label: `${east >= 0 ? 'E' : 'W'}${Math.abs(east)} ${north >= 0 ? 'N' : 'S'}${Math.abs(north)} m`,
+                    height: settings.gridHeight, east: east, north: north, row: half - row, col: col + half,
+                    lat: p.lat, lng: p.lng
+                });
+            }
+        }
+        return configurations;
+    }
+
+    function referenceIndex(configurations, mode) {
+        if (mode === 'grid') {
+            return configurations.findIndex(c => c.east === 0 && c.north === 0);
+        }
+        let best = 0;
+        configurations.forEach((c, i) => {
+            if (Math.abs(c.height - REFERENCE_HEIGHT) < Math.abs(configurations[best].height - REFERENCE_HEIGHT)) best = i;
+        });
+        return best;
+    }
+
+    /**
+     * Events with a declination from the last rise/set run, as in rise-set-uncertainty.js.
+     */
+    function scanEvents(observerLat) {
+        return (window.HC_RISE_SET_EVENTS || []).map(e => ({
+            event: e,
+            declination: window[e.declination + '_geo'] !== undefined ? window[e.declination + '_geo'] : window[e.declination],
+            zeroHorizonAzimuth: window[e.azimuth + '_geo'] !== undefined ? window[e.azimuth + '_geo'] : window[e.azimuth],
+            lunarOptions: window.lunarSearchOptions(e.standstill, observerLat)
+        })).filter(e => !isNaN(e.declination) && !isNaN(e.zeroHorizonAzimuth));
+    }
+
+    async function evaluate(configuration, horizon, events) {
+        const conditions = window.Refraction.readConditions(horizon.eyeElevation);
+        const altitudeAt = window.HorizonCore.horizonAltitudeLookup(horizon.horizonData);
+        const results = {};
+        for (const e of events) {
+            const az = window.normalizeAzimuth(e.zeroHorizonAzimuth);
+            const r = await window.findActualAzimuthForTargetApparentAltitude(
+                horizon.horizonData, 'Center', `${e.event.key} scan ${configuration.label}`, configuration.lat, configuration.lng,
+                az >= 0 && az <= 180, e.declination, horizon.eyeElevation, e.event.lunar, e.event.crossQuarter,
+                Object.assign({ refractionConditions: conditions, altitudeAt: altitudeAt, quiet: true }, e.lunarOptions)
+            );
+            results[e.event.key] = (r && !isNaN(r.azimuth))
+                ? { azimuth: r.azimuth, altitude: altitudeAt(r.azimuth), lat: r.lat, lon: r.lon }
+                : null;
+        }
+        return results;
+    }
+
+    // Per event: shift from the reference configuration and offset from the alignment
+    function annotate() {
+        const ref = scan.configurations[scan.referenceIndex];
+        const alignment = scan.settings.alignment;
+        scan.configurations.forEach(c => {
+            if (!c.results) return;
+            Object.keys(c.results).forEach(key => {
+                const r = c.results[key];
+                if (!r) return;
+                const refResult = ref && ref.results ? ref.results[key] : null;
+                r.shift = refResult ? azDiff(r.azimuth, refResult.azimuth) : NaN;
+                r.offset = alignment === null ? NaN : azDiff(r.azimuth, alignment);
+                r.works = alignment === null ? null : Math.abs(r.offset) <= scan.settings.tolerance;
+            });
+        });
+    }
+
+    // -----------------------------------------------------------------
+    // Run
+    // -----------------------------------------------------------------
+    function setStatus(message, busy) {
+        $('#hs-status').html(busy ? `<i class="fa fa-spinner fa-spin"></i> ${message}` : message);
+    }
+
+    async function run() {
+        if (running) return;
+        if (typeof window.HC_computeObserverHorizon !== 'function' || !window.HorizonCore || !window.Refraction ||
+            typeof window.findActualAzimuthForTargetApparentAltitude !== 'function') {
+            alert('Horizon probe, refraction or rise/set search not loaded.');
+            return;
+        }
+        if (!window.HC_locationData) {
+            alert('Please run a Horizon Probe and Calculate Rise/Set Locations first; the scan uses their observer and declinations.');
+            return;
+        }
+        const observer = { lat: window.HC_locationData.latitude, lng: window.HC_locationData.longitude };
+        const settings = readSettings();
+        const events = scanEvents(observer.lat);
+        if (events.length === 0) {
+            alert('No rise/set declinations available. Please calculate rise/set locations first.');
+            return;
+        }
+        const configurations = buildConfigurations(settings, observer);
+        if (configurations.length > MAX_CONFIGURATIONS) {
+            alert(`The scan would compute ${configurations.length} horizons; please keep it to ${MAX_CONFIGURATIONS} or fewer.`);
+            return;
+        }
+
+        running = true;
+        stopRequested = false;
+        cancelToken = { cancelled: false };
+        $('#hs-btn-run').prop('disabled', true);
+        $('#hs-btn-stop').show();
+        scan = {
+            mode: settings.mode,
+            observer: observer,
+            settings: settings,
+            events: events.map(e => ({ key: e.event.key, name: e.event.name, color: e.event.color })),
+            configurations: configurations,
+            referenceIndex: referenceIndex(configurations, settings.mode)
+        };
+        let done = 0;
+        try {
+            for (const c of configurations) {
+                if (stopRequested) break;
+                setStatus(`Horizon ${done + 1}/${configurations.length} (${c.label})...`, true);
+                const horizon = await window.HC_computeObserverHorizon(L.latLng(c.lat, c.lng), c.height, settings.steps, cancelToken);
+                c.groundElevation = horizon.groundElevation;
+                c.eyeElevation = horizon.eyeElevation;
+                c.results = await evaluate(c, horizon, events);
+                done++;
+                annotate();
+                render();
+            }
+            setStatus(stopRequested
+                ? `Stopped after ${done}/${configurations.length} horizons.`
+                : `${done} horizons, ${events.length} events.`, false);
+        } catch (err) {
+            if (err && err.cancelled) {
+                setStatus(`Stopped after ${done}/${configurations.length} horizons.`, false);
+            } else {
+                console.error('Height/position scan failed:', err);
+                setStatus('', false);
+                if (window.displayMessage) {
+                    window.displayMessage('overallStatus', 'Height/position scan failed: ' + err.message, 'error');
+                } else {
+                    alert('Height/position scan failed: ' + err.message);
+                }
+            }
+        } finally {
+            running = false;
+            $('#hs-btn-run').prop('disabled', false);
+            $('#hs-btn-stop').hide();
+            annotate();
+            render();
+        }
+    }
+
+    function stop() {
+        stopRequested = true;
+        if (cancelToken && window.HC_cancelViewshed) window.HC_cancelViewshed(cancelToken);
+    }
+
+    // -----------------------------------------------------------------
+    // Display
+    // -----------------------------------------------------------------
+    function completed() {
+        return scan ? scan.configurations.filter(c => c.results) : [];
+    }
+
+    // With an alignment, only the events that come near it are worth plotting
+    function plottedEvents() {
+        if (scan.settings.alignment === null) return scan.events;
+        return scan.events.filter(e => completed().some(c => {
+            const r = c.results[e.key];
+            return r && Math.abs(r.offset) <= ALIGNMENT_WINDOW;
+        }));
+    }
+
+    function quantity(r, which) {
+        if (!r) return NaN;
+        if (which === 'altitude') return r.altitude;
+        return scan.settings.alignment === null ? r.shift : r.offset;
+    }
+
+    function quantityLabel(which) {
+        if (which === 'altitude') return 'Horizon altitude (°)';
+        return scan.settings.alignment === null
+            ? `Azimuth shift from ${scan.mode === 'grid' ? 'centre' : REFERENCE_HEIGHT + ' m'} (°)`
+            : `Azimuth offset from alignment ${scan.settings.alignment.toFixed(2)}° (°)`;
+    }
+
+    function renderChart() {
+        const canvas = document.getElementById('hc-heightScanChart');
+        if (chart) {
+            chart.destroy();
+            chart = null;
+        }
+        $('#hs-chart-container').toggle(!!scan && scan.mode === 'heights');
+        if (!scan || scan.mode !== 'heights' || !canvas || typeof Chart === 'undefined') return;
+        const which = $('#hs-quantity').val();
+        const rows = completed();
+        const datasets = plottedEvents().map(e => ({
+            label: e.name,
+            data: rows.map(c => ({ x: c.height, y: quantity(c.results[e.key], which) })).filter(p => !isNaN(p.y)),
+            borderColor: e.color,
+            backgroundColor: e.color,
+            borderWidth: 1.5,
+            pointRadius: 3,
+            fill: false
+        }));
+        if (which !== 'altitude' && scan.settings.alignment !== null && rows.length > 0) {
+            const xs = rows.map(c => c.height);
+            const band = y => [{ x: Math.min(...xs), y: y }, { x: Math.max(...xs), y: y }];
+            datasets.push({ label: `+${scan.settings.tolerance}°`, data: band(scan.settings.tolerance), borderColor: '#999999', borderDash: [4, 4], borderWidth: 1, pointRadius: 0, fill: false });
+            datasets.push({ label: `-${scan.settings.tolerance}°`, data: band(-scan.settings.tolerance), borderColor: '#999999', borderDash: [4, 4], borderWidth: 1, pointRadius: 0, fill: '-1', backgroundColor: 'rgba(46, 139, 87, 0.15)' });
+        }
+        chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { datasets: datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: { type: 'linear', title: { display: true, text: 'Eye height above ground (m)' } },
+                    y: { title: { display: true, text: quantityLabel(which) } }
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: ctx => `${ctx.dataset.label}: ${ctx.raw.y.toFixed(3)}° at ${ctx.raw.x} m`
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    // Green inside the tolerance, then paler with distance; without an alignment, shaded by |shift|
+    function cellColour(r, which) {
+        if (!r) return '#eeeeee';
+        if (which === 'altitude') return '#ffffff';
+        if (r.works === true) return '#b7e4c7';
+        const v = Math.abs(quantity(r, which));
+        const scale = scan.settings.alignment === null ? 1 : ALIGNMENT_WINDOW;
+        const t = Math.min(1, v / scale);
+        return `rgba(214, 39, 40, ${(0.1 + 0.5 * t).toFixed(2)})`;
+    }
+
+    function renderGrid() {
+        const container = $('#hs-grid').empty();
+        $('#hs-grid-event-group').toggle(!!scan && scan.mode === 'grid');
+        if (!scan || scan.mode !== 'grid') return;
+        const select = $('#hs-grid-event');
+        const selected = select.val();
+        select.empty();
+        scan.events.forEach(e => select.append($('<option>').val(e.key).text(e.name)));
+        if (selected && scan.events.some(e => e.key === selected)) select.val(selected);
+        const key = select.val();
+        const which = $('#hs-quantity').val();
+        const size = scan.settings.gridSize;
+        let html = `<table class="table table-condensed table-bordered" style="font-size: 11px; width: auto; text-align: center;">` +
+            `<thead><tr><th>N \\ E (m)</th>`;
+        for (let col = 0; col < size; col++) {
+            html += `<th>${(col - (size - 1) / 2) * scan.settings.gridSpacing}</th>`;
+        }
+        html += '</tr></thead><tbody>';
+        for (let row = 0; row < size; row++) {
+            html += `<tr><th>${((size - 1) / 2 - row) * scan.settings.gridSpacing}</th>`;
+            for (let col = 0; col < size; col++) {
+                const c = scan.configurations[row * size + col];
+                const r = c.results ? c.results[key] : null;
+                const title = r ? `${c.label}: Az ${r.azimuth.toFixed(3)}°, horizon ${fmt(r.altitude, 3)}°` : c.label;
+                html += `<td style="background: ${cellColour(r, which)}; min-width: 48px;" title="${title}">` +
+                    `${c.results ? fmt(quantity(r, which), 3) : ''}</td>`;
+            }
+            html += '</tr>';
+        }
+        html += '</tbody></table>' +
+            `<div class="small text-muted">${quantityLabel(which)}; top row is north, the centre cell is the marker.` +
+            (scan.settings.alignment !== null && which !== 'altitude' ? ` Green: within ±${scan.settings.tolerance}°.` : '') + '</div>';
+        container.html(html);
+    }
+
+    function renderSummary() {
+        if (!scan) {
+            $('#hs-summary').text('');
+            return;
+        }
+        const rows = completed();
+        if (scan.settings.alignment === null) {
+            $('#hs-summary').text(`${rows.length} of ${scan.configurations.length} horizons`);
+            return;
+        }
+        const working = scan.events.map(e => ({
+            name: e.key,
+            count: rows.filter(c => c.results[e.key] && c.results[e.key].works).length
+        })).filter(e => e.count > 0);
+        $('#hs-summary').text(working.length
+            ? `Within ±${scan.settings.tolerance}° of ${scan.settings.alignment.toFixed(2)}°: ` +
+              working.map(e => `${e.name} ${e.count}/${rows.length}`).join(', ')
+            : `No event within ±${scan.settings.tolerance}° of ${scan.settings.alignment.toFixed(2)}° in ${rows.length} horizons`);
+    }
+
+    function popupHtml(c) {
+        let html = `<b>Scan position ${c.label}</b><br>Eye ${fmt(c.height, 1)} m above ${fmt(c.groundElevation, 1)} m AMSL<br>` +
+            '<table style="font-size: 11px;"><tr><th>Event</th><th>Az°</th><th>Alt°</th><th>Δ°</th></tr>';
+        scan.events.forEach(e => {
+            const r = c.results[e.key];
+            if (!r) return;
+            html += `<tr><td>${e.key}</td><td>${r.azimuth.toFixed(2)}</td><td>${fmt(r.altitude, 2)}</td>` +
+                `<td>${fmt(scan.settings.alignment === null ? r.shift : r.offset, 3)}</td></tr>`;
+        });
+        return html + '</table>';
+    }
+
+    function removeLayerGroup() {
+        if (!layerGroup) return;
+        if (window.map && window.map.hasLayer(layerGroup)) {
+            window.map.removeLayer(layerGroup);
+        }
+        if (window.layersControl) {
+            window.layersControl.removeLayer(layerGroup);
+        }
+        // Redrawn on every event/quantity change, so drop it from the clear-all list too
+        const index = window.scriptCOverlayGroups ? window.scriptCOverlayGroups.indexOf(layerGroup) : -1;
+        if (index > -1) window.scriptCOverlayGroups.splice(index, 1);
+        layerGroup = null;
+    }
+
+    function drawMarkers() {
+        removeLayerGroup();
+        const mapInstance = window.map;
+        if (!mapInstance || !scan || scan.mode !== 'grid') return;
+        const key = $('#hs-grid-event').val();
+        const which = $('#hs-quantity').val();
+        layerGroup = L.layerGroup();
+        layerGroup.layerNameForControl = LAYER_NAME;
+        completed().forEach(c => {
+            const r = c.results[key];
+            const marker = L.circleMarker([c.lat, c.lng], {
+                radius: 6,
+                color: '#333333',
+                weight: 1,
+                fillColor: cellColour(r, which === 'altitude' ? 'azimuth' : which),
+                fillOpacity: 0.9
+            });
+            marker.bindPopup(popupHtml(c));
+            layerGroup.addLayer(marker);
+        });
+        mapInstance.addLayer(layerGroup);
+        if (window.layersControl) {
+            window.layersControl.addOverlay(layerGroup, LAYER_NAME);
+        }
+        if (!window.scriptCOverlayGroups) window.scriptCOverlayGroups = [];
+        window.scriptCOverlayGroups.push(layerGroup);
+    }
+
+    function render() {
+        renderSummary();
+        renderChart();
+        renderGrid();
+        drawMarkers();
+    }
+
+    function toggleModeOptions() {
+        const grid = $('#hs-mode').val() === 'grid';
+        $('#hs-heights-options').toggle(!grid);
+        $('#hs-grid-options').toggle(grid);
+    }
+
+    function toggle() {
+        if (!window.HC_profileData || window.HC_profileData.length === 0) {
+            alert('No horizon profile available. Please run a Horizon Probe first.');
+            return;
+        }
+        $('#row-height-scan').toggle();
+        toggleModeOptions();
+        render();
+    }
+
+    // -----------------------------------------------------------------
+    // CSV export
+    // -----------------------------------------------------------------
+    const quote = window.ExportUtils.csvQuote;
+
+    function exportCSV() {
+        const rows = completed();
+        if (rows.length === 0) {
+            alert('No scan results. Please run a scan first.');
+            return;
+        }
+        const num = (v, d) => (v === null || v === undefined || isNaN(v)) ? '' : v.toFixed(d);
+        let csv = ['Configuration', 'Eye height above ground (m)', 'East offset (m)', 'North offset (m)', 'Latitude', 'Longitude',
+            'Ground elevation (m)', 'Eye elevation (m)', 'Event', 'Azimuth (degrees)', 'Horizon altitude (degrees)',
+            'Shift from reference (degrees)', 'Offset from alignment (degrees)', 'Within tolerance'].map(quote).join(',') + '\n';
+        rows.forEach(c => {
+            scan.events.forEach(e => {
+                const r = c.results[e.key];
+                csv += [quote(c.label), num(c.height, 2), num(c.east, 1), num(c.north, 1), c.lat.toFixed(6), c.lng.toFixed(6),
+                    num(c.groundElevation, 1), num(c.eyeElevation, 1), quote(e.name),
+                    r ? r.azimuth.toFixed(3) : '', r ? num(r.altitude, 4) : '', r ? num(r.shift, 4) : '',
+                    r ? num(r.offset, 4) : '', r && r.works !== null ? (r.works ? 'yes' : 'no') : ''].join(',') + '\n';
+            });
+        });
+        window.ExportUtils.download(csv, `horizon-${scan.mode === 'grid' ? 'position' : 'height'}-scan.csv`);
+    }
+
+    window.HC_toggleHeightScan = toggle;
+    window.HC_runHeightScan = run;
+    window.HC_stopHeightScan = stop;
+    window.HC_exportHeightScanCSV = exportCSV;
+
+    $(document).ready(function() {
+        $('#hs-mode').on('change', toggleModeOptions);
+        $('#hs-quantity, #hs-grid-event').on('change', function() {
+            if (scan) render();
+        });
+        $('#hs-alignment, #hs-tolerance').on('change', function() {
+            if (!scan || running) return;
+            const current = readSettings();
+            scan.settings.alignment = current.alignment;
+            scan.settings.tolerance = current.tolerance;
+            annotate();
+            render();
+        });
+    });
+})();
@@ -429,6 +429,9 @@
                 ctx.fillStyle = '#87CEEB';
                 ctx.fillRect(0, 0, w, h);
                 
+                // Aligned site photograph behind the silhouette (horizon-photo.js)
+                const photoAlpha = window.HC_drawPanoramaPhoto ? window.HC_drawPanoramaPhoto(ctx, w, h, 0, 360, horizonY, pxPerDegY) : null;
+                
                 // Calculate ground bottom (10 degrees below horizon)
                 const groundBottom = horizonY + (10 * pxPerDegY);
                 
@@ -461,7 +464,17 @@
                 ctx.lineTo(0, groundBottom);
                 ctx.closePath();
                 ctx.fillStyle = grad;
-                ctx.fill();
+                if (photoAlpha !== null) {
+                    ctx.save();
+                    ctx.globalAlpha = photoAlpha;
+                    ctx.fill();
+                    ctx.restore();
+                    ctx.strokeStyle = '#FFD700';
+                    ctx.lineWidth = 1.5;
+                    ctx.stroke();
+                } else {
+                    ctx.fill();
+                }
             }
             
             // Draw overlays (rise/set locations and labels)
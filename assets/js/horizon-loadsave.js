@@ -25,6 +25,45 @@ console.log('[horizon-loadsave.js] Script starting to load...');
             return;
         }
 
+        const geoJson = window.HC_buildRiseSetGeoJSON();
+        const features = geoJson.features;
+
+        if (features.length === 0) {
+            // Display message in appropriate status area (NOT as browser alert)
+            if (typeof window.displayMessage === 'function') {
+                window.displayMessage('overallStatus', 'No rise/set location markers or viewshed horizon found to save.', 'warn');
+            } else {
+                console.warn('No rise/set location markers or viewshed horizon found to save.');
+            }
+            return;
+        }
+        
+        // Count markers and polygons for logging
+        const markerCount = features.filter(f => f.properties.featureType === 'marker').length;
+        const polygonCount = features.filter(f => f.properties.featureType === 'polygon').length;
+        
+        // Convert to JSON string with formatting
+        const jsonString = JSON.stringify(geoJson, null, 2);
+        
+        // Create blob and download
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rise-set-locations-${new Date().toISOString().split('T')[0]}.geojson`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`Exported ${markerCount} rise/set location(s) and ${polygonCount} viewshed horizon polygon(s) to GeoJSON.`);
+    };
+
+    /**
+     * Rise/set markers, viewshed horizon and uncertainty envelopes of the current
+     * analysis as a GeoJSON FeatureCollection (also written per site by horizon-batch.js)
+     */
+    window.HC_buildRiseSetGeoJSON = function() {
         const features = [];
         
         // Add calculation point (observer location) if available
@@ -41,7 +80,8 @@ console.log('[horizon-loadsave.js] Script starting to load...');
                 properties: {
                     name: 'Calculation Point (Observer Location)',
                     elevation: observerHeight,
-                    featureType: 'observer'
+                    featureType: 'observer',
+                    dem: window.HC_cachedParams.dem || null // DEM source the horizon was computed from
                 }
             };
             features.push(observerFeature);
@@ -85,13 +125,17 @@ console.log('[horizon-loadsave.js] Script starting to load...');
         }
         
         // Iterate through all layer groups
-        window.scriptCOverlayGroups.forEach(layerGroup => {
+        (window.scriptCOverlayGroups || []).forEach(layerGroup => {
             if (!layerGroup || !layerGroup.eachLayer) return;
             
             // Skip "0 Horizon Intersections" layer group - Orthodrome Intersection markers should not be saved
             if (layerGroup.layerNameForControl === "0 Horizon Intersections") {
                 return;
             }
+            // Uncertainty wedges are written from their results below, with the statistics attached
+            if (layerGroup.layerNameForControl === window.HC_RISE_SET_UNCERTAINTY_LAYER) {
+                return;
+            }
             
             layerGroup.eachLayer(function(layer) {
                 // Check if this is a Polyline (rise/set viewshed polylines)
@@ -235,41 +279,46 @@ console.log('[horizon-loadsave.js] Script starting to load...');
             });
         });
         
-        if (features.length === 0) {
-            // Display message in appropriate status area (NOT as browser alert)
-            if (typeof window.displayMessage === 'function') {
-                window.displayMessage('overallStatus', 'No rise/set location markers or viewshed horizon found to save.', 'warn');
-            } else {
-                console.warn('No rise/set location markers or viewshed horizon found to save.');
-            }
-            return;
+        // Add Monte-Carlo uncertainty envelopes (rise-set-uncertainty.js) if they were calculated
+        if (window.HC_riseSetUncertainty && window.HC_riseSetUncertainty.layerGroup) {
+            const uncertainty = window.HC_riseSetUncertainty;
+            uncertainty.layerGroup.eachLayer(function(layer) {
+                const r = layer.uncertaintyResult;
+                if (!r) return;
+                const ring = layer.getLatLngs()[0].map(ll => [ll.lng, ll.lat]);
+                ring.push([ring[0][0], ring[0][1]]);
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Polygon',
+                        coordinates: [ring]
+                    },
+                    properties: {
+                        name: `${r.name} uncertainty`,
+                        event: r.key,
+                        nominalAzimuth: r.nominalAzimuth,
+                        meanAzimuth: r.meanAzimuth,
+                        sd: r.sd,
+                        ci95: r.ci95,
+                        trials: r.trials,
+                        failed: r.failed,
+                        settings: uncertainty.settings,
+                        lineColor: layer.options.color,
+                        fillColor: layer.options.fillColor,
+                        fillOpacity: layer.options.fillOpacity,
+                        weight: layer.options.weight,
+                        opacity: layer.options.opacity,
+                        layerGroup: window.HC_RISE_SET_UNCERTAINTY_LAYER,
+                        featureType: 'uncertainty'
+                    }
+                });
+            });
         }
-        
-        // Count markers and polygons for logging
-        const markerCount = features.filter(f => f.properties.featureType === 'marker').length;
-        const polygonCount = features.filter(f => f.properties.featureType === 'polygon').length;
-        
-        // Create GeoJSON FeatureCollection
-        const geoJson = {
+
+        return {
             type: 'FeatureCollection',
             features: features
         };
-        
-        // Convert to JSON string with formatting
-        const jsonString = JSON.stringify(geoJson, null, 2);
-        
-        // Create blob and download
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `rise-set-locations-${new Date().toISOString().split('T')[0]}.geojson`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        
-        console.log(`Exported ${markerCount} rise/set location(s) and ${polygonCount} viewshed horizon polygon(s) to GeoJSON.`);
     };
     
     /**
@@ -395,7 +444,10 @@ console.log('[horizon-loadsave.js] Script starting to load...');
                     });
                     
                     const elevation = props.elevation !== undefined ? props.elevation.toFixed(1) : 'N/A';
-                    const popupContent = `<b>${props.name || 'Calculation Point'}</b><br>Lat: ${coords[1].toFixed(6)}<br>Lon: ${coords[0].toFixed(6)}<br>Elevation: ${elevation}m`;
+                    let popupContent = `<b>${props.name || 'Calculation Point'}</b><br>Lat: ${coords[1].toFixed(6)}<br>Lon: ${coords[0].toFixed(6)}<br>Elevation: ${elevation}m`;
+                    if (props.dem && props.dem.name) {
+                        popupContent += `<br>DEM: ${props.dem.name}`;
+                    }
                     observerMarker.bindPopup(popupContent);
                     
                     // Create a special layer group for observer if it doesn't exist
@@ -521,6 +573,20 @@ console.log('[horizon-loadsave.js] Script starting to load...');
                     opacity: props.opacity !== undefined ? props.opacity : 0.7,
                     smoothFactor: 1
                 });
+
+                // Uncertainty wedge: restore its statistics popup
+                if (props.featureType === 'uncertainty' && typeof window.HC_riseSetUncertaintyPopup === 'function' && props.meanAzimuth !== null) {
+                    polygon.bindPopup(window.HC_riseSetUncertaintyPopup({
+                        key: props.event,
+                        name: (props.name || '').replace(/ uncertainty$/, ''),
+                        nominalAzimuth: props.nominalAzimuth,
+                        meanAzimuth: props.meanAzimuth,
+                        sd: props.sd,
+                        ci95: props.ci95,
+                        trials: props.trials,
+                        failed: props.failed
+                    }, props.settings));
+                }
                 
                 // Add polygon to layer group
                 layerGroup.addLayer(polygon);
@@ -544,6 +610,9 @@ console.log('[horizon-loadsave.js] Script starting to load...');
         }
     }
 
+    // Also called when a project is reopened (project-workspace.js)
+    window.HC_restoreRiseSetGeoJSON = restoreRiseSetLocations;
+
     console.log('[horizon-loadsave.js] IIFE completed. Functions defined:');
     console.log('  - window.saveRiseSetLocations:', typeof window.saveRiseSetLocations);
     console.log('  - window.handleRiseSetFileSelect:', typeof window.handleRiseSetFileSelect);
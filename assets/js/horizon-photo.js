@@ -0,0 +1,549 @@
+// =================================================================
+// HORIZON PHOTO COMPOSITING – site panoramas behind the silhouette
+// =================================================================
+// Draws a calibrated panoramic photograph (equirectangular or cylindrical) behind the
+// silhouette panorama so the computed horizon (HC_profileData) can be checked against
+// the real one. The photo is placed by azimuth offset, vertical offset, vertical scale
+// and roll, set in the controls, by dragging it on the panorama, or fitted by least
+// squares to pairs of matching peaks clicked on the photo and on the silhouette.
+// The aligned composite is drawn by HC_exportPanoramaImage and can be exported as a
+// Stellarium spherical or fisheye landscape (HC_exportSampledStellariumLandscape).
+//
+// Image angles: column u of a W px image spans hfov degrees from its left edge.
+// Equirectangular rows are linear in altitude at the same scale; cylindrical rows
+// follow tan(altitude) with the focal length W / hfov (in radians).
+// World: az = azImg + azOffset
+//        alt = vScale * altImg + altOffset + roll * sin(azImg - hfov / 2)
+// i.e. roll is the tilt of the camera about its view axis at the image centre.
+
+(function() {
+    'use strict';
+
+    const DEG = Math.PI / 180;
+    const CANVAS_ID = 'hc-panoCanvas';
+    const FISHEYE_FOV = 200;      // Stellarium fisheye texture: down to -10° at the rim
+    const SAMPLE_MAX_WIDTH = 4096; // photo resolution used for the Stellarium texture
+    const GROUND_RGBA = [85, 107, 47, 255];
+    const PEAK_SNAP_PX = 6;
+
+    let photo = null; // { img, name, width, height, pixels: ImageData|null }
+    const params = {
+        projection: 'equirectangular',
+        hfov: 360,
+        azOffset: 0,
+        altOffset: 0,
+        vScale: 1,
+        roll: 0,
+        opacity: 0.35
+    };
+
+    let mode = null;      // null | 'drag' | 'match'
+    let view = null;      // last silhouette view: { w, h, startAz, fov, horizonY, pxPerDegY }
+    let matches = [];     // [{ u, v, az, alt }] – image pixel and horizon azimuth/altitude
+    let pendingMatch = null;
+    let renderQueued = false;
+
+    function normAz(az) {
+        return ((az % 360) + 360) % 360;
+    }
+
+    function rerender() {
+        if (renderQueued) return;
+        renderQueued = true;
+        requestAnimationFrame(() => {
+            renderQueued = false;
+            if (window.HC_renderPanorama) window.HC_renderPanorama();
+        });
+    }
+
+    function setStatus(msg) {
+        $('#photo-status').text(msg);
+    }
+
+    // -----------------------------------------------------------------
+    // Projection
+    // -----------------------------------------------------------------
+    function focalPx() {
+        return photo.width / (params.hfov * DEG);
+    }
+
+    /** Image-frame azimuth/altitude (degrees) of pixel (u, v). */
+    function imageAngles(u, v) {
+        const azImg = u / photo.width * params.hfov;
+        const dy = photo.height / 2 - v;
+        const altImg = params.projection === 'cylindrical'
+            ? Math.atan(dy / focalPx()) / DEG
+            : dy * params.hfov / photo.width;
+        return { azImg: azImg, altImg: altImg };
+    }
+
+    /** Row of the image at an image-frame altitude. */
+    function imageRow(altImg) {
+        if (params.projection === 'cylindrical') {
+            if (Math.abs(altImg) >= 89) return NaN;
+            return photo.height / 2 - focalPx() * Math.tan(altImg * DEG);
+        }
+        return photo.height / 2 - altImg * photo.width / params.hfov;
+    }
+
+    function rollTerm(azImg) {
+        return params.roll * Math.sin((azImg - params.hfov / 2) * DEG);
+    }
+
+    function imageToWorld(u, v) {
+        const a = imageAngles(u, v);
+        return {
+            az: normAz(a.azImg + params.azOffset),
+            alt: params.vScale * a.altImg + params.altOffset + rollTerm(a.azImg)
+        };
+    }
+
+    /** Image pixel showing a world azimuth/altitude, or null outside the photo. */
+    function worldToImage(az, alt) {
+        const azImg = normAz(az - params.azOffset);
+        if (azImg >= params.hfov) return null;
+        const altImg = (alt - params.altOffset - rollTerm(azImg)) / params.vScale;
+        const v = imageRow(altImg);
+        if (isNaN(v) || v < 0 || v >= photo.height) return null;
+        return { u: azImg / params.hfov * photo.width, v: v };
+    }
+
+    // -----------------------------------------------------------------
+    // Drawing
+    // -----------------------------------------------------------------
+    /**
+     * Draw the aligned photo into a panorama view (display canvas or 360° export).
+     * @returns {?number} Opacity for the silhouette ground, or null when no photo is drawn.
+     */
+    function drawPhoto(ctx, w, h, startAzimuth, fov, horizonY, pxPerDegY) {
+        if (ctx.canvas && ctx.canvas.id === CANVAS_ID) {
+            view = { w: w, h: h, startAz: startAzimuth, fov: fov, horizonY: horizonY, pxPerDegY: pxPerDegY };
+        }
+        if (!photo) return null;
+
+        const strip = 2;
+        const srcPerStrip = strip / w * fov / params.hfov * photo.width;
+        const rows = params.projection === 'cylindrical' ? 8 : 1;
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        for (let x = 0; x < w; x += strip) {
+            const azImg = normAz(startAzimuth + (x / w) * fov - params.azOffset);
+            if (azImg >= params.hfov) continue;
+            const u = azImg / params.hfov * photo.width;
+            const sw = Math.max(1, Math.min(srcPerStrip, photo.width - u));
+            const shift = params.altOffset + rollTerm(azImg);
+            for (let r = 0; r < rows; r++) {
+                const v0 = r * photo.height / rows;
+                const v1 = (r + 1) * photo.height / rows;
+                const y0 = horizonY - (params.vScale * imageAngles(u, v0).altImg + shift) * pxPerDegY;
+                const y1 = horizonY - (params.vScale * imageAngles(u, v1).altImg + shift) * pxPerDegY;
+                if (y1 < 0 || y0 > h) continue;
+                ctx.drawImage(photo.img, u, v0, sw, v1 - v0, x, y0, strip, y1 - y0);
+            }
+        }
+        ctx.restore();
+        return params.opacity;
+    }
+
+    function drawMatches(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY) {
+        if (!photo || !ctx.canvas || ctx.canvas.id !== CANVAS_ID) return;
+        const points = matches.slice();
+        if (pendingMatch) points.push(pendingMatch);
+        if (points.length === 0) return;
+
+        const screenX = az => {
+            let diff = az - currentBearing;
+            if (diff < -180) diff += 360;
+            if (diff > 180) diff -= 360;
+            return Math.abs(diff) <= fov / 2 ? w / 2 + diff * pxPerDegX : null;
+        };
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        points.forEach((m, i) => {
+            const p = imageToWorld(m.u, m.v);
+            const px = screenX(p.az);
+            const py = horizonY - p.alt * pxPerDegY;
+            if (px !== null) {
+                ctx.strokeStyle = '#ff00ff';
+                ctx.strokeRect(px - 4, py - 4, 8, 8);
+            }
+            if (m.az === undefined) return;
+            const hx = screenX(m.az);
+            const hy = horizonY - m.alt * pxPerDegY;
+            if (hx === null) return;
+            ctx.strokeStyle = '#FFD700';
+            ctx.beginPath();
+            ctx.arc(hx, hy, 4, 0, 2 * Math.PI);
+            ctx.stroke();
+            if (px !== null) {
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.moveTo(px, py);
+                ctx.lineTo(hx, hy);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            ctx.fillStyle = '#fff';
+            ctx.font = '10px Arial';
+            ctx.fillText(String(i + 1), hx + 6, hy - 6);
+        });
+        ctx.restore();
+    }
+
+    // -----------------------------------------------------------------
+    // Profile lookup
+    // -----------------------------------------------------------------
+    function profileAltitude(az) {
+        const data = window.HC_profileData;
+        if (!data || data.length === 0) return NaN;
+        const res = 360 / data.length;
+        const f = normAz(az) / res;
+        const i0 = Math.floor(f) % data.length;
+        const i1 = (i0 + 1) % data.length;
+        const a = data[i0] ? data[i0].y : NaN;
+        const b = data[i1] ? data[i1].y : NaN;
+        if (isNaN(a)) return b;
+        if (isNaN(b)) return a;
+        return a + (b - a) * (f - Math.floor(f));
+    }
+
+    /** Highest profile point within a few pixels of the clicked azimuth. */
+    function snapToPeak(az) {
+        const span = PEAK_SNAP_PX * view.fov / view.w;
+        let best = { az: az, alt: profileAltitude(az) };
+        for (let d = -span; d <= span; d += span / PEAK_SNAP_PX) {
+            const alt = profileAltitude(az + d);
+            if (!isNaN(alt) && (isNaN(best.alt) || alt > best.alt)) best = { az: normAz(az + d), alt: alt };
+        }
+        return best;
+    }
+
+    // -----------------------------------------------------------------
+    // Fitting
+    // -----------------------------------------------------------------
+    /** Gaussian elimination with partial pivoting; null if singular. */
+    function solve(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => row.concat([b[i]]));
+        for (let c = 0; c < n; c++) {
+            let p = c;
+            for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+            if (Math.abs(M[p][c]) < 1e-9) return null;
+            [M[c], M[p]] = [M[p], M[c]];
+            for (let r = c + 1; r < n; r++) {
+                const k = M[r][c] / M[c][c];
+                for (let j = c; j <= n; j++) M[r][j] -= k * M[c][j];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = M[r][n];
+            for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+            x[r] = sum / M[r][r];
+        }
+        return x;
+    }
+
+    /** Least-squares fit of the columns of X (rows of regressors) to y. */
+    function leastSquares(X, y) {
+        const k = X[0].length;
+        const A = [];
+        const b = [];
+        for (let i = 0; i < k; i++) {
+            A.push(new Array(k).fill(0));
+            b.push(0);
+            for (let r = 0; r < X.length; r++) {
+                b[i] += X[r][i] * y[r];
+                for (let j = 0; j < k; j++) A[i][j] += X[r][i] * X[r][j];
+            }
+        }
+        return solve(A, b);
+    }
+
+    /**
+     * Fit the alignment to the matched peaks: azimuth offset as the circular mean of the
+     * azimuth differences, then vertical offset, roll (2+ pairs) and vertical scale
+     * (3+ pairs) by least squares. Falls back to fewer terms when the peaks are degenerate.
+     */
+    function fitAlignment() {
+        if (matches.length === 0) return;
+        const img = matches.map(m => imageAngles(m.u, m.v));
+
+        let sx = 0, sy = 0;
+        matches.forEach((m, i) => {
+            const d = (m.az - img[i].azImg) * DEG;
+            sx += Math.cos(d);
+            sy += Math.sin(d);
+        });
+        params.azOffset = normAz(Math.atan2(sy, sx) / DEG);
+
+        const s = img.map(a => Math.sin((a.azImg - params.hfov / 2) * DEG));
+        const alt = matches.map(m => m.alt);
+        let fitted = false;
+        if (matches.length >= 3) {
+            const x = leastSquares(img.map((a, i) => [a.altImg, 1, s[i]]), alt);
+            if (x && x[0] > 0) {
+                params.vScale = x[0];
+                params.altOffset = x[1];
+                params.roll = x[2];
+                fitted = true;
+            }
+        }
+        if (!fitted && matches.length >= 2) {
+            const y = alt.map((v, i) => v - params.vScale * img[i].altImg);
+            const x = leastSquares(s.map(si => [1, si]), y);
+            if (x) {
+                params.altOffset = x[0];
+                params.roll = x[1];
+                fitted = true;
+            }
+        }
+        if (!fitted) {
+            params.altOffset = alt.reduce((sum, v, i) => sum + v - params.vScale * img[i].altImg - rollTerm(img[i].azImg), 0) / matches.length;
+        }
+
+        let sq = 0;
+        matches.forEach(m => {
+            const p = imageToWorld(m.u, m.v);
+            let dAz = p.az - m.az;
+            if (dAz > 180) dAz -= 360;
+            if (dAz < -180) dAz += 360;
+            sq += dAz * dAz + (p.alt - m.alt) * (p.alt - m.alt);
+        });
+        writeControls();
+        setStatus(`${matches.length} matched peak${matches.length === 1 ? '' : 's'}, RMS residual ${Math.sqrt(sq / matches.length).toFixed(3)}°`);
+        rerender();
+    }
+
+    // -----------------------------------------------------------------
+    // Canvas interaction (capture phase, ahead of the panorama panning)
+    // -----------------------------------------------------------------
+    function canvasPoint(e) {
+        const canvas = document.getElementById(CANVAS_ID);
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * canvas.width / rect.width,
+            y: (e.clientY - rect.top) * canvas.height / rect.height
+        };
+    }
+
+    function onMouseDown(e) {
+        if (!mode || !photo || !view || e.target.id !== CANVAS_ID) return;
+        e.stopPropagation();
+        e.preventDefault();
+        const pt = canvasPoint(e);
+
+        if (mode === 'drag') {
+            const start = { x: e.clientX, y: e.clientY, az: params.azOffset, alt: params.altOffset };
+            const move = ev => {
+                params.azOffset = normAz(start.az + (ev.clientX - start.x) * view.fov / view.w);
+                params.altOffset = start.alt - (ev.clientY - start.y) / view.pxPerDegY;
+                writeControls();
+                rerender();
+            };
+            const up = () => {
+                window.removeEventListener('mousemove', move);
+                window.removeEventListener('mouseup', up);
+            };
+            window.addEventListener('mousemove', move);
+            window.addEventListener('mouseup', up);
+            return;
+        }
+
+        const az = normAz(view.startAz + pt.x / view.w * view.fov);
+        if (!pendingMatch) {
+            const alt = (view.horizonY - pt.y) / view.pxPerDegY;
+            const uv = worldToImage(az, alt);
+            if (!uv) {
+                setStatus('Click on the photograph first.');
+                return;
+            }
+            pendingMatch = { u: uv.u, v: uv.v };
+            setStatus(`Peak ${matches.length + 1}: now click the same peak on the computed horizon.`);
+        } else {
+            const peak = snapToPeak(az);
+            if (isNaN(peak.alt)) {
+                setStatus('No computed horizon at that azimuth.');
+                return;
+            }
+            pendingMatch.az = peak.az;
+            pendingMatch.alt = peak.alt;
+            matches.push(pendingMatch);
+            pendingMatch = null;
+            fitAlignment();
+            return;
+        }
+        rerender();
+    }
+
+    function setMode(newMode) {
+        mode = mode === newMode ? null : newMode;
+        pendingMatch = null;
+        $('#btn-photo-drag').toggleClass('active', mode === 'drag');
+        $('#btn-photo-match').toggleClass('active', mode === 'match');
+        $('#' + CANVAS_ID).css('cursor', mode === 'drag' ? 'move' : (mode === 'match' ? 'crosshair' : ''));
+        if (mode === 'match') setStatus(`Peak ${matches.length + 1}: click a peak on the photograph.`);
+        else if (mode === 'drag') setStatus('Drag the photograph to align it with the computed horizon.');
+        else setStatus(photo ? photo.name : '');
+        rerender();
+    }
+
+    // -----------------------------------------------------------------
+    // Controls
+    // -----------------------------------------------------------------
+    function writeControls() {
+        $('#photo-projection').val(params.projection);
+        $('#photo-hfov').val(+params.hfov.toFixed(2));
+        $('#photo-az-offset').val(+params.azOffset.toFixed(3));
+        $('#photo-alt-offset').val(+params.altOffset.toFixed(3));
+        $('#photo-vscale').val(+params.vScale.toFixed(4));
+        $('#photo-roll').val(+params.roll.toFixed(3));
+        $('#photo-opacity').val(params.opacity);
+    }
+
+    function readControls() {
+        const num = (id, fallback) => {
+            const v = parseFloat($(id).val());
+            return isNaN(v) ? fallback : v;
+        };
+        params.projection = $('#photo-projection').val() || 'equirectangular';
+        params.hfov = Math.min(360, Math.max(1, num('#photo-hfov', params.hfov)));
+        params.azOffset = normAz(num('#photo-az-offset', params.azOffset));
+        params.altOffset = num('#photo-alt-offset', params.altOffset);
+        const vScale = num('#photo-vscale', params.vScale);
+        params.vScale = vScale > 0 ? vScale : params.vScale;
+        params.roll = num('#photo-roll', params.roll);
+        params.opacity = num('#photo-opacity', params.opacity);
+        rerender();
+    }
+
+    function handleFileSelect(event) {
+        const input = event.target;
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) return;
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = function() {
+            if (photo) URL.revokeObjectURL(photo.img.src);
+            photo = { img: img, name: file.name, width: img.naturalWidth, height: img.naturalHeight, pixels: null };
+            matches = [];
+            pendingMatch = null;
+            // A 2:1 image is taken to be a full equirectangular panorama
+            if (Math.abs(photo.width / photo.height - 2) < 0.02) {
+                params.projection = 'equirectangular';
+                params.hfov = 360;
+            }
+            writeControls();
+            $('#photo-controls').show();
+            setStatus(`${file.name} (${photo.width}×${photo.height})`);
+            if (window.displayMessage) window.displayMessage('overallStatus', `Panorama photo loaded: ${file.name}`, 'success');
+            rerender();
+        };
+        img.onerror = function() {
+            URL.revokeObjectURL(url);
+            alert('Could not read the image file: ' + file.name);
+        };
+        img.src = url;
+    }
+
+    function removePhoto() {
+        if (photo) URL.revokeObjectURL(photo.img.src);
+        photo = null;
+        matches = [];
+        pendingMatch = null;
+        mode = null;
+        $('#btn-photo-drag, #btn-photo-match').removeClass('active');
+        $('#' + CANVAS_ID).css('cursor', '');
+        $('#photo-controls').hide();
+        setStatus('');
+        rerender();
+    }
+
+    function clearMatches() {
+        matches = [];
+        pendingMatch = null;
+        setStatus(mode === 'match' ? 'Peak 1: click a peak on the photograph.' : (photo ? photo.name : ''));
+        rerender();
+    }
+
+    // -----------------------------------------------------------------
+    // Stellarium landscape
+    // -----------------------------------------------------------------
+    function photoPixels() {
+        if (photo.pixels) return photo.pixels;
+        const scale = Math.min(1, SAMPLE_MAX_WIDTH / photo.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(photo.width * scale);
+        canvas.height = Math.round(photo.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(photo.img, 0, 0, canvas.width, canvas.height);
+        photo.pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        return photo.pixels;
+    }
+
+    /** Photo colour below the computed horizon, transparent sky above it. */
+    function landscapeSample(pixels) {
+        const sx = pixels.width / photo.width;
+        const sy = pixels.height / photo.height;
+        return function(az, alt) {
+            const horizonAlt = profileAltitude(az);
+            if (alt > (isNaN(horizonAlt) ? 0 : horizonAlt)) return null;
+            const uv = worldToImage(az, alt);
+            if (!uv) return GROUND_RGBA;
+            const x = Math.min(pixels.width - 1, Math.floor(uv.u * sx));
+            const y = Math.min(pixels.height - 1, Math.floor(uv.v * sy));
+            const i = (y * pixels.width + x) * 4;
+            return [pixels.data[i], pixels.data[i + 1], pixels.data[i + 2], 255];
+        };
+    }
+
+    function openStellariumExport() {
+        if (!photo) {
+            alert('Load a panorama photo first.');
+            return;
+        }
+        if (!window.HC_profileData || window.HC_profileData.length === 0) {
+            alert('Run a horizon probe first.');
+            return;
+        }
+        window.HC_openStellariumExportModal('photo');
+    }
+
+    function runStellariumExport() {
+        if (!photo) return;
+        const type = $('#photo-stellarium-type').val() === 'fisheye' ? 'fisheye' : 'spherical';
+        const meta = window.HC_getStellariumExportMeta();
+        if (window.HC_updateStatus) window.HC_updateStatus('Rendering Stellarium landscape from the photo...');
+        let pixels;
+        try {
+            pixels = photoPixels();
+        } catch (e) {
+            console.error('Photo pixels unavailable:', e);
+            alert('Could not read the photo pixels: ' + e.message);
+            return;
+        }
+        window.HC_exportSampledStellariumLandscape(landscapeSample(pixels), meta, type, FISHEYE_FOV, window.HC_gazetteerPoints)
+            .then(() => {
+                if (window.HC_updateStatus) window.HC_updateStatus('Stellarium landscape exported.');
+            });
+    }
+
+    window.HC_drawPanoramaPhoto = drawPhoto;
+    window.HC_drawPhotoMatches = drawMatches;
+    window.HC_handlePanoramaPhotoSelect = handleFileSelect;
+    window.HC_removePanoramaPhoto = removePhoto;
+    window.HC_clearPhotoMatches = clearMatches;
+    window.HC_togglePhotoDragAlign = () => setMode('drag');
+    window.HC_togglePhotoMatchPeaks = () => setMode('match');
+    window.HC_openPhotoStellariumExport = openStellariumExport;
+    window.HC_runPhotoStellariumExport = runStellariumExport;
+
+    $(document).ready(function() {
+        const canvas = document.getElementById(CANVAS_ID);
+        if (canvas && canvas.parentElement) {
+            canvas.parentElement.addEventListener('mousedown', onMouseDown, true);
+        }
+        $('#photo-controls').on('input change', 'input, select', readControls);
+    });
+})();
@@ -11,17 +11,12 @@ console.log('[horizon-profile-save.js] Script starting to load...');
     console.log('[horizon-profile-save.js] IIFE executing...');
     
     /**
-     * Exports horizon profile to GeoJSON format
+     * Builds the horizon profile GeoJSON without downloading it
+     * (also used by the project workspace, project-workspace.js)
+     * @returns {Object|null} FeatureCollection, or null if there is no profile
      */
-    window.saveHorizonProfile = function() {
-        if (!window.HC_profileData || window.HC_profileData.length === 0) {
-            if (typeof window.displayMessage === 'function') {
-                window.displayMessage('overallStatus', 'No horizon profile to save. Please run horizon probe first.', 'warn');
-            } else {
-                console.warn('No horizon profile to save. Please run horizon probe first.');
-            }
-            return;
-        }
+    window.HC_buildHorizonProfileGeoJSON = function() {
+        if (!window.HC_profileData || window.HC_profileData.length === 0) return null;
 
         const features = [];
         
@@ -36,7 +31,8 @@ console.log('[horizon-profile-save.js] Script starting to load...');
                 properties: {
                     name: 'Calculation Point (Observer Location)',
                     elevation: window.HC_cachedParams.height || 0,
-                    featureType: 'observer'
+                    featureType: 'observer',
+                    dem: window.HC_cachedParams.dem || null // DEM source the profile was computed from
                 }
             });
         }
@@ -95,11 +91,25 @@ console.log('[horizon-profile-save.js] Script starting to load...');
             }
         });
         
-        // Create GeoJSON and download
-        const geoJson = {
+        return {
             type: 'FeatureCollection',
             features: features
         };
+    };
+
+    /**
+     * Exports horizon profile to GeoJSON format
+     */
+    window.saveHorizonProfile = function() {
+        const geoJson = window.HC_buildHorizonProfileGeoJSON();
+        if (!geoJson) {
+            if (typeof window.displayMessage === 'function') {
+                window.displayMessage('overallStatus', 'No horizon profile to save. Please run horizon probe first.', 'warn');
+            } else {
+                console.warn('No horizon profile to save. Please run horizon probe first.');
+            }
+            return;
+        }
         
         const jsonString = JSON.stringify(geoJson, null, 2);
         const blob = new Blob([jsonString], { type: 'application/json' });
@@ -151,6 +161,23 @@ console.log('[horizon-profile-save.js] Script starting to load...');
         event.target.value = '';
     };
     
+    /**
+     * Reads the profile points of a saved horizon GeoJSON without loading it
+     * (also used for overlay profiles in horizon-compare.js)
+     * @returns {Array|null} [{x, y, latlng}] or null if the file holds no profile
+     */
+    window.HC_readSavedProfilePoints = function(geoJson) {
+        if (!geoJson || !Array.isArray(geoJson.features)) return null;
+        const profileDataFeature = geoJson.features.find(feature =>
+            feature.properties && feature.properties.featureType === 'profileData');
+        if (!profileDataFeature || !profileDataFeature.properties.profilePoints) return null;
+        return profileDataFeature.properties.profilePoints.map(pt => ({
+            x: pt.x || 0,
+            y: pt.y || 0,
+            latlng: (pt.lat !== null && pt.lng !== null) ? L.latLng(pt.lat, pt.lng) : null
+        }));
+    };
+
     /**
      * Restores horizon profile from GeoJSON and populates horizon results
      * CRITICAL: This must match HC_executeAnalysis flow exactly
@@ -183,22 +210,21 @@ console.log('[horizon-profile-save.js] Script starting to load...');
         window.HC_horizonData = null;
         window.HC_locationData = null;
         
-        // Find profile data feature
-        let profileDataFeature = null;
+        // Find observer and horizon line features
         let observerFeature = null;
         let horizonLineFeature = null;
         
         geoJson.features.forEach(feature => {
-            if (feature.properties && feature.properties.featureType === 'profileData') {
-                profileDataFeature = feature;
-            } else if (feature.properties && feature.properties.featureType === 'observer') {
+            if (feature.properties && feature.properties.featureType === 'observer') {
                 observerFeature = feature;
             } else if (feature.properties && feature.properties.featureType === 'horizonProfile') {
                 horizonLineFeature = feature;
             }
         });
         
-        if (!profileDataFeature || !profileDataFeature.properties.profilePoints) {
+        // Restore profile data
+        const restoredProfileData = window.HC_readSavedProfilePoints(geoJson);
+        if (!restoredProfileData) {
             if (typeof window.displayMessage === 'function') {
                 window.displayMessage('overallStatus', 'No horizon profile data found in file.', 'error');
             } else {
@@ -207,14 +233,6 @@ console.log('[horizon-profile-save.js] Script starting to load...');
             return;
         }
         
-        // Restore profile data
-        const profilePoints = profileDataFeature.properties.profilePoints;
-        const restoredProfileData = profilePoints.map(pt => ({
-            x: pt.x || 0,
-            y: pt.y || 0,
-            latlng: (pt.lat !== null && pt.lng !== null) ? L.latLng(pt.lat, pt.lng) : null
-        }));
-        
         // CRITICAL: Set profile data using setter - this sets the internal HC_profileData variable
         // HC_renderPanorama uses HC_profileData (internal) directly, not window.HC_profileData
         if (typeof window.HC_setProfileData === 'function') {
@@ -233,7 +251,8 @@ console.log('[horizon-profile-save.js] Script starting to load...');
             if (typeof window.HC_setCachedParams === 'function') {
                 window.HC_setCachedParams({
                     center: observerLatLng,
-                    height: observerHeight
+                    height: observerHeight,
+                    dem: observerFeature.properties.dem || null
                 });
             }
         }
@@ -354,6 +373,9 @@ console.log('[horizon-profile-save.js] Script starting to load...');
             window.displayMessage('overallStatus', `Successfully loaded horizon profile with ${restoredProfileData.length} points.`, 'success');
         }
     }
+
+    // Reopening a project restores the profile from the stored GeoJSON (project-workspace.js)
+    window.HC_restoreHorizonProfile = restoreHorizonProfile;
     
     console.log('[horizon-profile-save.js] IIFE completed. Functions defined:');
     console.log('  - window.saveHorizonProfile:', typeof window.saveHorizonProfile);
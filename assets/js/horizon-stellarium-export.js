@@ -178,6 +178,236 @@
         });
     }
 
+    // Stellarium rotates the landscape texture about the zenith by angle_rotatez.
+    // Spherical: image x = 0 is north (see renderStellariumHillshade).
+    // Fisheye: Stellarium's own texture has south at the top, so the north-up image is turned half round.
+    const SPHERICAL_ROTATEZ = -90;
+    const FISHEYE_ROTATEZ = 180;
+
+    /**
+     * Render a spherical or fisheye landscape image by sampling every output pixel.
+     * Spherical: 2048x1024 equirectangular, x = 0 at north, horizon at y = 512 (as above).
+     * Fisheye: 2048x2048, zenith at the centre, north at the top and east on the left
+     * as seen looking up; the rim is fisheyeFov/2 from the zenith.
+     * @param {function(number, number): ?Array<number>} sample - [r, g, b, a] for an
+     *        azimuth/altitude in degrees, or null where the sky shows through.
+     * @param {string} type - 'spherical' or 'fisheye'.
+     * @param {number} fisheyeFov - Fisheye field of view in degrees.
+     * @returns {Promise<Blob>} PNG image blob
+     */
+    function renderSampledLandscape(sample, type, fisheyeFov) {
+        return new Promise((resolve, reject) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 2048;
+            canvas.height = type === 'fisheye' ? 2048 : 1024;
+            const w = canvas.width, h = canvas.height;
+            const ctx = canvas.getContext('2d');
+            const image = ctx.createImageData(w, h);
+            const px = image.data;
+            for (let y = 0; y < h; y++) {
+                for (let x = 0; x < w; x++) {
+                    let az, alt;
+                    if (type === 'fisheye') {
+                        const dx = (x + 0.5 - w / 2) / (w / 2);
+                        const dy = (y + 0.5 - h / 2) / (h / 2);
+                        const r = Math.sqrt(dx * dx + dy * dy);
+                        if (r > 1) continue;
+                        alt = 90 - r * fisheyeFov / 2;
+                        az = (Math.atan2(-dx, -dy) * 180 / Math.PI + 360) % 360;
+                    } else {
+                        az = (x + 0.5) / w * 360;
+                        alt = 90 - (y + 0.5) / h * 180;
+                    }
+                    const rgba = sample(az, alt);
+                    if (!rgba) continue;
+                    const i = (y * w + x) * 4;
+                    px[i] = rgba[0];
+                    px[i + 1] = rgba[1];
+                    px[i + 2] = rgba[2];
+                    px[i + 3] = rgba[3];
+                }
+            }
+            ctx.putImageData(image, 0, 0);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to create PNG blob from canvas')), 'image/png');
+        });
+    }
+
+    const HILLSHADE_FISHEYE_FOV = 270; // zenith to 45° below the horizon
+
+    /**
+     * Colour lookup for the hillshade render: each profile column's traced segments
+     * (horizon-core.js traceBearing) run contiguously from the nadir (-90°) through the
+     * near-field terrain to the horizon, so every altitude below the horizon has a colour.
+     * @param {Array} profileData - Profile with segments (HC_profileData)
+     * @returns {function(number, number): ?Array<number>} Sampler for renderSampledLandscape
+     */
+    function hillshadeSampler(profileData) {
+        const colours = new Map();
+        const parse = css => {
+            let rgba = colours.get(css);
+            if (!rgba) {
+                const m = String(css).match(/[\d.]+/g) || [100, 100, 100];
+                rgba = [Number(m[0]), Number(m[1]), Number(m[2]), 255];
+                colours.set(css, rgba);
+            }
+            return rgba;
+        };
+        const res = 360 / profileData.length;
+        return function(az, alt) {
+            const pt = profileData[Math.round(az / res) % profileData.length];
+            if (!pt || typeof pt.y !== 'number' || isNaN(pt.y) || alt > pt.y) return null;
+            const segments = pt.segments || [];
+            for (let i = 0; i < segments.length; i++) {
+                const seg = segments[i];
+                if (alt >= seg.bottom && alt <= seg.top) return parse(seg.color || 'rgb(100,100,100)');
+            }
+            return parse(segments.length ? segments[0].color || 'rgb(100,100,100)' : 'rgb(100,100,100)');
+        };
+    }
+
+    function horizonListText(profileData) {
+        let horizonStr = "";
+        profileData.forEach(pt => {
+            if (pt && typeof pt.x === 'number' && typeof pt.y === 'number' && !isNaN(pt.y)) {
+                horizonStr += `${pt.x.toFixed(4)} ${pt.y.toFixed(4)}\n`;
+            }
+        });
+        return horizonStr;
+    }
+
+    // Stellarium format: Azimuth | Altitude | Degrees Towards Zenith | Azimuth Shift | Label
+    function gazetteerText(gazetteerPoints) {
+        let gazStr = "";
+        (gazetteerPoints || []).forEach(pt => {
+            if (pt && typeof pt.az === 'number' && typeof pt.alt === 'number' && pt.label) {
+                const bumpVertical = pt.bumpVertical !== undefined ? pt.bumpVertical : 4;
+                const bumpHorizontal = pt.bumpHorizontal !== undefined ? pt.bumpHorizontal : 0;
+                gazStr += `${pt.az.toFixed(4)} | ${pt.alt.toFixed(4)} | ${bumpVertical} | ${bumpHorizontal} | ${pt.label}\n`;
+            }
+        });
+        return gazStr;
+    }
+
+    /**
+     * landscape.ini for a spherical or fisheye landscape with the polygonal horizon line.
+     * minimal_altitude is the lowest point of the horizon (Stellarium uses it for
+     * rise/set and to decide what is hidden by the landscape).
+     */
+    function sampledLandscapeIni(meta, type, fisheyeFov, profileData, hasGazetteer) {
+        let desc = meta.description;
+        if (!desc || desc.trim() === "") {
+            desc = `Generated by Horizon Profiler at Lat: ${meta.lat.toFixed(5)}, Lng: ${meta.lng.toFixed(5)}, Elev: ${Math.round(meta.elev)}m${meta.dem ? `, DEM: ${meta.dem}` : ''}`;
+        }
+        const altitudes = profileData.map(pt => pt ? pt.y : NaN).filter(y => typeof y === 'number' && !isNaN(y));
+        const minimalAltitude = altitudes.length ? Math.floor(Math.min.apply(null, altitudes)) : -2;
+
+        let iniContent = `[landscape]
+name = ${meta.name}
+type = ${type}
+author = ${meta.author}
+description = ${desc}
+maptex = horizon_image.png
+`;
+        iniContent += type === 'fisheye'
+            ? `texturefov = ${fisheyeFov}
+angle_rotatez = ${FISHEYE_ROTATEZ}
+`
+            : `maptex_top = 90
+maptex_bottom = -90
+angle_rotatez = ${SPHERICAL_ROTATEZ}
+`;
+        iniContent += `minimal_altitude = ${minimalAltitude}
+polygonal_horizon_list = horizon.txt
+polygonal_horizon_list_mode = azDeg_altDeg
+polygonal_angle_rotatez = 0
+horizon_line_color = 0.0, 0.99, 0.99
+`;
+        if (hasGazetteer) {
+            iniContent += `gazetteer = gazetteer.en.utf8
+`;
+        }
+        iniContent += `
+[location]
+name = ${meta.name}
+planet = Earth
+latitude = ${meta.lat.toFixed(6)}
+longitude = ${meta.lng.toFixed(6)}
+altitude = ${Math.round(meta.elev)}
+`;
+        return iniContent;
+    }
+
+    /**
+     * Export a sampled spherical or fisheye landscape (the hillshade render below, or an
+     * aligned site photograph from horizon-photo.js) as a Stellarium landscape ZIP with
+     * the polygonal horizon line and optional gazetteer.
+     * @param {function(number, number): ?Array<number>} sample - See renderSampledLandscape.
+     * @param {Object} meta - name, author, description, lat, lng, elev, dem
+     * @param {string} type - 'spherical' or 'fisheye'.
+     * @param {number} fisheyeFov - Fisheye field of view in degrees.
+     * @param {Array} [gazetteerPoints] - Optional gazetteer points
+     * @returns {Promise} Resolves when the download has been started (or the export failed).
+     */
+    window.HC_exportSampledStellariumLandscape = function(sample, meta, type, fisheyeFov, gazetteerPoints) {
+        if (!window.JSZip) {
+            alert("JSZip library not found. Please ensure it is included.");
+            return Promise.resolve();
+        }
+        const profileData = window.HC_profileData || [];
+        return renderSampledLandscape(sample, type, fisheyeFov)
+            .then(function(imageBlob) {
+                const zip = new JSZip();
+                const safeName = meta.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+                const folder = zip.folder(safeName);
+                const gazStr = gazetteerText(gazetteerPoints);
+
+                folder.file("horizon_image.png", imageBlob);
+                folder.file("landscape.ini", sampledLandscapeIni(meta, type, fisheyeFov, profileData, gazStr !== ""));
+                folder.file("horizon.txt", horizonListText(profileData));
+                if (gazStr) {
+                    folder.file("gazetteer.en.utf8", gazStr);
+                }
+                return zip.generateAsync({type: "blob"});
+            })
+            .then(function(zipBlob) {
+                const a = document.createElement("a");
+                a.href = URL.createObjectURL(zipBlob);
+                a.download = `${meta.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_stellarium_${type}.zip`;
+                a.style.display = "none";
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                setTimeout(() => URL.revokeObjectURL(a.href), 100);
+            })
+            .catch(function(err) {
+                console.error("Error generating Stellarium export:", err);
+                alert("Failed to generate Stellarium export: " + err.message);
+            });
+    };
+
+    /**
+     * Landscape metadata from the Stellarium export panel and the current observer
+     */
+    window.HC_getStellariumExportMeta = function() {
+        const marker = window.HC_marker;
+        const cachedParams = window.HC_cachedParams;
+        const center = marker ? marker.getLatLng() : (cachedParams ? cachedParams.center : null);
+
+        // Get author and append attribution
+        let author = $('#hc-export-author').val() || "Unknown";
+        author += " via MACE by Brian Doyle - Archaeoastronomy Ireland";
+
+        return {
+            name: $('#hc-export-name').val() || "Horizon",
+            author: author,
+            description: $('#hc-export-description').val() || "",
+            lat: center ? center.lat : 0,
+            lng: center ? center.lng : 0,
+            elev: cachedParams ? (cachedParams.height || 0) : 0,
+            dem: cachedParams && cachedParams.dem ? cachedParams.dem.name : null
+        };
+    };
+
     /**
      * Open export panel for hillshade Stellarium export
      * This function is called from the Export Stellarium button
@@ -188,6 +418,7 @@
         try {
             // Store the panorama type for later use
             window.HC_currentStellariumExportType = panoramaType;
+            $('#hc-export-landscape-type-group').toggle(panoramaType === 'hillshade');
             
             // Minimize horizon results panel so map is visible - CRITICAL
             const resultsPanel = $('#hc-results-panel');
@@ -234,26 +465,20 @@
      * Run hillshade Stellarium export (called after modal confirmation)
      */
     window.HC_runHillshadeStellariumExport = function() {
-        // Get metadata from modal - access variables via window getters
-        const marker = window.HC_marker;
-        const cachedParams = window.HC_cachedParams;
         const gazetteerPoints = window.HC_gazetteerPoints;
-        
-        // Get author and append attribution
-        let author = $('#hc-export-author').val() || "Unknown";
-        author += " via MACE by Brian Doyle - Archaeoastronomy Ireland";
-        
-        // Get description
-        const description = $('#hc-export-description').val() || "";
-        
-        const meta = {
-            name: $('#hc-export-name').val() || "Horizon",
-            author: author,
-            description: description,
-            lat: marker ? marker.getLatLng().lat : 0,
-            lng: marker ? marker.getLatLng().lng : 0,
-            elev: cachedParams ? (cachedParams.height || 0) : 0
-        };
+        const meta = window.HC_getStellariumExportMeta();
+
+        // Spherical / fisheye renders of the hillshade, including the near-field terrain
+        const landscapeType = $('#hc-export-landscape-type').val();
+        if (landscapeType === 'spherical' || landscapeType === 'fisheye') {
+            const profileData = window.HC_profileData;
+            if (!Array.isArray(profileData) || profileData.length === 0) {
+                alert('No horizon profile data available. Please run a horizon calculation first.');
+                return;
+            }
+            window.HC_exportSampledStellariumLandscape(hillshadeSampler(profileData), meta, landscapeType, HILLSHADE_FISHEYE_FOV, gazetteerPoints);
+            return;
+        }
 
         // Call the export function
         if (window.HC_exportHillshadeStellarium) {
@@ -308,7 +533,7 @@
                 // Build description - use custom description if provided, otherwise use default
                 let desc = meta.description;
                 if (!desc || desc.trim() === "") {
-                    desc = `Generated by Horizon Profiler at Lat: ${meta.lat.toFixed(5)}, Lng: ${meta.lng.toFixed(5)}, Elev: ${Math.round(meta.elev)}m`;
+                    desc = `Generated by Horizon Profiler at Lat: ${meta.lat.toFixed(5)}, Lng: ${meta.lng.toFixed(5)}, Elev: ${Math.round(meta.elev)}m${meta.dem ? `, DEM: ${meta.dem}` : ''}`;
                 }
                 
                 // Build INI content - include gazetteer reference if gazetteer points exist
@@ -341,36 +566,15 @@ altitude = ${Math.round(meta.elev)}
                 folder.file("landscape.ini", iniContent);
 
                 // 3. Generate horizon.txt (azimuth altitude pairs)
-                let horizonStr = "";
-                if (profileData && profileData.length > 0) {
-                    profileData.forEach(pt => {
-                        if (pt && typeof pt.x === 'number' && typeof pt.y === 'number') {
-                            horizonStr += `${pt.x.toFixed(4)} ${pt.y.toFixed(4)}\n`;
-                        }
-                    });
-                }
-                folder.file("horizon.txt", horizonStr);
+                folder.file("horizon.txt", horizonListText(profileData));
 
                 // 4. Generate gazetteer.en.utf8 if points provided
                 // Stellarium requires filename format: gazetteer.<LANG>.utf8
                 // Using English (en) as default language code
-                // Stellarium format: Azimuth | Altitude | Degrees Towards Zenith | Azimuth Shift | Label
-                if (gazetteerPoints && gazetteerPoints.length > 0) {
-                    let gazStr = "";
-                    gazetteerPoints.forEach(pt => {
-                        if (pt && typeof pt.az === 'number' && typeof pt.alt === 'number' && pt.label) {
-                            // Format: Azimuth | Altitude | Degrees Towards Zenith | Azimuth Shift | Label
-                            // Use stored bump values or defaults
-                            const bumpVertical = pt.bumpVertical !== undefined ? pt.bumpVertical : 4;
-                            const bumpHorizontal = pt.bumpHorizontal !== undefined ? pt.bumpHorizontal : 0;
-                            gazStr += `${pt.az.toFixed(4)} | ${pt.alt.toFixed(4)} | ${bumpVertical} | ${bumpHorizontal} | ${pt.label}\n`;
-                        }
-                    });
-                    if (gazStr) {
-                        // Use correct Stellarium filename format: gazetteer.en.utf8
-                        // JSZip automatically handles UTF-8 encoding for text files
-                        folder.file("gazetteer.en.utf8", gazStr);
-                    }
+                const gazStr = gazetteerText(gazetteerPoints);
+                if (gazStr) {
+                    // JSZip automatically handles UTF-8 encoding for text files
+                    folder.file("gazetteer.en.utf8", gazStr);
                 }
 
                 // 5. Generate and download ZIP
@@ -0,0 +1,201 @@
+// =================================================================
+// STELLARIUM LANDSCAPE IMPORT – landscape ZIP back into the horizon tools
+// =================================================================
+// Reads a Stellarium landscape ZIP (from MACE or any other tool): landscape.ini,
+// the polygonal horizon list and gazetteer.<lang>.utf8. The observer is moved to the
+// INI [location], the horizon list is rotated by polygonal_angle_rotatez and resampled
+// onto the 0.1° profile grid (HC_resampleHorizonProfile), and becomes the current
+// profile through HC_useImportedProfile, so the chart, panoramas, rise/set search and
+// exports all run against it. Gazetteer entries go into the export gazetteer table.
+
+(function() {
+    'use strict';
+
+    const NOMINAL_DISTANCE = 5000; // map position of horizon points (the list has no distances), m
+    const RAD = 180 / Math.PI;
+
+    function parseIni(text) {
+        const ini = {};
+        let section = '';
+        text.split(/\r?\n/).forEach(raw => {
+            const line = raw.trim();
+            if (!line || line[0] === '#' || line[0] === ';') return;
+            const header = line.match(/^\[(.+)\]$/);
+            if (header) {
+                section = header[1].trim().toLowerCase();
+                ini[section] = ini[section] || {};
+                return;
+            }
+            const eq = line.indexOf('=');
+            if (eq < 0) return;
+            ini[section] = ini[section] || {};
+            ini[section][line.slice(0, eq).trim().toLowerCase()] = line.slice(eq + 1).trim();
+        });
+        return ini;
+    }
+
+    /**
+     * Angle as written in a Stellarium [location]: decimal degrees ("53.12", "+53.12d")
+     * or degrees/minutes/seconds with an optional hemisphere ("53d07'12\"N", "W7d15'").
+     * @returns {number} Degrees, NaN if unreadable.
+     */
+    function parseLocationAngle(value) {
+        if (value === undefined) return NaN;
+        const str = String(value).trim().replace(/^"|"$/g, '');
+        const m = str.match(/^([+-])?\s*([NSEW])?\s*(\d+(?:\.\d+)?)\s*(?:[d°]\s*(?:(\d+(?:\.\d+)?)\s*['m]\s*(?:(\d+(?:\.\d+)?)\s*(?:"|s|'')?)?)?)?\s*([NSEW])?$/i);
+        if (!m) return NaN;
+        let deg = parseFloat(m[3]) + (m[4] ? parseFloat(m[4]) / 60 : 0) + (m[5] ? parseFloat(m[5]) / 3600 : 0);
+        const hemisphere = (m[2] || m[6] || '').toUpperCase();
+        if (m[1] === '-' || hemisphere === 'S' || hemisphere === 'W') deg = -deg;
+        return deg;
+    }
+
+    /**
+     * Horizon list to {az, alt} in degrees according to polygonal_horizon_list_mode
+     * (azDeg/azRad/azGrad with altDeg/zdDeg/altRad/zdRad/altGrad/zdGrad).
+     */
+    function parseHorizonList(text, mode, rotateZ) {
+        const m = (mode || 'azDeg_altDeg').match(/^az(Deg|Rad|Grad)_(alt|zd)(Deg|Rad|Grad)$/i);
+        if (!m) throw new Error(`Unsupported polygonal_horizon_list_mode "${mode}".`);
+        const toDeg = unit => ({ deg: 1, rad: RAD, grad: 0.9 })[unit.toLowerCase()];
+        const azScale = toDeg(m[1]);
+        const altScale = toDeg(m[3]);
+        const zenithDistance = m[2].toLowerCase() === 'zd';
+
+        const points = [];
+        text.split(/\r?\n/).forEach(raw => {
+            const line = raw.replace(/#.*$/, '').trim();
+            if (!line) return;
+            const values = line.split(/[\s,;]+/).map(Number);
+            if (values.length < 2 || isNaN(values[0]) || isNaN(values[1])) return;
+            const alt = values[1] * altScale;
+            points.push({
+                az: values[0] * azScale + rotateZ,
+                alt: zenithDistance ? 90 - alt : alt,
+                dist: NaN
+            });
+        });
+        return points;
+    }
+
+    // Azimuth | Altitude | Degrees Towards Zenith | Azimuth Shift | Label
+    function parseGazetteer(text) {
+        const points = [];
+        text.split(/\r?\n/).forEach(raw => {
+            const line = raw.trim();
+            if (!line || line[0] === '#') return;
+            const parts = line.split('|').map(p => p.trim());
+            if (parts.length < 5) return;
+            const az = parseFloat(parts[0]);
+            const alt = parseFloat(parts[1]);
+            if (isNaN(az) || isNaN(alt)) return;
+            points.push({
+                az: az,
+                alt: alt,
+                bumpVertical: parseFloat(parts[2]) || 0,
+                bumpHorizontal: parseFloat(parts[3]) || 0,
+                label: parts.slice(4).join(' | ')
+            });
+        });
+        return points;
+    }
+
+    function findFile(zip, dir, name) {
+        if (!name) return null;
+        const target = (dir + name).toLowerCase();
+        const entry = Object.keys(zip.files).find(p => p.toLowerCase() === target);
+        return entry ? zip.files[entry] : null;
+    }
+
+    function findGazetteer(zip, dir, iniName) {
+        const named = findFile(zip, dir, iniName) || findFile(zip, dir, 'gazetteer.en.utf8');
+        if (named) return named;
+        const entry = Object.keys(zip.files).find(p => p.toLowerCase().startsWith(dir.toLowerCase()) &&
+            /gazetteer\.[^/]*\.utf8$/i.test(p));
+        return entry ? zip.files[entry] : null;
+    }
+
+    function moveObserver(latlng) {
+        $('#latbox').val(latlng.lat.toFixed(6));
+        $('#lngbox').val(latlng.lng.toFixed(6));
+        if (typeof window.latlongChanged === 'function') {
+            window.latlongChanged();
+        } else if (typeof window.compute === 'function') {
+            window.compute();
+        }
+    }
+
+    async function importLandscape(file) {
+        const zip = await JSZip.loadAsync(file);
+        const iniPaths = Object.keys(zip.files).filter(p => /(^|\/)landscape\.ini$/i.test(p) && !zip.files[p].dir);
+        if (iniPaths.length === 0) throw new Error('No landscape.ini found in the ZIP.');
+        const iniPath = iniPaths[0];
+        const dir = iniPath.slice(0, iniPath.length - 'landscape.ini'.length);
+        const ini = parseIni(await zip.files[iniPath].async('string'));
+        const landscape = ini.landscape || {};
+        const location = ini.location || {};
+        const name = landscape.name || file.name.replace(/\.zip$/i, '');
+
+        const listFile = findFile(zip, dir, landscape.polygonal_horizon_list);
+        if (!listFile) throw new Error('The landscape has no polygonal horizon list (polygonal_horizon_list).');
+        const rotateZ = parseFloat(landscape.polygonal_angle_rotatez) || 0;
+        const points = parseHorizonList(await listFile.async('string'), landscape.polygonal_horizon_list_mode, rotateZ);
+
+        // Observer: INI location, else the current MACE observer
+        let lat = parseLocationAngle(location.latitude);
+        let lng = parseLocationAngle(location.longitude);
+        const notes = [];
+        if (location.planet && location.planet.toLowerCase() !== 'earth') {
+            notes.push(`Location is on ${location.planet}; only Earth is supported, the coordinates are used as they are.`);
+        }
+        if (isNaN(lat) || isNaN(lng)) {
+            lat = parseFloat($('#latbox').val());
+            lng = parseFloat($('#lngbox').val());
+            if (isNaN(lat) || isNaN(lng)) {
+                throw new Error('landscape.ini has no [location] latitude/longitude and no observer is set.');
+            }
+            notes.push('No [location] in landscape.ini; the current observer position is used.');
+        }
+        const observer = L.latLng(lat, lng);
+        let elevation = parseFloat(location.altitude);
+        if (isNaN(elevation)) {
+            const map = window.map;
+            const patch = await window.HC_fetchTerrainPatch(observer, 14, 1, map);
+            elevation = window.HC_getInterpolatedHeight(patch, observer, map) || 0;
+            notes.push(`No [location] altitude; ground elevation ${Math.round(elevation)} m from the DEM is used.`);
+        }
+
+        const result = window.HC_resampleHorizonProfile(points, observer, NOMINAL_DISTANCE, 360);
+
+        const gazFile = findGazetteer(zip, dir, landscape.gazetteer);
+        // Gazetteer azimuths are true azimuths; polygonal_angle_rotatez only applies to the list
+        const gazetteer = gazFile ? parseGazetteer(await gazFile.async('string')) : [];
+
+        moveObserver(observer);
+        await window.HC_useImportedProfile(result.profile, observer, elevation, `Stellarium landscape (${name})`, 'stellarium');
+        window.HC_setGazetteerPoints(gazetteer);
+
+        let message = `Stellarium landscape "${name}": ${result.measuredCount} horizon points`;
+        if (rotateZ) message += `, rotated ${rotateZ}°`;
+        message += gazetteer.length ? `, ${gazetteer.length} gazetteer entries.` : '.';
+        if (iniPaths.length > 1) notes.push(`The ZIP holds ${iniPaths.length} landscapes; only ${iniPath} was read.`);
+        if (notes.length) message += ' ' + notes.join(' ');
+        if (typeof window.displayMessage === 'function') {
+            window.displayMessage('overallStatus', message, notes.length ? 'warn' : 'success');
+        }
+    }
+
+    window.handleStellariumLandscapeSelect = function(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        if (!window.JSZip) {
+            alert("JSZip library not found. Please ensure it is included.");
+            return;
+        }
+        importLandscape(file).catch(err => {
+            console.error('Stellarium landscape import failed:', err);
+            alert('Stellarium landscape import failed: ' + err.message);
+        });
+    };
+})();
@@ -0,0 +1,506 @@
+// =================================================================
+// SURVEYED HORIZON IMPORT – theodolite / total station / CSV
+// =================================================================
+// Reads azimuth/altitude observations measured in the field and makes them the
+// current horizon profile (window.HC_useImportedProfile in horizon.js), so the chart,
+// panoramas, rise/set locations and Stellarium exports work from the measured horizon.
+//
+// Accepted input:
+//   - delimited text (comma, semicolon, tab or whitespace), header row optional
+//   - Leica GSI-8/GSI-16 logs (WI 11 point, 21 Hz, 22 V, 31 slope / 32 horizontal distance, 71 code)
+// Horizontal readings are oriented to true north by a backsight to a known azimuth or
+// point, a sun shot at a known UTC time, or a fixed offset. The orientation rows are
+// left out of the profile.
+
+(function() {
+    'use strict';
+
+    const EARTH_RADIUS_M = 6371008.8;
+    const DEG = Math.PI / 180;
+    // Azimuth step of the resampled profile, degrees (as the Hi-Res probe)
+    const RESAMPLE_STEP = 0.1;
+
+    let pendingTable = null; // { fileName, headers, rows, gsi }
+
+    // -----------------------------------------------------------------
+    // Angle parsing
+    // -----------------------------------------------------------------
+    /**
+     * Convert an angle reading to decimal degrees.
+     * @param {string} text - Reading as written in the file.
+     * @param {string} unit - 'deg' decimal degrees, 'dms' (123°45'06" or 123 45 06),
+     *                        'ddmmss' packed DDD.MMSS, or 'gon'.
+     * @returns {number} Degrees, NaN if unreadable.
+     */
+    function parseAngle(text, unit) {
+        const str = String(text).trim();
+        if (str === '') return NaN;
+        if (unit === 'gon') return parseFloat(str) * 0.9;
+        if (unit === 'ddmmss') {
+            const value = parseFloat(str);
+            if (isNaN(value)) return NaN;
+            const sign = value < 0 ? -1 : 1;
+            const abs = Math.abs(value);
+            const d = Math.floor(abs);
+            const mmss = Math.round((abs - d) * 1e6); // MMSSss
+            const m = Math.floor(mmss / 10000);
+            const sec = (mmss % 10000) / 100;
+            return sign * (d + m / 60 + sec / 3600);
+        }
+        if (unit === 'dms') {
+            const parts = str.match(/-?\d+(\.\d+)?/g);
+            if (!parts) return NaN;
+            const d = parseFloat(parts[0]);
+            const m = parts.length > 1 ? parseFloat(parts[1]) : 0;
+            const sec = parts.length > 2 ? parseFloat(parts[2]) : 0;
+            const sign = str.startsWith('-') ? -1 : 1;
+            return sign * (Math.abs(d) + m / 60 + sec / 3600);
+        }
+        return parseFloat(str);
+    }
+
+    function normalizeAzimuth(az) {
+        return ((az % 360) + 360) % 360;
+    }
+
+    // -----------------------------------------------------------------
+    // File parsing
+    // -----------------------------------------------------------------
+    function detectDelimiter(lines) {
+        const sample = lines.slice(0, 10);
+        const candidates = [',', ';', '\t'];
+        for (const delim of candidates) {
+            const counts = sample.map(l => l.split(delim).length - 1);
+            if (counts[0] > 0 && counts.every(c => c === counts[0])) return delim;
+        }
+        const counts = sample.map(l => l.split(/\s+/).length);
+        if (counts[0] > 1 && counts.every(c => c === counts[0])) return /\s+/;
+        throw new Error('Could not detect the column delimiter: use commas, semicolons, tabs, ' +
+            'or the same number of space-separated columns on every line.');
+    }
+
+    // Whitespace splits "123 45 30" readings across columns, so D M S angles in a
+    // whitespace-delimited file must be single tokens (123°45'30" or 123:45:30)
+    function unitMismatch(table, mapping) {
+        if (!table.whitespace || mapping.unit !== 'dms') return null;
+        const split = table.rows.some(row => [row[mapping.hz], row[mapping.v]]
+            .some(c => !/[°:'"′″]/.test(c || '')));
+        return split
+            ? 'Degrees, minutes and seconds separated by spaces cannot be read from a space-delimited file. ' +
+              'Save it with comma, semicolon or tab delimiters, or write the angles as 123°45\'30" or 123:45:30.'
+            : null;
+    }
+
+    function parseDelimited(text) {
+        const lines = text.split(/\r?\n/)
+            .map(l => l.trim())
+            .filter(l => l !== '' && !l.startsWith('#') && !l.startsWith('//'));
+        if (lines.length === 0) throw new Error('The file is empty.');
+        const delim = detectDelimiter(lines);
+        const rows = lines.map(l => l.split(delim).map(c => c.trim().replace(/^"(.*)"$/, '$1')));
+        // Header row if any cell does not start like a number or angle
+        const hasHeader = rows[0].some(c => c !== '' && !/^[-+]?\d/.test(c));
+        const width = Math.max(...rows.map(r => r.length));
+        const headers = hasHeader
+            ? rows[0].map((h, i) => h || `Column ${i + 1}`)
+            : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        return { headers: headers, rows: hasHeader ? rows.slice(1) : rows, gsi: false, whitespace: delim instanceof RegExp };
+    }
+
+    // GSI angle units: 2 = gon, 3 = decimal degrees, 4 = DDDMMSSs, 5 = mil
+    function gsiAngle(unitCode, digits) {
+        const value = parseInt(digits, 10);
+        switch (unitCode) {
+            case '2': return value / 100000 * 0.9;
+            case '3': return value / 100000;
+            case '4': {
+                const d = Math.floor(value / 100000);
+                const m = Math.floor(value / 1000) % 100;
+                const sec = (value % 1000) / 10;
+                return d + m / 60 + sec / 3600;
+            }
+            case '5': return value / 10000 * 360 / 6400;
+            default: return NaN;
+        }
+    }
+
+    // GSI distance units: 0 = mm, 1 = 1/1000 ft, 6 = 1/10 mm, 7 = 1/10000 ft, 8 = 1/100 mm
+    function gsiDistance(unitCode, sign, digits) {
+        const scale = { '0': 0.001, '1': 0.0003048, '6': 0.0001, '7': 0.00003048, '8': 0.00001 }[unitCode];
+        if (scale === undefined) return NaN;
+        return (sign === '-' ? -1 : 1) * parseInt(digits, 10) * scale;
+    }
+
+    function isGSI(text) {
+        const first = text.split(/\r?\n/).find(l => l.trim() !== '');
+        return !!first && /^\*?\d{2}[\d.]{4}[+-]\S+/.test(first.trim());
+    }
+
+    function parseGSI(text) {
+        const headers = ['Point', 'Hz', 'V', 'Distance', 'Code'];
+        const rows = [];
+        text.split(/\r?\n/).forEach(line => {
+            const words = line.trim().replace(/^\*/, '').split(/\s+/).filter(w => w.length > 7);
+            const rec = {};
+            words.forEach(word => {
+                const wi = word.substring(0, 2);
+                const unitCode = word.charAt(5);
+                const sign = word.charAt(6);
+                const data = word.substring(7);
+                if (wi === '11') rec.point = data.replace(/^0+/, '') || '0';
+                else if (wi === '21') rec.hz = gsiAngle(unitCode, data);
+                else if (wi === '22') rec.v = gsiAngle(unitCode, data);
+                else if (wi === '31') rec.slope = gsiDistance(unitCode, sign, data);
+                else if (wi === '32') rec.horiz = gsiDistance(unitCode, sign, data);
+                else if (wi === '71') rec.code = data.replace(/^0+/, '');
+            });
+            if (rec.hz === undefined || rec.v === undefined) return;
+            let dist = rec.horiz;
+            if (dist === undefined && rec.slope !== undefined) {
+                dist = rec.slope * Math.sin(rec.v * DEG);
+            }
+            rows.push([
+                rec.point || String(rows.length + 1),
+                rec.hz.toFixed(6),
+                rec.v.toFixed(6),
+                dist !== undefined ? dist.toFixed(3) : '',
+                rec.code || ''
+            ]);
+        });
+        if (rows.length === 0) throw new Error('No GSI records with Hz and V readings found.');
+        return { headers: headers, rows: rows, gsi: true };
+    }
+
+    // -----------------------------------------------------------------
+    // Orientation
+    // -----------------------------------------------------------------
+    function bearing(from, to) {
+        const p1 = from.lat * DEG, p2 = to.lat * DEG, dl = (to.lng - from.lng) * DEG;
+        const y = Math.sin(dl) * Math.cos(p2);
+        const x = Math.cos(p1) * Math.sin(p2) - Math.sin(p1) * Math.cos(p2) * Math.cos(dl);
+        return normalizeAzimuth(Math.atan2(y, x) / DEG);
+    }
+
+    function destination(from, azimuth, distanceM) {
+        const d = distanceM / EARTH_RADIUS_M;
+        const p1 = from.lat * DEG, l1 = from.lng * DEG, th = azimuth * DEG;
+        const p2 = Math.asin(Math.sin(p1) * Math.cos(d) + Math.cos(p1) * Math.sin(d) * Math.cos(th));
+        const l2 = l1 + Math.atan2(Math.sin(th) * Math.sin(d) * Math.cos(p1), Math.cos(d) - Math.sin(p1) * Math.sin(p2));
+        return L.latLng(p2 / DEG, ((l2 / DEG + 540) % 360) - 180);
+    }
+
+    /**
+     * Topocentric azimuth/altitude of the Sun centre, refraction included (Bennett).
+     * @param {number} jdUT - Julian Day (UT).
+     * @returns {{azimuth: number, altitude: number, semidiameter: number}} Degrees.
+     */
+    function sunHorizontal(jdUT, latDeg, lngDeg) {
+        const sun = window.Ephemeris.sunPosition(jdUT);
+        const H = (window.Ephemeris.siderealTime(jdUT) + lngDeg - sun.ra) * DEG;
+        const phi = latDeg * DEG, dec = sun.dec * DEG;
+        const az = Math.atan2(-Math.sin(H) * Math.cos(dec),
+            Math.sin(dec) * Math.cos(phi) - Math.cos(dec) * Math.sin(phi) * Math.cos(H));
+        const alt = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)) / DEG;
+        const refraction = 1 / Math.tan((alt + 7.31 / (alt + 4.4)) * DEG) / 60;
+        return {
+            azimuth: normalizeAzimuth(az / DEG),
+            altitude: alt + (alt > -1 ? refraction : 0),
+            semidiameter: sun.semidiameter
+        };
+    }
+
+    /**
+     * Offset added to every horizontal reading to give a true azimuth.
+     * @returns {{offset: number, note: string, row: number}} row is the orientation row (-1 if none).
+     */
+    function orientation(obs, observer, settings) {
+        if (settings.method === 'none') return { offset: 0, note: 'Readings used as true azimuths.', row: -1 };
+        if (settings.method === 'offset') {
+            return { offset: settings.offset, note: `Fixed azimuth offset ${settings.offset.toFixed(4)}°.`, row: -1 };
+        }
+        const ref = obs[settings.row];
+        if (!ref) throw new Error('Select the orientation observation.');
+        if (settings.method === 'backsight') {
+            let knownAz = settings.knownAzimuth;
+            if (!isNaN(settings.targetLat) && !isNaN(settings.targetLng)) {
+                knownAz = bearing(observer, L.latLng(settings.targetLat, settings.targetLng));
+            }
+            if (isNaN(knownAz)) throw new Error('Enter the backsight azimuth or the backsight point coordinates.');
+            return {
+                offset: knownAz - ref.hz,
+                note: `Backsight to ${ref.label}: azimuth ${knownAz.toFixed(4)}°, reading ${ref.hz.toFixed(4)}°.`,
+                row: settings.row
+            };
+        }
+        // Sun shot
+        if (!window.Ephemeris) throw new Error('ephemeris.js is not loaded.');
+        const time = Date.parse(settings.sunTime + 'Z');
+        if (isNaN(time)) throw new Error('Enter the UTC date and time of the sun shot.');
+        const jd = time / 86400000 + 2440587.5;
+        const sun = sunHorizontal(jd, observer.lat, observer.lng);
+        const limbShift = sun.semidiameter / Math.cos(sun.altitude * DEG);
+        const pointedAz = sun.azimuth + (settings.limb === 'left' ? -limbShift : settings.limb === 'right' ? limbShift : 0);
+        const indexDiff = ref.alt - sun.altitude;
+        return {
+            offset: pointedAz - ref.hz,
+            note: `Sun shot on ${ref.label}: Sun azimuth ${sun.azimuth.toFixed(4)}°, altitude ${sun.altitude.toFixed(4)}° ` +
+                `(measured altitude ${ref.alt.toFixed(4)}°, difference ${indexDiff.toFixed(4)}°` +
+                (settings.limb === 'centre' ? ')' : ', compare with the limb pointed at)') + '.',
+            row: settings.row
+        };
+    }
+
+    // -----------------------------------------------------------------
+    // Profile
+    // -----------------------------------------------------------------
+    function readObservations(table, mapping) {
+        const obs = [];
+        table.rows.forEach((row, i) => {
+            const hz = parseAngle(row[mapping.hz], mapping.unit);
+            let alt = parseAngle(row[mapping.v], mapping.unit);
+            if (isNaN(hz) || isNaN(alt)) return;
+            if (mapping.vertical === 'zenith') alt = 90 - alt;
+            const dist = mapping.dist >= 0 ? parseFloat(row[mapping.dist]) : NaN;
+            obs.push({
+                index: i,
+                label: mapping.id >= 0 && row[mapping.id] ? row[mapping.id] : `row ${i + 1}`,
+                hz: hz,
+                alt: alt,
+                dist: dist > 0 ? dist : NaN
+            });
+        });
+        return obs;
+    }
+
+    /**
+     * Resample the observations onto the regular 0.1° azimuth grid that the panoramas
+     * and chart index into. Grid points in gaps wider than maxGap get a NaN altitude and
+     * no map position, so they are skipped by the chart, rise/set search and exports.
+     */
+    function buildProfile(points, observer, nominalDistance, maxGap) {
+        const byAz = new Map();
+        points.forEach(p => {
+            const key = Math.round(normalizeAzimuth(p.az) * 10000) / 10000;
+            const entry = byAz.get(key) || { az: key, alt: 0, dist: 0, n: 0, nd: 0 };
+            entry.alt += p.alt;
+            entry.n++;
+            if (!isNaN(p.dist)) {
+                entry.dist += p.dist;
+                entry.nd++;
+            }
+            byAz.set(key, entry);
+        });
+        const measured = Array.from(byAz.values())
+            .map(e => ({ az: e.az, alt: e.alt / e.n, dist: e.nd > 0 ? e.dist / e.nd : nominalDistance }))
+            .sort((a, b) => a.az - b.az);
+        if (measured.length < 2) throw new Error('At least two horizon observations are needed.');
+
+        const gaps = [];
+        measured.forEach((a, i) => {
+            const b = measured[(i + 1) % measured.length];
+            const span = normalizeAzimuth(b.az - a.az) || 360;
+            if (span > maxGap) gaps.push(`${a.az.toFixed(1)}°–${b.az.toFixed(1)}°`);
+        });
+
+        const steps = Math.round(360 / RESAMPLE_STEP);
+        const profile = [];
+        let j = -1; // last observation at or before the grid azimuth, -1 = wrap from the last one
+        for (let g = 0; g < steps; g++) {
+            const az = Math.round(g * RESAMPLE_STEP * 1e6) / 1e6;
+            while (j + 1 < measured.length && measured[j + 1].az <= az) j++;
+            const a = measured[j < 0 ? measured.length - 1 : j];
+            const b = measured[(j + 1) % measured.length];
+            const span = normalizeAzimuth(b.az - a.az) || 360;
+            const t = normalizeAzimuth(az - a.az) / span;
+            if (span > maxGap) {
+                profile.push({ x: az, y: NaN, latlng: null });
+                continue;
+            }
+            const dist = a.dist + t * (b.dist - a.dist);
+            profile.push({ x: az, y: a.alt + t * (b.alt - a.alt), latlng: destination(observer, az, dist) });
+        }
+        return { profile: profile, measuredCount: measured.length, gaps: gaps };
+    }
+
+    // -----------------------------------------------------------------
+    // Dialog
+    // -----------------------------------------------------------------
+    function fillSelect(id, headers, selected, optional) {
+        const select = $(id).empty();
+        if (optional) select.append('<option value="-1">-- None --</option>');
+        headers.forEach((h, i) => select.append($('<option>').val(i).text(h)));
+        select.val(String(selected));
+    }
+
+    function guessColumn(headers, patterns) {
+        return headers.findIndex(h => patterns.some(p => p.test(h)));
+    }
+
+    function currentObserver() {
+        if (window.HC_marker) return window.HC_marker.getLatLng();
+        const lat = parseFloat($('#latbox').val());
+        const lng = parseFloat($('#lngbox').val());
+        return isNaN(lat) || isNaN(lng) ? null : L.latLng(lat, lng);
+    }
+
+    function readMapping() {
+        return {
+            id: parseInt($('#survey-col-id').val(), 10),
+            hz: parseInt($('#survey-col-hz').val(), 10),
+            v: parseInt($('#survey-col-v').val(), 10),
+            dist: parseInt($('#survey-col-dist').val(), 10),
+            unit: $('#survey-angle-unit').val(),
+            vertical: $('#survey-vertical-type').val()
+        };
+    }
+
+    // Orientation row list follows the current column mapping
+    function refreshOrientationRows() {
+        if (!pendingTable) return;
+        const mapping = readMapping();
+        const select = $('#survey-orient-row').empty();
+        const mismatch = unitMismatch(pendingTable, mapping);
+        if (mismatch) {
+            $('#survey-obs-count').text(mismatch);
+            return;
+        }
+        const obs = readObservations(pendingTable, mapping);
+        obs.forEach((o, i) => {
+            select.append($('<option>').val(i).text(`${o.label}  (Hz ${o.hz.toFixed(4)}°, alt ${o.alt.toFixed(4)}°)`));
+        });
+        $('#survey-obs-count').text(`${obs.length} observations read.`);
+    }
+
+    function updateOrientationFields() {
+        const method = $('#survey-orient-method').val();
+        $('#survey-orient-row-group').toggle(method === 'backsight' || method === 'sun');
+        $('#survey-backsight-fields').toggle(method === 'backsight');
+        $('#survey-sun-fields').toggle(method === 'sun');
+        $('#survey-offset-fields').toggle(method === 'offset');
+    }
+
+    function openDialog(table) {
+        pendingTable = table;
+        const h = table.headers;
+        $('#survey-file-name').text(`${table.fileName}: ${table.rows.length} rows`);
+        fillSelect('#survey-col-id', h, guessColumn(h, [/^point/i, /^id$/i, /name/i, /^pt/i]), true);
+        fillSelect('#survey-col-hz', h, Math.max(0, guessColumn(h, [/^hz/i, /azi/i, /horiz/i, /^az/i])), false);
+        fillSelect('#survey-col-v', h, Math.max(0, guessColumn(h, [/^v$/i, /alt/i, /elev/i, /zen/i, /vert/i])), false);
+        fillSelect('#survey-col-dist', h, guessColumn(h, [/dist/i, /range/i]), true);
+        if (table.gsi) {
+            $('#survey-angle-unit').val('deg');
+            $('#survey-vertical-type').val('zenith');
+        } else {
+            const vHeader = h[parseInt($('#survey-col-v').val(), 10)] || '';
+            $('#survey-vertical-type').val(/zen|^v$/i.test(vHeader) ? 'zenith' : 'altitude');
+        }
+        const observer = currentObserver();
+        $('#survey-obs-lat').val(observer ? observer.lat.toFixed(6) : '');
+        $('#survey-obs-lng').val(observer ? observer.lng.toFixed(6) : '');
+        refreshOrientationRows();
+        updateOrientationFields();
+
+        const modal = document.getElementById('survey-import-modal');
+        document.getElementById('modal-overlay').style.display = 'block';
+        modal.style.display = 'block';
+        modal.style.top = '50px';
+        modal.style.left = Math.max(0, (window.innerWidth - (modal.offsetWidth || 560)) / 2) + 'px';
+        modal.style.transform = 'none';
+        if (typeof jQuery !== 'undefined' && jQuery.ui && jQuery.ui.draggable) {
+            jQuery(modal).draggable({ handle: '.custom-modal-header', containment: 'window', scroll: false });
+        }
+    }
+
+    // Shared with the Stellarium landscape importer (horizon-stellarium-import.js)
+    window.HC_resampleHorizonProfile = buildProfile;
+
+    window.closeSurveyImportModal = function() {
+        const modal = document.getElementById('survey-import-modal');
+        document.getElementById('modal-overlay').style.display = 'none';
+        modal.style.display = 'none';
+        if (typeof jQuery !== 'undefined' && jQuery.ui && jQuery.ui.draggable && jQuery(modal).data('ui-draggable')) {
+            jQuery(modal).draggable('destroy');
+        }
+        pendingTable = null;
+    };
+
+    window.confirmSurveyImport = async function() {
+        if (!pendingTable) return;
+        try {
+            const lat = parseFloat($('#survey-obs-lat').val());
+            const lng = parseFloat($('#survey-obs-lng').val());
+            if (isNaN(lat) || isNaN(lng)) throw new Error('Enter the instrument station latitude and longitude.');
+            const observer = L.latLng(lat, lng);
+            const mapping = readMapping();
+            const mismatch = unitMismatch(pendingTable, mapping);
+            if (mismatch) throw new Error(mismatch);
+            const obs = readObservations(pendingTable, mapping);
+            if (obs.length === 0) throw new Error('No readable azimuth/altitude pairs with this column mapping and angle unit.');
+
+            const method = $('#survey-orient-method').val();
+            const orient = orientation(obs, observer, {
+                method: method,
+                row: parseInt($('#survey-orient-row').val(), 10),
+                knownAzimuth: parseAngle($('#survey-backsight-az').val(), $('#survey-angle-unit').val()),
+                targetLat: parseFloat($('#survey-backsight-lat').val()),
+                targetLng: parseFloat($('#survey-backsight-lng').val()),
+                sunTime: $('#survey-sun-time').val(),
+                limb: $('#survey-sun-limb').val(),
+                offset: parseFloat($('#survey-offset').val()) || 0
+            });
+
+            const horizonObs = obs.filter((o, i) => i !== orient.row)
+                .map(o => ({ az: o.hz + orient.offset, alt: o.alt, dist: o.dist }));
+            const nominalDistance = parseFloat($('#survey-nominal-dist').val()) || 2000;
+            const maxGap = parseFloat($('#survey-max-gap').val()) || 10;
+            const result = buildProfile(horizonObs, observer, nominalDistance, maxGap);
+
+            // Eye height = station ground elevation + instrument height
+            const instrumentHeight = parseFloat($('#survey-instrument-height').val()) || 0;
+            let groundElevation = parseFloat($('#survey-ground-elev').val());
+            if (isNaN(groundElevation)) {
+                const map = window.map;
+                const patch = await window.HC_fetchTerrainPatch(observer, 14, 1, map);
+                groundElevation = window.HC_getInterpolatedHeight(patch, observer, map) || 0;
+            }
+            const sourceName = `Surveyed horizon (${pendingTable.fileName})`;
+
+            window.closeSurveyImportModal();
+            let message = `${result.measuredCount} surveyed points. ${orient.note}`;
+            if (result.gaps.length > 0) {
+                message += ` Not interpolated (gap > ${maxGap}°): ${result.gaps.join(', ')}.`;
+            }
+            if (typeof window.displayMessage === 'function') {
+                window.displayMessage('overallStatus', message, result.gaps.length > 0 ? 'warn' : 'success');
+            }
+            await window.HC_useImportedProfile(result.profile, observer, groundElevation + instrumentHeight, sourceName);
+        } catch (err) {
+            console.error('Surveyed horizon import failed:', err);
+            alert('Surveyed horizon import failed: ' + err.message);
+        }
+    };
+
+    window.handleSurveyFileSelect = function(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                const text = e.target.result;
+                const table = isGSI(text) ? parseGSI(text) : parseDelimited(text);
+                table.fileName = file.name;
+                openDialog(table);
+            } catch (err) {
+                console.error('Error reading survey file:', err);
+                alert('Error reading survey file: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    };
+
+    $(document).ready(function() {
+        $('#survey-col-id, #survey-col-hz, #survey-col-v, #survey-angle-unit, #survey-vertical-type').on('change', refreshOrientationRows);
+        $('#survey-orient-method').on('change', updateOrientationFields);
+    });
+})();
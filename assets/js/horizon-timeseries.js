@@ -0,0 +1,592 @@
+// =================================================================
+// HORIZON TIME SERIES – daily Sun and Moon rise/set on the horizon
+// =================================================================
+// Sun:  every day of the chosen year; the declination is taken at the approximate
+//       time of each rise and set (ephemeris.js), so it follows the Sun through the day.
+// Moon: every moonrise and moonset over one 18.61-year nodal cycle from 1 January of
+//       the chosen year, with the declination, parallax and semidiameter at the time of
+//       the event. The "monthly extremes" option reduces this to the northern and
+//       southern declination extreme of each tropical month (the standstill envelope);
+//       those are moments, not actual risings, so each is placed as if it rose and set
+//       at that declination.
+// Each event is placed on the computed horizon with the rise/set search of hwtip.js
+// (findActualAzimuthForTargetApparentAltitude, quiet, fast horizon lookup). Results are
+// listed in a calendar strip under the panorama, drawn on the panorama (selected day and
+// track) and exported as CSV/JSON. State is kept in window.HC_timeSeries.
+
+(function() {
+    'use strict';
+
+    const MOON_CYCLE_YEARS = 18.61;
+    const MOON_SAMPLE_DAYS = 0.25;
+    const SUN_ALTITUDE_AT_RISE = -0.833; // degrees, refraction + semidiameter, for the rise time only
+    const MOON_HOUR_ANGLE_RATE = 347.81; // degrees per day: sidereal rate less the Moon's mean motion
+    const MOON_EVENT_INTERVAL = 1.035; // days between successive moonrises (or moonsets), on average
+    const PLAY_INTERVAL_MS = 120;
+    const COLORS = { Rise: '#FF9800', Set: '#7E57C2' };
+
+    let running = false;
+    let cancelRequested = false;
+    let playTimer = null;
+
+    function readNumber(id, fallback) {
+        const el = document.getElementById(id);
+        const v = el ? parseFloat(el.value) : NaN;
+        return isNaN(v) ? fallback : v;
+    }
+
+    function readSettings() {
+        const age = readNumber('ts-year', readNumber('age', 2000));
+        const body = $('#ts-body').val();
+        return {
+            body: body === 'moon' || body === 'moon-extremes' ? 'moon' : 'sun',
+            extremes: body === 'moon-extremes',
+            age: age,
+            year: age === 0 ? 1 : (age < 1 ? age + 1 : age), // no year 0 in "age", as in compute()
+            limb: $('#ts-limb').val() || 'Center'
+        };
+    }
+
+    function pad(n, width) {
+        const s = String(Math.abs(n));
+        return (n < 0 ? '-' : '') + (s.length < width ? '0'.repeat(width - s.length) + s : s);
+    }
+
+    function formatDate(jd) {
+        const c = window.Ephemeris.calendarDate(jd);
+        return `${pad(c.year, 4)}-${pad(c.month, 2)}-${pad(Math.floor(c.day), 2)}`;
+    }
+
+    function formatTime(jd) {
+        const frac = (jd + 0.5) - Math.floor(jd + 0.5);
+        const minutes = Math.round(frac * 1440) % 1440;
+        return `${pad(Math.floor(minutes / 60), 2)}:${pad(minutes % 60, 2)}`;
+    }
+
+    // Hour angle (degrees) at which a body of the given declination reaches altitude h0
+    function hourAngleAt(latDeg, decDeg, h0Deg) {
+        const rad = Math.PI / 180;
+        const cosH = (Math.sin(h0Deg * rad) - Math.sin(latDeg * rad) * Math.sin(decDeg * rad)) /
+            (Math.cos(latDeg * rad) * Math.cos(decDeg * rad));
+        if (cosH < -1 || cosH > 1) return null;
+        return Math.acos(cosH) / rad;
+    }
+
+    /**
+     * Sun events for every day of an astronomical year.
+     * @returns {Array<Object>} { index, jd, date, event, declination, parallax, semidiameter }
+     */
+    function sunEvents(year, lat, lon) {
+        const E = window.Ephemeris;
+        const start = E.julianDay(year, 1, 1);
+        const days = Math.round(E.julianDay(year + 1, 1, 1) - start);
+        const events = [];
+        for (let d = 0; d < days; d++) {
+            const jdNoon = start + d + 0.5 - lon / 360;
+            const noonDec = E.sunPosition(jdNoon).dec;
+            const H = hourAngleAt(lat, noonDec, SUN_ALTITUDE_AT_RISE);
+            if (H === null) continue; // polar day or night
+            [['Rise', jdNoon - H / 360], ['Set', jdNoon + H / 360]].forEach(([event, jd]) => {
+                const pos = E.sunPosition(jd);
+                events.push({
+                    index: d,
+                    jd: jd,
+                    date: formatDate(start + d),
+                    event: event,
+                    declination: pos.dec,
+                    parallax: 0,
+                    semidiameter: pos.semidiameter
+                });
+            });
+        }
+        return events;
+    }
+
+    /**
+     * Moonrise or moonset nearest a time, by iterating on the Moon's hour angle at the
+     * standard altitude 0.7275 × parallax − 0.5667° (Meeus ch. 15); for timing only.
+     * @returns {?{jd: number, position: Object}} null when the Moon does not rise or set.
+     */
+    function moonEventNear(jdGuess, lat, lon, isRise) {
+        const E = window.Ephemeris;
+        let jd = jdGuess;
+        let pos = null;
+        for (let k = 0; k < 5; k++) {
+            pos = E.moonPosition(jd);
+            const H = hourAngleAt(lat, pos.dec, 0.7275 * pos.parallax - 0.5667);
+            if (H === null) return null;
+            const hourAngle = E.siderealTime(jd) + lon - pos.ra;
+            const diff = ((((isRise ? -H : H) - hourAngle) % 360) + 540) % 360 - 180;
+            jd += diff / MOON_HOUR_ANGLE_RATE;
+            if (Math.abs(diff) < 0.01) break;
+        }
+        return { jd: jd, position: pos };
+    }
+
+    /**
+     * Every moonrise and moonset over one nodal cycle, indexed by day from 1 January.
+     * Days without a rise (or set) have no event of that kind, as in the sky.
+     * @returns {Array<Object>} { index, jd, date, time, event, declination, parallax, semidiameter }
+     */
+    function moonDailyEvents(year, lat, lon) {
+        const E = window.Ephemeris;
+        const start = E.julianDay(year, 1, 1);
+        const end = start + Math.round(MOON_CYCLE_YEARS * 365.25);
+        const events = [];
+        ['Rise', 'Set'].forEach(event => {
+            let guess = start - lon / 360 + (event === 'Rise' ? 0.25 : 0.75);
+            let last = -Infinity;
+            while (guess < end) {
+                const found = moonEventNear(guess, lat, lon, event === 'Rise');
+                if (!found) {
+                    guess += 1; // circumpolar or never above the horizon today
+                    continue;
+                }
+                if (found.jd >= start && found.jd < end && found.jd - last > 0.5) {
+                    const index = Math.floor(found.jd - start + lon / 360); // local day
+                    events.push({
+                        index: index,
+                        jd: found.jd,
+                        date: formatDate(start + index),
+                        time: formatTime(found.jd),
+                        event: event,
+                        declination: found.position.dec,
+                        parallax: E.topocentricParallax(found.position.parallax, lat, 0),
+                        semidiameter: found.position.semidiameter
+                    });
+                    last = found.jd;
+                }
+                guess = Math.max(guess, found.jd) + MOON_EVENT_INTERVAL;
+            }
+        });
+        return events.sort((a, b) => a.jd - b.jd);
+    }
+
+    /**
+     * Northern and southern declination extremes of the Moon over one nodal cycle
+     * (the "monthly extremes" option).
+     * @returns {Array<Object>} Two events (rise and set) per extreme.
+     */
+    function moonEvents(year, lat) {
+        const E = window.Ephemeris;
+        const start = E.julianDay(year, 1, 1);
+        const end = start + MOON_CYCLE_YEARS * 365.25;
+        const events = [];
+        E.moonDeclinationExtremes(start, end, MOON_SAMPLE_DAYS).forEach((e, index) => {
+            ['Rise', 'Set'].forEach(event => {
+                events.push({
+                    index: index,
+                    jd: e.jd,
+                    date: formatDate(e.jd),
+                    time: formatTime(e.jd),
+                    extreme: e.extreme,
+                    event: event,
+                    declination: e.position.dec,
+                    parallax: E.topocentricParallax(e.position.parallax, lat, 0),
+                    semidiameter: e.position.semidiameter
+                });
+            });
+        });
+        return events;
+    }
+
+    function currentHorizon() {
+        if (window.HC_horizonData && window.HC_horizonData.length > 1) {
+            return window.HC_horizonData;
+        }
+        const profile = window.HC_profileData;
+        if (!profile || profile.length < 2) return null;
+        return profile.filter(p => p && p.latlng && !isNaN(p.x) && !isNaN(p.y)).map(p => ({
+            azimuth: ((p.x % 360) + 360) % 360,
+            altitude: p.y,
+            horizonLat: p.latlng.lat,
+            horizonLon: p.latlng.lng
+        }));
+    }
+
+    function currentObserver() {
+        if (window.HC_locationData) {
+            return {
+                lat: window.HC_locationData.latitude,
+                lng: window.HC_locationData.longitude,
+                elevation: window.HC_locationData.elevation_amsl
+            };
+        }
+        const params = window.HC_cachedParams;
+        if (params && params.center) {
+            return { lat: params.center.lat, lng: params.center.lng, elevation: params.height || 0 };
+        }
+        return null;
+    }
+
+    function setStatus(message, type) {
+        const el = document.getElementById('ts-status');
+        if (!el) return;
+        el.className = type === 'error' ? 'text-danger' : 'text-muted';
+        el.textContent = message;
+    }
+
+    /**
+     * Run the time series for the sidebar settings against the current horizon probe.
+     * @returns {Promise<Object|null>} window.HC_timeSeries, or null when cancelled.
+     */
+    async function run() {
+        if (running) return null;
+        const horizonData = currentHorizon();
+        const observer = currentObserver();
+        if (!horizonData || !observer) {
+            alert('No horizon profile available. Please run a Horizon Probe first.');
+            return null;
+        }
+        if (!window.Ephemeris || !window.Refraction || typeof window.findActualAzimuthForTargetApparentAltitude !== 'function') {
+            alert('Ephemeris, refraction or rise/set search not loaded.');
+            return null;
+        }
+
+        stop();
+        running = true;
+        cancelRequested = false;
+        $('#btn-ts-run').prop('disabled', true);
+        $('#btn-ts-cancel').show();
+
+        const settings = readSettings();
+        const conditions = window.Refraction.readConditions(observer.elevation);
+        const altitudeAt = window.HorizonCore.horizonAltitudeLookup(horizonData);
+        let events;
+        if (settings.body === 'sun') {
+            events = sunEvents(settings.year, observer.lat, observer.lng);
+        } else {
+            events = settings.extremes
+                ? moonEvents(settings.year, observer.lat)
+                : moonDailyEvents(settings.year, observer.lat, observer.lng);
+        }
+        const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        const rows = [];
+        try {
+            for (let i = 0; i < events.length; i++) {
+                if (cancelRequested) {
+                    setStatus('Time series cancelled.');
+                    return null;
+                }
+                const e = events[i];
+                const point = await window.findActualAzimuthForTargetApparentAltitude(
+                    horizonData, settings.limb, `${e.date} ${e.event}`, observer.lat, observer.lng,
+                    e.event === 'Rise', e.declination, observer.elevation, settings.body === 'moon', false,
+                    { refractionConditions: conditions, altitudeAt: altitudeAt, quiet: true, parallax: e.parallax, semidiameter: e.semidiameter }
+                );
+                rows.push(Object.assign({}, e, {
+                    azimuth: point ? point.azimuth : null,
+                    altitude: point ? altitudeAt(point.azimuth) : null,
+                    horizonLat: point ? point.lat : null,
+                    horizonLon: point ? point.lon : null
+                }));
+                if (i % 20 === 0) {
+                    setStatus(`Calculating ${settings.extremes ? 'lunar extremes' : 'events'}: ${i + 1}/${events.length}`);
+                    await yieldToBrowser();
+                }
+            }
+        } finally {
+            running = false;
+            $('#btn-ts-run').prop('disabled', false);
+            $('#btn-ts-cancel').hide();
+        }
+
+        const found = rows.filter(r => r.azimuth !== null).length;
+        window.HC_timeSeries = {
+            body: settings.body,
+            extremes: settings.extremes,
+            year: settings.year,
+            limb: settings.limb,
+            observer: observer,
+            refraction: window.Refraction.describe(conditions),
+            rows: rows,
+            count: rows.length ? rows[rows.length - 1].index + 1 : 0,
+            selected: 0
+        };
+        setStatus(`${found}/${rows.length} events placed on the horizon.`);
+        $('#row-timeseries').show();
+        renderStrip();
+        redrawPanorama();
+        return window.HC_timeSeries;
+    }
+
+    function cancel() {
+        if (running) cancelRequested = true;
+    }
+
+    function redrawPanorama() {
+        if (typeof window.HC_renderPanorama === 'function') {
+            window.HC_renderPanorama();
+        }
+    }
+
+    function rowsForIndex(index) {
+        const ts = window.HC_timeSeries;
+        return ts ? ts.rows.filter(r => r.index === index) : [];
+    }
+
+    function select(index) {
+        const ts = window.HC_timeSeries;
+        if (!ts || ts.count === 0) return;
+        ts.selected = Math.max(0, Math.min(ts.count - 1, index));
+        renderStrip();
+        redrawPanorama();
+    }
+
+    // --- Calendar strip --------------------------------------------------------
+
+    function stripLayout(canvas) {
+        const margin = { left: 40, right: 8, top: 4, bottom: 16 };
+        const bandHeight = (canvas.height - margin.top - margin.bottom) / 2;
+        return { margin, bandHeight, width: canvas.width - margin.left - margin.right };
+    }
+
+    function renderStrip() {
+        const ts = window.HC_timeSeries;
+        const canvas = document.getElementById('hc-timeseriesCanvas');
+        if (!canvas || !ts) return;
+        canvas.width = canvas.clientWidth || 800;
+        canvas.height = 110;
+        const ctx = canvas.getContext('2d');
+        const layout = stripLayout(canvas);
+        const xFor = index => layout.margin.left + (index + 0.5) * layout.width / Math.max(1, ts.count);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '10px Arial';
+
+        ['Rise', 'Set'].forEach((event, b) => {
+            const top = layout.margin.top + b * layout.bandHeight;
+            const rows = ts.rows.filter(r => r.event === event && r.azimuth !== null);
+            ctx.fillStyle = b === 0 ? '#fafafa' : '#f0f0f0';
+            ctx.fillRect(layout.margin.left, top, layout.width, layout.bandHeight);
+            ctx.fillStyle = '#333';
+            ctx.textAlign = 'left';
+            ctx.fillText(event, 2, top + 12);
+            if (rows.length === 0) return;
+
+            // Azimuths unwrapped around the first value so tracks crossing north stay continuous
+            const ref = rows[0].azimuth;
+            const unwrap = az => ref + ((((az - ref) % 360) + 540) % 360) - 180;
+            const values = rows.map(r => unwrap(r.azimuth));
+            const min = Math.min.apply(null, values), max = Math.max.apply(null, values);
+            const span = Math.max(0.5, max - min);
+            const yFor = az => top + layout.bandHeight - 4 - (unwrap(az) - min) / span * (layout.bandHeight - 8);
+
+            ctx.fillStyle = '#777';
+            ctx.fillText(`${window.normalizeAzimuth(max).toFixed(1)}°`, 2, top + 24);
+            ctx.fillText(`${window.normalizeAzimuth(min).toFixed(1)}°`, 2, top + layout.bandHeight - 2);
+            ctx.fillStyle = COLORS[event];
+            rows.forEach(r => {
+                ctx.fillRect(xFor(r.index) - 1, yFor(r.azimuth) - 1, 2, 2);
+            });
+        });
+
+        // Month (Sun) or year (Moon) ticks along the bottom
+        ctx.strokeStyle = 'rgba(0,0,0,0.2)';
+        ctx.fillStyle = '#555';
+        ctx.textAlign = 'left';
+        let lastLabel = null;
+        ts.rows.forEach(r => {
+            // Dates are YYYY-MM-DD with a signed year
+            const label = ts.body === 'moon' ? r.date.slice(0, -6) : r.date.slice(-5, -3);
+            if (label === lastLabel) return;
+            lastLabel = label;
+            const x = xFor(r.index) - 0.5 * layout.width / ts.count;
+            ctx.beginPath();
+            ctx.moveTo(x, layout.margin.top);
+            ctx.lineTo(x, canvas.height - layout.margin.bottom);
+            ctx.stroke();
+            ctx.fillText(label, x + 2, canvas.height - 4);
+        });
+
+        // Selected day
+        const x = xFor(ts.selected);
+        ctx.strokeStyle = '#d32f2f';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, layout.margin.top);
+        ctx.lineTo(x, canvas.height - layout.margin.bottom);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+
+        renderSelection();
+    }
+
+    function renderSelection() {
+        const el = document.getElementById('ts-selected');
+        if (!el) return;
+        const rows = rowsForIndex(window.HC_timeSeries.selected);
+        if (rows.length === 0) {
+            el.textContent = '';
+            return;
+        }
+        const first = rows[0];
+        const when = first.extreme ? `${first.date} ${first.time} UT – ${first.extreme} extreme` : first.date;
+        el.innerHTML = `<b>${when}</b>` + rows.map(r => ` &nbsp; ${r.event}${r.time && !r.extreme ? ` ${r.time} UT` : ''}: δ ${r.declination.toFixed(3)}°, ` +
+            (r.azimuth === null ? 'not on horizon' : `Az ${r.azimuth.toFixed(2)}°, Alt ${r.altitude.toFixed(2)}°`)).join('');
+    }
+
+    function indexAtStripX(clientX) {
+        const ts = window.HC_timeSeries;
+        const canvas = document.getElementById('hc-timeseriesCanvas');
+        const rect = canvas.getBoundingClientRect();
+        const layout = stripLayout(canvas);
+        const x = (clientX - rect.left) * canvas.width / rect.width;
+        return Math.floor((x - layout.margin.left) / layout.width * ts.count);
+    }
+
+    // --- Panorama overlay ------------------------------------------------------
+
+    /**
+     * Draw the rise/set track and the selected day on a panorama (called from HC_drawOverlays).
+     */
+    function drawOverlay(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY) {
+        const ts = window.HC_timeSeries;
+        if (!ts || !ts.rows.length || !$('#ts-show-on-panorama').is(':checked')) return;
+
+        const xFor = az => {
+            let diff = az - currentBearing;
+            if (diff < -180) diff += 360;
+            if (diff > 180) diff -= 360;
+            return Math.abs(diff) < fov / 2 ? (w / 2) + diff * pxPerDegX : null;
+        };
+
+        ts.rows.forEach(r => {
+            if (r.azimuth === null) return;
+            const x = xFor(r.azimuth);
+            if (x === null) return;
+            ctx.fillStyle = 'rgba(255,255,255,0.6)';
+            ctx.fillRect(x - 1, horizonY - r.altitude * pxPerDegY - 1, 2, 2);
+        });
+
+        rowsForIndex(ts.selected).forEach(r => {
+            if (r.azimuth === null) return;
+            const x = xFor(r.azimuth);
+            if (x === null) return;
+            // Disc placed for the chosen limb, as the rise/set markers in HC_drawOverlays
+            const radius = Math.max(3, r.semidiameter * pxPerDegY);
+            const limbShift = ts.limb === 'UL' ? r.semidiameter : (ts.limb === 'LL' ? -r.semidiameter : 0);
+            const y = horizonY - (r.altitude - limbShift) * pxPerDegY;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.fillStyle = ts.body === 'moon' ? 'rgba(230,230,230,0.9)' : 'rgba(255,200,0,0.9)';
+            ctx.fill();
+            ctx.strokeStyle = COLORS[r.event];
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.lineWidth = 1;
+            ctx.font = '10px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#000';
+            ctx.fillText(r.date, x, y - radius - 4);
+        });
+    }
+
+    // --- Animation -------------------------------------------------------------
+
+    function play() {
+        const ts = window.HC_timeSeries;
+        if (!ts || ts.count === 0) return;
+        if (playTimer) {
+            stop();
+            return;
+        }
+        if (ts.selected >= ts.count - 1) ts.selected = 0;
+        $('#btn-ts-play').html('<i class="fa fa-pause"></i> Pause');
+        playTimer = setInterval(() => {
+            if (ts !== window.HC_timeSeries || ts.selected >= ts.count - 1) {
+                stop();
+                return;
+            }
+            select(ts.selected + 1);
+        }, PLAY_INTERVAL_MS);
+    }
+
+    function stop() {
+        if (playTimer) {
+            clearInterval(playTimer);
+            playTimer = null;
+        }
+        $('#btn-ts-play').html('<i class="fa fa-play"></i> Play');
+    }
+
+    // --- Export ----------------------------------------------------------------
+
+    function download(content, type, extension) {
+        const ts = window.HC_timeSeries;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        window.ExportUtils.download(content,
+            `${ts.body}-rise-set-${ts.year}-${ts.observer.lat.toFixed(6)}-${ts.observer.lng.toFixed(6)}-${timestamp}.${extension}`, type);
+    }
+
+    function exportCSV() {
+        const ts = window.HC_timeSeries;
+        if (!ts || !ts.rows.length) {
+            alert('No time series to export.');
+            return;
+        }
+        const fmt = (v, digits) => v === null || v === undefined ? '' : v.toFixed(digits);
+        let csv = 'Date,Time (UT),Calendar,Extreme,Event,Declination (degrees),Azimuth (degrees),Altitude (degrees),Horizon Lat,Horizon Lon\n';
+        ts.rows.forEach(r => {
+            const calendar = window.Ephemeris.calendarDate(r.jd).calendar;
+            csv += [r.date, r.time || formatTime(r.jd), calendar, r.extreme || '', r.event, fmt(r.declination, 4),
+                fmt(r.azimuth, 3), fmt(r.altitude, 3), fmt(r.horizonLat, 6), fmt(r.horizonLon, 6)].join(',') + '\n';
+        });
+        download(csv, 'text/csv;charset=utf-8;', 'csv');
+    }
+
+    function exportJSON() {
+        const ts = window.HC_timeSeries;
+        if (!ts || !ts.rows.length) {
+            alert('No time series to export.');
+            return;
+        }
+        const data = {
+            body: ts.body,
+            series: ts.body === 'moon' ? (ts.extremes ? 'monthly declination extremes' : 'every rise and set') : 'every day',
+            year: ts.year,
+            limb: ts.limb,
+            observer: ts.observer,
+            refraction: ts.refraction,
+            events: ts.rows.map(r => ({
+                date: r.date,
+                timeUT: r.time || formatTime(r.jd),
+                jd: r.jd,
+                extreme: r.extreme,
+                event: r.event,
+                declination: r.declination,
+                azimuth: r.azimuth,
+                altitude: r.altitude,
+                horizonLat: r.horizonLat,
+                horizonLon: r.horizonLon
+            }))
+        };
+        download(JSON.stringify(data, null, 2), 'application/json', 'json');
+    }
+
+    window.HC_timeSeries = null;
+    window.HC_runTimeSeries = run;
+    window.HC_drawTimeSeriesOverlay = drawOverlay;
+    window.HC_exportTimeSeriesCSV = exportCSV;
+    window.HC_exportTimeSeriesJSON = exportJSON;
+
+    $(document).ready(function() {
+        $('#btn-ts-run').on('click', run);
+        $('#btn-ts-cancel').on('click', cancel);
+        $('#btn-ts-play').on('click', play);
+        $('#ts-show-on-panorama').on('change', redrawPanorama);
+        $('#ts-year').attr('placeholder', $('#age').val());
+        $('#age').on('change', function() {
+            $('#ts-year').attr('placeholder', this.value);
+        });
+        $('#hc-timeseriesCanvas').on('click', function(e) {
+            if (!window.HC_timeSeries) return;
+            stop();
+            select(indexAtStripX(e.clientX));
+        });
+        $(window).on('resize', function() {
+            if (window.HC_timeSeries && $('#row-timeseries').is(':visible')) renderStrip();
+        });
+    });
+})();
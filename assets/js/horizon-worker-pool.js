@@ -0,0 +1,210 @@
+// =================================================================
+// HORIZON WORKER POOL – parallel radial sweeps
+// =================================================================
+// Bearings are split into contiguous sectors, one per worker. Each worker gets
+// only the part of the DEM its sector's wedge can reach, copied once into a
+// fresh buffer that is transferred (not cloned) to the worker.
+// Falls back to an in-thread HorizonCore.sweep when workers are unavailable
+// (e.g. when index.html is opened from file://).
+
+(function() {
+    'use strict';
+
+    const WORKER_URL = (function() {
+        const src = document.currentScript && document.currentScript.src;
+        return src ? src.replace(/horizon-worker-pool\.js(\?.*)?$/, 'horizon-worker.js') : 'assets/js/horizon-worker.js';
+    })();
+    const MAX_WORKERS = 8;
+
+    let workers = [];
+    let nextJobId = 1;
+    let activeJob = null; // { id, reject, pending, token }
+    let workersUnavailable = (typeof Worker === 'undefined') || location.protocol === 'file:';
+
+    function poolSize() {
+        const cores = navigator.hardwareConcurrency || 2;
+        return Math.max(1, Math.min(MAX_WORKERS, cores - 1));
+    }
+
+    function ensureWorkers() {
+        const size = poolSize();
+        while (workers.length < size) {
+            workers.push(new Worker(WORKER_URL));
+        }
+        return workers;
+    }
+
+    function terminateWorkers() {
+        workers.forEach(w => w.terminate());
+        workers = [];
+    }
+
+    // Bounding box (in DEM-local pixels) of the wedge swept by bearings [b0, b1]
+    function sectorCrop(dem, centerLocal, maxPx, b0, b1) {
+        let minX = centerLocal.x, maxX = centerLocal.x, minY = centerLocal.y, maxY = centerLocal.y;
+        const span = b1 - b0;
+        const samples = Math.max(2, Math.ceil(span)); // one sample per degree of arc
+        for (let k = 0; k <= samples; k++) {
+            const rad = (b0 + span * k / samples - 90) * Math.PI / 180;
+            const x = centerLocal.x + Math.cos(rad) * maxPx;
+            const y = centerLocal.y + Math.sin(rad) * maxPx;
+            minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+        }
+        // Pad for bilinear neighbours and clip to the DEM
+        const demHeight = dem.height || dem.width;
+        const x0 = Math.max(0, Math.floor(minX) - 2);
+        const y0 = Math.max(0, Math.floor(minY) - 2);
+        const x1 = Math.min(dem.width, Math.ceil(maxX) + 3);
+        const y1 = Math.min(demHeight, Math.ceil(maxY) + 3);
+        return { x0, y0, w: Math.max(0, x1 - x0), h: Math.max(0, y1 - y0) };
+    }
+
+    function copyCrop(dem, crop) {
+        const out = new Float32Array(crop.w * crop.h);
+        for (let row = 0; row < crop.h; row++) {
+            const start = (crop.y0 + row) * dem.width + crop.x0;
+            out.set(dem.data.subarray(start, start + crop.w), row * crop.w);
+        }
+        return out;
+    }
+
+    /**
+     * Run a radial sweep across the worker pool.
+     * @param {Object} opts - { dem: {data, width, zoom, originPoint}, lat, lng, observerH, steps,
+     *        refractionK, maxDistKm, overrides?, snapMeters?, onProgress?(done, total), cancelToken? }
+     *        A cancelToken ({cancelled}) that is set while the job runs cancels it at the next progress message.
+     * @returns {Promise<Array>} Profile in bearing order. Segment lx/ly are relative to the full DEM,
+     *          and latlng values are plain {lat, lng} objects.
+     */
+    function run(opts) {
+        if (workersUnavailable) {
+            return Promise.reject(new Error('Web Workers not available.'));
+        }
+        if (activeJob) {
+            // One sweep at a time; a concurrent caller (e.g. intervisibility) runs in-thread instead
+            return Promise.reject(new Error('Worker pool busy.'));
+        }
+
+        const dem = opts.dem;
+        const pool = ensureWorkers();
+        const jobId = nextJobId++;
+        const center = window.HorizonCore.project(opts.lat, opts.lng, dem.zoom);
+        const centerLocal = { x: center.x - dem.originPoint.x, y: center.y - dem.originPoint.y };
+        const metersPerPx = 40075016 * Math.cos(opts.lat * Math.PI / 180) / Math.pow(2, dem.zoom + 8);
+        const maxPx = (opts.maxDistKm * 1000) / metersPerPx;
+
+        const sectors = Math.min(pool.length, opts.steps);
+        const perSector = Math.ceil(opts.steps / sectors);
+        const progressBySector = new Array(sectors).fill(0);
+        const results = new Array(sectors);
+
+        return new Promise((resolve, reject) => {
+            activeJob = { id: jobId, reject: reject, pending: sectors, token: opts.cancelToken || null };
+
+            for (let s = 0; s < sectors; s++) {
+                const fromIndex = s * perSector;
+                const toIndex = Math.min(opts.steps, fromIndex + perSector);
+                if (fromIndex >= toIndex) {
+                    results[s] = [];
+                    if (--activeJob.pending === 0) finish();
+                    continue;
+                }
+                const b0 = fromIndex * 360 / opts.steps;
+                const b1 = (toIndex - 1) * 360 / opts.steps;
+                const crop = sectorCrop(dem, centerLocal, maxPx, b0, b1);
+                const data = copyCrop(dem, crop);
+                const worker = pool[s];
+
+                worker.onmessage = function(e) {
+                    const msg = e.data;
+                    if (!activeJob || msg.jobId !== jobId) return;
+                    if (opts.cancelToken && opts.cancelToken.cancelled) {
+                        cancel(opts.cancelToken);
+                        return;
+                    }
+                    if (msg.type === 'progress') {
+                        progressBySector[s] = msg.done;
+                        if (opts.onProgress) {
+                            opts.onProgress(progressBySector.reduce((a, b) => a + b, 0), opts.steps);
+                        }
+                    } else if (msg.type === 'result') {
+                        msg.profile.forEach(p => {
+                            p.segments.forEach(seg => {
+                                seg.lx += crop.x0;
+                                seg.ly += crop.y0;
+                            });
+                        });
+                        results[s] = msg.profile;
+                        if (--activeJob.pending === 0) finish();
+                    } else if (msg.type === 'error') {
+                        fail(new Error(msg.message));
+                    }
+                };
+                worker.onerror = function(e) {
+                    e.preventDefault();
+                    fail(new Error(e.message || 'Horizon worker failed to start.'), true);
+                };
+
+                worker.postMessage({
+                    type: 'sweep',
+                    jobId: jobId,
+                    dem: {
+                        data: data,
+                        width: crop.w,
+                        height: crop.h,
+                        zoom: dem.zoom,
+                        originX: dem.originPoint.x + crop.x0,
+                        originY: dem.originPoint.y + crop.y0
+                    },
+                    overrides: opts.overrides || null,
+                    snapMeters: opts.snapMeters || 0,
+                    lat: opts.lat,
+                    lng: opts.lng,
+                    observerH: opts.observerH,
+                    steps: opts.steps,
+                    refractionK: opts.refractionK,
+                    maxDistKm: opts.maxDistKm,
+                    fromIndex: fromIndex,
+                    toIndex: toIndex
+                }, [data.buffer]);
+            }
+
+            function finish() {
+                activeJob = null;
+                resolve([].concat.apply([], results));
+            }
+
+            // workerBroken: the worker itself failed (onerror), not just this job's sweep
+            function fail(err, workerBroken) {
+                if (!activeJob || activeJob.id !== jobId) return;
+                activeJob = null;
+                terminateWorkers(); // stops the other sectors; workers are recreated on the next run
+                // A worker that failed to load will keep failing; use the in-thread path from now on
+                if (workerBroken) workersUnavailable = true;
+                reject(err);
+            }
+        });
+    }
+
+    /**
+     * Cancel the running sweep. Its promise rejects with an Error whose `cancelled` property is true.
+     * @param {Object} [token] - Only cancel the job started with this cancelToken.
+     */
+    function cancel(token) {
+        if (!activeJob || (token && activeJob.token !== token)) return false;
+        const job = activeJob;
+        activeJob = null;
+        terminateWorkers(); // workers are recreated on the next run
+        job.reject(window.HorizonCore.cancelledError());
+        return true;
+    }
+
+    window.HC_WorkerPool = {
+        run: run,
+        cancel: cancel,
+        isAvailable: () => !workersUnavailable,
+        isBusy: () => activeJob !== null,
+        size: poolSize
+    };
+})();
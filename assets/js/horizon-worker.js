@@ -0,0 +1,42 @@
+// =================================================================
+// HORIZON WORKER – runs a slice of a HorizonCore sweep off the main thread
+// =================================================================
+// Message in:  { type: 'sweep', jobId, dem: { data (transferred Float32Array), width, height,
+//                zoom, originX, originY }, overrides, snapMeters, lat, lng, observerH, steps,
+//                refractionK, maxDistKm, fromIndex, toIndex }
+// Messages out: { type: 'progress', jobId, done }
+//               { type: 'result', jobId, profile }
+//               { type: 'error', jobId, message }
+
+importScripts('horizon-core.js');
+
+self.onmessage = async function(e) {
+    const msg = e.data;
+    if (!msg || msg.type !== 'sweep') return;
+
+    try {
+        const dem = msg.dem;
+        let sampler = self.HorizonCore.createGridSampler(dem.data, dem.width, dem.zoom, dem.originX, dem.originY, dem.height);
+        if (msg.overrides) {
+            sampler = self.HorizonCore.withHorizonOverrides(sampler, msg.overrides, msg.snapMeters);
+        }
+
+        const profile = await self.HorizonCore.sweep({
+            sampler: sampler,
+            lat: msg.lat,
+            lng: msg.lng,
+            observerH: msg.observerH,
+            steps: msg.steps,
+            refractionK: msg.refractionK,
+            maxDistKm: msg.maxDistKm,
+            fromIndex: msg.fromIndex,
+            toIndex: msg.toIndex,
+            onProgress: function(done) {
+                self.postMessage({ type: 'progress', jobId: msg.jobId, done: done });
+            }
+        });
+        self.postMessage({ type: 'result', jobId: msg.jobId, profile: profile });
+    } catch (err) {
+        self.postMessage({ type: 'error', jobId: msg.jobId, message: err.message });
+    }
+};
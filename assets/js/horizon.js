@@ -24,23 +24,18 @@
     // =================================================================
     // STELLARIUM EXPORTER
     // =================================================================
-    window.HC_generateStellariumZip = function(profileData, gazetteerPoints, meta) {
-        if (!window.JSZip) {
-            alert("JSZip library not found. Please ensure it is included.");
-            return;
-        }
-
-        const zip = new JSZip();
-        const safeName = meta.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-        const folder = zip.folder(safeName);
-
+    /**
+     * Write a polygonal Stellarium landscape (landscape.ini, horizon.txt and optional
+     * gazetteer.en.utf8) into a JSZip folder. Also used by the batch profiler.
+     */
+    window.HC_addStellariumLandscape = function(folder, profileData, gazetteerPoints, meta) {
         // 1. Generate landscape.ini
         // Build INI content - include gazetteer reference if gazetteer points exist
         let iniContent = `[landscape]
 name = ${meta.name}
 type = polygonal
 author = ${meta.author}
-description = Generated by Horizon Profiler at Lat: ${meta.lat.toFixed(5)}, Lng: ${meta.lng.toFixed(5)}, Elev: ${Math.round(meta.elev)}m
+description = Generated by Horizon Profiler at Lat: ${meta.lat.toFixed(5)}, Lng: ${meta.lng.toFixed(5)}, Elev: ${Math.round(meta.elev)}m${meta.dem ? `, DEM: ${meta.dem}` : ''}
 polygonal_horizon_list = horizon.txt
 polygonal_angle_rotatez = 0
 `;
@@ -63,6 +58,8 @@ altitude = ${Math.round(meta.elev)}
         let horizonStr = "";
         if (profileData && profileData.length > 0) {
             profileData.forEach(pt => {
+                // Unmeasured azimuths of a surveyed horizon have no altitude
+                if (isNaN(pt.y)) return;
                 horizonStr += `${pt.x.toFixed(4)} ${pt.y.toFixed(4)}\n`;
             });
         }
@@ -85,8 +82,19 @@ altitude = ${Math.round(meta.elev)}
             // JSZip automatically handles UTF-8 encoding for text files
             folder.file("gazetteer.en.utf8", gazStr);
         }
+    };
+
+    window.HC_generateStellariumZip = function(profileData, gazetteerPoints, meta) {
+        if (!window.JSZip) {
+            alert("JSZip library not found. Please ensure it is included.");
+            return;
+        }
 
-        // 4. Generate and Download Zip
+        const zip = new JSZip();
+        const safeName = meta.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+        window.HC_addStellariumLandscape(zip.folder(safeName), profileData, gazetteerPoints, meta);
+
+        // Generate and Download Zip
         zip.generateAsync({type:"blob"})
         .then(function(content) {
             const a = document.createElement("a");
@@ -220,16 +228,16 @@ altitude = ${Math.round(meta.elev)}
         const totalTiles = Math.pow((radiusTiles * 2 + 1), 2);
         let downloaded = 0;
 
+        // Elevations come from the active DEM source (see dem-sources.js)
         for (let x = centerX - radiusTiles; x <= centerX + radiusTiles; x++) {
             for (let y = centerY - radiusTiles; y <= centerY + radiusTiles; y++) {
-                const elevUrl = `https://s3.amazonaws.com/elevation-tiles-prod/terrarium/${zoom}/${x}/${y}.png`;
                 promises.push(
-                    HC_loadTileImage(elevUrl).then(elevImg => {
+                    window.HC_DEMSources.getTile(zoom, x, y).then(elev => {
                         if(progressCallback) {
                             downloaded++;
                             progressCallback(downloaded, totalTiles);
                         }
-                        if (elevImg) tiles.push({ x, y, elevImg });
+                        if (elev) tiles.push({ x, y, elev });
                     })
                 );
             }
@@ -237,21 +245,19 @@ altitude = ${Math.round(meta.elev)}
         await Promise.all(promises);
         if (tiles.length === 0) throw new Error("No data.");
         const gridWidth = (radiusTiles * 2 + 1) * tileSize;
-        const canvas = document.createElement('canvas');
-        canvas.width = gridWidth;
-        canvas.height = gridWidth;
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
         const originX = (centerX - radiusTiles) * tileSize;
         const originY = (centerY - radiusTiles) * tileSize;
 
-        tiles.forEach(t => ctx.drawImage(t.elevImg, (t.x * tileSize) - originX, (t.y * tileSize) - originY));
-        const rawElev = ctx.getImageData(0, 0, gridWidth, gridWidth).data;
         const floatData = new Float32Array(gridWidth * gridWidth);
-        for (let i = 0, j = 0; i < rawElev.length; i += 4, j++) {
-            floatData[j] = (rawElev[i] * 256 + rawElev[i+1] + rawElev[i+2] / 256) - 32768;
-        }
+        tiles.forEach(t => {
+            const offX = (t.x * tileSize) - originX;
+            const offY = (t.y * tileSize) - originY;
+            for (let row = 0; row < tileSize; row++) {
+                floatData.set(t.elev.subarray(row * tileSize, (row + 1) * tileSize), (offY + row) * gridWidth + offX);
+            }
+        });
 
-        return { data: floatData, width: gridWidth, zoom: zoom, originPoint: new L.Point(originX, originY) };
+        return { data: floatData, width: gridWidth, zoom: zoom, originPoint: new L.Point(originX, originY), source: window.HC_DEMSources.describe() };
     }
 
     // Fetch Z14 tiles for specific horizon points (calculated from low-res viewshed)
@@ -314,14 +320,13 @@ altitude = ${Math.round(meta.elev)}
         for (let i = 0; i < uniqueTiles.length; i += CHUNK_SIZE) {
             const chunk = uniqueTiles.slice(i, i + CHUNK_SIZE);
             const chunkPromises = chunk.map(({x, y, key}) => {
-                const elevUrl = `https://s3.amazonaws.com/elevation-tiles-prod/terrarium/${zoom}/${x}/${y}.png`;
-                return HC_loadTileImage(elevUrl).then(elevImg => {
+                return window.HC_DEMSources.getTile(zoom, x, y).then(elev => {
                     if(progressCallback) {
                         downloaded++;
                         progressCallback(downloaded, uniqueTiles.length);
                     }
-                    if (elevImg) {
-                        tiles.push({ x, y, elevImg, key });
+                    if (elev) {
+                        tiles.push({ x, y, elev, key });
                     }
                 });
             });
@@ -338,123 +343,6 @@ altitude = ${Math.round(meta.elev)}
         return { tiles, tileLookup, horizonTileMap, zoom, tileSize };
     }
 
-    // Hybrid terrain fetcher for Max resolution: Z12 base + Z14 horizon ring (OLD - not used)
-    async function HC_fetchHybridTerrain_OLD(centerLatLng, baseZoom, horizonZoom, horizonStartKm, scanRadiusKm, mapInstance, progressCallback) {
-        // Fetch Z12 base terrain for full scan radius
-        HC_updateStatus(`Downloading base terrain (Z${baseZoom})...`, true);
-        const baseTileWidthKm = 40075 / Math.pow(2, baseZoom);
-        const baseRadiusTiles = Math.ceil(scanRadiusKm / baseTileWidthKm);
-        const baseTotalTiles = Math.pow((baseRadiusTiles * 2 + 1), 2);
-        // Calculate horizon tiles count first (approximate, will be exact later)
-        const horizonTileWidthKm = 40075 / Math.pow(2, horizonZoom);
-        const horizonRadiusKm = scanRadiusKm - horizonStartKm;
-        const horizonRadiusTiles = Math.ceil(horizonRadiusKm / horizonTileWidthKm);
-        const fullRadiusTiles = Math.ceil(scanRadiusKm / horizonTileWidthKm);
-        const totalHorizonTiles = Math.pow((fullRadiusTiles * 2 + 1), 2) - Math.pow((horizonRadiusTiles * 2 + 1), 2);
-        const totalTiles = baseTotalTiles + totalHorizonTiles;
-        
-        const baseTerrain = await HC_fetchTerrainPatch(centerLatLng, baseZoom, baseRadiusTiles, mapInstance, (dl, tot) => {
-            if(progressCallback) progressCallback(dl, totalTiles);
-        });
-
-        // Fetch Z14 horizon ring only (outer portion)
-        HC_updateStatus(`Downloading horizon terrain (Z${horizonZoom})...`, true);
-        
-        // Process Z14 tiles in chunks to avoid memory issues
-        const centerPoint = mapInstance.project(centerLatLng, horizonZoom);
-        const tileSize = 256;
-        const centerX = Math.floor(centerPoint.x / tileSize);
-        const centerY = Math.floor(centerPoint.y / tileSize);
-        
-        // Only fetch tiles in the outer ring (horizon region)
-        const horizonTiles = [];
-        const promises = [];
-        let downloaded = 0;
-        
-        // Process in chunks of 50 tiles at a time
-        const CHUNK_SIZE = 50;
-        const allTileCoords = [];
-        
-        for (let x = centerX - fullRadiusTiles; x <= centerX + fullRadiusTiles; x++) {
-            for (let y = centerY - fullRadiusTiles; y <= centerY + fullRadiusTiles; y++) {
-                // Check if tile is in horizon ring (outside inner radius)
-                const dx = x - centerX;
-                const dy = y - centerY;
-                const distTiles = Math.sqrt(dx * dx + dy * dy);
-                if (distTiles > horizonRadiusTiles && distTiles <= fullRadiusTiles) {
-                    allTileCoords.push({ x, y });
-                }
-            }
-        }
-        
-        // Log tile count for debugging
-        console.log(`Max Res: Downloading ${allTileCoords.length} Z14 horizon tiles (ring from ${horizonStartKm}km to ${scanRadiusKm}km)`);
-        console.log(`Base Z12 tiles: ${baseTotalTiles}, Horizon Z14 tiles: ${allTileCoords.length}, Total: ${baseTotalTiles + allTileCoords.length}`);
-        
-        // Process tiles in chunks
-        for (let i = 0; i < allTileCoords.length; i += CHUNK_SIZE) {
-            const chunk = allTileCoords.slice(i, i + CHUNK_SIZE);
-            const chunkPromises = chunk.map(({x, y}) => {
-                const elevUrl = `https://s3.amazonaws.com/elevation-tiles-prod/terrarium/${horizonZoom}/${x}/${y}.png`;
-                return HC_loadTileImage(elevUrl).then(elevImg => {
-                    if(progressCallback) {
-                        downloaded++;
-                        progressCallback(baseTotalTiles + downloaded, totalTiles);
-                    }
-                    if (elevImg) horizonTiles.push({ x, y, elevImg });
-                });
-            });
-            await Promise.all(chunkPromises);
-            await HC_yieldToBrowser(); // Yield between chunks
-        }
-        
-        if (horizonTiles.length === 0) {
-            // No horizon tiles, return base terrain only
-            return { base: baseTerrain, horizon: null, horizonZoom: horizonZoom, horizonStartKm: horizonStartKm };
-        }
-        
-        // Create horizon DEM from tiles (smaller canvas, only horizon region)
-        const horizonGridWidth = (fullRadiusTiles * 2 + 1) * tileSize;
-        const horizonCanvas = document.createElement('canvas');
-        horizonCanvas.width = horizonGridWidth;
-        horizonCanvas.height = horizonGridWidth;
-        const horizonCtx = horizonCanvas.getContext('2d', { willReadFrequently: true });
-        const horizonOriginX = (centerX - fullRadiusTiles) * tileSize;
-        const horizonOriginY = (centerY - fullRadiusTiles) * tileSize;
-
-        horizonTiles.forEach(t => {
-            horizonCtx.drawImage(t.elevImg, (t.x * tileSize) - horizonOriginX, (t.y * tileSize) - horizonOriginY);
-        });
-        
-        // Extract horizon data in chunks to avoid memory issues
-        const CHUNK_PIXELS = 1000000; // Process 1M pixels at a time
-        const totalPixels = horizonGridWidth * horizonGridWidth;
-        const horizonData = new Float32Array(totalPixels);
-        
-        for (let y = 0; y < horizonGridWidth; y += Math.ceil(Math.sqrt(CHUNK_PIXELS))) {
-            const chunkHeight = Math.min(Math.ceil(Math.sqrt(CHUNK_PIXELS)), horizonGridWidth - y);
-            const chunkData = horizonCtx.getImageData(0, y, horizonGridWidth, chunkHeight).data;
-            const startIdx = y * horizonGridWidth;
-            for (let i = 0, j = startIdx; i < chunkData.length; i += 4, j++) {
-                horizonData[j] = (chunkData[i] * 256 + chunkData[i+1] + chunkData[i+2] / 256) - 32768;
-            }
-            await HC_yieldToBrowser(); // Yield between chunks
-        }
-        
-        const horizonTerrain = {
-            data: horizonData,
-            width: horizonGridWidth,
-            zoom: horizonZoom,
-            originPoint: new L.Point(horizonOriginX, horizonOriginY),
-            centerX: centerX,
-            centerY: centerY,
-            radiusTiles: fullRadiusTiles,
-            innerRadiusTiles: horizonRadiusTiles
-        };
-
-        return { base: baseTerrain, horizon: horizonTerrain, horizonZoom: horizonZoom, horizonStartKm: horizonStartKm };
-    }
-
     // Utility function to yield control to browser, allowing UI updates
     function HC_yieldToBrowser() {
         return new Promise(resolve => setTimeout(resolve, 0));
@@ -473,7 +361,7 @@ altitude = ${Math.round(meta.elev)}
         const tileKey = `${tileX},${tileY}`;
         
         const tile = z14Data.tileLookup.get(tileKey);
-        if (!tile || !tile.elevImg) return null;
+        if (!tile || !tile.elev) return null;
         
         // Get pixel coordinates within the tile
         const localX = pointProj.x - (tileX * tileSize);
@@ -483,209 +371,130 @@ altitude = ${Math.round(meta.elev)}
         const y0 = Math.floor(localY);
         if (x0 < 0 || x0 >= tileSize - 1 || y0 < 0 || y0 >= tileSize - 1) return null;
         
-        // Use cached canvas if available, otherwise create one
-        if (!tile.canvas) {
-            tile.canvas = document.createElement('canvas');
-            tile.canvas.width = tileSize;
-            tile.canvas.height = tileSize;
-            tile.ctx = tile.canvas.getContext('2d');
-            tile.ctx.drawImage(tile.elevImg, 0, 0);
-        }
-        
         const dx = localX - x0;
         const dy = localY - y0;
-        const imgData = tile.ctx.getImageData(x0, y0, 2, 2).data;
+        const idx = y0 * tileSize + x0;
         
         // Bilinear interpolation
-        const h00 = (imgData[0] * 256 + imgData[1] + imgData[2] / 256) - 32768;
-        const h10 = (imgData[4] * 256 + imgData[5] + imgData[6] / 256) - 32768;
-        const h01 = (imgData[tileSize * 4] * 256 + imgData[tileSize * 4 + 1] + imgData[tileSize * 4 + 2] / 256) - 32768;
-        const h11 = (imgData[(tileSize + 1) * 4] * 256 + imgData[(tileSize + 1) * 4 + 1] + imgData[(tileSize + 1) * 4 + 2] / 256) - 32768;
+        const h00 = tile.elev[idx];
+        const h10 = tile.elev[idx + 1];
+        const h01 = tile.elev[idx + tileSize];
+        const h11 = tile.elev[idx + tileSize + 1];
         
         const h0 = h00 * (1 - dx) + h10 * dx;
         const h1 = h01 * (1 - dx) + h11 * dx;
         return h0 * (1 - dy) + h1 * dy;
     }
 
-    async function HC_calculateViewshed(dem, centerLatLng, observerH, steps, mapInstance, hybridTerrain = null, suppressStatusUpdates = false) {
-        const profile = [];
-        // Use base DEM for coordinate calculations
-        const baseDem = hybridTerrain ? hybridTerrain.base : dem;
-        const centerPt = mapInstance.project(centerLatLng, baseDem.zoom);
-        const maxDistKm = HC_SCAN_RADIUS_KM;
-        const baseMetersPerPx = 40075016 * Math.cos(centerLatLng.lat * Math.PI / 180) / Math.pow(2, baseDem.zoom + 8);
-        const maxPx = (maxDistKm * 1000) / baseMetersPerPx;
-        const stepPx = 1;
+    // Samples within this distance of an initial Z12 horizon point take its Z14 elevation
+    // (distanceTo() metres × 111 < 2 in the original hybrid sweep)
+    const HC_Z14_SNAP_METERS = 2 / 111;
 
-        // For new hybrid terrain (Z14 tiles for horizon points), get Z14 data
+    // Z14 elevations at the horizon points of the initial Z12 sweep, keyed by bearing (0.1°)
+    function HC_buildZ14Overrides(hybridTerrain, mapInstance) {
         const z14Data = hybridTerrain && hybridTerrain.z14Data ? hybridTerrain.z14Data : null;
         const initialProfile = hybridTerrain && hybridTerrain.initialProfile ? hybridTerrain.initialProfile : null;
-        
-        // Create a map of horizon points by bearing for quick lookup
-        const horizonPointMap = new Map();
-        if (initialProfile && z14Data) {
-            initialProfile.forEach((p, idx) => {
-                if (p.latlng) {
-                    const bearing = Math.round(p.x * 10) / 10; // Round to 0.1 degree for lookup
-                    horizonPointMap.set(bearing, { latlng: p.latlng, idx });
-                }
-            });
-        }
+        if (!z14Data || !initialProfile) return null;
+
+        const overrides = {};
+        initialProfile.forEach(p => {
+            if (p.latlng) {
+                const bearing = Math.round(p.x * 10) / 10; // Round to 0.1 degree for lookup
+                overrides[bearing] = {
+                    lat: p.latlng.lat,
+                    lng: p.latlng.lng,
+                    elev: HC_getZ14Elevation(p.latlng, z14Data, mapInstance)
+                };
+            }
+        });
+        return overrides;
+    }
+
+    // Build a HorizonCore sampler over a DEM patch, with hillshade colours from the current palette
+    function HC_createDemSampler(dem, overrides) {
+        const sampler = window.HorizonCore.createGridSampler(dem.data, dem.width, dem.zoom, dem.originPoint.x, dem.originPoint.y);
+        sampler.color = (lx, ly, h) => HC_getHillshadeColor(dem, lx, ly, h);
+        return overrides ? window.HorizonCore.withHorizonOverrides(sampler, overrides, HC_Z14_SNAP_METERS) : sampler;
+    }
 
-        // Astronomical horizon calculation constants
-        // Using level surface through observer and ray curvature method
-        const EARTH_RADIUS_METERS = 6371000; // Earth's mean radius in meters
-        const REFRACTION_COEFFICIENT = 0.13; // Standard atmospheric refraction coefficient k
-        // k ≈ 0.13 means ray curvature is about 13% of Earth's curvature
-        // This accounts for atmospheric refraction bending light rays
+    // Token of the probe's sweep (the one with the Cancel button); other callers pass their own
+    let HC_probeCancelToken = null;
 
-        // Yield control every N steps to prevent UI freezing
-        const YIELD_INTERVAL = Math.max(10, Math.floor(steps / 20)); // Yield ~20 times during calculation
+    /**
+     * Cancel a running viewshed sweep (worker pool or in-thread).
+     * @param {{cancelled: boolean}} [token] - Token given to HC_calculateViewshed; defaults to the probe's.
+     */
+    window.HC_cancelViewshed = function(token) {
+        token = token || HC_probeCancelToken;
+        if (!token) return;
+        token.cancelled = true;
+        if (window.HC_WorkerPool) window.HC_WorkerPool.cancel(token);
+    };
 
-        for (let i = 0; i < steps; i++) {
-            const bearing = i * (360 / steps);
-            const rad = (bearing - 90) * (Math.PI / 180);
-            const cos = Math.cos(rad);
-            const sin = Math.sin(rad);
-            
-            let maxAngle = -90;
-            let horizonLatLng = null;
-            const segments = [];
-            let currentMaxAngle = -90; // Track current max for segment building
-            let prevTerrainH = observerH;
+    // Thin UI wrapper around HorizonCore (see horizon-core.js for the maths).
+    // Runs the sweep in the worker pool when available, otherwise in-thread with periodic yields.
+    // cancelToken ({cancelled}) belongs to one run, so cancelling it leaves other callers' sweeps alone;
+    // it rejects with an Error whose `cancelled` property is true.
+    async function HC_calculateViewshed(dem, centerLatLng, observerH, steps, mapInstance, hybridTerrain = null, suppressStatusUpdates = false, cancelToken = null) {
+        // Use base DEM for coordinate calculations
+        const baseDem = hybridTerrain ? hybridTerrain.base : dem;
+        const overrides = HC_buildZ14Overrides(hybridTerrain, mapInstance);
+        // Terrain refraction coefficient k from the sidebar refraction settings (refraction.js)
+        const refractionK = window.Refraction
+            ? window.Refraction.terrainCoefficient(window.Refraction.readConditions(observerH))
+            : window.HorizonCore.DEFAULT_REFRACTION_COEFFICIENT;
+        const sweepOpts = {
+            lat: centerLatLng.lat,
+            lng: centerLatLng.lng,
+            observerH: observerH,
+            steps: steps,
+            refractionK: refractionK,
+            maxDistKm: HC_SCAN_RADIUS_KM,
+            // Status updates are suppressed for intervisibility calculations
+            onProgress: suppressStatusUpdates ? null : (done, total) => {
+                HC_updateStatus(`Calculating Viewshed: ${Math.round((done / total) * 100)}%`, true);
+            }
+        };
 
-            for (let r = 2; r < maxPx; r += stepPx) {
-                const distMeters = r * baseMetersPerPx;
-                const distKm = distMeters / 1000;
-                
-                // Use Z12 base DEM for all calculations
-                // Z14 data will be used at specific horizon points via HC_getZ14Elevation
-                const currentDem = baseDem;
-                const currentMetersPerPx = baseMetersPerPx;
-                const currentGlobalX = centerPt.x + (cos * r);
-                const currentGlobalY = centerPt.y + (sin * r);
-                const currentLocalX = currentGlobalX - currentDem.originPoint.x;
-                const currentLocalY = currentGlobalY - currentDem.originPoint.y;
-                
-                // Check bounds
-                if (currentLocalX < 0 || currentLocalX >= currentDem.width - 1 || currentLocalY < 0 || currentLocalY >= currentDem.width - 1) {
-                    break;
-                }
+        const token = cancelToken || { cancelled: false };
+        if (token.cancelled) throw window.HorizonCore.cancelledError();
+        if (!suppressStatusUpdates) {
+            HC_probeCancelToken = token;
+            $('#btn-cancel-viewshed').show();
+        }
 
-                const x0 = Math.floor(currentLocalX);
-                const y0 = Math.floor(currentLocalY);
-                const dx = currentLocalX - x0;
-                const dy = currentLocalY - y0;
-                const w = currentDem.width;
-                const idx = y0 * w + x0;
-                
-                // Get terrain height - use Z14 if we're at a horizon point
-                const bearingRounded = Math.round(bearing * 10) / 10;
-                let terrainH;
-                const horizonPoint = horizonPointMap.get(bearingRounded);
-                
-                // Check if current distance matches the horizon point distance (within tolerance)
-                if (horizonPoint && z14Data && horizonPoint.latlng) {
-                    const currentLatLng = mapInstance.unproject(new L.Point(currentGlobalX, currentGlobalY), baseDem.zoom);
-                    const distToHorizonPoint = currentLatLng.distanceTo(horizonPoint.latlng) * 111; // km
-                    
-                    // If we're very close to the horizon point (within 2km), use Z14 elevation
-                    if (distToHorizonPoint < 2) {
-                        const z14Elev = HC_getZ14Elevation(horizonPoint.latlng, z14Data, mapInstance);
-                        if (z14Elev !== null && !isNaN(z14Elev)) {
-                            terrainH = z14Elev;
-                        } else {
-                            // Fallback to Z12 interpolation
-                            const h00 = currentDem.data[idx];
-                            const h10 = currentDem.data[idx + 1];
-                            const h01 = currentDem.data[idx + w];
-                            const h11 = currentDem.data[idx + w + 1];
-                const h0 = h00 * (1 - dx) + h10 * dx;
-                const h1 = h01 * (1 - dx) + h11 * dx;
-                            terrainH = h0 * (1 - dy) + h1 * dy;
-                        }
-                    } else {
-                        // Use Z12 interpolation
-                        const h00 = currentDem.data[idx];
-                        const h10 = currentDem.data[idx + 1];
-                        const h01 = currentDem.data[idx + w];
-                        const h11 = currentDem.data[idx + w + 1];
-                        const h0 = h00 * (1 - dx) + h10 * dx;
-                        const h1 = h01 * (1 - dx) + h11 * dx;
-                        terrainH = h0 * (1 - dy) + h1 * dy;
-                    }
-                } else {
-                    // Use Z12 base DEM interpolation
-                    const h00 = currentDem.data[idx];
-                    const h10 = currentDem.data[idx + 1];
-                    const h01 = currentDem.data[idx + w];
-                    const h11 = currentDem.data[idx + w + 1];
-                    const h0 = h00 * (1 - dx) + h10 * dx;
-                    const h1 = h01 * (1 - dx) + h11 * dx;
-                    terrainH = h0 * (1 - dy) + h1 * dy;
-                }
-                
-                // CANONICAL MACE2026 HORIZON ALTITUDE FORMULA (do not change; other code must match this exactly)
-                // Astronomical horizon using level surface through observer and ray curvature.
-                // All distances/heights in meters; result is altitude in degrees above astronomical horizon.
-                //
-                // 1. Height of astronomical horizon point at distance d: h = d²(1-k)/(2R)
-                //    R = 6371000 m, k = 0.13 (refraction)
-                const h = (distMeters * distMeters * (1 - REFRACTION_COEFFICIENT)) / (2 * EARTH_RADIUS_METERS);
-                const horizonHeight = observerH + h;
-                // 2. Angular altitude (radians): (terrainH - horizonHeight) / distMeters
-                const heightDifference = terrainH - horizonHeight;
-                const angleRadians = heightDifference / distMeters;
-                let angle = angleRadians * (180 / Math.PI); // degrees
-                // Clamp to physical range so we never produce crazy alt values
-                angle = Math.max(-90, Math.min(90, angle));
-                
-                const distStepMeters = stepPx * currentMetersPerPx;
-                const slope = (terrainH - prevTerrainH) / distStepMeters;
-                prevTerrainH = terrainH;
-
-                if (angle > currentMaxAngle) {
-                    // Calculate color for hillshade rendering
-                    const color = HC_getHillshadeColor(currentDem, currentLocalX, currentLocalY, terrainH);
-                    segments.push({
-                        top: angle,
-                        bottom: currentMaxAngle,
-                        dist: distMeters,
-                        height: terrainH,
-                        slope: slope,
-                        lx: currentLocalX,
-                        ly: currentLocalY,
-                        color: color
-                    });
-                    currentMaxAngle = angle;
-                    maxAngle = angle; // For the chart
-                    
-                    // Calculate horizon coordinates using spherical trigonometry (great circle path)
-                    // This eliminates northward shift distortion caused by map projection
-                    // Use destinationPoint instead of map projection unproject for accurate long-distance calculations
-                    if (typeof LatLon !== 'undefined') {
-                        const observerLatLon = new LatLon(centerLatLng.lat, centerLatLng.lng);
-                        const destination = observerLatLon.destinationPoint(distMeters, bearing);
-                        horizonLatLng = L.latLng(destination.lat, destination.lon);
-                    } else {
-                        // Fallback to map projection method if LatLon library not available
-                        // Note: This will have distortion for long distances
-                        horizonLatLng = mapInstance.unproject(new L.Point(currentGlobalX, currentGlobalY), currentDem.zoom);
-                    }
+        let profile = null;
+        try {
+            if (window.HC_WorkerPool && window.HC_WorkerPool.isAvailable()) {
+                try {
+                    profile = await window.HC_WorkerPool.run(Object.assign({ dem: baseDem, overrides: overrides, snapMeters: HC_Z14_SNAP_METERS, cancelToken: token }, sweepOpts));
+                    // Hillshade colours depend on the palette, which lives on this thread
+                    profile.forEach(p => p.segments.forEach(seg => {
+                        seg.color = HC_getHillshadeColor(baseDem, seg.lx, seg.ly, seg.height);
+                    }));
+                } catch (err) {
+                    if (err.cancelled) throw err;
+                    console.warn('Worker sweep unavailable, calculating on main thread:', err.message);
+                    profile = null;
                 }
             }
-            const altDeg = Math.max(-90, Math.min(90, maxAngle)); // ensure horizon alt is always in physical range
-            profile.push({ x: bearing, y: altDeg, latlng: horizonLatLng, segments: segments });
-            
-            // Yield control periodically to allow UI updates
-            if (i % YIELD_INTERVAL === 0 || i === steps - 1) {
-                await HC_yieldToBrowser();
-                // Update status periodically (only if not suppressed - e.g., for intervisibility calculations)
-                if (!suppressStatusUpdates && i % (YIELD_INTERVAL * 2) === 0) {
-                    HC_updateStatus(`Calculating Viewshed: ${Math.round((i / steps) * 100)}%`, true);
-                }
+            if (!profile) {
+                profile = await window.HorizonCore.sweep(Object.assign({
+                    sampler: HC_createDemSampler(baseDem, overrides),
+                    yieldFn: HC_yieldToBrowser,
+                    isCancelled: () => token.cancelled
+                }, sweepOpts));
             }
+        } catch (err) {
+            if (err.cancelled && !suppressStatusUpdates) HC_updateStatus('Calculation cancelled.', false);
+            throw err;
+        } finally {
+            if (!suppressStatusUpdates) $('#btn-cancel-viewshed').hide();
         }
+
+        profile.forEach(p => {
+            if (p.latlng) p.latlng = L.latLng(p.latlng.lat, p.latlng.lng);
+        });
         return profile;
     }
 
@@ -734,10 +543,16 @@ altitude = ${Math.round(meta.elev)}
         if (params && typeof params === 'object') {
             HC_cachedParams = {
                 center: params.center || null,
-                height: params.height || 0
+                height: params.height || 0,
+                dem: params.dem || null
             };
         }
     };
+    
+    // Cached terrain was built from the previous DEM source - drop it when the source changes
+    window.addEventListener('hc-dem-source-changed', function() {
+        HC_cachedTerrain = null;
+    });
     let HC_isPlacingMarker = false;
     let HC_panoBearing = 0;
     let HC_panoFov = 90;
@@ -996,6 +811,68 @@ altitude = ${Math.round(meta.elev)}
         HC_marker.closePopup();
     };
 
+    /**
+     * Download (or reuse) the terrain around an observer for a resolution and set
+     * HC_cachedTerrain / HC_cachedParams. Max resolution adds Z14 tiles along a first
+     * Z12 horizon and returns that hybrid terrain, otherwise null. cancelToken, if given,
+     * also stops that first Z12 sweep.
+     */
+    async function HC_prepareTerrain(latlng, resKey, map, cancelToken = null) {
+        const config = HC_RES_SETTINGS[resKey];
+        const obsData = await HC_fetchTerrainPatch(latlng, HC_PEAK_FIND_ZOOM, 1, map);
+        let observerH = HC_getInterpolatedHeight(obsData, latlng, map) || 0;
+
+        // For Max resolution, use smart approach: calculate with Z12 first, then fetch Z14 tiles for horizon points only
+        let hybridTerrain = null;
+        if (resKey === 'max') {
+            // First, fetch Z12 base terrain and calculate initial viewshed
+            HC_updateStatus(`Downloading base terrain (Z12)...`, true);
+            const baseTileWidthKm = 40075 / Math.pow(2, 12);
+            const baseRadiusTiles = Math.ceil(HC_SCAN_RADIUS_KM / baseTileWidthKm);
+            
+            if (!HC_cachedTerrain || HC_cachedTerrain.zoom !== 12 || !HC_cachedParams.center || HC_cachedParams.center.distanceTo(latlng) > 1000) {
+                HC_cachedTerrain = await HC_fetchTerrainPatch(latlng, 12, baseRadiusTiles, map, (dl, tot) => {
+                    HC_updateStatus(`Downloading Z12 tiles: ${dl}/${tot}`, true);
+                });
+            }
+            HC_cachedParams = { center: latlng, height: observerH + 2, dem: HC_cachedTerrain.source };
+            
+            // Calculate initial viewshed with Z12 to find horizon points
+            HC_updateStatus(`Calculating initial viewshed (Z12)...`, true);
+            const initialProfile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, config.steps, map, null, false, cancelToken);
+            
+            // Extract horizon points (points with latlng)
+            const horizonPoints = initialProfile.filter(p => p.latlng);
+            
+            if (horizonPoints.length > 0) {
+                // Fetch Z14 tiles only for actual horizon points
+                HC_updateStatus(`Downloading Z14 tiles for ${horizonPoints.length} horizon points...`, true);
+                const z14Data = await HC_fetchZ14TilesForHorizonPoints(horizonPoints, map, (dl, tot) => {
+                    HC_updateStatus(`Downloading Z14 tiles: ${dl}/${tot}`, true);
+                });
+                hybridTerrain = { base: HC_cachedTerrain, z14Data: z14Data, initialProfile: initialProfile };
+                HC_cachedTerrain.hybrid = hybridTerrain;
+            } else {
+                // No horizon points found, use Z12 only
+                hybridTerrain = null;
+            }
+        } else {
+            HC_updateStatus(`Downloading Terrain (Z${config.zoom})...`, true);
+            const tileWidthKm = 40075 / Math.pow(2, config.zoom);
+            const radiusTiles = Math.ceil(HC_SCAN_RADIUS_KM / tileWidthKm);
+            
+            if (!HC_cachedTerrain || HC_cachedTerrain.zoom !== config.zoom || !HC_cachedParams.center || HC_cachedParams.center.distanceTo(latlng) > 1000) {
+                HC_cachedTerrain = await HC_fetchTerrainPatch(latlng, config.zoom, radiusTiles, map, (dl, tot) => {
+                    HC_updateStatus(`Downloading tiles: ${dl}/${tot}`, true);
+                });
+                // Clear hybrid if switching away from Max
+                if (HC_cachedTerrain.hybrid) delete HC_cachedTerrain.hybrid;
+            }
+        }
+        HC_cachedParams = { center: latlng, height: observerH + 2, dem: HC_cachedTerrain.source };
+        return hybridTerrain;
+    }
+
     async function HC_executeAnalysis(latlng, resOverride = null) {
         // Hide buttons at start of new calculation
         $('#btn-view-horizon-results').hide();
@@ -1095,57 +972,7 @@ altitude = ${Math.round(meta.elev)}
         // HC_updateUpgradeControls removed - resolution controls are now at top of results panel
 
         try {
-            const obsData = await HC_fetchTerrainPatch(latlng, HC_PEAK_FIND_ZOOM, 1, map);
-            let observerH = HC_getInterpolatedHeight(obsData, latlng, map) || 0;
-
-            // For Max resolution, use smart approach: calculate with Z12 first, then fetch Z14 tiles for horizon points only
-            let hybridTerrain = null;
-            if (initialResKey === 'max') {
-                // First, fetch Z12 base terrain and calculate initial viewshed
-                HC_updateStatus(`Downloading base terrain (Z12)...`, true);
-                const baseTileWidthKm = 40075 / Math.pow(2, 12);
-                const baseRadiusTiles = Math.ceil(HC_SCAN_RADIUS_KM / baseTileWidthKm);
-                
-                if (!HC_cachedTerrain || HC_cachedTerrain.zoom !== 12 || !HC_cachedParams.center || HC_cachedParams.center.distanceTo(latlng) > 1000) {
-                    HC_cachedTerrain = await HC_fetchTerrainPatch(latlng, 12, baseRadiusTiles, map, (dl, tot) => {
-                        HC_updateStatus(`Downloading Z12 tiles: ${dl}/${tot}`, true);
-                    });
-                }
-                HC_cachedParams = { center: latlng, height: observerH + 2 };
-                
-                // Calculate initial viewshed with Z12 to find horizon points
-                HC_updateStatus(`Calculating initial viewshed (Z12)...`, true);
-                const initialProfile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, initialConfig.steps, map, null);
-                
-                // Extract horizon points (points with latlng)
-                const horizonPoints = initialProfile.filter(p => p.latlng);
-                
-                if (horizonPoints.length > 0) {
-                    // Fetch Z14 tiles only for actual horizon points
-                    HC_updateStatus(`Downloading Z14 tiles for ${horizonPoints.length} horizon points...`, true);
-                    const z14Data = await HC_fetchZ14TilesForHorizonPoints(horizonPoints, map, (dl, tot) => {
-                        HC_updateStatus(`Downloading Z14 tiles: ${dl}/${tot}`, true);
-                    });
-                    hybridTerrain = { base: HC_cachedTerrain, z14Data: z14Data, initialProfile: initialProfile };
-                    HC_cachedTerrain.hybrid = hybridTerrain;
-                } else {
-                    // No horizon points found, use Z12 only
-                    hybridTerrain = null;
-                }
-            } else {
-            HC_updateStatus(`Downloading Terrain (Z${initialConfig.zoom})...`, true);
-            const tileWidthKm = 40075 / Math.pow(2, initialConfig.zoom);
-            const radiusTiles = Math.ceil(HC_SCAN_RADIUS_KM / tileWidthKm);
-            
-            if (!HC_cachedTerrain || HC_cachedTerrain.zoom !== initialConfig.zoom || !HC_cachedParams.center || HC_cachedParams.center.distanceTo(latlng) > 1000) {
-                HC_cachedTerrain = await HC_fetchTerrainPatch(latlng, initialConfig.zoom, radiusTiles, map, (dl, tot) => {
-                    HC_updateStatus(`Downloading tiles: ${dl}/${tot}`, true);
-                });
-                    // Clear hybrid if switching away from Max
-                    if (HC_cachedTerrain.hybrid) delete HC_cachedTerrain.hybrid;
-                }
-            }
-            HC_cachedParams = { center: latlng, height: observerH + 2 };
+            const hybridTerrain = await HC_prepareTerrain(latlng, initialResKey, map);
 
             HC_updateStatus(`Calculating Viewshed (${initialConfig.steps} steps)...`, true);
             
@@ -1155,7 +982,17 @@ altitude = ${Math.round(meta.elev)}
                 const currentDoProfile = $('#chk-profile').is(':checked');
                 console.log("Inside setTimeout: currentDoRiseSet =", currentDoRiseSet, "currentDoProfile =", currentDoProfile, "doRiseSet =", doRiseSet, "doProfile =", doProfile);
                 
-                const profile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, initialConfig.steps, map, hybridTerrain);
+                let profile;
+                try {
+                    profile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, initialConfig.steps, map, hybridTerrain);
+                } catch (err) {
+                    if (!err.cancelled) {
+                        console.error(err);
+                        alert("Error: " + err.message);
+                        HC_updateStatus("Error occurred.", false);
+                    }
+                    return;
+                }
                 HC_profileData = profile;
 
                 // Use current checkbox state, fallback to captured variable
@@ -1269,6 +1106,7 @@ altitude = ${Math.round(meta.elev)}
             }, 100);
 
         } catch (err) {
+            if (err.cancelled) return; // status already updated by HC_calculateViewshed
             console.error(err);
             alert("Error: " + err.message);
             HC_updateStatus("Error occurred.", false);
@@ -1287,7 +1125,8 @@ altitude = ${Math.round(meta.elev)}
                 $('#icon-toggle').attr('class', 'fa fa-window-maximize');
             }
             
-            // Show export panel
+            // Show export panel (landscape types apply to the hillshade export only)
+            $('#hc-export-landscape-type-group').hide();
             const exportPanel = $('#hc-stellarium-export-panel');
             if (exportPanel.length) {
                 exportPanel.css({
@@ -1313,6 +1152,9 @@ altitude = ${Math.round(meta.elev)}
         if (window.HC_currentStellariumExportType === 'hillshade') {
             window.HC_runHillshadeStellariumExport();
             window.HC_currentStellariumExportType = null;
+        } else if (window.HC_currentStellariumExportType === 'photo') {
+            window.HC_runPhotoStellariumExport();
+            window.HC_currentStellariumExportType = null;
         } else {
             // Original polygonal export logic
             HC_runExport();
@@ -1356,14 +1198,15 @@ altitude = ${Math.round(meta.elev)}
 
     function HC_startGazetteerMode() {
         HC_isGazetteerMode = true;
-        HC_gazetteerPoints = [];
-        HC_gazetteerMarkers = [];
         
-        // Remove any existing gazetteer markers from map
+        // Remove any existing gazetteer markers from map; entries read from an imported
+        // Stellarium landscape (no map position) are kept
         const map = getMap();
         HC_gazetteerMarkers.forEach(marker => {
-            map.removeLayer(marker);
+            if (marker) map.removeLayer(marker);
         });
+        HC_gazetteerPoints = HC_gazetteerPoints.filter(pt => pt.imported);
+        HC_gazetteerMarkers = HC_gazetteerPoints.map(() => null);
         
         // Force minimize horizon results panel - CRITICAL: Remove expanded class and add minimized
         const resultsPanel = $('#hc-results-panel');
@@ -1510,6 +1353,21 @@ altitude = ${Math.round(meta.elev)}
         addRow.innerHTML = '<td colspan="6" style="text-align:center; padding:8px;"><i class="fa fa-plus-circle" style="color:#5bc0de; font-size:16px;"></i> <span class="small text-muted">Click map to add entry</span></td>';
     }
     
+    /**
+     * Replace the gazetteer with entries that have no map position (e.g. read from a
+     * Stellarium landscape by horizon-stellarium-import.js).
+     * @param {Array<{label: string, az: number, alt: number, bumpVertical: number, bumpHorizontal: number}>} points
+     */
+    window.HC_setGazetteerPoints = function(points) {
+        const map = getMap();
+        HC_gazetteerMarkers.forEach(marker => {
+            if (marker) map.removeLayer(marker);
+        });
+        HC_gazetteerPoints = points.map(pt => Object.assign({ latlng: null, imported: true }, pt));
+        HC_gazetteerMarkers = HC_gazetteerPoints.map(() => null);
+        HC_rebuildGazetteerTable();
+    };
+    
     window.HC_removeGazetteerPoint = function(index) {
         const map = getMap();
         
@@ -1580,7 +1438,7 @@ altitude = ${Math.round(meta.elev)}
         // Remove all gazetteer markers from map
         const map = getMap();
         HC_gazetteerMarkers.forEach(marker => {
-            map.removeLayer(marker);
+            if (marker) map.removeLayer(marker);
         });
         HC_gazetteerMarkers = [];
         HC_gazetteerPoints = [];
@@ -1610,6 +1468,9 @@ altitude = ${Math.round(meta.elev)}
         if (window.HC_currentStellariumExportType === 'hillshade') {
             window.HC_runHillshadeStellariumExport();
             window.HC_currentStellariumExportType = null;
+        } else if (window.HC_currentStellariumExportType === 'photo') {
+            window.HC_runPhotoStellariumExport();
+            window.HC_currentStellariumExportType = null;
         } else {
             HC_runExport();
         }
@@ -1629,7 +1490,8 @@ altitude = ${Math.round(meta.elev)}
             description: $('#hc-export-description').val() || "",
             lat: HC_marker ? HC_marker.getLatLng().lat : 0,
             lng: HC_marker ? HC_marker.getLatLng().lng : 0,
-            elev: HC_cachedParams.height || 0
+            elev: HC_cachedParams.height || 0,
+            dem: HC_cachedParams.dem ? HC_cachedParams.dem.name : null
         };
 
         if (window.HC_generateStellariumZip) {
@@ -1715,7 +1577,7 @@ altitude = ${Math.round(meta.elev)}
                     pointRadius: 0,
                     fill: true,
                     backgroundColor: 'rgba(46, 139, 87, 0.1)'
-                }]
+                }].concat(typeof window.HC_getProfileOverlayDatasets === 'function' ? window.HC_getProfileOverlayDatasets() : [])
             },
             options: {
                 responsive: true,
@@ -1725,10 +1587,42 @@ altitude = ${Math.round(meta.elev)}
                     x: { type: 'linear', min: 0, max: 360, ticks: {stepSize: 45}, title:{display:true, text:'Bearing'} },
                     y: { title: {display:true, text:'Angle (Deg)'} }
                 },
-                plugins: { tooltip: { intersect: false, mode: 'index' } }
+                plugins: { tooltip: { intersect: false, mode: 'index' } },
+                // Click a bearing to send it and its horizon altitude to the declination calculator
+                onClick: (evt, elements, chart) => {
+                    if (typeof window.setDeclinationFromHorizon !== 'function' || !HC_profileData || HC_profileData.length === 0) return;
+                    const bearing = chart.scales.x.getValueForPixel(evt.x);
+                    if (isNaN(bearing) || bearing < 0 || bearing > 360) return;
+                    const idx = Math.round(bearing / (360 / HC_profileData.length)) % HC_profileData.length;
+                    const pt = HC_profileData[idx];
+                    if (!pt || isNaN(pt.y)) return;
+                    window.setDeclinationFromHorizon(pt.x, pt.y);
+                }
+            }
+        });
+
+        // Overlay profiles and their differences (horizon-compare.js)
+        if (typeof window.HC_updateProfileComparison === 'function') {
+            window.HC_updateProfileComparison();
+        }
+
+        // Distance to the horizon and per-event foresight report (horizon-foresight.js)
+        if (typeof window.HC_updateForesightAnalysis === 'function') {
+            window.HC_updateForesightAnalysis();
+        }
+    }
+
+    // Horizon profile as CSV text (azimuth, altitude pairs)
+    function HC_profileToCSV(profileData) {
+        let csvContent = 'Azimuth (degrees),Altitude (degrees)\n';
+        profileData.forEach(point => {
+            if (point && !isNaN(point.x) && !isNaN(point.y)) {
+                csvContent += `${point.x.toFixed(6)},${point.y.toFixed(6)}\n`;
             }
         });
+        return csvContent;
     }
+    window.HC_profileToCSV = HC_profileToCSV;
 
     // Export horizon profile data to CSV
     window.HC_exportChartToCSV = function() {
@@ -1737,15 +1631,7 @@ altitude = ${Math.round(meta.elev)}
             return;
         }
 
-        // Create CSV header
-        let csvContent = 'Azimuth (degrees),Altitude (degrees)\n';
-        
-        // Add data rows (azimuth, altitude pairs)
-        HC_profileData.forEach(point => {
-            if (point && !isNaN(point.x) && !isNaN(point.y)) {
-                csvContent += `${point.x.toFixed(6)},${point.y.toFixed(6)}\n`;
-            }
-        });
+        const csvContent = HC_profileToCSV(HC_profileData);
 
         // Create download link
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -1781,13 +1667,16 @@ altitude = ${Math.round(meta.elev)}
             ctx.fillStyle = '#87CEEB';
             ctx.fillRect(0, 0, w, h);
             
+            const startAngle = HC_panoBearing - (HC_panoFov / 2);
+            // Site photograph behind the silhouette (horizon-photo.js); returns the ground opacity
+            const photoAlpha = window.HC_drawPanoramaPhoto ? window.HC_drawPanoramaPhoto(ctx, w, h, startAngle, HC_panoFov, horizonY, pxPerDegY) : null;
+            
             const grad = ctx.createLinearGradient(0, horizonY, 0, h);
             grad.addColorStop(0, '#556B2F');
             grad.addColorStop(1, '#8B4513');
             
             ctx.beginPath();
             ctx.moveTo(0, h);
-            const startAngle = HC_panoBearing - (HC_panoFov / 2);
             const dataRes = 360 / HC_profileData.length;
             for (let x = 0; x <= w; x++) {
                 const bearing = startAngle + (x / w) * HC_panoFov;
@@ -1799,7 +1688,17 @@ altitude = ${Math.round(meta.elev)}
             ctx.lineTo(w, h);
             ctx.closePath();
             ctx.fillStyle = grad;
-            ctx.fill();
+            if (photoAlpha !== null) {
+                ctx.save();
+                ctx.globalAlpha = photoAlpha;
+                ctx.fill();
+                ctx.restore();
+                ctx.strokeStyle = '#FFD700';
+                ctx.lineWidth = 1.5;
+                ctx.stroke();
+            } else {
+                ctx.fill();
+            }
         });
         }
 
@@ -2578,6 +2477,26 @@ altitude = ${Math.round(meta.elev)}
                 }
             });
         }
+
+        // Overlay profile silhouettes (horizon-compare.js)
+        if (typeof window.HC_drawProfileOverlays === 'function') {
+            window.HC_drawProfileOverlays(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY);
+        }
+
+        // Matched photo/horizon peaks while aligning a site photograph (horizon-photo.js)
+        if (typeof window.HC_drawPhotoMatches === 'function') {
+            window.HC_drawPhotoMatches(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY);
+        }
+
+        // Daily rise/set track and the selected day (horizon-timeseries.js)
+        if (typeof window.HC_drawTimeSeriesOverlay === 'function') {
+            window.HC_drawTimeSeriesOverlay(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY);
+        }
+
+        // Animated sun/moon disc on its diurnal arc (horizon-animation.js)
+        if (typeof window.HC_drawRiseSetAnimation === 'function') {
+            window.HC_drawRiseSetAnimation(ctx, w, h, fov, pxPerDegX, currentBearing, horizonY, pxPerDegY);
+        }
         
         ctx.beginPath();
         ctx.moveTo(0, h/2);
@@ -2634,6 +2553,12 @@ altitude = ${Math.round(meta.elev)}
         }
     }
 
+    // Centre both panoramas on a bearing (keeps the current field of view)
+    function HC_setPanoramaBearing(bearing) {
+        HC_panoBearing = ((bearing % 360) + 360) % 360;
+        HC_renderPanorama();
+    }
+
     // Toggle rise/set location display
     window.HC_toggleRiseSetDisplay = function() {
         HC_showRiseSetLocations = !HC_showRiseSetLocations;
@@ -2978,6 +2903,7 @@ altitude = ${Math.round(meta.elev)}
     });
 
     window.HC_resetPano = HC_resetPano;
+    window.HC_setPanoramaBearing = HC_setPanoramaBearing;
     window.HC_openExportModal = HC_openExportModal;
     window.HC_proceedExport = HC_proceedExport;
     window.HC_cancelStellariumExport = HC_cancelStellariumExport;
@@ -3012,12 +2938,22 @@ altitude = ${Math.round(meta.elev)}
         const CROSS_QUARTER_DEC = OBLIQUITY * Math.sin(45 * Math.PI / 180);
         window.declinationCrossQuarterNorth = CROSS_QUARTER_DEC;
         window.declinationCrossQuarterSouth = -CROSS_QUARTER_DEC;
-        const LUNAR_MAJOR_OFFSET = 5.1;
-        const LUNAR_MINOR_OFFSET = 5.1;
-        window.declinationMajorLunarNorth = OBLIQUITY + LUNAR_MAJOR_OFFSET;
-        window.declinationMajorLunarSouth = -OBLIQUITY - LUNAR_MAJOR_OFFSET;
-        window.declinationMinorLunarNorth = OBLIQUITY - LUNAR_MINOR_OFFSET;
-        window.declinationMinorLunarSouth = -OBLIQUITY + LUNAR_MINOR_OFFSET;
+        // Lunar standstills of the present nodal cycle from the ephemeris
+        if (window.Ephemeris) {
+            const standstills = window.Ephemeris.lunarStandstills(new Date().getFullYear());
+            window.lunarStandstills = standstills;
+            window.declinationMajorLunarNorth = standstills.major.north.dec;
+            window.declinationMajorLunarSouth = standstills.major.south.dec;
+            window.declinationMinorLunarNorth = standstills.minor.north.dec;
+            window.declinationMinorLunarSouth = standstills.minor.south.dec;
+        } else {
+            const LUNAR_MAJOR_OFFSET = 5.1;
+            const LUNAR_MINOR_OFFSET = 5.1;
+            window.declinationMajorLunarNorth = OBLIQUITY + LUNAR_MAJOR_OFFSET;
+            window.declinationMajorLunarSouth = -OBLIQUITY - LUNAR_MAJOR_OFFSET;
+            window.declinationMinorLunarNorth = OBLIQUITY - LUNAR_MINOR_OFFSET;
+            window.declinationMinorLunarSouth = -OBLIQUITY + LUNAR_MINOR_OFFSET;
+        }
         
         HC_declinationValuesSet = true;
     }
@@ -3124,9 +3060,13 @@ altitude = ${Math.round(meta.elev)}
         return horizonData;
     }
 
-    async function HC_calculateRiseSetLocations(observerLatLng, profileData) {
+    // quiet: batch profiling (horizon-batch.js) - errors are thrown instead of alerted
+    // and the chart/polyline redraws are skipped.
+    // observerElevation: eye height in m AMSL when known (surveyed horizons), otherwise DEM + 2 m
+    async function HC_calculateRiseSetLocations(observerLatLng, profileData, quiet = false, observerElevation = null) {
         const map = getMap();
         if (!profileData || profileData.length === 0) {
+            if (quiet) throw new Error("No profile data available.");
             alert("No profile data available. Please calculate a horizon profile first.");
             return;
         }
@@ -3145,13 +3085,16 @@ altitude = ${Math.round(meta.elev)}
                 throw new Error("No valid horizon data points found.");
             }
 
-            const obsData = await HC_fetchTerrainPatch(observerLatLng, HC_PEAK_FIND_ZOOM, 1, map);
-            const observerElev = HC_getInterpolatedHeight(obsData, observerLatLng, map) || 0;
+            let eyeElevation = observerElevation;
+            if (eyeElevation === null) {
+                const obsData = await HC_fetchTerrainPatch(observerLatLng, HC_PEAK_FIND_ZOOM, 1, map);
+                eyeElevation = (HC_getInterpolatedHeight(obsData, observerLatLng, map) || 0) + 2;
+            }
             
             const locationData = {
                 latitude: observerLatLng.lat,
                 longitude: observerLatLng.lng,
-                elevation_amsl: observerElev + 2
+                elevation_amsl: eyeElevation
             };
 
             let processedHorizonData = horizonData;
@@ -3176,6 +3119,8 @@ altitude = ${Math.round(meta.elev)}
                 throw new Error("hwtip.js calculation function not available. Please ensure hwtip.js is fully loaded.");
             }
 
+            if (quiet) return;
+
             const doProfile = $('#chk-profile').is(':checked');
             if (doProfile) {
                 HC_updateStatus("Horizon Probe Complete. Rise/Set Calculations Complete.", false);
@@ -3202,6 +3147,7 @@ altitude = ${Math.round(meta.elev)}
                 }, 500);
             
         } catch (error) {
+            if (quiet) throw error;
             console.error("Error calculating rise/set locations:", error);
             HC_updateStatus("Rise/Set calculation error: " + error.message, false);
             alert("Error calculating rise/set locations: " + error.message);
@@ -3258,6 +3204,143 @@ altitude = ${Math.round(meta.elev)}
         window.HC_locationData = null;
     };
 
+    /**
+     * Remove the current horizon profile: its map outline (probed or restored), chart,
+     * panorama and rise/set results. Used when a project without a profile is opened.
+     */
+    window.HC_clearHorizonProfile = function() {
+        const map = getMap();
+        if (HC_polyline) {
+            map.removeLayer(HC_polyline);
+            HC_polyline = null;
+        }
+        // horizon-profile-save.js draws restored profiles on window.HC_polyline
+        if (window.HC_polyline) {
+            map.removeLayer(window.HC_polyline);
+            window.HC_polyline = null;
+        }
+        HC_removeHWTIPViewshed();
+        window.HC_clearRiseSetResults();
+        HC_profileData = [];
+        if (HC_chartInstance) {
+            HC_chartInstance.destroy();
+            HC_chartInstance = null;
+        }
+        const pano = document.getElementById('hc-panoCanvas');
+        if (pano) pano.getContext('2d').clearRect(0, 0, pano.width, pano.height);
+        $('#btn-view-horizon-results').hide();
+    };
+
+    /**
+     * Profile and rise/set analysis for one site of a batch (horizon-batch.js).
+     * Runs the same steps as the probe but awaits each of them, throws on errors
+     * and leaves the results in HC_profileData, HC_cachedParams and the rise/set layers.
+     * @param {L.LatLng} latlng - Observer location.
+     * @param {string} resKey - 'quick', 'hires', 'super' or 'max'.
+     * @param {boolean} doRiseSet - Also place the solar/lunar rise/set points.
+     * @param {{cancelled: boolean}} [cancelToken] - Stops the sweep (see HC_cancelViewshed).
+     * @returns {Promise<Array>} The profile.
+     */
+    window.HC_analyseBatchSite = async function(latlng, resKey, doRiseSet, cancelToken) {
+        const map = getMap();
+        if (window.clearResultsDisplay) {
+            window.clearResultsDisplay();
+        }
+        window.HC_clearRiseSetResults();
+        HC_profileData = [];
+        const hybridTerrain = await HC_prepareTerrain(latlng, resKey, map, cancelToken);
+        HC_updateStatus(`Calculating Viewshed (${HC_RES_SETTINGS[resKey].steps} steps)...`, true);
+        const profile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, HC_RES_SETTINGS[resKey].steps, map, hybridTerrain, true, cancelToken);
+        HC_profileData = profile;
+        if (doRiseSet) {
+            HC_updateStatus("Calculating rise/set locations...", true);
+            await HC_calculateRiseSetLocations(latlng, profile, true);
+        }
+        return profile;
+    };
+
+    /**
+     * Horizon from another eye height or a nearby position, for the height/position scan
+     * (horizon-height-scan.js). Reuses the terrain of the last probe and leaves the current
+     * profile untouched. The Max hybrid tiles belong to the probe's own horizon points, so
+     * the scan uses the base terrain only.
+     * @param {L.LatLng} latlng - Observer location, within the probe's terrain.
+     * @param {number} heightAboveGround - Eye height above the ground, m.
+     * @param {number} steps - Azimuth steps around 360°.
+     * @param {{cancelled: boolean}} [cancelToken] - Stops the sweep (see HC_cancelViewshed).
+     * @returns {Promise<{horizonData: Array, profile: Array, groundElevation: number, eyeElevation: number}>}
+     */
+    window.HC_computeObserverHorizon = async function(latlng, heightAboveGround, steps, cancelToken) {
+        if (!HC_cachedTerrain || !HC_cachedParams.center) {
+            throw new Error('Run the horizon probe first; the scan reuses its terrain.');
+        }
+        const map = getMap();
+        const obsData = await HC_fetchTerrainPatch(latlng, HC_PEAK_FIND_ZOOM, 1, map);
+        const ground = HC_getInterpolatedHeight(obsData, latlng, map) || 0;
+        const eye = ground + heightAboveGround;
+        const profile = await HC_calculateViewshed(HC_cachedTerrain, latlng, eye, steps, map, null, true, cancelToken);
+        return {
+            horizonData: HC_convertProfileToHorizonData(profile),
+            profile: profile,
+            groundElevation: ground,
+            eyeElevation: eye
+        };
+    };
+
+    /**
+     * Show a horizon that was not computed from the DEM (horizon-survey-import.js,
+     * horizon-stellarium-import.js) as the current profile: map line, chart and panoramas,
+     * then rise/set if that option is ticked.
+     * @param {Array<{x: number, y: number, latlng: L.LatLng}>} profileData - Azimuth/altitude in degrees.
+     * @param {L.LatLng} latlng - Observer location.
+     * @param {number} observerElevation - Eye height, m AMSL.
+     * @param {string} sourceName - Shown as the profile source in exports.
+     * @param {string} [provider='survey'] - Recorded as the profile's DEM provider.
+     */
+    window.HC_useImportedProfile = async function(profileData, latlng, observerElevation, sourceName, provider = 'survey') {
+        const map = getMap();
+        if (window.clearResultsDisplay) {
+            window.clearResultsDisplay();
+        }
+        window.HC_clearRiseSetResults();
+        HC_profileData = profileData;
+        HC_cachedParams = {
+            center: latlng,
+            height: observerElevation,
+            dem: { provider: provider, name: sourceName }
+        };
+        HC_lastAnalysisLatLng = latlng;
+
+        HC_drawMapLine(profileData);
+        $('#profile-resolution-buttons').hide();
+        $('#riseset-resolution-buttons').hide();
+        $('#hc-results-panel').css('display', 'flex').removeClass('minimized').addClass('expanded');
+        $('#icon-toggle').attr('class', 'fa fa-window-minimize');
+        const panelTitle = $('#hc-results-panel .panel-heading h4.panel-title');
+        if (panelTitle.length > 0) {
+            panelTitle.html(`<i class="fa fa-area-chart"></i>&nbsp;Horizon Results - <span style="font-size: 0.75em; color: #888888;">${sourceName}</span>`);
+        }
+        $('#chk-show-chart').prop('checked', true);
+        $('#chk-show-silhouette').prop('checked', true);
+        $('#row-horizon-chart').show();
+        $('#row-visual-horizon-silhouette').show();
+        $('#row-visual-horizon-hillshade').toggle($('#chk-show-hillshade').is(':checked'));
+        HC_renderChart(profileData);
+        HC_ensureCSVButton();
+        HC_panoBearing = 0;
+        requestAnimationFrame(() => {
+            HC_renderPanorama();
+            $('#btn-view-horizon-results').show();
+            $('#btn-save-horizon-profile').show();
+        });
+
+        if ($('#chk-rise-set').is(':checked')) {
+            await HC_calculateRiseSetLocations(latlng, profileData, false, observerElevation);
+        } else {
+            HC_updateStatus(`${sourceName} loaded (${profileData.length} points).`, false);
+        }
+    };
+
     // External hook for backward compatibility
     function HC_startPolygonalExport() {
         HC_openExportModal();
@@ -3300,7 +3383,7 @@ altitude = ${Math.round(meta.elev)}
                     HC_updateStatus(`Downloading Z12 tiles: ${dl}/${tot}`, true);
                 });
             }
-            HC_cachedParams = { center: latlng, height: observerH + 2 };
+            HC_cachedParams = { center: latlng, height: observerH + 2, dem: HC_cachedTerrain.source };
             
             const initialProfile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, targetConfig.steps, map, null);
             const horizonPoints = initialProfile.filter(p => p.latlng);
@@ -3325,7 +3408,7 @@ altitude = ${Math.round(meta.elev)}
                 if (HC_cachedTerrain.hybrid) delete HC_cachedTerrain.hybrid;
             }
         }
-        HC_cachedParams = { center: latlng, height: observerH + 2 };
+        HC_cachedParams = { center: latlng, height: observerH + 2, dem: HC_cachedTerrain.source };
         
         HC_updateStatus(`Recalculating Viewshed (${targetConfig.steps} steps)...`, true);
         const profile = await HC_calculateViewshed(HC_cachedTerrain, HC_cachedParams.center, HC_cachedParams.height, targetConfig.steps, map, hybridTerrain);
@@ -3439,8 +3522,10 @@ altitude = ${Math.round(meta.elev)}
         try {
             await HC_recalculateProfileInternal(HC_lastAnalysisLatLng, nextRes);
         } catch (err) {
-            console.error('Error recalculating profile:', err);
-            alert('Error recalculating profile: ' + err.message);
+            if (!err.cancelled) {
+                console.error('Error recalculating profile:', err);
+                alert('Error recalculating profile: ' + err.message);
+            }
         } finally {
             // Restore rise/set checkbox state
             $('#chk-rise-set').prop('checked', wasRiseSetChecked);
@@ -3625,8 +3710,10 @@ altitude = ${Math.round(meta.elev)}
         try {
             await HC_recalculateProfileInternal(HC_lastAnalysisLatLng, targetRes);
         } catch (err) {
-            console.error('Error upgrading profile resolution:', err);
-            alert('Error upgrading profile resolution: ' + err.message);
+            if (!err.cancelled) {
+                console.error('Error upgrading profile resolution:', err);
+                alert('Error upgrading profile resolution: ' + err.message);
+            }
         }
     };
     
@@ -3670,8 +3757,10 @@ altitude = ${Math.round(meta.elev)}
             try {
                 await HC_recalculateProfileInternal(HC_lastAnalysisLatLng, requiredProbeRes);
             } catch (err) {
-                console.error('Error upgrading profile resolution:', err);
-                alert('Error upgrading profile resolution: ' + err.message);
+                if (!err.cancelled) {
+                    console.error('Error upgrading profile resolution:', err);
+                    alert('Error upgrading profile resolution: ' + err.message);
+                }
                 return;
             }
         }
@@ -0,0 +1,372 @@
+// =================================================================
+// HWT HORIZON PROVIDERS – where hwtip.js gets result.json / horizon.csv
+// =================================================================
+// hwtip.js reads an observer (result.json: lat, lon, elev_amsl) and a horizon
+// (horizon.csv: "bin bottom",azimuth,altitude,"distance (m)",latitude,longitude,
+// "elevation (m amsl)") for a HeyWhatsThat ID through the active provider:
+//   heywhatsthat - the live heywhatsthat.com API; answers can be kept in the archive
+//   local        - the local archive (IndexedDB), filled from earlier HWT fetches,
+//                  from MACE's own computed profiles, or from an archive ZIP
+// Providers return the response text unchanged, so the same parsing runs online and
+// offline. Further providers (e.g. fixtures) plug in with HWTProviders.register().
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'MACE_HWT_Archive';
+    const DB_VERSION = 1;
+    const STORE = 'horizons';
+    const HWT_HORIZONE_SRC = 'K52';
+    const CSV_HEADER = '"bin bottom",azimuth,altitude,"distance (m)",latitude,longitude,"elevation (m amsl)"';
+
+    const providers = {};
+    let activeName = 'heywhatsthat';
+    let cacheFetched = true;
+    let db = null;
+
+    // -----------------------------------------------------------------
+    // Archive (IndexedDB): { id, name, source, savedAt, resultJson, horizonCsv }
+    // -----------------------------------------------------------------
+    function openDB() {
+        if (db) return Promise.resolve(db);
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available.'));
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+            request.onupgradeneeded = (event) => {
+                const upgradeDb = event.target.result;
+                if (!upgradeDb.objectStoreNames.contains(STORE)) {
+                    upgradeDb.createObjectStore(STORE, { keyPath: 'id' });
+                }
+            };
+        });
+    }
+
+    function storeRequest(mode, makeRequest) {
+        return openDB().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction([STORE], mode);
+            const request = makeRequest(transaction.objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    const archiveGet = id => storeRequest('readonly', store => store.get(String(id)));
+    const archivePut = record => storeRequest('readwrite', store => store.put(record));
+    const archiveDelete = id => storeRequest('readwrite', store => store.delete(String(id)));
+    const archiveAll = () => storeRequest('readonly', store => store.getAll());
+
+    async function archiveList() {
+        const records = await archiveAll();
+        return records.map(r => ({ id: r.id, name: r.name, source: r.source, savedAt: r.savedAt }))
+            .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+    }
+
+    function archiveRecord(id, name, source, resultJson, horizonCsv) {
+        return {
+            id: String(id),
+            name: name || String(id),
+            source: source,
+            savedAt: new Date().toISOString(),
+            resultJson: resultJson,
+            horizonCsv: horizonCsv
+        };
+    }
+
+    // -----------------------------------------------------------------
+    // Providers
+    // -----------------------------------------------------------------
+    async function fetchText(url) {
+        const response = await fetch(url);
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} - ${text.substring(0, 100)}...`);
+        }
+        return text;
+    }
+
+    // Keeps both halves of a fetched ID; result.json arrives first, horizon.csv completes the record
+    const pendingFetches = {};
+
+    async function keepFetched(id, part, text) {
+        if (!cacheFetched) return;
+        const pending = pendingFetches[id] || (pendingFetches[id] = {});
+        pending[part] = text;
+        if (!pending.resultJson || !pending.horizonCsv) return;
+        delete pendingFetches[id];
+        let name = String(id);
+        try {
+            name = JSON.parse(pending.resultJson).name || name;
+        } catch (e) { /* name stays the ID */ }
+        try {
+            await archivePut(archiveRecord(id, name, 'heywhatsthat', pending.resultJson, pending.horizonCsv));
+            refreshArchiveList();
+        } catch (err) {
+            console.warn('Could not keep HWT horizon in the local archive:', err);
+        }
+    }
+
+    const heyWhatsThatProvider = {
+        name: 'heywhatsthat',
+        label: 'heywhatsthat.com',
+        async resultJson(id) {
+            const text = await fetchText(`https://www.heywhatsthat.com/bin/result.json?id=${encodeURIComponent(id)}`);
+            await keepFetched(id, 'resultJson', text);
+            return text;
+        },
+        async horizonCsv(id) {
+            const text = await fetchText(`https://www.heywhatsthat.com/api/horizon.csv?id=${encodeURIComponent(id)}&resolution=.125&src=${HWT_HORIZONE_SRC}&keep=1`);
+            await keepFetched(id, 'horizonCsv', text);
+            return text;
+        }
+    };
+
+    async function archived(id) {
+        const record = await archiveGet(id);
+        if (!record) throw new Error(`HWT ID "${id}" is not in the local archive.`);
+        return record;
+    }
+
+    const localProvider = {
+        name: 'local',
+        label: 'local archive',
+        async resultJson(id) {
+            return (await archived(id)).resultJson;
+        },
+        async horizonCsv(id) {
+            return (await archived(id)).horizonCsv;
+        }
+    };
+
+    /**
+     * Add or replace a provider.
+     * @param {{name: string, label: string, resultJson: function(string): Promise<string>, horizonCsv: function(string): Promise<string>}} provider
+     */
+    function register(provider) {
+        if (!provider || !provider.name || typeof provider.resultJson !== 'function' || typeof provider.horizonCsv !== 'function') {
+            throw new Error('A horizon provider needs a name, resultJson(id) and horizonCsv(id).');
+        }
+        providers[provider.name] = provider;
+        const select = document.getElementById('hwt-provider');
+        if (select && !Array.from(select.options).some(o => o.value === provider.name)) {
+            select.add(new Option(provider.label || provider.name, provider.name));
+        }
+    }
+
+    function setActive(name) {
+        if (!providers[name]) throw new Error(`Unknown horizon provider "${name}".`);
+        activeName = name;
+        $('#hwt-provider').val(name);
+    }
+
+    function active() {
+        return providers[activeName];
+    }
+
+    // -----------------------------------------------------------------
+    // MACE profiles in HWT shape
+    // -----------------------------------------------------------------
+    /**
+     * result.json and horizon.csv text for a computed profile.
+     * @param {Array<{x, y, latlng, segments}>} profileData - HC_profileData.
+     * @param {{lat: number, lng: number, elevation: number}} observer - Eye position, m AMSL.
+     */
+    function profileToHWT(id, name, profileData, observer) {
+        const resultJson = JSON.stringify({
+            id: String(id),
+            name: name,
+            lat: Number(observer.lat.toFixed(6)),
+            lon: Number(observer.lng.toFixed(6)),
+            elev_amsl: Number(observer.elevation.toFixed(1)),
+            source: 'MACE'
+        });
+        const points = profileData.filter(p => p && !isNaN(p.x) && !isNaN(p.y) && p.latlng);
+        let csv = CSV_HEADER + '\n';
+        points.forEach(p => {
+            const last = p.segments && p.segments.length ? p.segments[p.segments.length - 1] : null;
+            const dist = window.HorizonCore.distance(observer.lat, observer.lng, p.latlng.lat, p.latlng.lng);
+            const az = ((p.x % 360) + 360) % 360;
+            csv += [az.toFixed(3), az.toFixed(3), p.y.toFixed(4), Math.round(dist), p.latlng.lat.toFixed(6),
+                p.latlng.lng.toFixed(6), last && last.height !== undefined ? last.height.toFixed(1) : ''].join(',') + '\n';
+        });
+        return { resultJson: resultJson, horizonCsv: csv, count: points.length };
+    }
+
+    function profileId(observer) {
+        return `mace-${observer.lat.toFixed(5)}_${observer.lng.toFixed(5)}`;
+    }
+
+    async function saveCurrentProfile(id) {
+        const profile = window.HC_profileData;
+        const params = window.HC_cachedParams;
+        if (!profile || profile.length === 0 || !params || !params.center) {
+            throw new Error('No horizon profile available. Please run a Horizon Probe first.');
+        }
+        const observer = { lat: params.center.lat, lng: params.center.lng, elevation: params.height || 0 };
+        const key = id || profileId(observer);
+        const name = `MACE ${observer.lat.toFixed(5)}, ${observer.lng.toFixed(5)}${params.dem && params.dem.name ? ' (' + params.dem.name + ')' : ''}`;
+        const hwt = profileToHWT(key, name, profile, observer);
+        if (hwt.count === 0) throw new Error('The profile has no horizon positions to archive.');
+        await archivePut(archiveRecord(key, name, 'mace', hwt.resultJson, hwt.horizonCsv));
+        return key;
+    }
+
+    // -----------------------------------------------------------------
+    // Archive ZIP: <id>/result.json + <id>/horizon.csv per horizon
+    // -----------------------------------------------------------------
+    const download = window.ExportUtils.download;
+
+    async function exportArchive() {
+        if (!window.JSZip) throw new Error('JSZip library not found.');
+        const records = await archiveAll();
+        if (records.length === 0) throw new Error('The local archive is empty.');
+        const zip = new JSZip();
+        records.forEach(r => {
+            const folder = zip.folder(r.id);
+            folder.file('result.json', r.resultJson);
+            folder.file('horizon.csv', r.horizonCsv);
+        });
+        zip.file('archive.json', JSON.stringify(records.map(r => ({ id: r.id, name: r.name, source: r.source, savedAt: r.savedAt })), null, 2));
+        download(await zip.generateAsync({ type: 'blob' }), 'hwt-horizon-archive.zip');
+        return records.length;
+    }
+
+    async function importArchive(file) {
+        if (!window.JSZip) throw new Error('JSZip library not found.');
+        const zip = await JSZip.loadAsync(file);
+        let index = {};
+        if (zip.files['archive.json']) {
+            JSON.parse(await zip.files['archive.json'].async('string')).forEach(e => { index[e.id] = e; });
+        }
+        const folders = {};
+        Object.keys(zip.files).forEach(path => {
+            const m = path.match(/^(?:(.*)\/)?(result\.json|horizon\.csv)$/i);
+            if (!m || zip.files[path].dir) return;
+            const id = m[1] ? m[1].split('/').pop() : file.name.replace(/\.zip$/i, '');
+            (folders[id] = folders[id] || {})[m[2].toLowerCase()] = zip.files[path];
+        });
+        let count = 0;
+        for (const id of Object.keys(folders)) {
+            const f = folders[id];
+            if (!f['result.json'] || !f['horizon.csv']) continue;
+            const meta = index[id] || {};
+            const record = archiveRecord(id, meta.name, meta.source || 'imported',
+                await f['result.json'].async('string'), await f['horizon.csv'].async('string'));
+            if (meta.savedAt) record.savedAt = meta.savedAt;
+            await archivePut(record);
+            count++;
+        }
+        if (count === 0) throw new Error('No <id>/result.json and <id>/horizon.csv pairs found in the ZIP.');
+        return count;
+    }
+
+    // -----------------------------------------------------------------
+    // Sidebar
+    // -----------------------------------------------------------------
+    function setStatus(message, type) {
+        const el = document.getElementById('hwt-status');
+        if (!el) return;
+        el.textContent = message;
+        el.className = type === 'error' ? 'text-danger' : 'text-muted';
+    }
+
+    function refreshArchiveList() {
+        const select = $('#hwt-archive-list');
+        if (!select.length) return Promise.resolve();
+        return archiveList().then(list => {
+            select.empty().append($('<option value="">').text(list.length ? `Archive (${list.length})` : 'Archive is empty'));
+            list.forEach(r => select.append($('<option>').val(r.id)
+                .text(`${r.id}${r.name && r.name !== r.id ? ' – ' + r.name : ''} [${r.source}]`)));
+        }).catch(err => {
+            console.warn('HWT archive unavailable:', err);
+            select.empty().append($('<option value="">').text('Archive unavailable'));
+        });
+    }
+
+    async function runFromSidebar() {
+        const id = $('#hwt-id').val().trim();
+        if (!id) {
+            setStatus('Enter a HeyWhatsThat ID or choose one from the archive.', 'error');
+            return;
+        }
+        if (typeof window.HC_runHWTById !== 'function') {
+            setStatus('hwtip.js not loaded.', 'error');
+            return;
+        }
+        setActive($('#hwt-provider').val());
+        setStatus(`Loading ${id} from the ${active().label}...`);
+        if (typeof window.clearResultsDisplay === 'function') window.clearResultsDisplay();
+        const ok = await window.HC_runHWTById(id, null);
+        setStatus(ok ? `Rise/set locations calculated for ${id} (${active().label}).` : `Could not load ${id} from the ${active().label}.`, ok ? null : 'error');
+    }
+
+    const HWTProviders = {
+        register: register,
+        get: name => providers[name],
+        list: () => Object.keys(providers).map(k => providers[k]),
+        active: active,
+        setActive: setActive,
+        setCacheFetched: value => { cacheFetched = !!value; },
+        archiveList: archiveList,
+        archiveGet: archiveGet,
+        archiveDelete: archiveDelete,
+        saveCurrentProfile: saveCurrentProfile,
+        profileToHWT: profileToHWT,
+        exportArchive: exportArchive,
+        importArchive: importArchive
+    };
+
+    register(heyWhatsThatProvider);
+    register(localProvider);
+    window.HWTProviders = HWTProviders;
+
+    $(document).ready(function() {
+        if (!document.getElementById('hwt-provider')) return;
+        $('#hwt-provider').on('change', function() { setActive(this.value); });
+        $('#hwt-cache').on('change', function() { cacheFetched = this.checked; });
+        $('#hwt-archive-list').on('change', function() {
+            if (this.value) $('#hwt-id').val(this.value);
+        });
+        $('#btn-hwt-run').on('click', () => runFromSidebar().catch(err => {
+            console.error('HWT horizon run failed:', err);
+            setStatus('Failed: ' + err.message, 'error');
+        }));
+        $('#btn-hwt-save-profile').on('click', function() {
+            saveCurrentProfile($('#hwt-id').val().trim()).then(id => {
+                $('#hwt-id').val(id);
+                setStatus(`Current profile saved to the archive as ${id}.`);
+                return refreshArchiveList();
+            }).catch(err => setStatus(err.message, 'error'));
+        });
+        $('#btn-hwt-delete').on('click', function() {
+            const id = $('#hwt-archive-list').val();
+            if (!id || !confirm(`Remove ${id} from the local archive?`)) return;
+            archiveDelete(id).then(() => {
+                setStatus(`${id} removed from the archive.`);
+                return refreshArchiveList();
+            }).catch(err => setStatus(err.message, 'error'));
+        });
+        $('#btn-hwt-export').on('click', function() {
+            exportArchive().then(n => setStatus(`Exported ${n} horizons.`)).catch(err => setStatus(err.message, 'error'));
+        });
+        $('#input-hwt-archive').on('change', function(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+            importArchive(file).then(n => {
+                setStatus(`Imported ${n} horizons into the archive.`);
+                return refreshArchiveList();
+            }).catch(err => {
+                console.error('HWT archive import failed:', err);
+                setStatus('Import failed: ' + err.message, 'error');
+            });
+        });
+        // Start offline when the browser says so
+        if (navigator.onLine === false) setActive('local');
+        refreshArchiveList();
+    });
+})();
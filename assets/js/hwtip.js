@@ -50,8 +50,12 @@
  *      (Normalized to 0-360° from North, clockwise)
  * 
  * 2. Atmospheric Refraction (R):
- *    - Using Sæmundsson's formula: R (arcminutes) = 1.02 × cot(h + 10.3/(h + 5.11))
- *    - where h is the true (geometric) altitude in degrees
+ *    - Model selected in the sidebar (see refraction.js):
+ *        Sæmundsson (default): R (arcminutes) = 1.02 × cot(h + 10.3/(h + 5.11)), h = true altitude
+ *        Bennett: R = cot(h_a + 7.31/(h_a + 4.4)), h_a = apparent altitude (solved iteratively)
+ *        Low-altitude table: mean refraction interpolated against apparent altitude
+ *    - Scaled by (P/1010)·(283/T) from the sidebar temperature and air pressure
+ *      (reduced to observer height when pressure is given at sea level)
  *    - Refraction is calculated dynamically based on geometric altitude (more accurate than constant)
  *    - Refraction lifts celestial bodies, making them appear higher than geometric position
  *    - Applied to celestial body's geometric altitude when comparing to terrain
@@ -60,12 +64,13 @@
  * 
  * 3. Lunar Parallax (P):
  *    - Solar parallax: P_sun = 0.0° (negligible)
- *    - Lunar parallax: P_moon = 0.95° (average horizontal parallax)
+ *    - Lunar parallax: P_moon from the Moon's distance at each standstill (ephemeris.js,
+ *      topocentric at the observer's latitude); 0.95° average horizontal parallax as fallback
  *    - Parallax lowers the Moon's apparent position due to observer's position on Earth's surface
  * 
  * 4. Semidiameter (S) - Limb Adjustment:
  *    - Solar: SOLAR_SEMIDIAMETER = 0.266° (average)
- *    - Lunar: LUNAR_SEMIDIAMETER = 0.272° (average)
+ *    - Lunar: semidiameter at each standstill (ephemeris.js), LUNAR_SEMIDIAMETER = 0.272° (average) as fallback
  *    - Upper Limb (UL): S = +SEMIDIAMETER
  *    - Lower Limb (LL): S = -SEMIDIAMETER
  *    - Center: S = 0
@@ -212,8 +217,6 @@ if (window.DEBUG_HWTIP) {
     // The top-level initialization guard (window.MaceHWTCalculatorInitialized) has been removed.
     // This ensures the script runs fully upon each execution/load, as per your instruction.
 
-    const HWT_HORIZONE_SRC = "K52"; // Specific source ID from horiZONE.html example
-
     // --- Console Output Override ---
     // Capture original console methods to allow direct console logging for debugging,
     // while also providing a global displayMessage function for UI updates.
@@ -419,29 +422,15 @@ if (window.DEBUG_HWTIP) {
     // we need to apply refraction when comparing celestial body position to actual terrain.
 
     // Atmospheric Refraction - lifts celestial bodies, making them appear higher
-    // Using Sæmundsson's formula: R (arcminutes) = 1.02 × cot(h + 10.3/(h + 5.11))
-    // where h is the true (geometric) altitude in degrees
-    // This is more accurate than a constant, especially away from the horizon
-    function calculateRefraction(geometricAltitudeDeg) {
-        // Handle edge cases for very low altitudes
-        if (geometricAltitudeDeg < -0.5) {
-            geometricAltitudeDeg = -0.5; // Clamp to prevent extreme values
-        }
-        
-        // Sæmundsson's formula: R = 1.02 × cot(h + 10.3/(h + 5.11))
-        // where h is in degrees
-        const h = geometricAltitudeDeg;
-        const term = h + (10.3 / (h + 5.11));
-        const termRad = term * Math.PI / 180; // Convert to radians
-        const cotValue = 1.0 / Math.tan(termRad); // cot(x) = 1/tan(x)
-        const refractionArcminutes = 1.02 * cotValue;
-        const refractionDegrees = refractionArcminutes / 60.0; // Convert arcminutes to degrees
-        
-        return refractionDegrees;
+    // The model (Sæmundsson by default, Bennett or the low-altitude table) and the
+    // temperature/pressure scaling come from the shared refraction.js module.
+    // geometricAltitudeDeg is the true (geometric) altitude in degrees.
+    function calculateRefraction(geometricAltitudeDeg, conditions) {
+        return window.Refraction.astronomical(geometricAltitudeDeg, conditions);
     }
 
     // Lunar parallax - Moon appears lower due to observer's position on Earth's surface
-    const LUNAR_PARALLAX = 0.95; // Average lunar horizontal parallax (degrees)
+    const LUNAR_PARALLAX = 0.95; // Average lunar horizontal parallax (degrees), when no standstill values are passed
     const SOLAR_PARALLAX = 0.0; // Solar parallax is negligible (degrees)
 
     // Semidiameters - angular radius of celestial bodies
@@ -986,6 +975,22 @@ if (window.DEBUG_HWTIP) {
         return result;
     }
 
+    /**
+     * Parallax and semidiameter of the Moon at a standstill (ephemeris.js via Script A),
+     * as searchOptions for findActualAzimuthForTargetApparentAltitude.
+     * @param {Array<string>|null} standstill - e.g. ['major', 'north']; null for solar events.
+     * @param {number} observerLat - The observer's latitude.
+     * @returns {Object} Empty when unavailable, so the search keeps LUNAR_PARALLAX / LUNAR_SEMIDIAMETER.
+     */
+    window.lunarSearchOptions = function(standstill, observerLat) {
+        const values = standstill && window.lunarStandstills && window.lunarStandstills[standstill[0]][standstill[1]];
+        if (!values || !window.Ephemeris) return {};
+        return {
+            parallax: window.Ephemeris.topocentricParallax(values.parallax, observerLat, 0),
+            semidiameter: values.semidiameter
+        };
+    };
+
 
     /**
      * Finds the true rise/set azimuth by locating the point on the viewshed horizon
@@ -1002,6 +1007,11 @@ if (window.DEBUG_HWTIP) {
      * @param {number} observerElevationMeters - The observer's elevation above sea level in meters (currently not used for horizon adjustment per instructions).
      * @param {boolean} [isLunarEvent=false] - True if this is a lunar event, to use lunar-specific constants.
      * @param {boolean} [isCrossQuarterEvent=false] - True if this is a cross-quarter event (not currently used).
+     * @param {Object} [searchOptions] - Overrides used by repeated searches (rise-set-uncertainty.js, horizon-timeseries.js):
+     *        refractionConditions - Refraction conditions to use instead of the sidebar settings;
+     *        altitudeAt(azimuth) - Horizon altitude lookup to use instead of interpolating horizonData;
+     *        quiet - No status logging and no intermediate yields (the caller yields between searches);
+     *        parallax, semidiameter - Degrees, for a body at a known distance.
      * @returns {{azimuth: number|null, lat: number|null, lon: number: number|null, hourAngle: number}|null} The calculated azimuth, Lat/Lon, and hour angle, or null if no matching point found.
      */
     window.findActualAzimuthForTargetApparentAltitude = async function( // Exposed globally
@@ -1014,7 +1024,8 @@ if (window.DEBUG_HWTIP) {
         declinationDeg, // New: Declination in degrees
         observerElevationMeters, // Observer's elevation in meters (not used for horizon adjustment)
         isLunarEvent = false, // NEW PARAMETER
-        isCrossQuarterEvent = false // NEW PARAMETER
+        isCrossQuarterEvent = false, // NEW PARAMETER
+        searchOptions = {}
     ) {
         const TOLERANCE_ALTITUDE = 0.001; // degrees, for matching altitude
         const HA_SEARCH_RESOLUTION = 0.1; // degrees, for initial bracketing search
@@ -1022,12 +1033,15 @@ if (window.DEBUG_HWTIP) {
         const MAX_BISECTION_ITERATIONS = 100; // Max iterations for bisection method
 
         // Select appropriate constants based on event type
-        // NOTE: Refraction IS applied here for terrain-adjusted calculations using Sæmundsson's formula
+        // NOTE: Refraction IS applied here for terrain-adjusted calculations (model chosen in the sidebar)
         // Refraction is calculated dynamically based on geometric altitude (not a constant)
-        const PARALLAX = isLunarEvent ? LUNAR_PARALLAX : SOLAR_PARALLAX; // Lunar: 0.95°, Solar: 0.0°
-        const SEMIDIAMETER = isLunarEvent ? LUNAR_SEMIDIAMETER : SOLAR_SEMIDIAMETER;
+        const refractionConditions = searchOptions.refractionConditions || window.Refraction.readConditions(observerElevationMeters);
+        const horizonAltitudeAt = searchOptions.altitudeAt || (azimuth => getInterpolatedHorizonAltitude(azimuth, horizonData));
+        const PARALLAX = searchOptions.parallax !== undefined ? searchOptions.parallax : (isLunarEvent ? LUNAR_PARALLAX : SOLAR_PARALLAX); // Lunar: 0.95°, Solar: 0.0°
+        const SEMIDIAMETER = searchOptions.semidiameter !== undefined ? searchOptions.semidiameter : (isLunarEvent ? LUNAR_SEMIDIAMETER : SOLAR_SEMIDIAMETER);
 
         function setScenarioStatus(message, type = 'status') {
+            if (searchOptions.quiet) return;
             originalConsole.log(`Display Message [${type}]: ${message}`); // Use originalConsole.log for these status messages
         }
         setScenarioStatus(`Calculating ${scenarioName}...`, 'status');
@@ -1074,12 +1088,12 @@ if (window.DEBUG_HWTIP) {
 
             // Calculate the celestial body's apparent center altitude
             // h_app = h_geo + R - P + S
-            // where: R = refraction (lifts body, calculated using Sæmundsson's formula), P = parallax (lowers body), S = semidiameter adjustment
+            // where: R = refraction (lifts body, see refraction.js), P = parallax (lowers body), S = semidiameter adjustment
             // For this bracketing search, we calculate the center (S = 0), then add limb adjustment separately
-            const refraction = calculateRefraction(sunPos.altitude); // Calculate refraction based on geometric altitude
+            const refraction = calculateRefraction(sunPos.altitude, refractionConditions); // Calculate refraction based on geometric altitude
             const celestialApparentCenterAltitude = sunPos.altitude + refraction - PARALLAX; // R - P for center
 
-            let terrainTrueAltitude = getInterpolatedHorizonAltitude(sunPos.azimuth, horizonData); // Geometric terrain altitude from HWT
+            let terrainTrueAltitude = horizonAltitudeAt(sunPos.azimuth); // Geometric terrain altitude from HWT
             let terrainAzimuth = sunPos.azimuth; // Terrain Azimuth is the same as celestial body's azimuth for interpolation
             if (terrainTrueAltitude === null) {
                 continue;
@@ -1123,9 +1137,9 @@ if (window.DEBUG_HWTIP) {
                     continue; // Skip if previous celestial body position is invalid
                 }
 
-                const prevRefraction = calculateRefraction(prevSunPos.altitude); // Calculate refraction based on geometric altitude
+                const prevRefraction = calculateRefraction(prevSunPos.altitude, refractionConditions); // Calculate refraction based on geometric altitude
                 const prevCelestialApparentCenterAltitude = prevSunPos.altitude + prevRefraction - PARALLAX; // R - P for center
-                const prevTerrainTrueAltitude = getInterpolatedHorizonAltitude(prevSunPos.azimuth, horizonData);
+                const prevTerrainTrueAltitude = horizonAltitudeAt(prevSunPos.azimuth);
                 if (prevTerrainTrueAltitude === null) {
                     continue; // Skip if previous terrain altitude is invalid
                 }
@@ -1163,13 +1177,15 @@ if (window.DEBUG_HWTIP) {
             }
             
             // Yield control periodically to allow UI updates
-            if (iterationCount % YIELD_INTERVAL === 0) {
+            if (!searchOptions.quiet && iterationCount % YIELD_INTERVAL === 0) {
                 await yieldToBrowser();
             }
         }
 
         if (!bestBracket) {
-            originalConsole.error(`Bracketing Search for ${scenarioName}: No crossing bracket found in the full HA range.`);
+            if (!searchOptions.quiet) {
+                originalConsole.error(`Bracketing Search for ${scenarioName}: No crossing bracket found in the full HA range.`);
+            }
             // Check if it's always blocked or always clear
             const testHA = isSunriseLike ? -90 : 90; // Test HA in appropriate quadrant
             const testCelestialPos = calculateSunPosition(observerLat, declinationDeg, testHA);
@@ -1178,7 +1194,7 @@ if (window.DEBUG_HWTIP) {
                 return null;
             }
 
-            const testRefraction = calculateRefraction(testCelestialPos.altitude); // Calculate refraction based on geometric altitude
+            const testRefraction = calculateRefraction(testCelestialPos.altitude, refractionConditions); // Calculate refraction based on geometric altitude
             const testCelestialApparentCenterAltitude = testCelestialPos.altitude + testRefraction - PARALLAX; // R - P for center
             let testLimbAdjustmentValue = 0;
             if (targetLimb === 'UL') {
@@ -1186,7 +1202,7 @@ if (window.DEBUG_HWTIP) {
             } else if (targetLimb === 'LL') {
                 testLimbAdjustmentValue = -SEMIDIAMETER; // Use selected semidiameter
             }
-            const testTerrainTrueAlt = getInterpolatedHorizonAltitude(testCelestialPos.azimuth, horizonData);
+            const testTerrainTrueAlt = horizonAltitudeAt(testCelestialPos.azimuth);
 
             if (testTerrainTrueAlt !== null) {
                 const testTerrainComparisonAlt = testTerrainTrueAlt; // Use geometric terrain altitude
@@ -1220,10 +1236,10 @@ if (window.DEBUG_HWTIP) {
                 break;
             }
 
-            const midRefraction = calculateRefraction(midCelestialPos.altitude); // Calculate refraction based on geometric altitude
+            const midRefraction = calculateRefraction(midCelestialPos.altitude, refractionConditions); // Calculate refraction based on geometric altitude
             const midCelestialApparentCenterAltitude = midCelestialPos.altitude + midRefraction - PARALLAX; // R - P for center
 
-            let midTerrainTrueAlt = getInterpolatedHorizonAltitude(midCelestialPos.azimuth, horizonData);
+            let midTerrainTrueAlt = horizonAltitudeAt(midCelestialPos.azimuth);
             let midTerrainAzimuth = midCelestialPos.azimuth; // Terrain Azimuth is the same as celestial body's azimuth for interpolation
             if (midTerrainTrueAlt === null) {
                 originalConsole.warn(`${scenarioName}: Bisection search failed to interpolate terrain at ${midCelestialPos.azimuth.toFixed(3)}°. Breaking.`);
@@ -1455,21 +1471,26 @@ if (window.DEBUG_HWTIP) {
 
 
     /**
-     * Fetches location data (lat, lon, elev_amsl) for a specific ID from heywhatsthat.com's result.json.
+     * The horizon provider that serves result.json / horizon.csv (hwt-providers.js):
+     * heywhatsthat.com, the local archive, or any registered stand-in.
+     */
+    function horizonProvider() {
+        if (!window.HWTProviders) {
+            throw new Error("Horizon providers (hwt-providers.js) not loaded.");
+        }
+        return window.HWTProviders.active();
+    }
+
+    /**
+     * Fetches location data (lat, lon, elev_amsl) for a specific ID as result.json from the active horizon provider.
      * @param {string} hwtId - The HeyWhatsThat identifier.
      * @returns {Promise<{latitude: number, longitude: number, elevation_amsl: number}|null>} Parsed location info.
      */
     async function fetchLocationData(hwtId) {
-        const apiUrl = `https://www.heywhatsthat.com/bin/result.json?id=${hwtId}`;
-
-        window.displayMessage('locationStatus', `Fetching location data for ID: ${hwtId} from /bin/result.json...`, 'status-message');
         try {
-            const response = await fetch(apiUrl);
-            const text = await response.text();
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} - ${text.substring(0, 100)}...`);
-            }
+            const provider = horizonProvider();
+            window.displayMessage('locationStatus', `Fetching location data for ID: ${hwtId} from the ${provider.label}...`, 'status-message');
+            const text = await provider.resultJson(hwtId);
 
             const json = JSON.parse(text);
 
@@ -1492,21 +1513,15 @@ if (window.DEBUG_HWTIP) {
     }
 
     /**
-     * Fetches and parses viewshed data from heywhatsthat.com's horizon.csv API.
+     * Fetches and parses viewshed data as horizon.csv (horiZONE columns) from the active horizon provider.
      * @param {string} hwtId - The HeyWhatsThat identifier.
      * @returns {Promise<Array<Object>>} A promise resolving to an array of {azimuth, altitude, horizonLat?, horizonLon?} objects.
      */
     async function fetchHorizonDataHoriZONE(hwtId) {
-        const apiUrl = `https://www.heywhatsthat.com/api/horizon.csv?id=${hwtId}&resolution=.125&src=${HWT_HORIZONE_SRC}&keep=1`;
-
-        window.displayMessage('viewshedStatus', `Fetching viewshed data for ID: ${hwtId} from /bin/horizon.csv (horiZONE method)...`, 'status-message');
         try {
-            const response = await fetch(apiUrl);
-            const text = await response.text();
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} - ${text.substring(0, 100)}...`);
-            }
+            const provider = horizonProvider();
+            window.displayMessage('viewshedStatus', `Fetching viewshed data for ID: ${hwtId} from the ${provider.label} (horizon.csv)...`, 'status-message');
+            const text = await provider.horizonCsv(hwtId);
 
             const lines = text.trim().split('\n');
             const horizonData = [];
@@ -1588,6 +1603,65 @@ if (window.DEBUG_HWTIP) {
         return uniqueData;
     }
 
+    /**
+     * Whole HeyWhatsThat pipeline for one ID: observer from result.json, horizon from horizon.csv
+     * (both through the active horizon provider, so it also runs offline from the local archive),
+     * then the rise/set calculations.
+     * @param {string} hwtId - The HeyWhatsThat identifier (or local archive ID).
+     * @param {HTMLElement|null} loadingSpinner - Hidden when the run ends.
+     * @returns {Promise<boolean>} False when the location or horizon could not be loaded.
+     */
+    window.HC_runHWTById = async function(hwtId, loadingSpinner) {
+        let anyCalculationFailed = false;
+
+        // --- Fetch Location Data ---
+        const locationData = await fetchLocationData(hwtId);
+        if (!locationData) {
+            window.displayMessage('overallStatus', 'Calculation failed: Could not fetch location data.', 'error');
+            if (loadingSpinner) loadingSpinner.classList.add('hidden');
+            return false;
+        }
+
+        // Move the sidebar observer so the zero-horizon azimuths (omphalopsychicsingle.js) are for this latitude
+        const mapInstance = window.map || map;
+        if (!mapInstance) {
+            console.error("Leaflet map not available from Script B. Ensure Script B is loaded and initializes 'window.map'.");
+            window.displayMessage('overallStatus', 'Error: Map components not ready. Ensure map script is loaded.', 'error');
+            if (loadingSpinner) loadingSpinner.classList.add('hidden');
+            return false;
+        }
+        mapInstance.setView([locationData.latitude, locationData.longitude], mapInstance.getZoom());
+        document.getElementById('latbox').value = locationData.latitude.toFixed(6); // Format for display
+        document.getElementById('lngbox').value = locationData.longitude.toFixed(6); // Format for display
+        if (typeof window.latlongChanged === 'function') {
+            window.latlongChanged();
+        }
+
+        // --- Fetch Viewshed Data ---
+        let horizonData = await fetchHorizonDataHoriZONE(hwtId);
+        if (!horizonData) {
+            window.displayMessage('overallStatus', 'Calculation failed: Could not fetch viewshed data.', 'error');
+            if (loadingSpinner) loadingSpinner.classList.add('hidden');
+            return false;
+        }
+
+        // --- Deduplicate horizon data ---
+        horizonData = deduplicateHorizonData(horizonData);
+
+        // CRITICAL: Ensure horizon data is sorted by azimuth (azi alt ordered) before calculations
+        // This matches the old file behavior - horizon data must be sorted by azimuth
+        if (horizonData && Array.isArray(horizonData) && horizonData.length > 0) {
+            horizonData.sort((a, b) => a.azimuth - b.azimuth);
+        }
+
+        window.HC_horizonData = horizonData;
+        window.HC_locationData = locationData;
+
+        // Call the shared calculation function
+        await window.HC_executeRiseSetCalculations(horizonData, locationData, anyCalculationFailed, loadingSpinner);
+        return true;
+    };
+
     // Note: window.HC_runHWTIPCalculations is now defined at the top of the IIFE (after console setup)
     // to ensure it's available even if there are errors later in the script
 
@@ -1626,52 +1700,7 @@ if (window.DEBUG_HWTIP) {
                 return; // Exit early if hwtId is empty
             }
 
-            let locationData = null;
-            let horizonData = null;
-            let anyCalculationFailed = false;
-
-            // --- Fetch Location Data ---
-            locationData = await fetchLocationData(hwtId);
-            if (!locationData) {
-                window.displayMessage('overallStatus', 'Calculation failed: Could not fetch location data.', 'error');
-                if (loadingSpinner) loadingSpinner.classList.add('hidden');
-                return;
-            }
-
-            // Update Script B's map and marker with fetched location data
-            // This is for visual consistency, not for calculation input in Script C.
-            if (map && observerMarker) {
-                map.setView([locationData.latitude, locationData.longitude], map.getZoom());
-                // observerMarker.setLatLng([locationData.latitude, locationData.longitude]); // This is now handled by our new marker
-                document.getElementById('latbox').value = locationData.latitude.toFixed(6); // Format for display
-                document.getElementById('lngbox').value = locationData.longitude.toFixed(6); // Format for display
-                // observerMarker.bindPopup(`<b>Observer Location</b><br>Lat: ${locationData.latitude.toFixed(4)}, Lon: ${locationData.longitude.toFixed(4)}`).openPopup(); // Handled by our new marker
-            } else {
-                console.error("Leaflet map or observer marker not available from Script B. Ensure Script B is loaded and initializes 'window.map' and 'window.bigMarker'.");
-                window.displayMessage('overallStatus', 'Error: Map components not ready. Ensure map script is loaded.', 'error');
-                if (loadingSpinner) loadingSpinner.classList.add('hidden');
-                return;
-            }
-
-            // --- Fetch Viewshed Data ---
-            horizonData = await fetchHorizonDataHoriZONE(hwtId);
-            if (!horizonData) {
-                window.displayMessage('overallStatus', 'Calculation failed: Could not fetch viewshed data.', 'error');
-                if (loadingSpinner) loadingSpinner.classList.add('hidden');
-                return;
-            }
-
-            // --- Deduplicate horizon data ---
-            horizonData = deduplicateHorizonData(horizonData);
-
-            // CRITICAL: Ensure horizon data is sorted by azimuth (azi alt ordered) before calculations
-            // This matches the old file behavior - horizon data must be sorted by azimuth
-            if (horizonData && Array.isArray(horizonData) && horizonData.length > 0) {
-                horizonData.sort((a, b) => a.azimuth - b.azimuth);
-            }
-
-            // Call the shared calculation function
-            await window.HC_executeRiseSetCalculations(horizonData, locationData, anyCalculationFailed, loadingSpinner);
+            await window.HC_runHWTById(hwtId, loadingSpinner);
         });
     });
 
@@ -1690,6 +1719,10 @@ if (window.DEBUG_HWTIP) {
             
             // Clear center markers when starting new calculations
             window.centerMarkers = {};
+            // Drop uncertainty envelopes from the previous run (rise-set-uncertainty.js)
+            if (typeof window.HC_clearRiseSetUncertainty === 'function') {
+                window.HC_clearRiseSetUncertainty();
+            }
             
             // Deactivate Quick View sidebar tab and clear buttons
             const quickViewTab = document.getElementById('quickview-tab');
@@ -1799,6 +1832,10 @@ if (window.DEBUG_HWTIP) {
             const declinationDegMajorLunarSouth = window.declinationMajorLunarSouth_geo || window.declinationMajorLunarSouth;
             const declinationDegMinorLunarNorth = window.declinationMinorLunarNorth_geo || window.declinationMinorLunarNorth;
             const declinationDegMinorLunarSouth = window.declinationMinorLunarSouth_geo || window.declinationMinorLunarSouth;
+            const searchOptionsMajorLunarNorth = window.lunarSearchOptions(['major', 'north'], locationData.latitude);
+            const searchOptionsMajorLunarSouth = window.lunarSearchOptions(['major', 'south'], locationData.latitude);
+            const searchOptionsMinorLunarNorth = window.lunarSearchOptions(['minor', 'north'], locationData.latitude);
+            const searchOptionsMinorLunarSouth = window.lunarSearchOptions(['minor', 'south'], locationData.latitude);
 
             // Updated NaN checks for new declination variables
             if (isNaN(declinationDegSummerSolstice)) {
@@ -2368,7 +2405,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_NMLR = null; // Declare with let and initialize to null
             actualPointUL_NMLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "NMLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLR, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "NMLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLR, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_NMLR) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2378,7 +2415,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_NMLR = null; // Declare with let and initialize to null
             actualPointCenter_NMLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "NMLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLR, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "NMLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLR, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_NMLR) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2391,7 +2428,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_NMLR = null; // Declare with let and initialize to null
             actualPointLL_NMLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "NMLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLR, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "NMLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLR, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_NMLR) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2407,7 +2444,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_SMLR = null; // Declare with let and initialize to null
             actualPointUL_SMLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "SMLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLR, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "SMLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLR, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_SMLR) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2417,7 +2454,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_SMLR = null; // Declare with let and initialize to null
             actualPointCenter_SMLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "SMLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLR, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "SMLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLR, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_SMLR) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2430,7 +2467,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_SMLR = null; // Declare with let and initialize to null
             actualPointLL_SMLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "SMLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLR, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "SMLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLR, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_SMLR) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2446,7 +2483,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_NMLS = null; // Declare with let and initialize to null
             actualPointUL_NMLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "NMLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLS, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "NMLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLS, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_NMLS) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2456,7 +2493,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_NMLS = null; // Declare with let and initialize to null
             actualPointCenter_NMLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "NMLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLS, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "NMLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLS, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_NMLS) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2469,7 +2506,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_NMLS = null; // Declare with let and initialize to null
             actualPointLL_NMLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "NMLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLS, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "NMLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMLS, declinationDegMajorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_NMLS) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2485,7 +2522,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_SMLS = null;
             actualPointUL_SMLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "SMLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLS, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "SMLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLS, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_SMLS) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2495,7 +2532,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_SMLS = null;
             actualPointCenter_SMLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "SMLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLS, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "SMLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLS, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_SMLS) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2508,7 +2545,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_SMLS = null;
             actualPointLL_SMLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "SMLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLS, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "SMLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMLS, declinationDegMajorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMajorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_SMLS) {
                 // Major Standstill markers: 50% current size (radius 2.5), Fill Dark Blue
@@ -2524,7 +2561,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_NMNLR = null; // Declare with let and initialize to null
             actualPointUL_NMNLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "NMNLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLR, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "NMNLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLR, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_NMNLR) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2534,7 +2571,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_NMNLR = null; // Declare with let and initialize to null
             actualPointCenter_NMNLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "NMNLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLR, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "NMNLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLR, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_NMNLR) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2547,7 +2584,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_NMNLR = null; // Declare with let and initialize to null
             actualPointLL_NMNLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "NMNLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLR, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "NMNLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLR, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_NMNLR) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2563,7 +2600,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_SMNLR = null; // Declare with let and initialize to null
             actualPointUL_SMNLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "SMNLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLR, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "SMNLR Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLR, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_SMNLR) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2573,7 +2610,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_SMNLR = null; // Declare with let and initialize to null
             actualPointCenter_SMNLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "SMNLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLR, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "SMNLR Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLR, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_SMNLR) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2586,7 +2623,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_SMNLR = null; // Declare with let and initialize to null
             actualPointLL_SMNLR = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "SMNLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLR, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "SMNLR Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLR, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_SMNLR) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2602,7 +2639,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_NMNLS = null; // Declare with let and initialize to null
             actualPointUL_NMNLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "NMNLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLS, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "NMNLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLS, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_NMNLS) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2612,7 +2649,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_NMNLS = null; // Declare with let and initialize to null
             actualPointCenter_NMNLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "NMNLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLS, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "NMNLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLS, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_NMNLS) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2625,7 +2662,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_NMNLS = null; // Declare with let and initialize to null
             actualPointLL_NMNLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "NMNLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLS, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "NMNLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeNMNLS, declinationDegMinorLunarNorth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarNorth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_NMNLS) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2641,7 +2678,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointUL_SMNLS = null;
             actualPointUL_SMNLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'UL', "SMNLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLS, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'UL', "SMNLS Upper Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLS, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointUL_SMNLS) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2651,7 +2688,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointCenter_SMNLS = null;
             actualPointCenter_SMNLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'Center', "SMNLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLS, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'Center', "SMNLS Center at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLS, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointCenter_SMNLS) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2664,7 +2701,7 @@ if (window.DEBUG_HWTIP) {
 
             let actualPointLL_SMNLS = null;
             actualPointLL_SMNLS = await window.findActualAzimuthForTargetApparentAltitude(
-                horizonData, 'LL', "SMNLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLS, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false // IS LUNAR, Not cross-quarter
+                horizonData, 'LL', "SMNLS Lower Limb at Horizon", locationData.latitude, locationData.longitude, isSunriseLikeSMNLS, declinationDegMinorLunarSouth, locationData.elevation_amsl, true, false, searchOptionsMinorLunarSouth // IS LUNAR, Not cross-quarter
             );
             if (actualPointLL_SMNLS) {
                 // Minor Standstill markers: 50% current size (radius 2.5), Fill Red
@@ -2710,6 +2747,40 @@ if (window.DEBUG_HWTIP) {
             } else {
                 window.displayMessage('overallStatus', 'Calculations finished with issues. Check console for more info.', 'warn');
             }
+
+            // Rise/set points for the stars selected in the sidebar (stellar-rise-set.js)
+            if (typeof window.HC_runStellarRiseSet === 'function' && window.HC_stellarSelectedCount() > 0) {
+                try {
+                    window.displayMessage('overallStatus', 'Calculating stellar rise/set points...', 'status');
+                    const starsFound = await window.HC_runStellarRiseSet(horizonData, locationData);
+                    window.displayMessage('overallStatus', starsFound ? 'Stellar rise/set calculations complete.' : 'Stellar rise/set finished with issues. Check console for more info.', starsFound ? 'success' : 'warn');
+                } catch (err) {
+                    console.error('Stellar rise/set calculation failed:', err);
+                    window.displayMessage('overallStatus', 'Stellar rise/set failed: ' + err.message, 'error');
+                }
+            }
+
+            // Monte-Carlo uncertainty envelopes, when enabled in the sidebar
+            const uncertaintyCheckbox = document.getElementById('chk-rise-set-uncertainty');
+            if (uncertaintyCheckbox && uncertaintyCheckbox.checked && typeof window.HC_runRiseSetUncertainty === 'function') {
+                try {
+                    window.displayMessage('overallStatus', 'Running rise/set uncertainty trials...', 'status');
+                    await window.HC_runRiseSetUncertainty(horizonData, locationData);
+                    window.displayMessage('overallStatus', 'Rise/set uncertainty envelopes complete.', 'success');
+                } catch (err) {
+                    console.error('Rise/set uncertainty analysis failed:', err);
+                    window.displayMessage('overallStatus', 'Uncertainty analysis failed: ' + err.message, 'error');
+                }
+            }
+
+            // Foresight distance and parallax sensitivity for each event (horizon-foresight.js)
+            if (typeof window.HC_runForesightReport === 'function') {
+                try {
+                    window.HC_runForesightReport(horizonData, locationData);
+                } catch (err) {
+                    console.error('Foresight report failed:', err);
+                }
+            }
             if (loadingSpinner) loadingSpinner.classList.add('hidden');
             
             // Enable the save button after calculations complete (if horizon-loadsave.js is loaded)
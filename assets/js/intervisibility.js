@@ -12,12 +12,17 @@
     let intervisibilityLinesLayerGroup = null;
     let isCalculating = false;
     let cancelCalculation = false;
+    let viewshedCancelToken = { cancelled: false }; // this module's profile sweeps (HC_cancelViewshed)
     let isPaused = false;
     let markerDems = new Map(); // Store DEM data for each marker
+    let matrixDemSource = null; // DEM source the current matrix was computed from (see dem-sources.js)
+    let matrixAcuityModel = null; // Visual acuity model the current matrix was graded with, null for binary visibility
     
     // Store selected field names for unique ID and display name
     let selectedUniqueIdField = null;
     let selectedDisplayNameField = null;
+    let selectedObserverHeightField = null; // Optional per-site observer offset (m above ground)
+    let selectedTargetHeightField = null; // Optional per-site target offset (m above ground)
     let pendingGeoJson = null; // Store GeoJSON while waiting for field selection
     
     // State for pause/resume
@@ -35,7 +40,104 @@
     const lineDemCache = new Map(); // Key: "lat_lng_radiusTiles_zoom", Value: { dem, lastUsed, useCount }
     const MAX_CACHE_SIZE = 3; // Reduced: Maximum number of DEMs to cache (was 10)
     const MAX_CACHE_AGE_MS = 2 * 60 * 1000; // Reduced: 2 minutes - clear old DEMs (was 5 minutes)
-    
+
+    // Line styles: mutual sightlines as before, one-way sightlines drawn from the observer
+    const MUTUAL_LINE_STYLE = { color: '#808080', weight: 2, opacity: 0.7, dashArray: '10, 5' };
+    const ONE_WAY_LINE_STYLE = { color: '#e67e22', weight: 2, opacity: 0.8, dashArray: '2, 6' };
+
+    function lineStyle(feature) {
+        const props = feature && feature.properties;
+        const base = props && props.visibility === 'one-way' ? ONE_WAY_LINE_STYLE : MUTUAL_LINE_STYLE;
+        if (!props || typeof props.strength !== 'number') return base;
+        // Graded sightlines: faint and thin towards the acuity limit
+        return Object.assign({}, base, { weight: 1 + 3 * props.strength, opacity: 0.15 + 0.85 * props.strength });
+    }
+
+    // Height offset from a GeoJSON property, or null if absent/not a number
+    function parseHeight(value) {
+        const h = parseFloat(value);
+        return isNaN(h) ? null : h;
+    }
+
+    function readDefaultHeight(id) {
+        const el = document.getElementById(id);
+        const h = el ? parseFloat(el.value) : NaN;
+        return isNaN(h) ? 0 : h;
+    }
+
+    /**
+     * Observer and target offsets (m above ground) for a site: its own GeoJSON values,
+     * otherwise the sidebar defaults at the time of the calculation.
+     */
+    function siteHeights(marker) {
+        return {
+            observer: marker.observerHeight !== null && marker.observerHeight !== undefined ? marker.observerHeight : readDefaultHeight('iv-observer-height'),
+            target: marker.targetHeight !== null && marker.targetHeight !== undefined ? marker.targetHeight : readDefaultHeight('iv-target-height')
+        };
+    }
+
+    const NULL_MODEL_ITERATIONS = 99; // random graphs per IV report (smallest p-value 0.01)
+    let isGeneratingReport = false;
+
+    // Pairs saved before sightlines were directional count as mutual
+    function isMutual(pair) {
+        return pair.forward !== false && pair.backward !== false;
+    }
+
+    // Visual acuity ("fuzzy") visibility. Higuchi's distance bands: in the near band a monument's
+    // detail is seen, in the middle band its form, in the far band only a silhouette against the
+    // background. Ogburn's limit: a target subtending less than the eye's acuity angle cannot be
+    // resolved at all, however clear the line of sight.
+    const HIGUCHI_NEAR_WEIGHT = 1;
+    const HIGUCHI_FAR_WEIGHT = 0.5; // the middle band falls linearly from near to far
+
+    function readAcuityModel() {
+        const enabled = document.getElementById('iv-fuzzy-enabled');
+        if (!enabled || !enabled.checked) return null;
+        const read = function(id, fallback) {
+            const v = parseFloat($(id).val());
+            return isNaN(v) || v <= 0 ? fallback : v;
+        };
+        return {
+            targetSize: read('#iv-fuzzy-target-size', 10),
+            acuityArcmin: read('#iv-fuzzy-acuity', 1),
+            nearLimit: read('#iv-fuzzy-near', 500),
+            middleLimit: read('#iv-fuzzy-middle', 3500)
+        };
+    }
+
+    /**
+     * Visibility strength of a target at a distance (m) under an acuity model.
+     * @returns {Object} { band: 'near'|'middle'|'far', strength: 0-1 } - the band weight times the
+     *   margin by which the target's angular size exceeds the acuity threshold (0 at or below it)
+     */
+    function visibilityStrength(distance, model) {
+        let band = 'far';
+        let bandWeight = HIGUCHI_FAR_WEIGHT;
+        if (distance <= model.nearLimit) {
+            band = 'near';
+            bandWeight = HIGUCHI_NEAR_WEIGHT;
+        } else if (distance <= model.middleLimit) {
+            band = 'middle';
+            const t = (distance - model.nearLimit) / (model.middleLimit - model.nearLimit);
+            bandWeight = HIGUCHI_NEAR_WEIGHT + (HIGUCHI_FAR_WEIGHT - HIGUCHI_NEAR_WEIGHT) * t;
+        }
+        const angleArcmin = 2 * Math.atan(model.targetSize / (2 * Math.max(distance, 1))) * (180 / Math.PI) * 60;
+        const acuity = Math.max(0, 1 - model.acuityArcmin / angleArcmin);
+        return { band: band, strength: bandWeight * acuity };
+    }
+
+    // Adds distance, band and strength to a visible pair when the matrix is graded
+    function gradePair(pair) {
+        if (!matrixAcuityModel) return pair;
+        const distance = pair.marker1.latlng.distanceTo(pair.marker2.latlng);
+        const graded = visibilityStrength(distance, matrixAcuityModel);
+        pair.distance = distance;
+        pair.band = graded.band;
+        pair.strength = graded.strength;
+        return pair;
+    }
+
     // Generate cache key for a DEM
     function getDemCacheKey(latlng, radiusTiles, zoom) {
         // Round to 4 decimal places (~11 meters precision) to allow reuse of nearby DEMs
@@ -138,6 +240,16 @@
         return dem;
     }
     
+    // Cached DEMs were built from the previous DEM source
+    window.addEventListener('hc-dem-source-changed', function() {
+        for (const value of lineDemCache.values()) {
+            if (value.dem && value.dem.data) {
+                value.dem.data = null;
+            }
+        }
+        lineDemCache.clear();
+    });
+    
     // Clear DEM cache (call when clearing intervisibility data)
     function clearDemCache() {
         // Explicitly clear DEM data to help garbage collection
@@ -249,6 +361,27 @@
         uniqueIdSelect.appendChild(fragment1);
         displayNameSelect.appendChild(fragment2);
         
+        // Height offset fields are optional; preselect likely names (e.g. obs_height, target_ht)
+        const heightSelects = [
+            { id: 'select-observer-height', pattern: /^(obs|observer)[ _-]?(h|ht|height|offset)$|^offset[ _-]?a$/i },
+            { id: 'select-target-height', pattern: /^(tgt|target)[ _-]?(h|ht|height|offset)$|^offset[ _-]?b$/i }
+        ];
+        heightSelects.forEach(function(entry) {
+            const select = document.getElementById(entry.id);
+            if (!select) return;
+            select.innerHTML = '<option value="">-- Use default --</option>';
+            const fragment = document.createDocumentFragment();
+            sortedKeys.forEach(function(key) {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = key;
+                fragment.appendChild(option);
+            });
+            select.appendChild(fragment);
+            const match = sortedKeys.find(function(key) { return entry.pattern.test(key); });
+            select.value = match || '';
+        });
+        
         // Show modal - use setTimeout to yield to browser and prevent blocking
         setTimeout(() => {
             const modal = document.getElementById('intervisibility-field-modal');
@@ -334,6 +467,10 @@
             selectedUniqueIdField = uniqueIdValue || null;
             const displayNameSelect = document.getElementById('select-display-name');
             selectedDisplayNameField = displayNameSelect ? displayNameSelect.value || null : null;
+            const observerHeightSelect = document.getElementById('select-observer-height');
+            const targetHeightSelect = document.getElementById('select-target-height');
+            selectedObserverHeightField = observerHeightSelect ? observerHeightSelect.value || null : null;
+            selectedTargetHeightField = targetHeightSelect ? targetHeightSelect.value || null : null;
             
             updateIntervisibilityStatus('Fields selected. Checking GeoJSON data...');
             
@@ -498,11 +635,16 @@
                     fillOpacity: 1.0
                 });
                 
+                const observerHeight = selectedObserverHeightField ? parseHeight(props[selectedObserverHeightField]) : null;
+                const targetHeight = selectedTargetHeightField ? parseHeight(props[selectedTargetHeightField]) : null;
+                
                 // Add popup with marker info - show display name if available, otherwise unique ID
                 const popupName = displayName || uniqueId;
-                const popupContent = displayName 
+                let popupContent = displayName 
                     ? `<b>${displayName}</b><br>ID: ${uniqueId}<br>Lat: ${latlng.lat.toFixed(6)}<br>Lon: ${latlng.lng.toFixed(6)}`
                     : `<b>${uniqueId}</b><br>Lat: ${latlng.lat.toFixed(6)}<br>Lon: ${latlng.lng.toFixed(6)}`;
+                if (observerHeight !== null) popupContent += `<br>Observer height: ${observerHeight} m`;
+                if (targetHeight !== null) popupContent += `<br>Target height: ${targetHeight} m`;
                 marker.bindPopup(popupContent);
                 
                 intervisibilityLayerGroup.addLayer(marker);
@@ -512,6 +654,8 @@
                     name: displayName, // Display name (for popups/tooltips)
                     uniqueId: uniqueId, // Unique identifier (for statistics)
                     elevation: props.elevation || props.Elevation || 0,
+                    observerHeight: observerHeight, // null: sidebar default
+                    targetHeight: targetHeight,
                     properties: props // Store all properties for reference
                 });
                 markersCreated++;
@@ -639,20 +783,21 @@
             updateIntervisibilityStatus(`${sitePrefix}Calculating profile for ${marker.name}: Downloading tiles ${dl}/${tot}...`);
         });
         
-        // Get observer height at marker location
-        const observerH = window.HC_getInterpolatedHeight(dem, latlng, map) || elevation;
+        // Get ground height at marker location; the horizon is seen from the observer offset above it
+        const groundH = window.HC_getInterpolatedHeight(dem, latlng, map) || elevation;
+        const observerH = groundH + siteHeights(marker).observer;
         
         // Calculate viewshed
         // Pass suppressStatusUpdates=true to prevent viewshed messages from appearing in horizon probe section
         updateIntervisibilityStatus(`${sitePrefix}Calculating profile for ${marker.name}: Computing viewshed...`);
-        const profile = await window.HC_calculateViewshed(dem, latlng, observerH, steps, map, null, true);
+        const profile = await window.HC_calculateViewshed(dem, latlng, observerH, steps, map, null, true, viewshedCancelToken);
         
         // Store observerH for this marker (but not DEM - too large, will be fetched as needed)
-        markerDems.set(marker.latlng.toString(), { observerH: observerH });
+        markerDems.set(marker.latlng.toString(), { observerH: observerH, groundH: groundH });
         
-        // Return profile and observerH, but note that DEM should be released after use
+        // Return profile, observerH and groundH, but note that DEM should be released after use
         // The caller is responsible for releasing the DEM immediately
-        return { profile: profile, dem: dem, observerH: observerH };
+        return { profile: profile, dem: dem, observerH: observerH, groundH: groundH };
     }
     
     // Update status message - displays in intervisibility section, NOT as browser alert
@@ -720,8 +865,13 @@
         }
         
         // Build adjacency matrix and calculate degree centrality
+        // adjacency is directed (adjacency[i][j] = 1: site i sees site j); degrees and
+        // clustering use the links regardless of direction
         const adjacency = {};
+        const links = {};
         const degrees = {};
+        const sees = {};
+        const seenBy = {};
         const siteNames = {}; // Will store uniqueId for display
         const siteDisplayNames = {}; // Will store display name for popups
         
@@ -731,7 +881,10 @@
             siteNames[siteId] = marker.uniqueId; // Use uniqueId for statistics display
             siteDisplayNames[siteId] = marker.name; // Store display name for popups
             adjacency[siteId] = {};
+            links[siteId] = {};
             degrees[siteId] = 0;
+            sees[siteId] = 0;
+            seenBy[siteId] = 0;
         });
         
         // Fill adjacency matrix from visible pairs
@@ -740,8 +893,18 @@
             const idx2 = intervisibilityMarkers.findIndex(m => m.latlng.toString() === pair.marker2.latlng.toString());
             
             if (idx1 !== -1 && idx2 !== -1) {
-                adjacency[idx1][idx2] = 1;
-                adjacency[idx2][idx1] = 1;
+                if (pair.forward !== false) {
+                    adjacency[idx1][idx2] = 1;
+                    sees[idx1]++;
+                    seenBy[idx2]++;
+                }
+                if (pair.backward !== false) {
+                    adjacency[idx2][idx1] = 1;
+                    sees[idx2]++;
+                    seenBy[idx1]++;
+                }
+                links[idx1][idx2] = 1;
+                links[idx2][idx1] = 1;
                 degrees[idx1] = (degrees[idx1] || 0) + 1;
                 degrees[idx2] = (degrees[idx2] || 0) + 1;
             }
@@ -755,8 +918,8 @@
         
         // Calculate clustering coefficient for each site
         const clusteringCoeffs = {};
-        Object.keys(adjacency).forEach(siteId => {
-            const neighbors = Object.keys(adjacency[siteId]).filter(n => adjacency[siteId][n] === 1);
+        Object.keys(links).forEach(siteId => {
+            const neighbors = Object.keys(links[siteId]).filter(n => links[siteId][n] === 1);
             const k = neighbors.length;
             
             if (k < 2) {
@@ -766,7 +929,7 @@
                 let triangles = 0;
                 for (let i = 0; i < neighbors.length; i++) {
                     for (let j = i + 1; j < neighbors.length; j++) {
-                        if (adjacency[neighbors[i]] && adjacency[neighbors[i]][neighbors[j]] === 1) {
+                        if (links[neighbors[i]] && links[neighbors[i]][neighbors[j]] === 1) {
                             triangles++;
                         }
                     }
@@ -787,6 +950,8 @@
             uniqueId: siteNames[siteId] || `Site ${parseInt(siteId) + 1}`, // Use uniqueId
             displayName: siteDisplayNames[siteId] || null, // Display name for popup
             degree: degrees[siteId],
+            sees: sees[siteId],
+            seenBy: seenBy[siteId],
             clustering: parseFloat(clusteringCoeffs[siteId] || 0)
         })).sort((a, b) => b.degree - a.degree);
         
@@ -800,7 +965,8 @@
         
         return {
             totalSites,
-            intervisibilityRatio: ((visiblePairs.length / ((totalSites * (totalSites - 1)) / 2)) * 100).toFixed(1),
+            intervisibilityRatio: ((visiblePairs.filter(isMutual).length / ((totalSites * (totalSites - 1)) / 2)) * 100).toFixed(1),
+            oneWayPairs: visiblePairs.length - visiblePairs.filter(isMutual).length,
             avgDegree,
             avgClustering,
             top10,
@@ -809,6 +975,8 @@
             siteNames, // Contains uniqueIds
             siteDisplayNames, // Contains display names for popups
             degrees,
+            sees,
+            seenBy,
             clusteringCoeffs
         };
     }
@@ -829,6 +997,19 @@
             if (intervisiblePairsEl) intervisiblePairsEl.textContent = intervisiblePairs;
             if (visibilityPercentEl) visibilityPercentEl.textContent = visibilityPercent;
             if (pairsCheckedEl) pairsCheckedEl.textContent = pairsChecked;
+            const pairs = window.visiblePairsForStats || [];
+            const oneWayPairsEl = document.getElementById('stat-one-way-pairs');
+            if (oneWayPairsEl) {
+                oneWayPairsEl.textContent = pairs.length - pairs.filter(isMutual).length;
+            }
+            const meanStrengthEl = document.getElementById('stat-mean-strength');
+            if (meanStrengthEl) {
+                const graded = pairs.filter(p => typeof p.strength === 'number');
+                meanStrengthEl.textContent = graded.length > 0
+                    ? (graded.reduce((sum, p) => sum + p.strength, 0) / graded.length).toFixed(2)
+                    : '–';
+                $('#stat-mean-strength-row').toggle(graded.length > 0);
+            }
             
             statsEl.style.display = 'block';
         }
@@ -877,7 +1058,7 @@
         const topSitesTable = document.getElementById('top-sites-table');
         if (topSitesTable) {
             if (stats.top10.length === 0) {
-                topSitesTable.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">No data available</td></tr>';
+                topSitesTable.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #999;">No data available</td></tr>';
             } else {
                 topSitesTable.innerHTML = stats.top10.map((site, idx) => {
                     const percent = totalSites > 1 ? ((site.degree / (totalSites - 1)) * 100).toFixed(1) : 0;
@@ -887,6 +1068,7 @@
                         <td>${idx + 1}</td>
                         <td ${displayTitle} style="cursor: ${site.displayName ? 'help' : 'default'};">${site.uniqueId}</td>
                         <td>${site.degree}</td>
+                        <td>${site.sees} / ${site.seenBy}</td>
                         <td>${percent}%</td>
                     </tr>`;
                 }).join('');
@@ -982,7 +1164,7 @@
         
         // Header row
         html += '<thead><tr style="display: table-row !important;">';
-        html += `<th style="position: sticky; left: 0; background: #f5f5f5; z-index: 12; border: 1px solid #ddd; border-right: 2px solid #333; padding: 5px 8px; text-align: left; font-weight: bold; white-space: nowrap; box-shadow: 2px 0 2px rgba(0,0,0,0.1); display: table-cell !important; width: ${firstColWidth}px !important; min-width: ${firstColWidth}px !important;">Site</th>`;
+        html += `<th style="position: sticky; left: 0; background: #f5f5f5; z-index: 12; border: 1px solid #ddd; border-right: 2px solid #333; padding: 5px 8px; text-align: left; font-weight: bold; white-space: nowrap; box-shadow: 2px 0 2px rgba(0,0,0,0.1); display: table-cell !important; width: ${firstColWidth}px !important; min-width: ${firstColWidth}px !important;" title="Each row lists the sites that row's site can see">Site sees &rarr;</th>`;
         for (let i = 0; i < totalSites; i++) {
             const uniqueId = siteNames[i] || `Site ${i + 1}`;
             const displayName = siteDisplayNames && siteDisplayNames[i] ? siteDisplayNames[i] : null;
@@ -1003,8 +1185,10 @@
             html += `<tr style="display: table-row !important;">`;
             html += `<td ${titleAttr} style="position: sticky; left: 0; background: white; z-index: 11; border: 1px solid #ddd; border-right: 2px solid #333; font-weight: bold; padding: 5px 8px; text-align: left; white-space: nowrap; box-shadow: 2px 0 2px rgba(0,0,0,0.1); display: table-cell !important; width: ${firstColWidth}px !important; min-width: ${firstColWidth}px !important; ${cursorStyle}">${displayText}</td>`;
             for (let j = 0; j < totalSites; j++) {
+                // Row sees column; orange when the column site cannot see back
                 const value = adjacency[i] && adjacency[i][j] === 1 ? 1 : 0;
-                const bgColor = value === 1 ? '#5cb85c' : '#ffffff';
+                const reverse = adjacency[j] && adjacency[j][i] === 1;
+                const bgColor = value === 1 ? (reverse ? '#5cb85c' : '#f0ad4e') : '#ffffff';
                 html += `<td style="background-color: ${bgColor}; border: 1px solid #ddd; text-align: center; padding: 2px; width: ${dataColWidth}px !important; min-width: ${dataColWidth}px !important; display: table-cell !important;">${value}</td>`;
             }
             html += '</tr>';
@@ -1151,8 +1335,8 @@
         const { adjacencyMatrix, siteNames } = ivStatisticsData;
         const sites = Object.keys(adjacencyMatrix).map(Number).sort((a, b) => a - b);
         
-        // Create CSV - use uniqueId (siteNames contains uniqueIds)
-        let csv = 'Site';
+        // Create CSV - use uniqueId (siteNames contains uniqueIds); rows see columns
+        let csv = 'Observer \\ Target';
         sites.forEach(i => {
             const uniqueId = siteNames[i] || `Site ${i + 1}`;
             csv += `,"${uniqueId}"`;
@@ -1203,6 +1387,7 @@
     // Cancel calculation
     window.cancelIntervisibilityCalculation = function() {
         cancelCalculation = true;
+        if (window.HC_cancelViewshed) window.HC_cancelViewshed(viewshedCancelToken);
         isPaused = false;
         updateIntervisibilityStatus('Cancelling calculation...');
         $('#btn-pause-intervisibility').hide();
@@ -1238,6 +1423,9 @@
         // Initialize calculation state
         isCalculating = true;
         cancelCalculation = false;
+        viewshedCancelToken = { cancelled: false };
+        matrixDemSource = window.HC_DEMSources ? window.HC_DEMSources.describe() : null;
+        matrixAcuityModel = readAcuityModel();
         
         // Show cancel button, pause button and disable create button
         // Hide save button and statistics during calculation
@@ -1369,6 +1557,7 @@
                             uniqueId: marker.uniqueId,
                             elevation: marker.elevation || 0,
                             observerH: result.observerH,
+                            groundH: result.groundH,
                             profile: result.profile.map(p => ({
                                 x: p.x,
                                 y: p.y,
@@ -1464,6 +1653,7 @@
                     markerData.set(i, {
                         profile: result.profile,
                         observerH: result.observerH,
+                        groundH: result.groundH,
                         // Don't store dem - it's too large and we can fetch it again if needed
                         // dem: result.dem
                     });
@@ -1538,6 +1728,7 @@
             // Reset cancel flag to allow pair checking to proceed
             // User can cancel again during pair checking if needed
             cancelCalculation = false;
+            viewshedCancelToken = { cancelled: false };
         }
         
         // PHASE 2: Check intervisibility for each pair of markers (only check i < j to avoid duplicates)
@@ -1581,7 +1772,8 @@
                                 y: p.y,
                                 latlng: (p.lat !== null && p.lng !== null) ? L.latLng(p.lat, p.lng) : null
                             })),
-                            observerH: prof.observerH
+                            observerH: prof.observerH,
+                            groundH: prof.groundH
                         });
                     });
                 }
@@ -1614,8 +1806,8 @@
                         checked++;
                         updateIntervisibilityStatus(`Phase 2: Checking pair ${checked}/${total} (${marker1.name} ↔ ${marker2.name})...`);
                         
-                        const isVisible = await checkIntervisibility(marker1.latlng, marker2.latlng, data1.observerH, data2.observerH, null, null, data1.profile, data2.profile);
-                        if (isVisible) allVisiblePairs.push({ marker1: marker1, marker2: marker2 });
+                        const sight = await checkPairVisibility(marker1, marker2, data1, data2);
+                        if (sight) allVisiblePairs.push(sight);
                         
                         await new Promise(resolve => setTimeout(resolve, 0));
                         if (checked % 5 === 0) {
@@ -1644,8 +1836,8 @@
                             checked++;
                             updateIntervisibilityStatus(`Phase 2: Checking pair ${checked}/${total} (${marker1.name} ↔ ${marker2.name})...`);
                             
-                            const isVisible = await checkIntervisibility(marker1.latlng, marker2.latlng, data1.observerH, data2.observerH, null, null, data1.profile, data2.profile);
-                            if (isVisible) allVisiblePairs.push({ marker1: marker1, marker2: marker2 });
+                            const sight = await checkPairVisibility(marker1, marker2, data1, data2);
+                            if (sight) allVisiblePairs.push(sight);
                             
                             await new Promise(resolve => setTimeout(resolve, 0));
                             if (checked % 5 === 0) {
@@ -1689,7 +1881,7 @@
                     const marker = intervisibilityMarkers[i];
                     try {
                         const result = await calculateMarkerProfile(marker, map, i + 1, intervisibilityMarkers.length);
-                        markerDataForPairs.set(i, { profile: result.profile, observerH: result.observerH });
+                        markerDataForPairs.set(i, { profile: result.profile, observerH: result.observerH, groundH: result.groundH });
                         if (result.dem) {
                             if (result.dem.data) result.dem.data = null;
                             result.dem = null;
@@ -1724,8 +1916,8 @@
                     if (!data1 || !data2) continue;
                     checked++;
                     updateIntervisibilityStatus(`Phase 2: Checking pair ${checked}/${total} (${marker1.name} ↔ ${marker2.name})...`);
-                    const isVisible = await checkIntervisibility(marker1.latlng, marker2.latlng, data1.observerH, data2.observerH, null, null, data1.profile, data2.profile);
-                    if (isVisible) visiblePairs.push({ marker1: marker1, marker2: marker2 });
+                    const sight = await checkPairVisibility(marker1, marker2, data1, data2);
+                    if (sight) visiblePairs.push(sight);
                     await new Promise(resolve => setTimeout(resolve, 0));
                     if (checked % 5 === 0) {
                         cleanupDemCache();
@@ -1793,20 +1985,11 @@
                 
                 // Note: We don't pass DEMs anymore since they're not stored in markerData
                 // The checkIntervisibility function will fetch DEMs as needed (with caching)
-                const isVisible = await checkIntervisibility(
-                    marker1.latlng, 
-                    marker2.latlng, 
-                    data1.observerH, 
-                    data2.observerH,
-                    null, // dem1 not needed - will be fetched if fallback is used
-                    null, // dem2 not needed - will be fetched if fallback is used
-                    data1.profile, // Pass viewshed profile for validation
-                    data2.profile  // Pass target's viewshed profile (for reverse check if needed)
-                );
+                const sight = await checkPairVisibility(marker1, marker2, data1, data2);
                 
-                if (isVisible) {
-                    // Store the pair (only one direction since we're only checking i < j)
-                    visiblePairs.push({ marker1: marker1, marker2: marker2 });
+                if (sight) {
+                    // Store the pair once (i < j) with the visibility in each direction
+                    visiblePairs.push(sight);
                     pausedState.visiblePairs = visiblePairs; // Update paused state
                 }
                 
@@ -1867,12 +2050,20 @@
                     return;
                 }
                 
-                const line = L.polyline([pair.marker1.latlng, pair.marker2.latlng], {
-                    color: '#808080', // Mid grey
-                    weight: 2,
-                    opacity: 0.7,
-                    dashArray: '10, 5' // Dashed line
-                });
+                // One-way lines run from the site that sees to the site that is seen
+                const mutual = isMutual(pair);
+                const observer = mutual || pair.forward ? pair.marker1 : pair.marker2;
+                const target = observer === pair.marker1 ? pair.marker2 : pair.marker1;
+                const properties = mutual
+                    ? { visibility: 'mutual' }
+                    : { visibility: 'one-way', observer: observer.uniqueId, target: target.uniqueId };
+                if (typeof pair.strength === 'number') {
+                    properties.strength = Math.round(pair.strength * 1000) / 1000;
+                    properties.band = pair.band;
+                    properties.distance = Math.round(pair.distance);
+                }
+                const line = L.polyline([observer.latlng, target.latlng], lineStyle({ properties: properties }));
+                line.ivProperties = properties;
                 
                 linesToAdd.push(line);
                 uniquePairs.set(key1, true);
@@ -1890,7 +2081,7 @@
                     type: 'LineString',
                     coordinates: line.getLatLngs().map(ll => [ll.lng, ll.lat])
                 },
-                properties: {}
+                properties: Object.assign({}, line.ivProperties)
             };
         });
         
@@ -1911,14 +2102,9 @@
             }
         }
         
-        // Create a single GeoJSON layer with all lines
+        // Create a single GeoJSON layer with all lines (grey dashed: mutual, orange dotted: one-way)
         intervisibilityLinesLayerGroup = L.geoJSON(geoJsonData, {
-            style: {
-                color: '#808080', // Mid grey
-                weight: 2,
-                opacity: 0.7,
-                dashArray: '10, 5' // Dashed line
-            }
+            style: lineStyle
         });
         
         // Store individual lines for reference (for clearing later) - create from GeoJSON features
@@ -2025,8 +2211,10 @@
         // Calculate statistics
         const totalSites = profilesCompleted;
         const totalPossiblePairs = (totalSites * (totalSites - 1)) / 2;
-        const intervisiblePairs = visiblePairs.length;
+        const intervisiblePairs = visiblePairs.filter(isMutual).length;
+        const oneWayPairs = visiblePairs.length - intervisiblePairs;
         const visibilityPercentage = totalPossiblePairs > 0 ? ((intervisiblePairs / totalPossiblePairs) * 100).toFixed(1) : 0;
+        const foundText = `Found ${intervisiblePairs} intervisible connections` + (oneWayPairs > 0 ? ` and ${oneWayPairs} one-way sightlines` : '');
         
         // Store visiblePairs globally for statistics calculation
         window.visiblePairsForStats = visiblePairs;
@@ -2034,7 +2222,7 @@
         if (cancelCalculation) {
             cancelCalculation = false;
             const message = checked > 0 
-                ? `Calculation cancelled. Found ${intervisiblePairs} intervisible connections out of ${checked} pairs checked (from ${profilesCompleted} completed site profiles).`
+                ? `Calculation cancelled. ${foundText} out of ${checked} pairs checked (from ${profilesCompleted} completed site profiles).`
                 : `Calculation cancelled. Completed ${profilesCompleted} site profiles but no pairs were checked yet.`;
             updateIntervisibilityStatus(message);
             updateIntervisibilityStatistics(totalSites, totalPossiblePairs, intervisiblePairs, visibilityPercentage, checked);
@@ -2042,11 +2230,10 @@
             $('#btn-save-intervisibility-matrix').show();
             $('#btn-view-intervisibility-statistics').show();
             $('#btn-generate-iv-report').prop('disabled', false);
-            var statsEl = document.getElementById('intervisibility-statistics');
             if (statsEl) statsEl.style.display = 'block';
         } else {
             cancelCalculation = false;
-            updateIntervisibilityStatus(`Intervisibility matrix created. Found ${intervisiblePairs} intervisible connections out of ${checked} pairs checked (from ${profilesCompleted} completed site profiles).`);
+            updateIntervisibilityStatus(`Intervisibility matrix created. ${foundText} out of ${checked} pairs checked (from ${profilesCompleted} completed site profiles).`);
             updateIntervisibilityStatistics(totalSites, totalPossiblePairs, intervisiblePairs, visibilityPercentage, checked);
             
             // Show Save button and statistics on completion
@@ -2056,13 +2243,35 @@
             $('#btn-generate-iv-report').prop('disabled', false);
             
             // Hide statistics initially, show on completion
-            var statsEl = document.getElementById('intervisibility-statistics');
             if (statsEl) {
                 statsEl.style.display = 'block';
             }
         }
     };
     
+    /**
+     * Check a site pair in both directions. Each direction runs from the observer's eye
+     * (ground + observer height) to the top of the target (ground + target height), so a
+     * cairn-top observer may see a beacon that cannot see back.
+     * @returns {Object|null} { marker1, marker2, forward, backward } (forward: marker1 sees marker2),
+     *   plus distance, band and strength when graded (see gradePair), or null if neither site sees the other
+     */
+    async function checkPairVisibility(marker1, marker2, data1, data2) {
+        const h1 = siteHeights(marker1);
+        const h2 = siteHeights(marker2);
+        const ground1 = data1.groundH !== undefined ? data1.groundH : data1.observerH - h1.observer;
+        const ground2 = data2.groundH !== undefined ? data2.groundH : data2.observerH - h2.observer;
+        const forward = await checkIntervisibility(marker1.latlng, marker2.latlng, ground1 + h1.observer, ground2 + h2.target, null, null, data1.profile, data2.profile);
+        let backward = forward;
+        // With equal offsets at each end both directions test the same sightline
+        if (h1.observer !== h1.target || h2.observer !== h2.target) {
+            if (cancelCalculation) return null;
+            backward = await checkIntervisibility(marker2.latlng, marker1.latlng, ground2 + h2.observer, ground1 + h1.target, null, null, data2.profile, data1.profile);
+        }
+        if (!forward && !backward) return null;
+        return gradePair({ marker1: marker1, marker2: marker2, forward: forward, backward: backward });
+    }
+    
     // Check if two points are intervisible using DEM data (same method as horizon.js)
     /**
      * Interpolate horizon altitude at a specific azimuth from viewshed profile
@@ -2180,8 +2389,8 @@
      * 
      * @param {L.LatLng} latlng1 - Observer point (P_obs)
      * @param {L.LatLng} latlng2 - Target point (P_tgt)
-     * @param {number} elevation1 - Observer elevation (H_obs)
-     * @param {number} elevation2 - Target elevation (H_tgt)
+     * @param {number} elevation1 - Observer eye elevation, ground + observer height (H_obs)
+     * @param {number} elevation2 - Target top elevation, ground + target height (H_tgt)
      * @param {Object} dem1 - DEM data for observer region (not used, kept for compatibility)
      * @param {Object} dem2 - DEM data for target region (not used, kept for compatibility)
      * @param {Array} profile1 - Viewshed profile for observer (for horizon validation)
@@ -2521,18 +2730,13 @@
         return ((bearing * 180 / Math.PI) + 360) % 360;
     }
     
-    // Save intervisibility matrix to GeoJSON file
-    window.saveIntervisibilityMatrix = function() {
-        if (!intervisibilityLinesLayerGroup || intervisibilityMarkers.length === 0) {
-            updateIntervisibilityStatus('No intervisibility matrix to save. Please create a matrix first.');
-            return;
-        }
-        
-        const map = window.map;
-        if (!map) {
-            updateIntervisibilityStatus('Map not available.');
-            return;
-        }
+    /**
+     * Sites, intervisibility lines and visible pairs as the matrix GeoJSON, without
+     * downloading it. Sites without a matrix yet are included (project workspace).
+     * @returns {Object|null} FeatureCollection, or null if no sites are loaded
+     */
+    window.buildIntervisibilityGeoJSON = function() {
+        if (intervisibilityMarkers.length === 0) return null;
         
         // Create GeoJSON FeatureCollection with markers and lines
         const features = [];
@@ -2549,6 +2753,8 @@
                     name: marker.name,
                     uniqueId: marker.uniqueId || marker.name || null,
                     elevation: marker.elevation || 0,
+                    observerHeight: marker.observerHeight !== undefined ? marker.observerHeight : null,
+                    targetHeight: marker.targetHeight !== undefined ? marker.targetHeight : null,
                     featureType: 'intervisibility-marker'
                 }
             });
@@ -2661,13 +2867,18 @@
                         site1Lat: pair.marker1.latlng.lat,
                         site1Lng: pair.marker1.latlng.lng,
                         site2Lat: pair.marker2.latlng.lat,
-                        site2Lng: pair.marker2.latlng.lng
+                        site2Lng: pair.marker2.latlng.lng,
+                        forward: pair.forward !== false, // site 1 sees site 2
+                        backward: pair.backward !== false, // site 2 sees site 1
+                        strength: typeof pair.strength === 'number' ? pair.strength : null,
+                        band: pair.band || null,
+                        distance: typeof pair.distance === 'number' ? pair.distance : null
                     });
                 }
             });
         }
         
-        const geoJson = {
+        return {
             type: 'FeatureCollection',
             features: features,
             metadata: {
@@ -2675,9 +2886,28 @@
                 created: new Date().toISOString(),
                 markerCount: intervisibilityMarkers.length,
                 lineCount: features.filter(f => f.properties.featureType === 'intervisibility-line').length,
-                visiblePairs: visiblePairsData // Save visible pairs data for statistics
+                visiblePairs: visiblePairsData, // Save visible pairs data for statistics
+                defaultHeights: { observer: readDefaultHeight('iv-observer-height'), target: readDefaultHeight('iv-target-height') },
+                acuityModel: matrixAcuityModel,
+                dem: matrixDemSource
             }
         };
+    };
+    
+    // Save intervisibility matrix to GeoJSON file
+    window.saveIntervisibilityMatrix = function() {
+        if (!intervisibilityLinesLayerGroup || intervisibilityMarkers.length === 0) {
+            updateIntervisibilityStatus('No intervisibility matrix to save. Please create a matrix first.');
+            return;
+        }
+        
+        const map = window.map;
+        if (!map) {
+            updateIntervisibilityStatus('Map not available.');
+            return;
+        }
+        
+        const geoJson = window.buildIntervisibilityGeoJSON();
         
         // Download as file
         const blob = new Blob([JSON.stringify(geoJson, null, 2)], { type: 'application/json' });
@@ -2693,218 +2923,251 @@
         updateIntervisibilityStatus(`Intervisibility matrix saved successfully.`);
     };
     
-    // Load saved intervisibility matrix from GeoJSON file
-    window.loadIntervisibilityMatrix = function(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    /**
+     * Replaces the loaded sites and matrix with a saved matrix GeoJSON
+     * (from saveIntervisibilityMatrix or buildIntervisibilityGeoJSON)
+     */
+    window.restoreIntervisibilityGeoJSON = function(geoJson) {
+        if (!geoJson || geoJson.type !== 'FeatureCollection') {
+            updateIntervisibilityStatus('Invalid GeoJSON format. Expected FeatureCollection.');
+            return;
+        }
         
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                const geoJson = JSON.parse(e.target.result);
-                
-                if (!geoJson || geoJson.type !== 'FeatureCollection') {
-                    updateIntervisibilityStatus('Invalid GeoJSON format. Expected FeatureCollection.');
-                    return;
-                }
-                
-                const map = window.map;
-                if (!map) {
-                    updateIntervisibilityStatus('Map not available.');
-                    return;
-                }
+        const map = window.map;
+        if (!map) {
+            updateIntervisibilityStatus('Map not available.');
+            return;
+        }
+        
+        // Clear existing data
+        clearIntervisibilityData();
+        
+        // Separate markers and lines
+        const markerFeatures = geoJson.features.filter(f => 
+            f.geometry && f.geometry.type === 'Point' && 
+            f.properties && f.properties.featureType === 'intervisibility-marker'
+        );
+        const lineFeatures = geoJson.features.filter(f => 
+            f.geometry && f.geometry.type === 'LineString' && 
+            f.properties && f.properties.featureType === 'intervisibility-line'
+        );
+        
+        // Load markers
+        if (markerFeatures.length > 0) {
+            intervisibilityLayerGroup = L.layerGroup();
+            intervisibilityMarkers = [];
+            
+            markerFeatures.forEach((feature, index) => {
+                const coords = feature.geometry.coordinates;
+                const latlng = L.latLng(coords[1], coords[0]);
+                const props = feature.properties || {};
                 
-                // Clear existing data
-                clearIntervisibilityData();
+                const marker = L.circleMarker(latlng, {
+                    radius: 3,
+                    fillColor: '#800080',
+                    color: '#800080',
+                    weight: 0,
+                    opacity: 1.0,
+                    fillOpacity: 1.0
+                });
                 
-                // Separate markers and lines
-                const markerFeatures = geoJson.features.filter(f => 
-                    f.geometry && f.geometry.type === 'Point' && 
-                    f.properties && f.properties.featureType === 'intervisibility-marker'
-                );
-                const lineFeatures = geoJson.features.filter(f => 
-                    f.geometry && f.geometry.type === 'LineString' && 
-                    f.properties && f.properties.featureType === 'intervisibility-line'
-                );
+                const name = props.name || `Site ${index + 1}`;
+                const uniqueId = props.uniqueId || name || `Site ${index + 1}`;
+                const observerHeight = parseHeight(props.observerHeight);
+                const targetHeight = parseHeight(props.targetHeight);
+                let popupContent = `<b>${name}</b><br>Lat: ${latlng.lat.toFixed(6)}<br>Lon: ${latlng.lng.toFixed(6)}`;
+                if (observerHeight !== null) popupContent += `<br>Observer height: ${observerHeight} m`;
+                if (targetHeight !== null) popupContent += `<br>Target height: ${targetHeight} m`;
+                marker.bindPopup(popupContent);
                 
-                // Load markers
-                if (markerFeatures.length > 0) {
-                    intervisibilityLayerGroup = L.layerGroup();
-                    intervisibilityMarkers = [];
-                    
-                    markerFeatures.forEach((feature, index) => {
-                        const coords = feature.geometry.coordinates;
-                        const latlng = L.latLng(coords[1], coords[0]);
-                        const props = feature.properties || {};
-                        
-                        const marker = L.circleMarker(latlng, {
-                            radius: 3,
-                            fillColor: '#800080',
-                            color: '#800080',
-                            weight: 0,
-                            opacity: 1.0,
-                            fillOpacity: 1.0
-                        });
-                        
-                        const name = props.name || `Site ${index + 1}`;
-                        const uniqueId = props.uniqueId || name || `Site ${index + 1}`;
-                        marker.bindPopup(`<b>${name}</b><br>Lat: ${latlng.lat.toFixed(6)}<br>Lon: ${latlng.lng.toFixed(6)}`);
-                        
-                        intervisibilityLayerGroup.addLayer(marker);
-                        intervisibilityMarkers.push({
-                            latlng: latlng,
-                            marker: marker,
-                            name: name,
-                            uniqueId: uniqueId,
-                            elevation: props.elevation || 0
-                        });
-                    });
-                    
-                    map.addLayer(intervisibilityLayerGroup);
-                    if (window.layersControl) {
-                        window.layersControl.addOverlay(intervisibilityLayerGroup, 'Intervisibility Markers');
+                intervisibilityLayerGroup.addLayer(marker);
+                intervisibilityMarkers.push({
+                    latlng: latlng,
+                    marker: marker,
+                    name: name,
+                    uniqueId: uniqueId,
+                    elevation: props.elevation || 0,
+                    observerHeight: observerHeight,
+                    targetHeight: targetHeight
+                });
+            });
+            
+            map.addLayer(intervisibilityLayerGroup);
+            if (window.layersControl) {
+                window.layersControl.addOverlay(intervisibilityLayerGroup, 'Intervisibility Markers');
+            }
+        }
+        
+        // Load lines
+        console.log(`Loading ${lineFeatures.length} line features from saved file.`);
+        if (lineFeatures.length > 0) {
+            const geoJsonData = {
+                type: 'FeatureCollection',
+                features: lineFeatures
+            };
+            
+            // Clear any existing lines layer
+            if (intervisibilityLinesLayerGroup) {
+                map.removeLayer(intervisibilityLinesLayerGroup);
+                if (window.layersControl) {
+                    try {
+                        window.layersControl.removeLayer(intervisibilityLinesLayerGroup);
+                    } catch (e) {
+                        // Ignore
                     }
                 }
-                
-                // Load lines
-                console.log(`Loading ${lineFeatures.length} line features from saved file.`);
-                if (lineFeatures.length > 0) {
-                    const geoJsonData = {
-                        type: 'FeatureCollection',
-                        features: lineFeatures
-                    };
-                    
-                    // Clear any existing lines layer
-                    if (intervisibilityLinesLayerGroup) {
-                        map.removeLayer(intervisibilityLinesLayerGroup);
-                        if (window.layersControl) {
-                            try {
-                                window.layersControl.removeLayer(intervisibilityLinesLayerGroup);
-                            } catch (e) {
-                                // Ignore
-                            }
+            }
+            
+            intervisibilityLinesLayerGroup = L.geoJSON(geoJsonData, {
+                style: lineStyle
+            });
+            
+            map.addLayer(intervisibilityLinesLayerGroup);
+            console.log(`Added ${lineFeatures.length} lines to map. Layer on map: ${map.hasLayer(intervisibilityLinesLayerGroup)}`);
+            
+            if (window.layersControl) {
+                window.layersControl.addOverlay(intervisibilityLinesLayerGroup, 'Intervisibility Lines');
+            }
+            
+            // Store lines for reference
+            intervisibilityLines = [];
+            intervisibilityLinesLayerGroup.eachLayer(function(layer) {
+                intervisibilityLines.push(layer);
+            });
+            console.log(`Stored ${intervisibilityLines.length} line layers for reference.`);
+        } else {
+            console.warn('No line features found in saved file.');
+        }
+        
+        matrixDemSource = geoJson.metadata && geoJson.metadata.dem ? geoJson.metadata.dem : null;
+        if (geoJson.metadata && geoJson.metadata.defaultHeights) {
+            $('#iv-observer-height').val(geoJson.metadata.defaultHeights.observer);
+            $('#iv-target-height').val(geoJson.metadata.defaultHeights.target);
+        }
+        matrixAcuityModel = geoJson.metadata && geoJson.metadata.acuityModel ? geoJson.metadata.acuityModel : null;
+        if (matrixAcuityModel) {
+            $('#iv-fuzzy-enabled').prop('checked', true).trigger('change');
+            $('#iv-fuzzy-target-size').val(matrixAcuityModel.targetSize);
+            $('#iv-fuzzy-acuity').val(matrixAcuityModel.acuityArcmin);
+            $('#iv-fuzzy-near').val(matrixAcuityModel.nearLimit);
+            $('#iv-fuzzy-middle').val(matrixAcuityModel.middleLimit);
+        }
+        // Saved strengths are kept as computed; pairs saved without them are graded now
+        const restorePair = function(pair, saved) {
+            if (saved && typeof saved.strength === 'number') {
+                pair.strength = saved.strength;
+                pair.band = saved.band;
+                pair.distance = saved.distance;
+                return pair;
+            }
+            return gradePair(pair);
+        };
+        
+        // Rebuild visiblePairs from saved metadata or from loaded lines
+        const loadedVisiblePairs = [];
+        
+        // First, try to use saved visiblePairs data from metadata (more reliable)
+        if (geoJson.metadata && geoJson.metadata.visiblePairs && Array.isArray(geoJson.metadata.visiblePairs)) {
+            geoJson.metadata.visiblePairs.forEach(pairData => {
+                // Match by index first (most reliable)
+                if (pairData.site1Index !== undefined && pairData.site2Index !== undefined) {
+                    if (pairData.site1Index < intervisibilityMarkers.length && pairData.site2Index < intervisibilityMarkers.length) {
+                        const marker1 = intervisibilityMarkers[pairData.site1Index];
+                        const marker2 = intervisibilityMarkers[pairData.site2Index];
+                        if (marker1 && marker2) {
+                            loadedVisiblePairs.push(restorePair({ marker1: marker1, marker2: marker2, forward: pairData.forward !== false, backward: pairData.backward !== false }, pairData));
                         }
                     }
-                    
-                    intervisibilityLinesLayerGroup = L.geoJSON(geoJsonData, {
-                        style: {
-                            color: '#808080',
-                            weight: 2,
-                            opacity: 0.7,
-                            dashArray: '10, 5'
-                        }
-                    });
-                    
-                    map.addLayer(intervisibilityLinesLayerGroup);
-                    console.log(`Added ${lineFeatures.length} lines to map. Layer on map: ${map.hasLayer(intervisibilityLinesLayerGroup)}`);
-                    
-                    if (window.layersControl) {
-                        window.layersControl.addOverlay(intervisibilityLinesLayerGroup, 'Intervisibility Lines');
+                } else if (pairData.site1Lat !== undefined && pairData.site1Lng !== undefined) {
+                    // Fallback: match by coordinates (with tolerance)
+                    const marker1 = intervisibilityMarkers.find(m => 
+                        Math.abs(m.latlng.lat - pairData.site1Lat) < 0.0001 && 
+                        Math.abs(m.latlng.lng - pairData.site1Lng) < 0.0001
+                    );
+                    const marker2 = intervisibilityMarkers.find(m => 
+                        Math.abs(m.latlng.lat - pairData.site2Lat) < 0.0001 && 
+                        Math.abs(m.latlng.lng - pairData.site2Lng) < 0.0001
+                    );
+                    if (marker1 && marker2) {
+                        loadedVisiblePairs.push(restorePair({ marker1: marker1, marker2: marker2, forward: pairData.forward !== false, backward: pairData.backward !== false }, pairData));
                     }
-                    
-                    // Store lines for reference
-                    intervisibilityLines = [];
-                    intervisibilityLinesLayerGroup.eachLayer(function(layer) {
-                        intervisibilityLines.push(layer);
-                    });
-                    console.log(`Stored ${intervisibilityLines.length} line layers for reference.`);
-                } else {
-                    console.warn('No line features found in saved file.');
                 }
-                
-                // Rebuild visiblePairs from saved metadata or from loaded lines
-                const loadedVisiblePairs = [];
-                
-                // First, try to use saved visiblePairs data from metadata (more reliable)
-                if (geoJson.metadata && geoJson.metadata.visiblePairs && Array.isArray(geoJson.metadata.visiblePairs)) {
-                    geoJson.metadata.visiblePairs.forEach(pairData => {
-                        // Match by index first (most reliable)
-                        if (pairData.site1Index !== undefined && pairData.site2Index !== undefined) {
-                            if (pairData.site1Index < intervisibilityMarkers.length && pairData.site2Index < intervisibilityMarkers.length) {
-                                const marker1 = intervisibilityMarkers[pairData.site1Index];
-                                const marker2 = intervisibilityMarkers[pairData.site2Index];
-                                if (marker1 && marker2) {
-                                    loadedVisiblePairs.push({ marker1: marker1, marker2: marker2 });
-                                }
-                            }
-                        } else if (pairData.site1Lat !== undefined && pairData.site1Lng !== undefined) {
-                            // Fallback: match by coordinates (with tolerance)
-                            const marker1 = intervisibilityMarkers.find(m => 
-                                Math.abs(m.latlng.lat - pairData.site1Lat) < 0.0001 && 
-                                Math.abs(m.latlng.lng - pairData.site1Lng) < 0.0001
-                            );
-                            const marker2 = intervisibilityMarkers.find(m => 
-                                Math.abs(m.latlng.lat - pairData.site2Lat) < 0.0001 && 
-                                Math.abs(m.latlng.lng - pairData.site2Lng) < 0.0001
-                            );
-                            if (marker1 && marker2) {
-                                loadedVisiblePairs.push({ marker1: marker1, marker2: marker2 });
-                            }
-                        }
-                    });
-                }
-                
-                // If no saved pairs data, try to rebuild from loaded lines (less reliable but better than nothing)
-                if (loadedVisiblePairs.length === 0 && intervisibilityLinesLayerGroup) {
-                    intervisibilityLinesLayerGroup.eachLayer(function(layer) {
-                        if (layer.feature && layer.feature.geometry && layer.feature.geometry.type === 'LineString') {
-                            const coords = layer.feature.geometry.coordinates;
-                            if (coords.length >= 2) {
-                                const latlng1 = L.latLng(coords[0][1], coords[0][0]);
-                                const latlng2 = L.latLng(coords[coords.length - 1][1], coords[coords.length - 1][0]);
-                                
-                                // Match markers by coordinates with tolerance
-                                const marker1 = intervisibilityMarkers.find(m => 
-                                    Math.abs(m.latlng.lat - latlng1.lat) < 0.0001 && 
-                                    Math.abs(m.latlng.lng - latlng1.lng) < 0.0001
-                                );
-                                const marker2 = intervisibilityMarkers.find(m => 
-                                    Math.abs(m.latlng.lat - latlng2.lat) < 0.0001 && 
-                                    Math.abs(m.latlng.lng - latlng2.lng) < 0.0001
-                                );
-                                
-                                if (marker1 && marker2) {
-                                    loadedVisiblePairs.push({ marker1: marker1, marker2: marker2 });
-                                }
-                            }
+            });
+        }
+        
+        // If no saved pairs data, try to rebuild from loaded lines (less reliable but better than nothing)
+        if (loadedVisiblePairs.length === 0 && intervisibilityLinesLayerGroup) {
+            intervisibilityLinesLayerGroup.eachLayer(function(layer) {
+                if (layer.feature && layer.feature.geometry && layer.feature.geometry.type === 'LineString') {
+                    const coords = layer.feature.geometry.coordinates;
+                    if (coords.length >= 2) {
+                        const latlng1 = L.latLng(coords[0][1], coords[0][0]);
+                        const latlng2 = L.latLng(coords[coords.length - 1][1], coords[coords.length - 1][0]);
+                        
+                        // Match markers by coordinates with tolerance
+                        const marker1 = intervisibilityMarkers.find(m => 
+                            Math.abs(m.latlng.lat - latlng1.lat) < 0.0001 && 
+                            Math.abs(m.latlng.lng - latlng1.lng) < 0.0001
+                        );
+                        const marker2 = intervisibilityMarkers.find(m => 
+                            Math.abs(m.latlng.lat - latlng2.lat) < 0.0001 && 
+                            Math.abs(m.latlng.lng - latlng2.lng) < 0.0001
+                        );
+                        
+                        if (marker1 && marker2) {
+                            // One-way lines run from the observer to the target
+                            const oneWay = layer.feature.properties && layer.feature.properties.visibility === 'one-way';
+                            loadedVisiblePairs.push(restorePair({ marker1: marker1, marker2: marker2, forward: true, backward: !oneWay }, layer.feature.properties));
                         }
-                    });
-                }
-                
-                // Store for statistics calculation
-                window.visiblePairsForStats = loadedVisiblePairs;
-                
-                // Calculate and display statistics if we have data
-                if (geoJson.metadata && loadedVisiblePairs.length > 0 && intervisibilityMarkers.length > 0) {
-                    const totalSites = geoJson.metadata.markerCount || intervisibilityMarkers.length;
-                    const totalPairs = (totalSites * (totalSites - 1)) / 2;
-                    const intervisiblePairs = loadedVisiblePairs.length;
-                    const visibilityPercent = totalPairs > 0 ? ((intervisiblePairs / totalPairs) * 100).toFixed(1) : 0;
-                    
-                    // Show the view button and calculate statistics
-                    $('#btn-view-intervisibility-statistics').show();
-                    $('#btn-generate-iv-report').prop('disabled', false);
-                    updateIntervisibilityStatistics(totalSites, totalPairs, intervisiblePairs, visibilityPercent, totalPairs);
-                } else if (geoJson.metadata && geoJson.metadata.lineCount > 0) {
-                    // Fallback: use metadata counts if available but no pairs data
-                    const totalSites = geoJson.metadata.markerCount || intervisibilityMarkers.length;
-                    const totalPairs = (totalSites * (totalSites - 1)) / 2;
-                    const intervisiblePairs = geoJson.metadata.lineCount;
-                    const visibilityPercent = totalPairs > 0 ? ((intervisiblePairs / totalPairs) * 100).toFixed(1) : 0;
-                    
-                    $('#btn-view-intervisibility-statistics').show();
-                    $('#btn-generate-iv-report').prop('disabled', false);
-                    updateIntervisibilityStatistics(totalSites, totalPairs, intervisiblePairs, visibilityPercent, totalPairs);
-                } else {
-                    // No statistics available for loaded matrix
-                    $('#btn-view-intervisibility-statistics').hide();
-                    $('#btn-generate-iv-report').prop('disabled', true);
+                    }
                 }
-                
-                updateIntervisibilityStatus(`Loaded intervisibility matrix: ${markerFeatures.length} sites, ${lineFeatures.length} intervisibility lines.`);
-                $('#btn-create-intervisibility-matrix').prop('disabled', false);
-                $('#btn-save-intervisibility-matrix').show();
-                
+            });
+        }
+        
+        // Store for statistics calculation
+        window.visiblePairsForStats = loadedVisiblePairs;
+        
+        // Calculate and display statistics if we have data
+        if (geoJson.metadata && loadedVisiblePairs.length > 0 && intervisibilityMarkers.length > 0) {
+            const totalSites = geoJson.metadata.markerCount || intervisibilityMarkers.length;
+            const totalPairs = (totalSites * (totalSites - 1)) / 2;
+            const intervisiblePairs = loadedVisiblePairs.filter(isMutual).length;
+            const visibilityPercent = totalPairs > 0 ? ((intervisiblePairs / totalPairs) * 100).toFixed(1) : 0;
+            
+            // Show the view button and calculate statistics
+            $('#btn-view-intervisibility-statistics').show();
+            $('#btn-generate-iv-report').prop('disabled', false);
+            updateIntervisibilityStatistics(totalSites, totalPairs, intervisiblePairs, visibilityPercent, totalPairs);
+        } else if (geoJson.metadata && geoJson.metadata.lineCount > 0) {
+            // Fallback: use metadata counts if available but no pairs data
+            const totalSites = geoJson.metadata.markerCount || intervisibilityMarkers.length;
+            const totalPairs = (totalSites * (totalSites - 1)) / 2;
+            const intervisiblePairs = geoJson.metadata.lineCount;
+            const visibilityPercent = totalPairs > 0 ? ((intervisiblePairs / totalPairs) * 100).toFixed(1) : 0;
+            
+            $('#btn-view-intervisibility-statistics').show();
+            $('#btn-generate-iv-report').prop('disabled', false);
+            updateIntervisibilityStatistics(totalSites, totalPairs, intervisiblePairs, visibilityPercent, totalPairs);
+        } else {
+            // No statistics available for loaded matrix
+            $('#btn-view-intervisibility-statistics').hide();
+            $('#btn-generate-iv-report').prop('disabled', true);
+        }
+        
+        updateIntervisibilityStatus(`Loaded intervisibility matrix: ${markerFeatures.length} sites, ${lineFeatures.length} intervisibility lines.`);
+        $('#btn-create-intervisibility-matrix').prop('disabled', false);
+        $('#btn-save-intervisibility-matrix').show();
+    };
+    
+    // Load saved intervisibility matrix from GeoJSON file
+    window.loadIntervisibilityMatrix = function(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                window.restoreIntervisibilityGeoJSON(JSON.parse(e.target.result));
             } catch (error) {
                 updateIntervisibilityStatus('Error loading intervisibility matrix: ' + error.message);
                 console.error('Error loading intervisibility matrix:', error);
@@ -2960,7 +3223,92 @@
         window.visiblePairsForStats = [];
         $('#btn-generate-iv-report').prop('disabled', true);
     }
+
+    // Remove the sites, matrix and statistics (project-workspace.js, for projects without a matrix)
+    window.clearIntervisibilityMatrix = function() {
+        clearIntervisibilityData();
+        $('#btn-save-intervisibility-matrix').hide();
+        $('#btn-view-intervisibility-statistics').hide();
+        $('#intervisibility-statistics').hide();
+    };
     
+    /**
+     * Runs the matrix pipeline (a horizon profile per site, then every pair in both directions) on
+     * other sites without touching the map or the current matrix. Used by the Monte-Carlo
+     * significance test (iv-significance.js); cancelIntervisibilityCalculation stops it.
+     * @param {Array<Object>} sites - { lat, lng, name, observerHeight, targetHeight } (null heights use the defaults)
+     * @returns {Promise<Array<Object>|null>} visible pairs as { i, j, forward, backward }, or null if cancelled
+     */
+    window.IV_computeVisiblePairs = async function(sites) {
+        const map = window.map;
+        if (!map) throw new Error('Map not available.');
+        if (isCalculating) throw new Error('An intervisibility calculation is already in progress.');
+        const markers = sites.map((s, i) => ({
+            latlng: L.latLng(s.lat, s.lng),
+            name: s.name || `Site ${i + 1}`,
+            uniqueId: s.name || `Site ${i + 1}`,
+            elevation: 0,
+            observerHeight: s.observerHeight !== undefined ? s.observerHeight : null,
+            targetHeight: s.targetHeight !== undefined ? s.targetHeight : null
+        }));
+        isCalculating = true;
+        cancelCalculation = false;
+        viewshedCancelToken = { cancelled: false };
+        const data = [];
+        const pairs = [];
+        try {
+            for (let i = 0; i < markers.length; i++) {
+                if (cancelCalculation) return null;
+                let result;
+                try {
+                    result = await calculateMarkerProfile(markers[i], map, i + 1, markers.length);
+                } catch (err) {
+                    if (err && err.cancelled) return null;
+                    throw err;
+                }
+                data.push({ profile: result.profile, observerH: result.observerH, groundH: result.groundH });
+                if (result.dem) {
+                    if (result.dem.data) result.dem.data = null;
+                    result.dem = null;
+                }
+                markerDems.delete(markers[i].latlng.toString());
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            for (let i = 0; i < markers.length; i++) {
+                for (let j = i + 1; j < markers.length; j++) {
+                    if (cancelCalculation) return null;
+                    const sight = await checkPairVisibility(markers[i], markers[j], data[i], data[j]);
+                    if (sight) pairs.push({ i: i, j: j, forward: sight.forward !== false, backward: sight.backward !== false });
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                cleanupDemCache();
+            }
+            return cancelCalculation ? null : pairs;
+        } finally {
+            isCalculating = false;
+            cancelCalculation = false;
+        }
+    };
+    
+    /**
+     * Sites of the loaded intervisibility layer (used by the batch horizon profiler and the
+     * cumulative viewshed), with their resolved observer/target heights.
+     */
+    window.getIVSites = function() {
+        return intervisibilityMarkers.map(function(m) {
+            const heights = siteHeights(m);
+            return {
+                name: m.name || m.uniqueId,
+                uniqueId: m.uniqueId,
+                lat: m.latlng.lat,
+                lng: m.latlng.lng,
+                elevation: m.elevation,
+                observerHeight: heights.observer,
+                targetHeight: heights.target
+            };
+        });
+    };
+
     /**
      * Return current IV result for report generation, or null if none.
      */
@@ -2970,27 +3318,91 @@
         }
         const n = intervisibilityMarkers.length;
         const visiblePairsIndex = [];
+        const indexByLatLng = new Map();
+        intervisibilityMarkers.forEach(function(m, i) {
+            const key = m.latlng.toString();
+            if (!indexByLatLng.has(key)) indexByLatLng.set(key, i);
+        });
+        const indexOf = function(marker) {
+            const i = indexByLatLng.get(marker.latlng.toString());
+            return i === undefined ? -1 : i;
+        };
         window.visiblePairsForStats.forEach(function(pair) {
-            const idx1 = intervisibilityMarkers.findIndex(function(m) { return m.latlng.toString() === pair.marker1.latlng.toString(); });
-            const idx2 = intervisibilityMarkers.findIndex(function(m) { return m.latlng.toString() === pair.marker2.latlng.toString(); });
-            if (idx1 !== -1 && idx2 !== -1) visiblePairsIndex.push({ i: idx1, j: idx2 });
+            const idx1 = indexOf(pair.marker1);
+            const idx2 = indexOf(pair.marker2);
+            // forward: i sees j, backward: j sees i
+            if (idx1 === -1 || idx2 === -1) return;
+            const entry = {
+                i: idx1,
+                j: idx2,
+                forward: pair.forward !== false,
+                backward: pair.backward !== false,
+                distance: typeof pair.distance === 'number' ? pair.distance : pair.marker1.latlng.distanceTo(pair.marker2.latlng)
+            };
+            if (typeof pair.strength === 'number') {
+                entry.strength = pair.strength;
+                entry.band = pair.band;
+            }
+            visiblePairsIndex.push(entry);
         });
         const totalPairs = (n * (n - 1)) / 2;
-        const visibleCount = visiblePairsIndex.length;
+        const visibleCount = visiblePairsIndex.filter(isMutual).length;
+        const oneWayCount = visiblePairsIndex.length - visibleCount;
         const percent = totalPairs > 0 ? ((visibleCount / totalPairs) * 100).toFixed(1) : 0;
         return {
-            markers: intervisibilityMarkers.map(function(m, i) { return { name: m.name, uniqueId: m.uniqueId, index: i }; }),
+            markers: intervisibilityMarkers.map(function(m, i) {
+                const heights = siteHeights(m);
+                return { name: m.name, uniqueId: m.uniqueId, index: i, lat: m.latlng.lat, lng: m.latlng.lng, observerHeight: heights.observer, targetHeight: heights.target };
+            }),
             visiblePairsIndex: visiblePairsIndex,
+            acuityModel: matrixAcuityModel,
             runAt: new Date().toISOString(),
-            summary: { totalPairs: totalPairs, visibleCount: visibleCount, percent: percent },
+            summary: { totalPairs: totalPairs, visibleCount: visibleCount, oneWayCount: oneWayCount, percent: percent },
             totalSites: n
         };
     };
     
+    /**
+     * Weighted and directed network analysis of an IV result (from getIVResultForReport), shared by
+     * the report and the GraphML/GEXF export. Path metrics follow sightlines in the direction they
+     * are seen, with their length in km; eigenvector/Katz centrality, communities and k-cores weight
+     * sightlines by visibility strength when the matrix is graded (otherwise each counts 1).
+     */
+    function analyseIVNetwork(data) {
+        const U = window.IVReportUtils;
+        const n = data.totalSites;
+        const graded = data.visiblePairsIndex.some(function(p) { return typeof p.strength === 'number'; });
+        const byDistance = U.buildDirectedAdjacency(n, data.visiblePairsIndex, function(p) {
+            return Math.max(p.distance / 1000, 1e-6);
+        });
+        const byStrength = U.buildDirectedAdjacency(n, data.visiblePairsIndex, function(p) {
+            return graded ? p.strength : 1;
+        });
+        const undirected = U.toUndirected(byStrength);
+        const katz = U.katzCentrality(byStrength);
+        const shortest = U.shortestPathMetrics(byDistance, null, true);
+        return {
+            graded: graded,
+            paths: shortest.paths,
+            reciprocity: U.reciprocity(byDistance),
+            betweenness: shortest.betweenness,
+            closeness: shortest.closeness,
+            eigenvector: U.eigenvectorCentrality(byStrength),
+            katz: katz.centrality,
+            katzAlpha: katz.alpha,
+            weightedDegree: U.weightedDegree(undirected),
+            communities: U.louvainCommunities(undirected),
+            cores: U.kCoreDecomposition(undirected)
+        };
+    }
+
     /**
      * Generate IV report HTML, save to localStorage, and open in new window.
+     * The window opens straight away (popup blockers only allow it on the click) and shows the
+     * report once the random-network comparison, which yields to the page, has finished.
      */
-    window.generateIVReport = function() {
+    window.generateIVReport = async function() {
+        if (isGeneratingReport) return;
         const data = window.getIVResultForReport();
         if (!data) {
             if (typeof updateIntervisibilityStatus === 'function') updateIntervisibilityStatus('No IV result available. Create an intervisibility matrix first.');
@@ -3007,19 +3419,115 @@
         const avgPathLen = window.IVReportUtils.getAveragePathLength(adj);
         const betweenness = window.IVReportUtils.betweennessCentrality(adj);
         const closeness = window.IVReportUtils.closenessCentrality(adj);
+        // Graded matrices: the same network weighted by visibility strength; pairs below the acuity limit drop out
+        const graded = data.visiblePairsIndex.filter(function(p) { return typeof p.strength === 'number'; });
+        const weighted = graded.length > 0 ? (function() {
+            const wAdj = window.IVReportUtils.buildAdjacencyFromVisiblePairs(n, graded.map(function(p) {
+                return { i: p.i, j: p.j, weight: p.strength };
+            }));
+            const bands = { near: 0, middle: 0, far: 0 };
+            graded.forEach(function(p) { if (bands[p.band] !== undefined) bands[p.band]++; });
+            return {
+                strength: window.IVReportUtils.weightedDegree(wAdj),
+                components: window.IVReportUtils.countComponents(wAdj),
+                meanStrength: graded.reduce(function(sum, p) { return sum + p.strength; }, 0) / graded.length,
+                unresolved: graded.filter(function(p) { return p.strength <= 0; }).length,
+                bands: bands
+            };
+        })() : null;
+        const network = analyseIVNetwork(data);
+        const reportWindow = window.open('', '_blank');
+        if (reportWindow) reportWindow.document.write('<p style="font-family: sans-serif;">Generating IV report...</p>');
+        isGeneratingReport = true;
+        $('#btn-generate-iv-report').prop('disabled', true);
+        let nullModel;
+        try {
+            nullModel = await window.IVReportUtils.nullModelComparison(adj, {
+                iterations: NULL_MODEL_ITERATIONS,
+                onProgress: function(done, total) {
+                    updateIntervisibilityStatus(`Generating IV report: comparing with random networks ${done}/${total}...`);
+                }
+            });
+        } finally {
+            isGeneratingReport = false;
+            $('#btn-generate-iv-report').prop('disabled', false);
+        }
+        updateIntervisibilityStatus('IV report generated.');
         const degrees = {};
+        const sees = {};
+        const seenBy = {};
+        for (let i = 0; i < n; i++) {
+            degrees[i] = 0;
+            sees[i] = 0;
+            seenBy[i] = 0;
+        }
         data.visiblePairsIndex.forEach(function(p) {
-            degrees[p.i] = (degrees[p.i] || 0) + 1;
-            degrees[p.j] = (degrees[p.j] || 0) + 1;
+            degrees[p.i]++;
+            degrees[p.j]++;
+            if (p.forward) { sees[p.i]++; seenBy[p.j]++; }
+            if (p.backward) { sees[p.j]++; seenBy[p.i]++; }
         });
-        for (let i = 0; i < n; i++) if (degrees[i] === undefined) degrees[i] = 0;
         
+        const siteLabel = function(m) { return m.uniqueId || m.name || 'Site ' + (m.index + 1); };
         const runDate = new Date(data.runAt).toLocaleString();
         const rows = data.markers.map(function(m, i) {
             const deg = degrees[m.index];
             const bc = (betweenness[m.index] != null) ? betweenness[m.index].toFixed(4) : '—';
             const cc = (closeness[m.index] != null) ? closeness[m.index].toFixed(4) : '—';
-            return '<tr><td>' + (m.index + 1) + '</td><td>' + (m.uniqueId || m.name || 'Site ' + (m.index + 1)) + '</td><td>' + deg + '</td><td>' + bc + '</td><td>' + cc + '</td></tr>';
+            return '<tr><td>' + (m.index + 1) + '</td><td>' + siteLabel(m) + '</td><td>' + m.observerHeight + ' / ' + m.targetHeight + '</td><td>' + deg + '</td><td>' +
+                sees[m.index] + ' / ' + seenBy[m.index] + '</td>' + (weighted ? '<td>' + weighted.strength[m.index].toFixed(2) + '</td>' : '') +
+                '<td>' + bc + '</td><td>' + cc + '</td></tr>';
+        }).join('');
+        const fmt = function(v, digits) { return v === null || v === undefined || isNaN(v) ? '—' : v.toFixed(digits); };
+        const networkRows = data.markers.map(function(m) {
+            const i = m.index;
+            return '<tr><td>' + (i + 1) + '</td><td>' + siteLabel(m) + '</td><td>' + (network.communities.communities[i] + 1) + '</td><td>' +
+                network.cores[i] + '</td><td>' + fmt(network.eigenvector[i], 3) + '</td><td>' + fmt(network.katz[i], 3) + '</td><td>' +
+                fmt(network.betweenness[i], 2) + '</td><td>' + fmt(network.closeness[i], 4) + '</td></tr>';
+        }).join('');
+        const maxCore = Math.max.apply(null, Object.values(network.cores).concat([0]));
+        const nullRows = nullModel.results.map(function(r) {
+            return '<tr><td>' + r.metric + '</td><td>' + fmt(r.observed, 3) + '</td><td>' + fmt(r.mean, 3) + ' ± ' + fmt(r.sd, 3) + '</td><td>' +
+                fmt(r.z, 2) + '</td><td>' + r.pHigher.toFixed(3) + '</td><td>' + r.pLower.toFixed(3) + '</td></tr>';
+        }).join('');
+        const networkSection = '<h2>Directed and weighted network</h2>' +
+            '<div class="summary">' +
+            '<div><strong>Reciprocity</strong><br>' + fmt(network.reciprocity, 3) + '</div>' +
+            '<div><strong>Mean path (km)</strong><br>' + fmt(network.paths.average, 1) + '</div>' +
+            '<div><strong>Longest path (km)</strong><br>' + fmt(network.paths.diameter, 1) + '</div>' +
+            '<div><strong>Communities</strong><br>' + network.communities.count + '</div>' +
+            '<div><strong>Modularity</strong><br>' + fmt(network.communities.modularity, 3) + '</div>' +
+            '<div><strong>Highest k-core</strong><br>' + maxCore + '</div>' +
+            '</div>' +
+            '<p class="meta">Paths follow sightlines only in the direction they are seen, measured in km (Dijkstra); betweenness and closeness below use them. ' +
+            'Eigenvector and Katz centrality (alpha ' + network.katzAlpha.toFixed(3) + ') rank sites seen by well-seen sites' +
+            (network.graded ? ', weighting sightlines by visibility strength' : '') + '. Communities are Louvain partitions of the network ignoring direction; ' +
+            'the k-core of a site is the largest k for which it lies in a group where every site links to at least k others.</p>' +
+            '<table><thead><tr><th>#</th><th>Site</th><th>Community</th><th>k-core</th><th>Eigenvector</th><th>Katz</th><th>Betweenness (km paths)</th><th>Closeness (1/km)</th></tr></thead><tbody>' +
+            networkRows + '</tbody></table>' +
+            '<h2>Comparison with random networks</h2>' +
+            '<p class="meta">' + nullModel.iterations + ' Erdős–Rényi graphs with the same ' + nullModel.nodes + ' sites and ' + nullModel.links +
+            ' links (seed ' + nullModel.seed + '). p (higher) is the share of random graphs scoring at least the observed value, p (lower) at most; small values mean the real network is unusual in that direction.</p>' +
+            '<table><thead><tr><th>Metric</th><th>Observed</th><th>Random mean ± sd</th><th>z</th><th>p (higher)</th><th>p (lower)</th></tr></thead><tbody>' +
+            nullRows + '</tbody></table>';
+        const model = data.acuityModel;
+        const weightedSection = weighted
+            ? '<h2>Visibility strength</h2>' +
+              '<div class="summary">' +
+              '<div><strong>Mean strength</strong><br>' + weighted.meanStrength.toFixed(2) + '</div>' +
+              '<div><strong>Below acuity limit</strong><br>' + weighted.unresolved + '</div>' +
+              '<div><strong>Near / middle / far</strong><br>' + weighted.bands.near + ' / ' + weighted.bands.middle + ' / ' + weighted.bands.far + '</div>' +
+              '<div><strong>Components (strength &gt; 0)</strong><br>' + weighted.components + '</div>' +
+              '</div>' +
+              (model
+                  ? '<p class="meta">Target size ' + model.targetSize + ' m, acuity threshold ' + model.acuityArcmin + ' arcmin, Higuchi bands: near to ' +
+                    model.nearLimit + ' m, middle to ' + model.middleLimit + ' m. Weighted degree sums the strengths of each site\'s sightlines.</p>'
+                  : '')
+            : '';
+        const oneWayRows = data.visiblePairsIndex.filter(function(p) { return !isMutual(p); }).map(function(p) {
+            const observer = data.markers[p.forward ? p.i : p.j];
+            const target = data.markers[p.forward ? p.j : p.i];
+            return '<tr><td>' + siteLabel(observer) + '</td><td>' + siteLabel(target) + '</td></tr>';
         }).join('');
         
         const html = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Intervisibility Report</title><style>body{font-family:Montserrat,sans-serif;margin:20px;max-width:900px;}h1{color:#023020;}h2{margin-top:24px;color:#2487CE;}table{border-collapse:collapse;width:100%;margin-top:8px;}th,td{border:1px solid #ddd;padding:8px;text-align:left;}th{background:#f3f4f6;}.meta{color:#666;font-size:14px;margin-bottom:20px;}.summary{display:flex;flex-wrap:wrap;gap:16px;margin:16px 0;}.summary div{background:#f9f9f9;padding:12px 16px;border-radius:4px;min-width:120px;}</style></head><body>' +
@@ -3030,6 +3538,7 @@
             '<div><strong>Sites</strong><br>' + n + '</div>' +
             '<div><strong>Total pairs</strong><br>' + data.summary.totalPairs + '</div>' +
             '<div><strong>Intervisible pairs</strong><br>' + data.summary.visibleCount + '</div>' +
+            '<div><strong>One-way pairs</strong><br>' + data.summary.oneWayCount + '</div>' +
             '<div><strong>Intervisibility ratio</strong><br>' + data.summary.percent + '%</div>' +
             '</div>' +
             '<h2>Global network</h2>' +
@@ -3038,8 +3547,15 @@
             '<div><strong>Diameter</strong><br>' + (diameter != null ? diameter : '—') + '</div>' +
             '<div><strong>Avg path length</strong><br>' + (avgPathLen != null ? avgPathLen.toFixed(2) : '—') + '</div>' +
             '</div>' +
+            '<p class="meta">Network metrics treat a pair as connected when either site sees the other.</p>' +
+            weightedSection +
             '<h2>Per-site metrics</h2>' +
-            '<table><thead><tr><th>#</th><th>Site</th><th>Degree</th><th>Betweenness</th><th>Closeness</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+            '<table><thead><tr><th>#</th><th>Site</th><th>Observer / target height (m)</th><th>Degree</th><th>Sees / seen by</th>' + (weighted ? '<th>Weighted degree</th>' : '') + '<th>Betweenness</th><th>Closeness</th></tr></thead><tbody>' + rows + '</tbody></table>' +
+            networkSection +
+            (typeof window.IV_significanceReportHtml === 'function' ? window.IV_significanceReportHtml(n) : '') +
+            (oneWayRows
+                ? '<h2>One-way visibility</h2><table><thead><tr><th>Observer</th><th>Sees (not seen back)</th></tr></thead><tbody>' + oneWayRows + '</tbody></table>'
+                : '') +
             '</body></html>';
         
         try {
@@ -3050,10 +3566,100 @@
         
         const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
         const url = URL.createObjectURL(blob);
-        const w = window.open(url, '_blank', 'noopener');
+        const w = reportWindow || window.open(url, '_blank', 'noopener');
+        if (reportWindow) reportWindow.location.href = url;
         if (w) setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
     };
     
+    /**
+     * Download the current network as GraphML or GEXF (Gephi). Edges are directed sightlines,
+     * one per direction seen, with the network metrics of the report as node attributes.
+     * @param {string} format - 'graphml' or 'gexf'
+     */
+    window.exportIVNetwork = function(format) {
+        const data = window.getIVResultForReport();
+        if (!data) {
+            updateIntervisibilityStatus('No IV result available. Create an intervisibility matrix first.');
+            return;
+        }
+        if (typeof window.IVReportUtils === 'undefined') {
+            updateIntervisibilityStatus('IV report utilities not loaded.');
+            return;
+        }
+        const analysis = analyseIVNetwork(data);
+        const round = function(v, digits) { return v === null || v === undefined ? null : Number(v.toFixed(digits)); };
+        const network = {
+            directed: true,
+            nodeAttributes: [
+                { key: 'latitude', title: 'latitude', type: 'double' },
+                { key: 'longitude', title: 'longitude', type: 'double' },
+                { key: 'observer_height', title: 'observer_height_m', type: 'double' },
+                { key: 'target_height', title: 'target_height_m', type: 'double' },
+                { key: 'weighted_degree', title: 'weighted_degree', type: 'double' },
+                { key: 'betweenness', title: 'betweenness_km_paths', type: 'double' },
+                { key: 'closeness', title: 'closeness_per_km', type: 'double' },
+                { key: 'eigenvector', title: 'eigenvector', type: 'double' },
+                { key: 'katz', title: 'katz', type: 'double' },
+                { key: 'community', title: 'community', type: 'int' },
+                { key: 'kcore', title: 'kcore', type: 'int' }
+            ],
+            edgeAttributes: [
+                { key: 'distance', title: 'distance_m', type: 'double' },
+                { key: 'mutual', title: 'mutual', type: 'boolean' },
+                { key: 'strength', title: 'strength', type: 'double' },
+                { key: 'band', title: 'band', type: 'string' }
+            ],
+            nodes: data.markers.map(function(m) {
+                const i = m.index;
+                return {
+                    id: 'n' + i,
+                    label: m.uniqueId || m.name || 'Site ' + (i + 1),
+                    x: m.lng,
+                    y: m.lat,
+                    values: {
+                        latitude: m.lat,
+                        longitude: m.lng,
+                        observer_height: m.observerHeight,
+                        target_height: m.targetHeight,
+                        weighted_degree: round(analysis.weightedDegree[i], 4),
+                        betweenness: round(analysis.betweenness[i], 4),
+                        closeness: round(analysis.closeness[i], 6),
+                        eigenvector: round(analysis.eigenvector[i], 6),
+                        katz: round(analysis.katz[i], 6),
+                        community: analysis.communities.communities[i] + 1,
+                        kcore: analysis.cores[i]
+                    }
+                };
+            }),
+            edges: []
+        };
+        data.visiblePairsIndex.forEach(function(p) {
+            const values = {
+                distance: Math.round(p.distance),
+                mutual: isMutual(p),
+                strength: typeof p.strength === 'number' ? round(p.strength, 4) : null,
+                band: p.band || null
+            };
+            const weight = typeof p.strength === 'number' ? round(p.strength, 4) : 1;
+            if (p.forward) network.edges.push({ source: 'n' + p.i, target: 'n' + p.j, weight: weight, values: values });
+            if (p.backward) network.edges.push({ source: 'n' + p.j, target: 'n' + p.i, weight: weight, values: values });
+        });
+        
+        const gexf = format === 'gexf';
+        const text = gexf ? window.IVReportUtils.toGEXF(network) : window.IVReportUtils.toGraphML(network);
+        const blob = new Blob([text], { type: 'application/xml' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `intervisibility-network-${new Date().toISOString().split('T')[0]}.${gexf ? 'gexf' : 'graphml'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        updateIntervisibilityStatus(`Network exported as ${gexf ? 'GEXF' : 'GraphML'}: ${network.nodes.length} sites, ${network.edges.length} directed sightlines.`);
+    };
+    
     // Initialize button handlers
     $(document).ready(function() {
         $('#btn-open-intervisibility-markers').click(function() {
@@ -7,8 +7,10 @@
     /**
      * Build adjacency structure from visible pairs.
      * @param {number} n - Number of nodes (sites).
-     * @param {Array<{i: number, j: number}|{indexA: number, indexB: number}>} pairs - Visible pairs as index pairs.
-     * @returns {Object} Adjacency: nodeIndex -> { neighborIndex: 1, ... }
+     * @param {Array<{i: number, j: number, weight?: number}|{indexA: number, indexB: number, weight?: number}>} pairs -
+     *   Visible pairs as index pairs, optionally weighted (e.g. visibility strength 0-1; default 1).
+     *   Pairs with a weight of 0 or less are not linked.
+     * @returns {Object} Adjacency: nodeIndex -> { neighborIndex: weight, ... }
      */
     function buildAdjacencyFromVisiblePairs(n, pairs) {
         const adj = {};
@@ -16,29 +18,49 @@
         (pairs || []).forEach(function(p) {
             const a = p.i !== undefined ? p.i : p.indexA;
             const b = p.j !== undefined ? p.j : p.indexB;
-            if (a >= 0 && a < n && b >= 0 && b < n && a !== b) {
-                adj[a][b] = 1;
-                adj[b][a] = 1;
+            const w = typeof p.weight === 'number' ? p.weight : 1;
+            if (a >= 0 && a < n && b >= 0 && b < n && a !== b && w > 0) {
+                adj[a][b] = w;
+                adj[b][a] = w;
             }
         });
         return adj;
     }
 
     /**
-     * BFS from source, return distances to all reachable nodes.
+     * Weighted degree (node strength): sum of the weights of each node's links.
+     * Equals the degree on an unweighted adjacency.
      */
-    function bfsDistances(adj, source) {
+    function weightedDegree(adj) {
         const n = Object.keys(adj).length;
-        const dist = {};
-        for (let i = 0; i < n; i++) dist[i] = -1;
+        const strength = {};
+        for (let i = 0; i < n; i++) {
+            strength[i] = Object.keys(adj[i]).reduce(function(sum, k) { return sum + adj[i][k]; }, 0);
+        }
+        return strength;
+    }
+
+    // Neighbours of each node over links with positive weight, as numbers
+    function linkLists(adj) {
+        const n = Object.keys(adj).length;
+        const lists = [];
+        for (let u = 0; u < n; u++) {
+            lists.push(Object.keys(adj[u]).filter(function(k) { return adj[u][k] > 0; }).map(function(k) { return parseInt(k, 10); }));
+        }
+        return lists;
+    }
+
+    // BFS from source: distances in links to all nodes, -1 for unreachable ones
+    function bfsOnLists(lists, source) {
+        const dist = new Array(lists.length).fill(-1);
         dist[source] = 0;
         const queue = [source];
         let head = 0;
         while (head < queue.length) {
             const u = queue[head++];
-            const neighbors = Object.keys(adj[u]).filter(function(k) { return adj[u][k] === 1; });
+            const neighbors = lists[u];
             for (let i = 0; i < neighbors.length; i++) {
-                const v = parseInt(neighbors[i], 10);
+                const v = neighbors[i];
                 if (dist[v] === -1) {
                     dist[v] = dist[u] + 1;
                     queue.push(v);
@@ -63,7 +85,7 @@
             let head = 0;
             while (head < queue.length) {
                 const u = queue[head++];
-                const neighbors = Object.keys(adj[u]).filter(function(k) { return adj[u][k] === 1; });
+                const neighbors = Object.keys(adj[u]).filter(function(k) { return adj[u][k] > 0; });
                 for (let j = 0; j < neighbors.length; j++) {
                     const v = parseInt(neighbors[j], 10);
                     if (!visited[v]) {
@@ -83,8 +105,9 @@
     function getDiameter(adj) {
         const n = Object.keys(adj).length;
         let maxDist = 0;
+        const lists = linkLists(adj);
         for (let s = 0; s < n; s++) {
-            const dist = bfsDistances(adj, s);
+            const dist = bfsOnLists(lists, s);
             for (let t = 0; t < n; t++) {
                 if (dist[t] >= 0 && dist[t] > maxDist) maxDist = dist[t];
             }
@@ -99,8 +122,9 @@
         const n = Object.keys(adj).length;
         let totalDist = 0;
         let totalPairs = 0;
+        const lists = linkLists(adj);
         for (let s = 0; s < n; s++) {
-            const dist = bfsDistances(adj, s);
+            const dist = bfsOnLists(lists, s);
             for (let t = s + 1; t < n; t++) {
                 if (dist[t] >= 0) {
                     totalDist += dist[t];
@@ -112,90 +136,685 @@
     }
 
     /**
-     * Betweenness centrality: fraction of shortest paths that pass through each node.
-     * Simplified: we count shortest paths between all pairs and how many go through each node.
+     * Betweenness centrality: fraction of shortest paths (in links) that pass through each node.
+     * Uses Brandes' algorithm, so path counting stays polynomial on dense networks.
      */
     function betweennessCentrality(adj) {
+        return shortestPathMetrics(adj, function(w) { return w > 0 ? 1 : Infinity; }, false).betweenness;
+    }
+
+    /**
+     * Closeness centrality: 1 / (average distance to all other reachable nodes). 0 if unreachable.
+     */
+    function closenessCentrality(adj) {
+        const n = Object.keys(adj).length;
+        const cc = {};
+        const lists = linkLists(adj);
+        for (let i = 0; i < n; i++) {
+            const dist = bfsOnLists(lists, i);
+            let sum = 0;
+            let count = 0;
+            for (let j = 0; j < n; j++) {
+                if (i !== j && dist[j] >= 0) {
+                    sum += dist[j];
+                    count++;
+                }
+            }
+            cc[i] = count > 0 ? 1 / (sum / count) : 0;
+        }
+        return cc;
+    }
+
+    // -----------------------------------------------------------------
+    // Weighted and directed networks
+    // -----------------------------------------------------------------
+    // A directed adjacency has adj[u][v] = weight when u sees v. Path metrics take a lengthOf
+    // function turning an edge weight into a path length: the weight itself for distances,
+    // 1 / weight for strengths (a strong sightline is a short step).
+
+    /**
+     * Build a directed adjacency from visible pairs carrying forward (i sees j) and backward (j sees i) flags.
+     * @param {number} n - Number of nodes.
+     * @param {Array<Object>} pairs - { i, j, forward, backward, ... }; missing flags count as visible.
+     * @param {function(Object): number} [weightOf] - Edge weight for a pair (default p.weight or 1); 0 or less drops the pair.
+     * @returns {Object} Adjacency: nodeIndex -> { neighborIndex: weight, ... }
+     */
+    function buildDirectedAdjacency(n, pairs, weightOf) {
+        const adj = {};
+        for (let i = 0; i < n; i++) adj[i] = {};
+        (pairs || []).forEach(function(p) {
+            const a = p.i !== undefined ? p.i : p.indexA;
+            const b = p.j !== undefined ? p.j : p.indexB;
+            const w = weightOf ? weightOf(p) : (typeof p.weight === 'number' ? p.weight : 1);
+            if (!(a >= 0 && a < n && b >= 0 && b < n && a !== b && w > 0)) return;
+            if (p.forward !== false) adj[a][b] = w;
+            if (p.backward !== false) adj[b][a] = w;
+        });
+        return adj;
+    }
+
+    function identityLength(w) {
+        return w;
+    }
+
+    // Binary min-heap of [distance, node] entries for Dijkstra (stale entries are skipped on pop)
+    function heapPush(heap, item) {
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            const tmp = heap[parent];
+            heap[parent] = heap[i];
+            heap[i] = tmp;
+            i = parent;
+        }
+    }
+
+    function heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                if (m === i) break;
+                const tmp = heap[m];
+                heap[m] = heap[i];
+                heap[i] = tmp;
+                i = m;
+            }
+        }
+        return top;
+    }
+
+    // Out-edges of each node as [neighbour, length] with usable (finite, non-negative) lengths
+    function edgeLists(adj, lengthOf) {
+        const n = Object.keys(adj).length;
+        const length = lengthOf || identityLength;
+        const lists = [];
+        for (let u = 0; u < n; u++) {
+            const edges = [];
+            Object.keys(adj[u]).forEach(function(k) {
+                const len = length(adj[u][k]);
+                if (len >= 0 && isFinite(len)) edges.push([parseInt(k, 10), len]);
+            });
+            lists.push(edges);
+        }
+        return lists;
+    }
+
+    function dijkstraOnLists(lists, source) {
+        const n = lists.length;
+        const dist = new Array(n).fill(Infinity);
+        const sigma = new Array(n).fill(0);
+        const pred = [];
+        const done = new Array(n).fill(false);
+        const order = [];
+        const heap = [[0, source]];
+        for (let i = 0; i < n; i++) pred.push([]);
+        dist[source] = 0;
+        sigma[source] = 1;
+        while (heap.length > 0) {
+            const u = heapPop(heap)[1];
+            if (done[u]) continue;
+            done[u] = true;
+            order.push(u);
+            const edges = lists[u];
+            for (let e = 0; e < edges.length; e++) {
+                const v = edges[e][0];
+                if (done[v]) continue;
+                const alt = dist[u] + edges[e][1];
+                const eps = 1e-9 * Math.max(1, alt);
+                if (alt < dist[v] - eps) {
+                    dist[v] = alt;
+                    sigma[v] = sigma[u];
+                    pred[v] = [u];
+                    heapPush(heap, [alt, v]);
+                } else if (Math.abs(alt - dist[v]) <= eps) {
+                    sigma[v] += sigma[u];
+                    pred[v].push(u);
+                }
+            }
+        }
+        return { dist: dist, sigma: sigma, pred: pred, order: order };
+    }
+
+    /**
+     * Single-source Dijkstra keeping shortest-path counts and predecessors (for Brandes' betweenness).
+     * @returns {Object} { dist, sigma, pred, order } - dist Infinity for unreachable nodes; order is settling order
+     */
+    function dijkstra(adj, source, lengthOf) {
+        return dijkstraOnLists(edgeLists(adj, lengthOf), source);
+    }
+
+    /**
+     * Weighted shortest-path metrics from one Dijkstra per source: path summary over all ordered
+     * pairs of reachable nodes, betweenness (Brandes) and closeness.
+     * Undirected graphs count each unordered pair once in betweenness, as betweennessCentrality does.
+     * On a directed adjacency closeness is out-closeness (how near the sites a site sees are).
+     * @returns {Object} { paths: { average, diameter, reachablePairs }, betweenness, closeness } -
+     *   null average/diameter when nothing is reachable
+     */
+    function shortestPathMetrics(adj, lengthOf, directed) {
         const n = Object.keys(adj).length;
         const bc = {};
+        const cc = {};
+        let total = 0;
+        let count = 0;
+        let diameter = 0;
+        const lists = edgeLists(adj, lengthOf);
         for (let i = 0; i < n; i++) bc[i] = 0;
-
         for (let s = 0; s < n; s++) {
-            for (let t = s + 1; t < n; t++) {
-                const paths = shortestPathsBetween(adj, s, t);
-                if (paths.length === 0) continue;
-                const through = {};
-                paths.forEach(function(path) {
-                    for (let k = 1; k < path.length - 1; k++) {
-                        through[path[k]] = (through[path[k]] || 0) + 1;
-                    }
+            const sp = dijkstraOnLists(lists, s);
+            let sum = 0;
+            let reached = 0;
+            for (let t = 0; t < n; t++) {
+                if (t === s || sp.dist[t] === Infinity) continue;
+                sum += sp.dist[t];
+                reached++;
+                if (sp.dist[t] > diameter) diameter = sp.dist[t];
+            }
+            total += sum;
+            count += reached;
+            cc[s] = reached > 0 && sum > 0 ? 1 / (sum / reached) : 0;
+            const delta = new Array(n).fill(0);
+            for (let k = sp.order.length - 1; k >= 0; k--) {
+                const w = sp.order[k];
+                sp.pred[w].forEach(function(v) {
+                    delta[v] += (sp.sigma[v] / sp.sigma[w]) * (1 + delta[w]);
                 });
-                Object.keys(through).forEach(function(v) {
-                    bc[parseInt(v, 10)] += through[v] / paths.length;
+                if (w !== s) bc[w] += delta[w];
+            }
+        }
+        if (!directed) {
+            for (let i = 0; i < n; i++) bc[i] /= 2;
+        }
+        return {
+            paths: { average: count > 0 ? total / count : null, diameter: count > 0 ? diameter : null, reachablePairs: count },
+            betweenness: bc,
+            closeness: cc
+        };
+    }
+
+    /**
+     * Weighted shortest-path summary over all ordered pairs of reachable nodes.
+     * @returns {Object} { average, diameter, reachablePairs } - null average/diameter when nothing is reachable
+     */
+    function weightedPathStats(adj, lengthOf) {
+        return shortestPathMetrics(adj, lengthOf, true).paths;
+    }
+
+    /**
+     * Betweenness on weighted (and optionally directed) shortest paths, by Brandes' algorithm.
+     */
+    function weightedBetweenness(adj, lengthOf, directed) {
+        return shortestPathMetrics(adj, lengthOf, directed).betweenness;
+    }
+
+    /**
+     * Closeness on weighted shortest paths: 1 / (mean distance to the nodes reachable from each node).
+     */
+    function weightedCloseness(adj, lengthOf) {
+        return shortestPathMetrics(adj, lengthOf, true).closeness;
+    }
+
+    // Power iteration on A + I over in-links (the shift stops bipartite graphs oscillating)
+    function principalEigen(adj) {
+        const n = Object.keys(adj).length;
+        let x = new Array(n).fill(1);
+        let lambda = 0;
+        for (let iter = 0; iter < 1000; iter++) {
+            const next = x.slice();
+            for (let u = 0; u < n; u++) {
+                Object.keys(adj[u]).forEach(function(k) {
+                    next[parseInt(k, 10)] += adj[u][k] * x[u];
                 });
             }
+            const max = Math.max.apply(null, next);
+            if (!(max > 0)) break;
+            let change = 0;
+            for (let i = 0; i < n; i++) {
+                next[i] /= max;
+                change = Math.max(change, Math.abs(next[i] - x[i]));
+            }
+            // x is normalised to a maximum of 1, so the growth of the largest entry is lambda + 1
+            lambda = max - 1;
+            x = next;
+            if (change < 1e-10) break;
         }
-        return bc;
+        return { vector: x, lambda: lambda };
     }
 
     /**
-     * Enumerate all shortest paths from s to t (BFS then collect paths).
+     * Eigenvector centrality (maximum 1). On a directed adjacency a site scores highly when it is
+     * seen by sites that are themselves seen by many. All zero when there are no edges.
      */
-    function shortestPathsBetween(adj, s, t) {
-        const dist = bfsDistances(adj, s);
-        if (dist[t] < 0) return [];
+    function eigenvectorCentrality(adj) {
         const n = Object.keys(adj).length;
-        const pred = {};
-        for (let i = 0; i < n; i++) pred[i] = [];
-        const queue = [s];
-        let head = 0;
-        while (head < queue.length) {
-            const u = queue[head++];
-            if (dist[u] >= dist[t]) continue;
-            const neighbors = Object.keys(adj[u]).filter(function(k) { return adj[u][k] === 1; });
-            for (let i = 0; i < neighbors.length; i++) {
-                const v = parseInt(neighbors[i], 10);
-                if (dist[v] === dist[u] + 1) {
-                    pred[v].push(u);
-                    if (queue.indexOf(v) === -1) queue.push(v);
+        const ec = {};
+        const hasEdges = Object.keys(adj).some(function(k) { return Object.keys(adj[k]).length > 0; });
+        const vector = hasEdges ? principalEigen(adj).vector : null;
+        for (let i = 0; i < n; i++) ec[i] = vector ? vector[i] : 0;
+        return ec;
+    }
+
+    /**
+     * Katz centrality x = alpha * A^T x + beta, scaled to a maximum of 1. Unlike eigenvector
+     * centrality it also ranks sites outside the main component.
+     * @param {number} [alpha] - Attenuation; defaults to 0.85 / spectral radius (must stay below 1 / spectral radius)
+     * @returns {Object} { centrality, alpha }
+     */
+    function katzCentrality(adj, alpha, beta) {
+        const n = Object.keys(adj).length;
+        const b = typeof beta === 'number' ? beta : 1;
+        let a = alpha;
+        if (typeof a !== 'number') {
+            const lambda = principalEigen(adj).lambda;
+            a = lambda > 1e-9 ? 0.85 / lambda : 0.1;
+        }
+        let x = new Array(n).fill(b);
+        for (let iter = 0; iter < 1000; iter++) {
+            const next = new Array(n).fill(b);
+            for (let u = 0; u < n; u++) {
+                Object.keys(adj[u]).forEach(function(k) {
+                    next[parseInt(k, 10)] += a * adj[u][k] * x[u];
+                });
+            }
+            let change = 0;
+            for (let i = 0; i < n; i++) change = Math.max(change, Math.abs(next[i] - x[i]));
+            x = next;
+            if (change < 1e-10 * Math.max(1, Math.max.apply(null, x))) break;
+        }
+        const max = n > 0 ? Math.max.apply(null, x) : 0;
+        const centrality = {};
+        for (let i = 0; i < n; i++) centrality[i] = max > 0 ? x[i] / max : 0;
+        return { centrality: centrality, alpha: a };
+    }
+
+    /**
+     * Undirected copy of an adjacency: a link wherever either direction exists, with the larger weight.
+     */
+    function toUndirected(adj) {
+        const n = Object.keys(adj).length;
+        const out = {};
+        for (let i = 0; i < n; i++) out[i] = {};
+        for (let u = 0; u < n; u++) {
+            Object.keys(adj[u]).forEach(function(k) {
+                const v = parseInt(k, 10);
+                const w = Math.max(adj[u][k], out[u][v] || 0);
+                out[u][v] = w;
+                out[v][u] = w;
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Share of directed edges whose reverse also exists (1 when every sightline is mutual).
+     */
+    function reciprocity(adj) {
+        let edges = 0;
+        let reciprocated = 0;
+        Object.keys(adj).forEach(function(u) {
+            Object.keys(adj[u]).forEach(function(v) {
+                edges++;
+                if (adj[v] && adj[v][u] !== undefined) reciprocated++;
+            });
+        });
+        return edges > 0 ? reciprocated / edges : null;
+    }
+
+    /**
+     * Newman modularity of a partition of an undirected (weighted) adjacency.
+     * @param {Object} communities - nodeIndex -> community id
+     */
+    function modularity(adj, communities) {
+        let m2 = 0;
+        const tot = {};
+        const inside = {};
+        Object.keys(adj).forEach(function(u) {
+            const cu = communities[u];
+            Object.keys(adj[u]).forEach(function(v) {
+                const w = adj[u][v];
+                m2 += w;
+                tot[cu] = (tot[cu] || 0) + w;
+                if (communities[v] === cu) inside[cu] = (inside[cu] || 0) + w;
+            });
+        });
+        if (m2 === 0) return 0;
+        return Object.keys(tot).reduce(function(q, c) {
+            return q + (inside[c] || 0) / m2 - Math.pow(tot[c] / m2, 2);
+        }, 0);
+    }
+
+    /**
+     * Louvain community detection (Blondel et al. 2008) on an undirected (weighted) adjacency:
+     * nodes move greedily to the neighbouring community with the best modularity gain, then the
+     * communities are merged into single nodes and the process repeats until nothing moves.
+     * @returns {Object} { communities: nodeIndex -> community (0..count-1, largest first), count, modularity }
+     */
+    function louvainCommunities(adj) {
+        const n = Object.keys(adj).length;
+        const membership = [];
+        for (let i = 0; i < n; i++) membership.push(i);
+        // Working graph: one Map of neighbour -> weight per node, self-loops included
+        let graph = [];
+        for (let i = 0; i < n; i++) {
+            const row = new Map();
+            Object.keys(adj[i]).forEach(function(k) { row.set(parseInt(k, 10), adj[i][k]); });
+            graph.push(row);
+        }
+        let m2 = 0;
+        graph.forEach(function(row) { row.forEach(function(w) { m2 += w; }); });
+
+        while (m2 > 0) {
+            const size = graph.length;
+            const k = graph.map(function(row) {
+                let sum = 0;
+                row.forEach(function(w) { sum += w; });
+                return sum;
+            });
+            const comm = [];
+            const tot = [];
+            for (let i = 0; i < size; i++) {
+                comm.push(i);
+                tot.push(k[i]);
+            }
+            let improved = false;
+            let moved = true;
+            for (let pass = 0; moved && pass < 100; pass++) {
+                moved = false;
+                for (let i = 0; i < size; i++) {
+                    const ci = comm[i];
+                    const weightTo = new Map();
+                    graph[i].forEach(function(w, j) {
+                        if (j === i) return;
+                        weightTo.set(comm[j], (weightTo.get(comm[j]) || 0) + w);
+                    });
+                    tot[ci] -= k[i];
+                    let best = ci;
+                    let bestGain = (weightTo.get(ci) || 0) - tot[ci] * k[i] / m2;
+                    weightTo.forEach(function(w, c) {
+                        const gain = w - tot[c] * k[i] / m2;
+                        if (gain > bestGain + 1e-12) {
+                            best = c;
+                            bestGain = gain;
+                        }
+                    });
+                    tot[best] += k[i];
+                    if (best !== ci) {
+                        comm[i] = best;
+                        moved = true;
+                        improved = true;
+                    }
                 }
             }
+            if (!improved) break;
+
+            // Renumber and aggregate
+            const renumber = new Map();
+            comm.forEach(function(c) { if (!renumber.has(c)) renumber.set(c, renumber.size); });
+            for (let i = 0; i < n; i++) membership[i] = renumber.get(comm[membership[i]]);
+            const next = [];
+            for (let c = 0; c < renumber.size; c++) next.push(new Map());
+            graph.forEach(function(row, i) {
+                const ci = renumber.get(comm[i]);
+                row.forEach(function(w, j) {
+                    const cj = renumber.get(comm[j]);
+                    next[ci].set(cj, (next[ci].get(cj) || 0) + w);
+                });
+            });
+            graph = next;
+        }
+
+        // Largest community first
+        const sizes = {};
+        membership.forEach(function(c) { sizes[c] = (sizes[c] || 0) + 1; });
+        const ranked = Object.keys(sizes).map(Number).sort(function(a, b) { return sizes[b] - sizes[a] || a - b; });
+        const communities = {};
+        for (let i = 0; i < n; i++) communities[i] = ranked.indexOf(membership[i]);
+        return { communities: communities, count: ranked.length, modularity: modularity(adj, communities) };
+    }
+
+    /**
+     * k-core decomposition of an undirected adjacency (weights ignored): the core number of a node
+     * is the largest k for which it belongs to a subgraph where every node has at least k links.
+     */
+    function kCoreDecomposition(adj) {
+        const n = Object.keys(adj).length;
+        const degree = {};
+        const removed = {};
+        const core = {};
+        for (let i = 0; i < n; i++) {
+            degree[i] = Object.keys(adj[i]).filter(function(k) { return parseInt(k, 10) !== i && adj[i][k] > 0; }).length;
         }
-        const paths = [];
-        function collect(path, cur) {
-            if (cur === s) {
-                path.push(s);
-                paths.push(path.slice().reverse());
-                path.pop();
-                return;
+        let k = 0;
+        for (let step = 0; step < n; step++) {
+            let v = -1;
+            for (let i = 0; i < n; i++) {
+                if (!removed[i] && (v === -1 || degree[i] < degree[v])) v = i;
             }
-            path.push(cur);
-            (pred[cur] || []).forEach(function(p) { collect(path, p); });
-            path.pop();
+            k = Math.max(k, degree[v]);
+            core[v] = k;
+            removed[v] = true;
+            Object.keys(adj[v]).forEach(function(key) {
+                const u = parseInt(key, 10);
+                if (!removed[u] && u !== v && adj[v][key] > 0) degree[u]--;
+            });
         }
-        collect([], t);
-        return paths;
+        return core;
     }
 
     /**
-     * Closeness centrality: 1 / (average distance to all other reachable nodes). 0 if unreachable.
+     * Mean local clustering coefficient of an undirected adjacency (nodes with fewer than two links count as 0).
      */
-    function closenessCentrality(adj) {
+    function averageClustering(adj) {
         const n = Object.keys(adj).length;
-        const cc = {};
+        if (n === 0) return 0;
+        let sum = 0;
         for (let i = 0; i < n; i++) {
-            const dist = bfsDistances(adj, i);
-            let sum = 0;
-            let count = 0;
-            for (let j = 0; j < n; j++) {
-                if (i !== j && dist[j] >= 0) {
-                    sum += dist[j];
-                    count++;
+            const neighbors = Object.keys(adj[i]).filter(function(k) { return parseInt(k, 10) !== i && adj[i][k] > 0; });
+            const kn = neighbors.length;
+            if (kn < 2) continue;
+            let links = 0;
+            for (let a = 0; a < kn; a++) {
+                for (let b = a + 1; b < kn; b++) {
+                    if (adj[neighbors[a]][neighbors[b]] > 0) links++;
                 }
             }
-            cc[i] = count > 0 ? 1 / (sum / count) : 0;
+            sum += links / (kn * (kn - 1) / 2);
         }
-        return cc;
+        return sum / n;
+    }
+
+    // Small seedable PRNG (mulberry32) so null-model runs can be repeated
+    function createRandom(seed) {
+        let a = (seed >>> 0) || 1;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Erdős–Rényi G(n, m) graph: m links placed uniformly at random among n nodes (unweighted, undirected).
+     */
+    function randomGraph(n, m, random) {
+        const adj = {};
+        for (let i = 0; i < n; i++) adj[i] = {};
+        const pairs = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) pairs.push(i * n + j);
+        }
+        const count = Math.min(m, pairs.length);
+        for (let e = 0; e < count; e++) {
+            const r = e + Math.floor(random() * (pairs.length - e));
+            const tmp = pairs[e];
+            pairs[e] = pairs[r];
+            pairs[r] = tmp;
+            const a = Math.floor(pairs[e] / n);
+            const b = pairs[e] % n;
+            adj[a][b] = 1;
+            adj[b][a] = 1;
+        }
+        return adj;
+    }
+
+    /**
+     * Compare an undirected network with Erdős–Rényi graphs of the same size and link count.
+     * p-values are empirical, (r + 1) / (iterations + 1) where r counts null graphs at least as
+     * extreme in that direction.
+     * Yields to the browser after each random graph, so large networks do not freeze the page.
+     * @param {Object} adj - Undirected adjacency (weights ignored).
+     * @param {Object} [options] - { iterations (default 100), seed (default 1), metrics: { name: function(adj) },
+     *   onProgress: function(done, total) }
+     * @returns {Promise<Object>} { iterations, seed, nodes, links, results: [{ metric, observed, mean, sd, z, pHigher, pLower }] }
+     */
+    async function nullModelComparison(adj, options) {
+        const opts = options || {};
+        const iterations = opts.iterations || 100;
+        const seed = opts.seed || 1;
+        const metrics = opts.metrics || {
+            'Average clustering': averageClustering,
+            'Average path length': getAveragePathLength,
+            'Components': countComponents,
+            'Modularity (Louvain)': function(g) { return louvainCommunities(g).modularity; }
+        };
+        const n = Object.keys(adj).length;
+        let links = 0;
+        Object.keys(adj).forEach(function(u) {
+            Object.keys(adj[u]).forEach(function(v) { if (parseInt(u, 10) < parseInt(v, 10) && adj[u][v] > 0) links++; });
+        });
+        const random = createRandom(seed);
+        const names = Object.keys(metrics);
+        const samples = {};
+        names.forEach(function(name) { samples[name] = []; });
+        for (let it = 0; it < iterations; it++) {
+            const g = randomGraph(n, links, random);
+            names.forEach(function(name) { samples[name].push(metrics[name](g)); });
+            if (opts.onProgress) opts.onProgress(it + 1, iterations);
+            await new Promise(function(resolve) { setTimeout(resolve, 0); });
+        }
+        const results = names.map(function(name) {
+            const observed = metrics[name](adj);
+            const values = samples[name];
+            const mean = values.reduce(function(a, b) { return a + b; }, 0) / values.length;
+            const sd = Math.sqrt(values.reduce(function(a, v) { return a + (v - mean) * (v - mean); }, 0) / Math.max(1, values.length - 1));
+            const higher = values.filter(function(v) { return v >= observed - 1e-12; }).length;
+            const lower = values.filter(function(v) { return v <= observed + 1e-12; }).length;
+            return {
+                metric: name,
+                observed: observed,
+                mean: mean,
+                sd: sd,
+                z: sd > 0 ? (observed - mean) / sd : null,
+                pHigher: (higher + 1) / (iterations + 1),
+                pLower: (lower + 1) / (iterations + 1)
+            };
+        });
+        return { iterations: iterations, seed: seed, nodes: n, links: links, results: results };
+    }
+
+    // -----------------------------------------------------------------
+    // GraphML / GEXF export (Gephi, yEd, Cytoscape)
+    // -----------------------------------------------------------------
+    // network = { directed, nodeAttributes: [{ key, title, type }], edgeAttributes: [...],
+    //             nodes: [{ id, label, values: { key: value } }], edges: [{ source, target, values }] }
+    // type is 'string', 'int', 'double' or 'boolean'; missing values are left out.
+
+    function xmlEscape(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function hasValue(v) {
+        return v !== null && v !== undefined && !(typeof v === 'number' && isNaN(v));
+    }
+
+    function toGraphML(network) {
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+            'xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>'];
+        network.nodeAttributes.forEach(function(a) {
+            lines.push('  <key id="n_' + a.key + '" for="node" attr.name="' + xmlEscape(a.title) + '" attr.type="' + a.type + '"/>');
+        });
+        network.edgeAttributes.forEach(function(a) {
+            lines.push('  <key id="e_' + a.key + '" for="edge" attr.name="' + xmlEscape(a.title) + '" attr.type="' + a.type + '"/>');
+        });
+        lines.push('  <graph id="G" edgedefault="' + (network.directed ? 'directed' : 'undirected') + '">');
+        network.nodes.forEach(function(node) {
+            lines.push('    <node id="' + xmlEscape(node.id) + '">');
+            lines.push('      <data key="label">' + xmlEscape(node.label) + '</data>');
+            network.nodeAttributes.forEach(function(a) {
+                const v = node.values[a.key];
+                if (hasValue(v)) lines.push('      <data key="n_' + a.key + '">' + xmlEscape(v) + '</data>');
+            });
+            lines.push('    </node>');
+        });
+        network.edges.forEach(function(edge, i) {
+            lines.push('    <edge id="e' + i + '" source="' + xmlEscape(edge.source) + '" target="' + xmlEscape(edge.target) + '">');
+            network.edgeAttributes.forEach(function(a) {
+                const v = edge.values[a.key];
+                if (hasValue(v)) lines.push('      <data key="e_' + a.key + '">' + xmlEscape(v) + '</data>');
+            });
+            lines.push('    </edge>');
+        });
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    function toGEXF(network) {
+        const gexfType = { string: 'string', int: 'integer', double: 'double', boolean: 'boolean' };
+        const lines = ['<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+            '  <meta lastmodifieddate="' + new Date().toISOString().split('T')[0] + '"><creator>MACE Intervisibility</creator></meta>',
+            '  <graph mode="static" defaultedgetype="' + (network.directed ? 'directed' : 'undirected') + '">',
+            '    <attributes class="node">'];
+        network.nodeAttributes.forEach(function(a, i) {
+            lines.push('      <attribute id="' + i + '" title="' + xmlEscape(a.title) + '" type="' + gexfType[a.type] + '"/>');
+        });
+        lines.push('    </attributes>', '    <attributes class="edge">');
+        network.edgeAttributes.forEach(function(a, i) {
+            lines.push('      <attribute id="' + i + '" title="' + xmlEscape(a.title) + '" type="' + gexfType[a.type] + '"/>');
+        });
+        lines.push('    </attributes>', '    <nodes>');
+        network.nodes.forEach(function(node) {
+            lines.push('      <node id="' + xmlEscape(node.id) + '" label="' + xmlEscape(node.label) + '">');
+            lines.push('        <attvalues>');
+            network.nodeAttributes.forEach(function(a, i) {
+                const v = node.values[a.key];
+                if (hasValue(v)) lines.push('          <attvalue for="' + i + '" value="' + xmlEscape(v) + '"/>');
+            });
+            lines.push('        </attvalues>');
+            // Longitude/latitude as layout position, so the network opens in map arrangement
+            if (hasValue(node.x) && hasValue(node.y)) {
+                lines.push('        <viz:position x="' + node.x + '" y="' + node.y + '" z="0"/>');
+            }
+            lines.push('      </node>');
+        });
+        lines.push('    </nodes>', '    <edges>');
+        network.edges.forEach(function(edge, i) {
+            const weight = hasValue(edge.weight) ? ' weight="' + edge.weight + '"' : '';
+            lines.push('      <edge id="' + i + '" source="' + xmlEscape(edge.source) + '" target="' + xmlEscape(edge.target) + '"' + weight + '>');
+            lines.push('        <attvalues>');
+            network.edgeAttributes.forEach(function(a, j) {
+                const v = edge.values[a.key];
+                if (hasValue(v)) lines.push('          <attvalue for="' + j + '" value="' + xmlEscape(v) + '"/>');
+            });
+            lines.push('        </attvalues>');
+            lines.push('      </edge>');
+        });
+        lines.push('    </edges>', '  </graph>', '</gexf>');
+        return lines.join('\n') + '\n';
     }
 
     global.IVReportUtils = {
@@ -204,6 +823,24 @@
         getDiameter: getDiameter,
         getAveragePathLength: getAveragePathLength,
         betweennessCentrality: betweennessCentrality,
-        closenessCentrality: closenessCentrality
+        closenessCentrality: closenessCentrality,
+        weightedDegree: weightedDegree,
+        buildDirectedAdjacency: buildDirectedAdjacency,
+        toUndirected: toUndirected,
+        dijkstra: dijkstra,
+        shortestPathMetrics: shortestPathMetrics,
+        weightedPathStats: weightedPathStats,
+        weightedBetweenness: weightedBetweenness,
+        weightedCloseness: weightedCloseness,
+        eigenvectorCentrality: eigenvectorCentrality,
+        katzCentrality: katzCentrality,
+        reciprocity: reciprocity,
+        modularity: modularity,
+        louvainCommunities: louvainCommunities,
+        kCoreDecomposition: kCoreDecomposition,
+        averageClustering: averageClustering,
+        nullModelComparison: nullModelComparison,
+        toGraphML: toGraphML,
+        toGEXF: toGEXF
     };
 })(typeof window !== 'undefined' ? window : this);
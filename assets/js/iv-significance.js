@@ -0,0 +1,416 @@
+// =================================================================
+// IV SIGNIFICANCE – Monte-Carlo test of intervisibility against random site placements
+// =================================================================
+// An intervisibility ratio only means something against what the terrain gives by chance.
+// The test places the same number of sites at random inside a study polygon (drawn with the
+// drawing tools or loaded from a GeoJSON file), optionally only where the elevation and slope
+// fall within the range of the real sites, and runs the matrix pipeline on each random set
+// (IV_computeVisiblePairs in intervisibility.js). Random site k takes the observer/target
+// heights of real site k. The real network's density, mean degree and clustering are then
+// placed within the random distributions as a percentile and empirical p-values. Links count
+// when either site sees the other, as for degree and clustering in the statistics panel.
+
+(function() {
+    'use strict';
+
+    const MERCATOR_RADIUS = 6378137;
+    const MAX_ATTEMPTS_PER_SITE = 2000;     // rejection sampling inside the polygon and constraints
+    const MAX_TERRAIN_TILE_RADIUS = 4;      // 9×9 tiles for the elevation/slope constraint
+    const METRICS = [
+        { key: 'density', label: 'Density', digits: 3 },
+        { key: 'meanDegree', label: 'Mean degree', digits: 2 },
+        { key: 'clustering', label: 'Clustering', digits: 3 }
+    ];
+    const DEFAULTS = {
+        iterations: 19,
+        elevationTolerance: 25,
+        slopeTolerance: 2
+    };
+
+    let filePolygons = null;    // GeoJSON polygon features loaded from file
+    let result = null;          // see run()
+    let running = false;
+    let stopRequested = false;
+
+    function readNumber(id, fallback) {
+        const v = parseFloat($(id).val());
+        return isNaN(v) ? fallback : v;
+    }
+
+    function readSettings() {
+        return {
+            iterations: Math.max(1, Math.round(readNumber('#ivs-iterations', DEFAULTS.iterations))),
+            polygonSource: $('#ivs-polygon-source').val() === 'file' ? 'file' : 'drawn',
+            matchElevation: $('#ivs-match-elevation').is(':checked'),
+            elevationTolerance: Math.max(0, readNumber('#ivs-elevation-tolerance', DEFAULTS.elevationTolerance)),
+            matchSlope: $('#ivs-match-slope').is(':checked'),
+            slopeTolerance: Math.max(0, readNumber('#ivs-slope-tolerance', DEFAULTS.slopeTolerance))
+        };
+    }
+
+    function setStatus(message, busy) {
+        $('#ivs-status').html(busy ? `<i class="fa fa-spinner fa-spin"></i> ${message}` : message);
+    }
+
+    // -----------------------------------------------------------------
+    // Study polygon
+    // -----------------------------------------------------------------
+
+    function polygonFeatures(geoJson) {
+        const features = geoJson.type === 'FeatureCollection' ? geoJson.features
+            : geoJson.type === 'Feature' ? [geoJson]
+            : [{ type: 'Feature', properties: {}, geometry: geoJson }];
+        return (features || []).filter(f => f && f.geometry && (f.geometry.type === 'Polygon' || f.geometry.type === 'MultiPolygon'));
+    }
+
+    function drawnPolygons() {
+        const app = window.DrawingToolsApp;
+        if (!app || !app.drawingManager || !app.drawingManager.drawnItems) return [];
+        const features = [];
+        app.drawingManager.drawnItems.eachLayer(function(layer) {
+            // Rectangles are polygons too; polylines are not
+            if (layer instanceof L.Polygon) features.push(layer.toGeoJSON());
+        });
+        return polygonFeatures({ type: 'FeatureCollection', features: features });
+    }
+
+    function loadPolygonFile(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                const features = polygonFeatures(JSON.parse(e.target.result));
+                if (features.length === 0) throw new Error('No Polygon or MultiPolygon features found.');
+                filePolygons = features;
+                $('#ivs-polygon-source').val('file');
+                setStatus(`Study area: ${features.length} polygon${features.length === 1 ? '' : 's'} from ${file.name}.`, false);
+            } catch (err) {
+                console.error('Study polygon could not be read:', err);
+                alert('Study polygon could not be read: ' + err.message);
+            }
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    }
+
+    function inStudyArea(polygons, lng, lat) {
+        const point = turf.point([lng, lat]);
+        return polygons.some(f => turf.booleanPointInPolygon(point, f));
+    }
+
+    // -----------------------------------------------------------------
+    // Terrain constraint
+    // -----------------------------------------------------------------
+
+    /**
+     * DEM patch covering the study area and the real sites, at the finest zoom that fits
+     * MAX_TERRAIN_TILE_RADIUS.
+     */
+    async function fetchTerrain(polygons, sites, mapInstance) {
+        const bbox = turf.bbox({ type: 'FeatureCollection', features: polygons });
+        const lats = [bbox[1], bbox[3]].concat(sites.map(s => s.lat));
+        const lngs = [bbox[0], bbox[2]].concat(sites.map(s => s.lng));
+        const south = Math.min(...lats), north = Math.max(...lats);
+        const west = Math.min(...lngs), east = Math.max(...lngs);
+        const centre = L.latLng((south + north) / 2, (west + east) / 2);
+        const reach = Math.max(mapInstance.distance(centre, [south, west]), mapInstance.distance(centre, [north, east]));
+        for (let zoom = 13; zoom >= 8; zoom--) {
+            const tileMetres = 2 * Math.PI * MERCATOR_RADIUS * Math.cos(centre.lat * Math.PI / 180) / Math.pow(2, zoom);
+            const radiusTiles = Math.max(1, Math.ceil(reach / tileMetres));
+            if (radiusTiles <= MAX_TERRAIN_TILE_RADIUS) {
+                return window.HC_fetchTerrainPatch(centre, zoom, radiusTiles, mapInstance, (done, total) => {
+                    setStatus(`Downloading terrain for the constraints ${done}/${total} tiles...`, true);
+                });
+            }
+        }
+        throw new Error('The study area is too large for the elevation/slope constraint.');
+    }
+
+    // Elevation (m) and slope (degrees) from the DEM patch, or null outside it or on no-data
+    function terrainAt(dem, lat, lng, mapInstance) {
+        const ll = L.latLng(lat, lng);
+        const h = window.HC_getInterpolatedHeight(dem, ll, mapInstance);
+        if (h === null || isNaN(h)) return null;
+        const pt = mapInstance.project(ll, dem.zoom);
+        const x = Math.round(pt.x - dem.originPoint.x);
+        const y = Math.round(pt.y - dem.originPoint.y);
+        if (x < 1 || y < 1 || x >= dem.width - 1 || y >= dem.width - 1) return null;
+        const w = dem.width;
+        const pixel = 2 * Math.PI * MERCATOR_RADIUS * Math.cos(lat * Math.PI / 180) / Math.pow(2, dem.zoom + 8);
+        const dzdx = (dem.data[y * w + x + 1] - dem.data[y * w + x - 1]) / (2 * pixel);
+        const dzdy = (dem.data[(y + 1) * w + x] - dem.data[(y - 1) * w + x]) / (2 * pixel);
+        const slope = Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy)) * 180 / Math.PI;
+        if (isNaN(slope)) return null; // a neighbouring pixel is no-data
+        return { elevation: h, slope: slope };
+    }
+
+    // Accepted elevation/slope ranges: the real sites' range widened by the tolerances
+    function terrainRanges(dem, sites, settings, mapInstance) {
+        const values = sites.map(s => terrainAt(dem, s.lat, s.lng, mapInstance)).filter(Boolean);
+        if (values.length === 0) throw new Error('The real sites lie outside the terrain patch or on no-data.');
+        const range = (key, tolerance) => ({
+            min: Math.min(...values.map(v => v[key])) - tolerance,
+            max: Math.max(...values.map(v => v[key])) + tolerance
+        });
+        return {
+            elevation: settings.matchElevation ? range('elevation', settings.elevationTolerance) : null,
+            slope: settings.matchSlope ? range('slope', settings.slopeTolerance) : null
+        };
+    }
+
+    // -----------------------------------------------------------------
+    // Random sets and metrics
+    // -----------------------------------------------------------------
+
+    function randomSites(polygons, realSites, terrain, mapInstance) {
+        const bbox = turf.bbox({ type: 'FeatureCollection', features: polygons });
+        const sites = [];
+        let attempts = 0;
+        while (sites.length < realSites.length) {
+            if (++attempts > MAX_ATTEMPTS_PER_SITE * realSites.length) {
+                throw new Error('Could not place enough random sites; the polygon may be too small or the constraints too tight.');
+            }
+            const lng = bbox[0] + Math.random() * (bbox[2] - bbox[0]);
+            const lat = bbox[1] + Math.random() * (bbox[3] - bbox[1]);
+            if (!inStudyArea(polygons, lng, lat)) continue;
+            if (terrain) {
+                const t = terrainAt(terrain.dem, lat, lng, mapInstance);
+                if (!t) continue;
+                const r = terrain.ranges;
+                if (r.elevation && (t.elevation < r.elevation.min || t.elevation > r.elevation.max)) continue;
+                if (r.slope && (t.slope < r.slope.min || t.slope > r.slope.max)) continue;
+            }
+            const real = realSites[sites.length];
+            sites.push({
+                lat: lat,
+                lng: lng,
+                name: `Random ${sites.length + 1}`,
+                observerHeight: real.observerHeight,
+                targetHeight: real.targetHeight
+            });
+        }
+        return sites;
+    }
+
+    function networkMetrics(n, pairs) {
+        const adj = window.IVReportUtils.buildAdjacencyFromVisiblePairs(n, pairs);
+        let links = 0;
+        Object.keys(adj).forEach(u => { links += Object.keys(adj[u]).length; });
+        links /= 2;
+        return {
+            density: n > 1 ? links / (n * (n - 1) / 2) : 0,
+            meanDegree: n > 0 ? 2 * links / n : 0,
+            clustering: window.IVReportUtils.averageClustering(adj)
+        };
+    }
+
+    /**
+     * Percentile of the observed value among the random ones (ties count half) and empirical
+     * p-values, (r + 1) / (N + 1), for the real network being higher or lower than chance.
+     */
+    function compare(observed, values) {
+        const n = values.length;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        const sd = Math.sqrt(values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / Math.max(1, n - 1));
+        const below = values.filter(v => v < observed - 1e-12).length;
+        const ties = values.filter(v => Math.abs(v - observed) <= 1e-12).length;
+        return {
+            observed: observed,
+            mean: mean,
+            sd: sd,
+            percentile: (below + ties / 2) * 100 / n,
+            pHigher: (n - below + 1) / (n + 1),
+            pLower: (below + ties + 1) / (n + 1)
+        };
+    }
+
+    function summarise() {
+        result.comparisons = {};
+        if (result.samples.density.length === 0) return;
+        METRICS.forEach(m => {
+            result.comparisons[m.key] = compare(result.observed[m.key], result.samples[m.key]);
+        });
+    }
+
+    async function run() {
+        if (running) return;
+        if (typeof window.IV_computeVisiblePairs !== 'function' || !window.IVReportUtils || typeof turf === 'undefined') {
+            alert('Intervisibility, network utilities or Turf not loaded.');
+            return;
+        }
+        const mapInstance = window.map;
+        const real = window.getIVResultForReport ? window.getIVResultForReport() : null;
+        if (!mapInstance || !real) {
+            alert('Please create an intervisibility matrix first; the test compares it with random site sets.');
+            return;
+        }
+        const settings = readSettings();
+        const polygons = settings.polygonSource === 'file' ? (filePolygons || []) : drawnPolygons();
+        if (polygons.length === 0) {
+            alert(settings.polygonSource === 'file'
+                ? 'Please load a study polygon GeoJSON file first.'
+                : 'Please draw the study area as a polygon or rectangle with the drawing tools first.');
+            return;
+        }
+        const realSites = real.markers.map(m => ({ lat: m.lat, lng: m.lng, observerHeight: m.observerHeight, targetHeight: m.targetHeight }));
+        const outside = realSites.filter(s => !inStudyArea(polygons, s.lng, s.lat)).length;
+
+        running = true;
+        stopRequested = false;
+        $('#ivs-btn-run').prop('disabled', true);
+        $('#ivs-btn-stop').show();
+        result = {
+            runAt: new Date().toISOString(),
+            siteCount: realSites.length,
+            iterations: settings.iterations,
+            settings: settings,
+            polygonSource: settings.polygonSource,
+            sitesOutside: outside,
+            ranges: null,
+            observed: networkMetrics(real.totalSites, real.visiblePairsIndex),
+            samples: { density: [], meanDegree: [], clustering: [] },
+            comparisons: {}
+        };
+        try {
+            let terrain = null;
+            if (settings.matchElevation || settings.matchSlope) {
+                const dem = await fetchTerrain(polygons, realSites, mapInstance);
+                terrain = { dem: dem, ranges: terrainRanges(dem, realSites, settings, mapInstance) };
+                result.ranges = terrain.ranges;
+            }
+            for (let k = 0; k < settings.iterations; k++) {
+                if (stopRequested) break;
+                setStatus(`Random set ${k + 1}/${settings.iterations}: placing sites...`, true);
+                const sites = randomSites(polygons, realSites, terrain, mapInstance);
+                setStatus(`Random set ${k + 1}/${settings.iterations}: computing intervisibility (progress in the status above)...`, true);
+                const pairs = await window.IV_computeVisiblePairs(sites);
+                if (!pairs) break;
+                const metrics = networkMetrics(sites.length, pairs);
+                METRICS.forEach(m => result.samples[m.key].push(metrics[m.key]));
+                summarise();
+                renderSummary();
+            }
+            const done = result.samples.density.length;
+            let message = stopRequested || done < settings.iterations
+                ? `Stopped after ${done}/${settings.iterations} random sets.`
+                : `${done} random sets of ${realSites.length} sites.`;
+            if (outside) message += ` Note: ${outside} real site${outside === 1 ? '' : 's'} lie outside the study polygon.`;
+            setStatus(message, false);
+        } catch (err) {
+            console.error('Significance test failed:', err);
+            setStatus('', false);
+            if (window.displayMessage) {
+                window.displayMessage('overallStatus', 'Significance test failed: ' + err.message, 'error');
+            } else {
+                alert('Significance test failed: ' + err.message);
+            }
+        } finally {
+            running = false;
+            $('#ivs-btn-run').prop('disabled', false);
+            $('#ivs-btn-stop').hide();
+            summarise();
+            renderSummary();
+        }
+    }
+
+    function stop() {
+        stopRequested = true;
+        if (typeof window.cancelIntervisibilityCalculation === 'function') window.cancelIntervisibilityCalculation();
+    }
+
+    // -----------------------------------------------------------------
+    // Display and report
+    // -----------------------------------------------------------------
+
+    function fmt(v, digits) {
+        return (v === null || v === undefined || isNaN(v)) ? '–' : v.toFixed(digits);
+    }
+
+    function renderSummary() {
+        const el = $('#ivs-summary');
+        if (!result || !result.comparisons.density) {
+            el.empty();
+            return;
+        }
+        let html = '<table class="table table-condensed" style="font-size:11px;margin:5px 0 0 0;"><tr><th>Metric</th><th>Real</th><th>Random</th><th>Pctl</th><th>p</th></tr>';
+        METRICS.forEach(m => {
+            const c = result.comparisons[m.key];
+            html += `<tr><td>${m.label}</td><td>${fmt(c.observed, m.digits)}</td><td>${fmt(c.mean, m.digits)}</td>` +
+                `<td>${c.percentile.toFixed(0)}</td><td>${c.pHigher.toFixed(3)}</td></tr>`;
+        });
+        el.html(html + '</table><div class="text-muted">p: share of random sets at least as high as the real network.</div>');
+    }
+
+    // Inline SVG histogram of the random values with the observed value marked in red
+    function histogramSvg(values, observed, label, digits) {
+        const width = 280, height = 150, left = 30, bottom = 30, top = 20;
+        const lo = Math.min(observed, ...values);
+        const hi = Math.max(observed, ...values);
+        const bins = Math.max(1, Math.min(12, new Set(values).size));
+        const span = hi - lo || 1;
+        const counts = new Array(bins).fill(0);
+        values.forEach(v => { counts[Math.min(bins - 1, Math.floor((v - lo) / span * bins))]++; });
+        const maxCount = Math.max(...counts, 1);
+        const plotW = width - left - 10, plotH = height - bottom - top;
+        const x = v => left + (v - lo) / span * plotW;
+        let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" style="font:11px sans-serif;">` +
+            `<text x="${left}" y="13" font-weight="bold">${label}</text>`;
+        counts.forEach((c, i) => {
+            const h = c / maxCount * plotH;
+            svg += `<rect x="${(left + i * plotW / bins + 1).toFixed(1)}" y="${(top + plotH - h).toFixed(1)}" width="${(plotW / bins - 2).toFixed(1)}" height="${h.toFixed(1)}" fill="#9bb7d4"/>`;
+        });
+        const ox = x(observed).toFixed(1);
+        svg += `<line x1="${left}" y1="${top + plotH}" x2="${left + plotW}" y2="${top + plotH}" stroke="#333"/>` +
+            `<line x1="${ox}" y1="${top - 4}" x2="${ox}" y2="${top + plotH}" stroke="#c0392b" stroke-width="2"/>` +
+            `<text x="${left}" y="${height - 12}">${lo.toFixed(digits)}</text>` +
+            `<text x="${left + plotW}" y="${height - 12}" text-anchor="end">${hi.toFixed(digits)}</text>` +
+            `<text x="${left - 4}" y="${top + 8}" text-anchor="end">${maxCount}</text>` +
+            `<text x="${left + plotW / 2}" y="${height - 1}" text-anchor="middle" fill="#c0392b">real ${observed.toFixed(digits)}</text>` +
+            '</svg>';
+        return svg;
+    }
+
+    /**
+     * Report section for generateIVReport (intervisibility.js), or '' when there is no result for
+     * the current number of sites.
+     */
+    function reportHtml(siteCount) {
+        if (!result || !result.comparisons.density || result.siteCount !== siteCount) return '';
+        const s = result.settings;
+        const constraints = [];
+        if (result.ranges && result.ranges.elevation) {
+            constraints.push(`elevation ${result.ranges.elevation.min.toFixed(0)}–${result.ranges.elevation.max.toFixed(0)} m`);
+        }
+        if (result.ranges && result.ranges.slope) {
+            constraints.push(`slope ${Math.max(0, result.ranges.slope.min).toFixed(1)}–${result.ranges.slope.max.toFixed(1)}°`);
+        }
+        const rows = METRICS.map(m => {
+            const c = result.comparisons[m.key];
+            return '<tr><td>' + m.label + '</td><td>' + fmt(c.observed, m.digits) + '</td><td>' + fmt(c.mean, m.digits) + ' ± ' + fmt(c.sd, m.digits) +
+                '</td><td>' + c.percentile.toFixed(1) + '</td><td>' + c.pHigher.toFixed(3) + '</td><td>' + c.pLower.toFixed(3) + '</td></tr>';
+        }).join('');
+        const charts = METRICS.map(m => histogramSvg(result.samples[m.key], result.observed[m.key], m.label, m.digits)).join(' ');
+        return '<h2>Significance against random placements</h2>' +
+            '<p class="meta">' + result.samples.density.length + ' random sets of ' + result.siteCount + ' sites inside the ' +
+            (result.polygonSource === 'file' ? 'loaded' : 'drawn') + ' study polygon' +
+            (constraints.length ? ', limited to ' + constraints.join(' and ') : '') + ', computed with the same pipeline and site heights' +
+            (result.sitesOutside ? '; ' + result.sitesOutside + ' real sites lie outside the polygon' : '') +
+            '. Percentile: share of random sets below the real network. p (higher): share at least as high, (r + 1) / (N + 1); p (lower) likewise.</p>' +
+            '<table><thead><tr><th>Metric</th><th>Real</th><th>Random mean ± sd</th><th>Percentile</th><th>p (higher)</th><th>p (lower)</th></tr></thead><tbody>' +
+            rows + '</tbody></table>' +
+            '<div style="margin-top:12px;">' + charts + '</div>';
+    }
+
+    window.IV_runSignificanceTest = run;
+    window.IV_stopSignificanceTest = stop;
+    window.IV_loadSignificancePolygon = loadPolygonFile;
+    window.IV_getSignificanceResult = function() { return result; };
+    window.IV_significanceReportHtml = reportHtml;
+
+    $(document).ready(function() {
+        $('#ivs-btn-polygon-file').on('click', function() {
+            $('#ivs-polygon-file').click();
+        });
+    });
+})();
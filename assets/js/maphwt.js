@@ -636,6 +636,9 @@ function clearLines() {
    if (southaziline) {
       map.removeLayer(southaziline);
    }
+   if (window.HC_clearStellarAzimuthLines) {
+      window.HC_clearStellarAzimuthLines();
+   }
 
 }
 
@@ -936,6 +939,11 @@ function calculate() {
          dashArray: "5 5",
       }).addTo(map);
 
+   // Rise/set lines of the selected stars (stellar-rise-set.js)
+   if (window.HC_drawStellarAzimuthLines) {
+      window.HC_drawStellarAzimuthLines(lat, lng);
+   }
+
 }
 
 /*----------------------------------------------------------------*/
@@ -1174,6 +1182,16 @@ function setModalMaxHeight(element) {
              });
          });
      
+         $(function(){
+          $('#lobipanel-multiple23').find('.panel').lobiPanel({
+                 state: 'collapsed',
+         sortable: true,
+         reload: false,
+         close: false,
+         editTitle: false
+             });
+         });
+     
          $(function(){
           $('#lobipanel-multiple19').find('.panel').lobiPanel({
                  state: 'open',
@@ -172,14 +172,7 @@ function compute() {
    T = (jd - 2451545) / 36525
    //epoch 1900.5    
    tt = (agea - 1900) / 100
-   //1000 Julian years form J2000.0
-   Tbret = (agea - 2000) / 1000
-   //using Bretagnon page 6
-   obliquity = (23.4392911 - 0.130025833 * Tbret - 0.00000430556 * Math.pow(
-         Tbret, 2) + 0.000555347 * Math.pow(Tbret, 3) - 0.00000142722 * Math
-      .pow(Tbret, 4) - 0.000000693528 * Math.pow(Tbret, 5) -
-      0.0000000108472 * Math.pow(Tbret, 6) + 0.000000000197778 * Math.pow(
-         Tbret, 7)) / 180 * Math.PI
+   obliquity = eclipticObliquity(agea)
    //using Expl. Suppl, page 98
    eccentricityvalue = 0.01675104 - 0.0000418 * tt - 0.000000126 * tt * tt
    periheliondaynumber = (197.26 + (agea - 2000) * 0.017808333)
@@ -1094,23 +1087,48 @@ function compute() {
       };
    }
 
+   // Lunar standstills of the nodal cycle around the epoch (ephemeris.js, Meeus ch. 47):
+   // extreme declinations north and south, with the Moon's parallax and semidiameter
+   // at each extreme, instead of obliquity +/- (5.145396 + 0.145) and fixed parallaxes.
+   // Without ephemeris.js the mean orbit is used, as in horizon.js HC_setDeclinationValues
+   const standstills = window.Ephemeris
+      ? window.Ephemeris.lunarStandstills(Math.round(agea))
+      : meanLunarStandstills(agea)
+   window.lunarStandstills = standstills
+   const parallaxInAltitude = limit => window.Ephemeris
+      ? window.Ephemeris.topocentricParallax(limit.parallax, lata * 180 / Math.PI, calcalt_base * 180 / Math.PI)
+      : limit.parallax * Math.cos(calcalt_base)
+   // altitude of the Moon's centre for a limb state at the horizon, with the
+   // topocentric parallax of that standstill
+   const lunarAltitude = (limit, limb) => calcalt_base +
+      parallaxInAltitude(limit) / 180 * Math.PI +
+      limb * limit.semidiameter / 180 * Math.PI
+
    // Calculate all three states for major lunar (with parallax if soad == 1)
+   // North uses calcalta*, south calcaltaS*: the two standstills differ in distance
    let calcalta_UL, calcalta_Center, calcalta_LL;
+   let calcaltaS, calcaltaS_UL, calcaltaS_Center, calcaltaS_LL;
+   let hoek4s = -hoek4;
    if (soad == 1) {
-      // parallax values comes from http://stjarnhimlen.se/comp/ppcomp.html#13
-      // 0.145 (max) is perturbation coming from North, page 567
-      // 5.1454 is coming from http://stjarnhimlen.se/comp/ppcomp.html#4
-      hoek4 = hoek4 + (5.145396 + 0.145) / 180 * Math.PI
-      const parallaxAdj = 1.004 / 180 * Math.PI * (Math.cos(calcalt_base) - Math.sin(calcalt_base * 2) * 0.008258773);
-      calcalta = calcalt_base + parallaxAdj + diska * semidiameter_rad;  // Checkbox-selected state
-      calcalta_UL = calcalt_base + parallaxAdj + 1 * semidiameter_rad;
-      calcalta_Center = calcalt_base + parallaxAdj + 0 * semidiameter_rad;
-      calcalta_LL = calcalt_base + parallaxAdj + (-1) * semidiameter_rad;
+      hoek4 = standstills.major.north.dec / 180 * Math.PI
+      hoek4s = standstills.major.south.dec / 180 * Math.PI
+      calcalta = lunarAltitude(standstills.major.north, diska);  // Checkbox-selected state
+      calcalta_UL = lunarAltitude(standstills.major.north, 1);
+      calcalta_Center = lunarAltitude(standstills.major.north, 0);
+      calcalta_LL = lunarAltitude(standstills.major.north, -1);
+      calcaltaS = lunarAltitude(standstills.major.south, diska);
+      calcaltaS_UL = lunarAltitude(standstills.major.south, 1);
+      calcaltaS_Center = lunarAltitude(standstills.major.south, 0);
+      calcaltaS_LL = lunarAltitude(standstills.major.south, -1);
    } else {
       calcalta = calcalt_base + diska * semidiameter_rad;
       calcalta_UL = calcalt_UL;
       calcalta_Center = calcalt_Center;
       calcalta_LL = calcalt_LL;
+      calcaltaS = calcalta;
+      calcaltaS_UL = calcalta_UL;
+      calcaltaS_Center = calcalta_Center;
+      calcaltaS_LL = calcalta_LL;
    }
 
    sooud = soad
@@ -1137,16 +1155,16 @@ function compute() {
    };
    const majorStatesWin = {
       UL: {
-         rise: calcMajorLunarAzimuth(-hoek4, calcalta_UL),
-         set: 360 - calcMajorLunarAzimuth(-hoek4, calcalta_UL)
+         rise: calcMajorLunarAzimuth(hoek4s, calcaltaS_UL),
+         set: 360 - calcMajorLunarAzimuth(hoek4s, calcaltaS_UL)
       },
       Center: {
-         rise: calcMajorLunarAzimuth(-hoek4, calcalta_Center),
-         set: 360 - calcMajorLunarAzimuth(-hoek4, calcalta_Center)
+         rise: calcMajorLunarAzimuth(hoek4s, calcaltaS_Center),
+         set: 360 - calcMajorLunarAzimuth(hoek4s, calcaltaS_Center)
       },
       LL: {
-         rise: calcMajorLunarAzimuth(-hoek4, calcalta_LL),
-         set: 360 - calcMajorLunarAzimuth(-hoek4, calcalta_LL)
+         rise: calcMajorLunarAzimuth(hoek4s, calcaltaS_LL),
+         set: 360 - calcMajorLunarAzimuth(hoek4s, calcaltaS_LL)
       }
    };
    
@@ -1171,7 +1189,7 @@ function compute() {
    // Set window variables for checkbox-selected state (for View Azimuths and orthodromes)
    window.majorazisumrise = majorazisumrise;
    window.majorazisumset = majorazisumset;
-   azimuthd = calcMajorLunarAzimuth(-hoek4, calcalta);
+   azimuthd = calcMajorLunarAzimuth(hoek4s, calcaltaS);
    majoraziwinrise = Math.round(azimuthd * 100) / 100
    majoraziwinset = Math.round((360 - azimuthd) * 100) / 100
    
@@ -1351,30 +1369,31 @@ function compute() {
    }
 
    // Calculate all three states for minor lunar (with parallax if soae == 1)
+   // Parallax is taken from the minor standstill itself; it used to be added on top of
+   // the major lunar altitudes, counting the parallax twice
    let calcaltb_UL, calcaltb_Center, calcaltb_LL;
+   let calcaltbS, calcaltbS_UL, calcaltbS_Center, calcaltbS_LL;
+   let hoek5s = -hoek5;
    if (soae == 1) {
-      // parallax values coming from http://stjarnhimlen.se/comp/ppcomp.html#13
-      // 0.145 (min) is perturbation coming from North, page 567
-      // 5.1454 is coming from http://stjarnhimlen.se/comp/ppcomp.html#4
-      hoek5 = hoek5 - (5.145396 + 0.145) / 180 * Math.PI
-      // CRITICAL: Use the already-calculated calcalta values (which include major lunar parallax if soad == 1)
-      // The original code used calcalta directly, so we must use the corresponding calcalta_UL, calcalta_Center, calcalta_LL
-      // Calculate minor lunar parallax adjustment for each state using the corresponding calcalta value
-      const parallaxAdjMinor_UL = 0.900 / 180 * Math.PI * (Math.cos(calcalta_UL) - Math.sin(calcalta_UL * 2) * 0.008258773);
-      const parallaxAdjMinor_Center = 0.900 / 180 * Math.PI * (Math.cos(calcalta_Center) - Math.sin(calcalta_Center * 2) * 0.008258773);
-      const parallaxAdjMinor_LL = 0.900 / 180 * Math.PI * (Math.cos(calcalta_LL) - Math.sin(calcalta_LL * 2) * 0.008258773);
-      
-      // For checkbox-selected state, use calcalta (which already has diska adjustment)
-      const parallaxAdjMinor = 0.900 / 180 * Math.PI * (Math.cos(calcalta) - Math.sin(calcalta * 2) * 0.008258773);
-      calcaltb = calcalta + parallaxAdjMinor;  // Checkbox-selected state
-      calcaltb_UL = calcalta_UL + parallaxAdjMinor_UL;
-      calcaltb_Center = calcalta_Center + parallaxAdjMinor_Center;
-      calcaltb_LL = calcalta_LL + parallaxAdjMinor_LL;
+      hoek5 = standstills.minor.north.dec / 180 * Math.PI
+      hoek5s = standstills.minor.south.dec / 180 * Math.PI
+      calcaltb = lunarAltitude(standstills.minor.north, diska);  // Checkbox-selected state
+      calcaltb_UL = lunarAltitude(standstills.minor.north, 1);
+      calcaltb_Center = lunarAltitude(standstills.minor.north, 0);
+      calcaltb_LL = lunarAltitude(standstills.minor.north, -1);
+      calcaltbS = lunarAltitude(standstills.minor.south, diska);
+      calcaltbS_UL = lunarAltitude(standstills.minor.south, 1);
+      calcaltbS_Center = lunarAltitude(standstills.minor.south, 0);
+      calcaltbS_LL = lunarAltitude(standstills.minor.south, -1);
    } else {
       calcaltb = calcalt_base + diska * semidiameter_rad;
       calcaltb_UL = calcalt_UL;
       calcaltb_Center = calcalt_Center;
       calcaltb_LL = calcalt_LL;
+      calcaltbS = calcaltb;
+      calcaltbS_UL = calcaltb_UL;
+      calcaltbS_Center = calcaltb_Center;
+      calcaltbS_LL = calcaltb_LL;
    }
    //alert(soa)
    sooud = soae
@@ -1401,16 +1420,16 @@ function compute() {
    };
    const minorStatesWin = {
       UL: {
-         rise: calcMinorLunarAzimuth(-hoek5, calcaltb_UL),
-         set: 360 - calcMinorLunarAzimuth(-hoek5, calcaltb_UL)
+         rise: calcMinorLunarAzimuth(hoek5s, calcaltbS_UL),
+         set: 360 - calcMinorLunarAzimuth(hoek5s, calcaltbS_UL)
       },
       Center: {
-         rise: calcMinorLunarAzimuth(-hoek5, calcaltb_Center),
-         set: 360 - calcMinorLunarAzimuth(-hoek5, calcaltb_Center)
+         rise: calcMinorLunarAzimuth(hoek5s, calcaltbS_Center),
+         set: 360 - calcMinorLunarAzimuth(hoek5s, calcaltbS_Center)
       },
       LL: {
-         rise: calcMinorLunarAzimuth(-hoek5, calcaltb_LL),
-         set: 360 - calcMinorLunarAzimuth(-hoek5, calcaltb_LL)
+         rise: calcMinorLunarAzimuth(hoek5s, calcaltbS_LL),
+         set: 360 - calcMinorLunarAzimuth(hoek5s, calcaltbS_LL)
       }
    };
    
@@ -1432,7 +1451,7 @@ function compute() {
    azimuthe = calcMinorLunarAzimuth(hoek5, calcaltb);
    minorazisumrise = Math.round(azimuthe * 100) / 100
    minorazisumset = Math.round((360 - azimuthe) * 100) / 100
-   azimuthe = calcMinorLunarAzimuth(-hoek5, calcaltb);
+   azimuthe = calcMinorLunarAzimuth(hoek5s, calcaltbS);
    minoraziwinrise = Math.round(azimuthe * 100) / 100
    minoraziwinset = Math.round((360 - azimuthe) * 100) / 100
    
@@ -1611,10 +1630,10 @@ function compute() {
     window.declinationEquinox = hoek2 * 180 / Math.PI; // hoek2 is 0 if equinox is active
     window.declinationCrossQuarterNorth = hoek3 * 180 / Math.PI; // hoek3 is 0.69 * obliquity if active
     window.declinationCrossQuarterSouth = -hoek3 * 180 / Math.PI;
-    window.declinationMajorLunarNorth = hoek4 * 180 / Math.PI; // hoek4 includes lunar perturbation
-    window.declinationMajorLunarSouth = -hoek4 * 180 / Math.PI;
-    window.declinationMinorLunarNorth = hoek5 * 180 / Math.PI; // hoek5 includes lunar perturbation
-    window.declinationMinorLunarSouth = -hoek5 * 180 / Math.PI;
+    window.declinationMajorLunarNorth = hoek4 * 180 / Math.PI; // standstill limits from ephemeris.js
+    window.declinationMajorLunarSouth = hoek4s * 180 / Math.PI;
+    window.declinationMinorLunarNorth = hoek5 * 180 / Math.PI;
+    window.declinationMinorLunarSouth = hoek5s * 180 / Math.PI;
 
     // Output declination values to console for verification
     console.log("--- Script A Declination Values for Script C ---");
@@ -1641,10 +1660,10 @@ function compute() {
     window.declinationEquinox_geo = hoek2 * 180 / Math.PI; // hoek2 is 0 if equinox is active
     window.declinationCrossQuarterNorth_geo = hoek3 * 180 / Math.PI; // hoek3 is 0.69 * obliquity if active
     window.declinationCrossQuarterSouth_geo = -hoek3 * 180 / Math.PI;
-    window.declinationMajorLunarNorth_geo = hoek4 * 180 / Math.PI; // hoek4 includes lunar perturbation
-    window.declinationMajorLunarSouth_geo = -hoek4 * 180 / Math.PI;
-    window.declinationMinorLunarNorth_geo = hoek5 * 180 / Math.PI; // hoek5 includes lunar perturbation
-    window.declinationMinorLunarSouth_geo = -hoek5 * 180 / Math.PI;
+    window.declinationMajorLunarNorth_geo = hoek4 * 180 / Math.PI; // standstill limits from ephemeris.js
+    window.declinationMajorLunarSouth_geo = hoek4s * 180 / Math.PI;
+    window.declinationMinorLunarNorth_geo = hoek5 * 180 / Math.PI;
+    window.declinationMinorLunarSouth_geo = hoek5s * 180 / Math.PI;
     
     // Output geometric declination values for verification
     console.log("--- Geometric Declination Values (for hwtip.js) ---");
@@ -1724,21 +1743,21 @@ function compute() {
         window.crossquarteraziwinrise_geo = Math.round(azimuth_geo * 100) / 100;
         window.crossquarteraziwinset_geo = Math.round((360 - azimuth_geo) * 100) / 100;
         
-        // Major Lunar (hoek4 includes lunar perturbation)
+        // Major Lunar (hoek4 north, hoek4s south standstill)
         const majorLunarDecl = hoek4; // Already set in compute()
         azimuth_geo = calcGeometricAz(majorLunarDecl);
         window.majorazisumrise_geo = Math.round(azimuth_geo * 100) / 100;
         window.majorazisumset_geo = Math.round((360 - azimuth_geo) * 100) / 100;
-        azimuth_geo = calcGeometricAz(-majorLunarDecl);
+        azimuth_geo = calcGeometricAz(hoek4s);
         window.majoraziwinrise_geo = Math.round(azimuth_geo * 100) / 100;
         window.majoraziwinset_geo = Math.round((360 - azimuth_geo) * 100) / 100;
         
-        // Minor Lunar (hoek5 includes lunar perturbation)
+        // Minor Lunar (hoek5 north, hoek5s south standstill)
         const minorLunarDecl = hoek5; // Already set in compute()
         azimuth_geo = calcGeometricAz(minorLunarDecl);
         window.minorazisumrise_geo = Math.round(azimuth_geo * 100) / 100;
         window.minorazisumset_geo = Math.round((360 - azimuth_geo) * 100) / 100;
-        azimuth_geo = calcGeometricAz(-minorLunarDecl);
+        azimuth_geo = calcGeometricAz(hoek5s);
         window.minoraziwinrise_geo = Math.round(azimuth_geo * 100) / 100;
         window.minoraziwinset_geo = Math.round((360 - azimuth_geo) * 100) / 100;
         
@@ -1761,6 +1780,169 @@ function compute() {
 
 }
 
+// =================================================================
+// Declination calculator (inverse of compute): azimuth + apparent
+// horizon altitude -> declination with error, matched against the
+// solar/lunar targets for the epoch in the "age" field.
+// Uses the old azi/errorazi/decl/errordecl globals for its results.
+// =================================================================
+function computeDeclination() {
+   const readValue = (id, fallback) => {
+      const v = parseFloat($('#' + id).val())
+      return isNaN(v) ? fallback : v
+   }
+   const rad = Math.PI / 180
+
+   azi = readValue('decl-azi', azi)
+   errorazi = Math.abs(readValue('decl-errorazi', errorazi))
+   const appAlt = readValue('decl-alt', 0)
+   errorappalt = Math.abs(readValue('decl-erroralt', errorappalt))
+   const objectType = $('#decl-object').val() || 'sun'
+   const limb = $('#decl-limb').val() || 'Center'
+   const year = readValue('age', 2000)
+   const latDeg = parseFloat($('#latbox').val())
+   const errorLatDeg = Math.abs(readValue('errorlat', 0))
+   if (isNaN(latDeg)) {
+      alert("ERROR: LATITUDE must be a valid number")
+      return null
+   }
+   if (appAlt < -2 || appAlt > 30) {
+      alert("ERROR: APPARENT ALTITUDE should be higher than -2° and smaller than 30°")
+      return null
+   }
+
+   // Refraction from the shared model and sidebar T/P (refraction.js); the observer
+   // height of the last horizon probe is used for the sea-level pressure reduction
+   const observerHeight = (window.HC_cachedParams && window.HC_cachedParams.height) || 0
+   const conditions = window.Refraction.readConditions(observerHeight)
+   const trueAlt = window.Refraction.geometric(appAlt, conditions)
+   // the altitude error shrinks/grows with the slope of the refraction curve
+   const refractionSlope = (window.Refraction.geometric(appAlt + 0.01, conditions) -
+      window.Refraction.geometric(appAlt - 0.01, conditions)) / 0.02
+   erroralt = errorappalt * refractionSlope
+
+   // Limb on the horizon -> altitude of the disk centre (16' semidiameter as in compute)
+   const semidiameter = objectType === 'star' ? 0 : 16 / 60
+   let centreAlt = trueAlt
+   if (limb === 'UL') centreAlt = trueAlt - semidiameter
+   if (limb === 'LL') centreAlt = trueAlt + semidiameter
+
+   // Parallax (same average values as compute)
+   const h = centreAlt * rad
+   let parallax = 0
+   if (objectType === 'moon') {
+      parallax = 0.952 * (Math.cos(h) - Math.sin(h * 2) * 0.008258773)
+   }
+   if (objectType === 'sun') {
+      parallax = 0.00224 * Math.cos(h)
+   }
+   const geoAlt = (centreAlt + parallax) * rad
+
+   const latRad = latDeg * rad
+   const aziRad = azi * rad
+   const declRad = Math.asin(Math.sin(latRad) * Math.sin(geoAlt) + Math.cos(latRad) *
+      Math.cos(geoAlt) * Math.cos(aziRad))
+   decl = declRad / rad
+
+   // Propagate azimuth, altitude and latitude errors (partial derivatives of the formula above)
+   const dAzi = errorazi * Math.cos(latRad) * Math.cos(geoAlt) * Math.sin(aziRad) / Math.cos(declRad)
+   const dAlt = erroralt * (Math.sin(latRad) * Math.cos(geoAlt) - Math.cos(latRad) *
+      Math.sin(geoAlt) * Math.cos(aziRad)) / Math.cos(declRad)
+   const dLat = errorLatDeg * (Math.cos(latRad) * Math.sin(geoAlt) - Math.sin(latRad) *
+      Math.cos(geoAlt) * Math.cos(aziRad)) / Math.cos(declRad)
+   errordecl = Math.sqrt(dAzi * dAzi + dAlt * dAlt + dLat * dLat)
+
+   // Targets for the epoch (lunar standstills from ephemeris.js as in compute)
+   const eps = eclipticObliquity(year) / rad
+   const standstills = window.Ephemeris
+      ? window.Ephemeris.lunarStandstills(Math.round(year < 1 ? year + 1 : year))
+      : meanLunarStandstills(year < 1 ? year + 1 : year)
+   const solarTargets = [
+      { name: 'Summer solstice', decl: eps },
+      { name: 'Northern cross-quarter', decl: 0.69 * eps },
+      { name: 'Equinox', decl: 0 },
+      { name: 'Southern cross-quarter', decl: -0.69 * eps },
+      { name: 'Winter solstice', decl: -eps }
+   ]
+   const lunarTargets = [
+      { name: 'Northern major lunar standstill', decl: standstills.major.north.dec },
+      { name: 'Northern minor lunar standstill', decl: standstills.minor.north.dec },
+      { name: 'Southern minor lunar standstill', decl: standstills.minor.south.dec },
+      { name: 'Southern major lunar standstill', decl: standstills.major.south.dec }
+   ]
+   let targets = objectType === 'sun' ? solarTargets :
+      objectType === 'moon' ? lunarTargets : solarTargets.concat(lunarTargets)
+   targets = targets.map(t => ({
+      name: t.name,
+      decl: t.decl,
+      diff: decl - t.decl,
+      sigma: errordecl > 0 ? Math.abs(decl - t.decl) / errordecl : Infinity
+   })).sort((a, b) => Math.abs(a.diff) - Math.abs(b.diff))
+
+   const result = {
+      azimuth: azi,
+      apparentAltitude: appAlt,
+      trueAltitude: trueAlt,
+      refraction: appAlt - trueAlt,
+      parallax: parallax,
+      declination: decl,
+      error: errordecl,
+      year: year,
+      obliquity: eps,
+      targets: targets
+   }
+   window.declinationResult = result
+
+   let html = `<p><strong>Declination: ${decl.toFixed(2)}° ± ${errordecl.toFixed(2)}°</strong><br>` +
+      `<small>Refraction ${result.refraction.toFixed(3)}°, parallax ${parallax.toFixed(3)}°, ` +
+      `obliquity ${eps.toFixed(3)}° (year ${year})</small></p>` +
+      '<table class="table table-condensed" style="font-size:11px;"><thead><tr>' +
+      '<th>Target</th><th>δ</th><th>Δ</th><th>σ</th></tr></thead><tbody>'
+   targets.forEach((t, i) => {
+      const style = i === 0 ? ' style="font-weight:bold;"' : ''
+      html += `<tr${style}><td>${t.name}</td><td>${t.decl.toFixed(2)}°</td>` +
+         `<td>${t.diff >= 0 ? '+' : ''}${t.diff.toFixed(2)}°</td><td>${t.sigma.toFixed(1)}</td></tr>`
+   })
+   html += '</tbody></table>'
+   $('#decl-result').html(html)
+
+   return result
+}
+
+// Fill the declination calculator from a point on the horizon (e.g. a click on the horizon chart)
+function setDeclinationFromHorizon(azimuth, altitude) {
+   $('#decl-azi').val(azimuth.toFixed(2))
+   $('#decl-alt').val(altitude.toFixed(2))
+   return computeDeclination()
+}
+
+// Obliquity of the ecliptic (radians) for an astronomical year, using Bretagnon page 6
+function eclipticObliquity(year) {
+   // 1000 Julian years from J2000.0
+   var Tbret = (year - 2000) / 1000
+   return (23.4392911 - 0.130025833 * Tbret - 0.00000430556 * Math.pow(
+         Tbret, 2) + 0.000555347 * Math.pow(Tbret, 3) - 0.00000142722 * Math
+      .pow(Tbret, 4) - 0.000000693528 * Math.pow(Tbret, 5) -
+      0.0000000108472 * Math.pow(Tbret, 6) + 0.000000000197778 * Math.pow(
+         Tbret, 7)) / 180 * Math.PI
+}
+
+// Standstill limits of the mean lunar orbit (inclination 5.145396 + 0.145 perturbation,
+// mean horizontal parallax) in the shape of Ephemeris.lunarStandstills, for when
+// ephemeris.js is not loaded
+function meanLunarStandstills(year) {
+   var eps = eclipticObliquity(year) * 180 / Math.PI
+   var offset = 5.145396 + 0.145
+   var limit = function(dec) {
+      return { dec: dec, jd: null, distanceKm: 384400, parallax: 0.9507, semidiameter: 0.2590 }
+   }
+   return {
+      year: year,
+      major: { north: limit(eps + offset), south: limit(-(eps + offset)) },
+      minor: { north: limit(eps - offset), south: limit(-(eps - offset)) }
+   }
+}
+
 function perihelionday(angle, tweede) {
    maxerror = 0.000001
    richting = 1
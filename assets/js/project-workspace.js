@@ -0,0 +1,574 @@
+// =================================================================
+// PROJECT WORKSPACE – autosaved projects with named versions
+// =================================================================
+// A project is a snapshot of every module's state, kept in IndexedDB so it can be
+// reopened after the browser is closed. Each module contributes one part:
+//   settings        - Input Parameters pane (observer, date, refraction ...) and map view
+//   horizonProfile  - HC_buildHorizonProfileGeoJSON / HC_restoreHorizonProfile
+//   riseSet         - HC_buildRiseSetGeoJSON / HC_restoreRiseSetGeoJSON
+//   profileOverlays - HC_getProfileOverlays / HC_setProfileOverlays
+//   drawings        - DrawingToolsApp.serializeDrawings / restoreDrawings
+//   imageOverlays   - serializeImageOverlays / restoreImageOverlays
+//   intervisibility - buildIntervisibilityGeoJSON / restoreIntervisibilityGeoJSON
+// The open project is autosaved into a single rolling "autosave" version whenever its
+// state has changed; named versions are kept until deleted. A project ZIP holds
+// project.json and one <part>.json per module. Further modules plug in with
+// ProjectWorkspace.registerPart().
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'MACE_Projects';
+    const DB_VERSION = 1;
+    const PROJECTS = 'projects';
+    const VERSIONS = 'versions';
+    const LAST_PROJECT_KEY = 'mace_last_project';
+    const ZIP_FORMAT = 'MACE-Project';
+    const AUTOSAVE_MS = 60 * 1000;
+
+    const parts = [];
+    let db = null;
+    let openProjectId = null;
+    let lastSavedJson = null;
+    let autosaveEnabled = true;
+    let restoring = false;
+
+    // -----------------------------------------------------------------
+    // Storage (IndexedDB)
+    //   projects: { id, name, created, updated }
+    //   versions: { id, projectId, label, auto, savedAt, parts: { <part>: data } }
+    // -----------------------------------------------------------------
+    function openDB() {
+        if (db) return Promise.resolve(db);
+        if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available.'));
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                db = request.result;
+                resolve(db);
+            };
+            request.onupgradeneeded = (event) => {
+                const upgradeDb = event.target.result;
+                if (!upgradeDb.objectStoreNames.contains(PROJECTS)) {
+                    upgradeDb.createObjectStore(PROJECTS, { keyPath: 'id' });
+                }
+                if (!upgradeDb.objectStoreNames.contains(VERSIONS)) {
+                    const versions = upgradeDb.createObjectStore(VERSIONS, { keyPath: 'id' });
+                    versions.createIndex('projectId', 'projectId', { unique: false });
+                }
+            };
+        });
+    }
+
+    function storeRequest(storeName, mode, makeRequest) {
+        return openDB().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction([storeName], mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    const getProject = id => storeRequest(PROJECTS, 'readonly', store => store.get(id));
+    const putProject = project => storeRequest(PROJECTS, 'readwrite', store => store.put(project));
+    const allProjects = () => storeRequest(PROJECTS, 'readonly', store => store.getAll());
+    const putVersion = version => storeRequest(VERSIONS, 'readwrite', store => store.put(version));
+    const deleteVersion = id => storeRequest(VERSIONS, 'readwrite', store => store.delete(id));
+    const projectVersions = projectId => storeRequest(VERSIONS, 'readonly',
+        store => store.index('projectId').getAll(projectId));
+
+    async function deleteProject(id) {
+        const versions = await projectVersions(id);
+        for (const v of versions) await deleteVersion(v.id);
+        await storeRequest(PROJECTS, 'readwrite', store => store.delete(id));
+    }
+
+    /** Versions of a project, the autosave first and then the newest named version. */
+    async function listVersions(projectId) {
+        const versions = await projectVersions(projectId);
+        return versions.sort((a, b) => (b.auto - a.auto) || b.savedAt.localeCompare(a.savedAt));
+    }
+
+    // -----------------------------------------------------------------
+    // Parts
+    // -----------------------------------------------------------------
+    /**
+     * Adds a module to the project snapshot.
+     * @param {Object} part - { name, save: () => data|null (may return a Promise),
+     *     restore: (data, projectName) => void|Promise, clear: optional, called when a
+     *     snapshot has no data for the part }. Data must survive JSON (NaN becomes null).
+     */
+    function registerPart(part) {
+        const existing = parts.findIndex(p => p.name === part.name);
+        if (existing >= 0) parts[existing] = part; else parts.push(part);
+    }
+
+    function settingsFields() {
+        return $('#home').find('input[id], select[id], textarea[id]').filter(function() {
+            return this.type !== 'file' && this.type !== 'button' && this.type !== 'submit';
+        });
+    }
+
+    registerPart({
+        name: 'settings',
+        save: function() {
+            const fields = {};
+            settingsFields().each(function() {
+                fields[this.id] = (this.type === 'radio' || this.type === 'checkbox') ? this.checked : $(this).val();
+            });
+            const map = window.map;
+            const view = map ? { lat: map.getCenter().lat, lng: map.getCenter().lng, zoom: map.getZoom() } : null;
+            return { fields: fields, view: view };
+        },
+        restore: function(data) {
+            const fields = data.fields || {};
+            settingsFields().each(function() {
+                if (!(this.id in fields)) return;
+                if (this.type === 'radio' || this.type === 'checkbox') {
+                    this.checked = !!fields[this.id];
+                } else {
+                    $(this).val(fields[this.id]);
+                }
+            });
+            // Selects show or hide dependent controls (e.g. the refraction model)
+            $('#home select[id]').trigger('change');
+            if (typeof window.latlongChanged === 'function') {
+                window.latlongChanged();
+            }
+            if (data.view && window.map) {
+                window.map.setView([data.view.lat, data.view.lng], data.view.zoom);
+            }
+        }
+    });
+
+    registerPart({
+        name: 'horizonProfile',
+        save: () => typeof window.HC_buildHorizonProfileGeoJSON === 'function' ? window.HC_buildHorizonProfileGeoJSON() : null,
+        restore: (data, projectName) => window.HC_restoreHorizonProfile(data, projectName),
+        clear: function() {
+            if (typeof window.HC_clearHorizonProfile === 'function') window.HC_clearHorizonProfile();
+        }
+    });
+
+    registerPart({
+        name: 'riseSet',
+        save: function() {
+            if (!window.scriptCOverlayGroups || window.scriptCOverlayGroups.length === 0) return null;
+            if (typeof window.HC_buildRiseSetGeoJSON !== 'function') return null;
+            const geoJson = window.HC_buildRiseSetGeoJSON();
+            return geoJson.features.length ? geoJson : null;
+        },
+        restore: function(data) {
+            if (window.clearResultsDisplay) window.clearResultsDisplay();
+            window.HC_restoreRiseSetGeoJSON(data);
+        },
+        clear: function() {
+            if (window.clearResultsDisplay) window.clearResultsDisplay();
+        }
+    });
+
+    registerPart({
+        name: 'profileOverlays',
+        save: function() {
+            if (typeof window.HC_getProfileOverlays !== 'function') return null;
+            const state = window.HC_getProfileOverlays();
+            return state.overlays.length ? state : null;
+        },
+        restore: data => window.HC_setProfileOverlays(data),
+        clear: function() {
+            if (typeof window.HC_setProfileOverlays === 'function') window.HC_setProfileOverlays(null);
+        }
+    });
+
+    registerPart({
+        name: 'drawings',
+        save: function() {
+            const app = window.DrawingToolsApp;
+            const data = app && typeof app.serializeDrawings === 'function' ? app.serializeDrawings() : null;
+            return data && data.features.length ? data : null;
+        },
+        restore: data => window.DrawingToolsApp.restoreDrawings(data),
+        clear: function() {
+            const app = window.DrawingToolsApp;
+            if (app && app.drawingManager) {
+                app.drawingManager.drawnItems.clearLayers();
+                app.drawingManager.decoratorItems.clearLayers();
+                app.drawingManager.updateCount();
+            }
+        }
+    });
+
+    registerPart({
+        name: 'imageOverlays',
+        save: function() {
+            if (typeof window.serializeImageOverlays !== 'function') return null;
+            const overlays = window.serializeImageOverlays();
+            return overlays.length ? overlays : null;
+        },
+        restore: data => window.restoreImageOverlays(data),
+        clear: function() {
+            if (typeof window.restoreImageOverlays === 'function') window.restoreImageOverlays([]);
+        }
+    });
+
+    registerPart({
+        name: 'intervisibility',
+        save: () => typeof window.buildIntervisibilityGeoJSON === 'function' ? window.buildIntervisibilityGeoJSON() : null,
+        restore: data => window.restoreIntervisibilityGeoJSON(data),
+        clear: function() {
+            if (typeof window.clearIntervisibilityMatrix === 'function') window.clearIntervisibilityMatrix();
+        }
+    });
+
+    /**
+     * State of all parts. A part that fails is left out (and logged) so one module
+     * cannot stop the others from being saved.
+     * @returns {Promise<{parts: Object, json: string}>}
+     */
+    async function snapshot() {
+        const state = {};
+        for (const part of parts) {
+            try {
+                const data = await part.save();
+                if (data !== null && data !== undefined) state[part.name] = data;
+            } catch (err) {
+                console.error(`Project: could not save ${part.name}:`, err);
+            }
+        }
+        const json = JSON.stringify(state);
+        return { parts: JSON.parse(json), json: json };
+    }
+
+    /**
+     * Restores every part in registration order (settings first, so the observer is in
+     * place before the horizon and rise/set layers). Parts missing from the snapshot are cleared.
+     * @param {Object} state - Parts of a version.
+     * @param {string} projectName - Shown as the source of the restored horizon.
+     * @returns {Promise<string[]>} Names of parts that failed.
+     */
+    async function restoreSnapshot(state, projectName) {
+        const failed = [];
+        restoring = true;
+        try {
+            for (const part of parts) {
+                try {
+                    if (state[part.name] !== undefined && state[part.name] !== null) {
+                        await part.restore(state[part.name], projectName);
+                    } else if (typeof part.clear === 'function') {
+                        await part.clear();
+                    }
+                } catch (err) {
+                    console.error(`Project: could not restore ${part.name}:`, err);
+                    failed.push(part.name);
+                }
+            }
+        } finally {
+            restoring = false;
+        }
+        return failed;
+    }
+
+    // -----------------------------------------------------------------
+    // Projects and versions
+    // -----------------------------------------------------------------
+    function newId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`;
+    }
+
+    function setOpenProject(id) {
+        openProjectId = id;
+        try {
+            localStorage.setItem(LAST_PROJECT_KEY, id);
+        } catch (e) {
+            console.warn('Could not remember the open project:', e);
+        }
+    }
+
+    async function createProject(name) {
+        const now = new Date().toISOString();
+        const project = { id: newId('p'), name: name, created: now, updated: now };
+        await putProject(project);
+        return project;
+    }
+
+    async function writeVersion(projectId, label, auto, state) {
+        const savedAt = new Date().toISOString();
+        const version = {
+            id: auto ? `${projectId}:autosave` : newId(`${projectId}:v`),
+            projectId: projectId,
+            label: label,
+            auto: auto,
+            savedAt: savedAt,
+            parts: state
+        };
+        await putVersion(version);
+        const project = await getProject(projectId);
+        if (project) {
+            project.updated = savedAt;
+            await putProject(project);
+        }
+        return version;
+    }
+
+    /** Writes the autosave version of the open project if anything has changed. */
+    async function autosave() {
+        if (!autosaveEnabled || !openProjectId || restoring) return false;
+        const snap = await snapshot();
+        if (snap.json === lastSavedJson) return false;
+        await writeVersion(openProjectId, 'Autosave', true, snap.parts);
+        lastSavedJson = snap.json;
+        setStatus(`Autosaved ${new Date().toLocaleTimeString()}.`);
+        await refreshVersions();
+        return true;
+    }
+
+    async function saveNamedVersion(label) {
+        if (!openProjectId) throw new Error('Create or open a project first.');
+        const snap = await snapshot();
+        await writeVersion(openProjectId, label, false, snap.parts);
+        // The autosave follows, so reopening the project gives the same state
+        await writeVersion(openProjectId, 'Autosave', true, snap.parts);
+        lastSavedJson = snap.json;
+    }
+
+    async function openVersion(projectId, versionId) {
+        const versions = await listVersions(projectId);
+        const version = versionId ? versions.find(v => v.id === versionId) : versions[0];
+        if (!version) throw new Error('The project has no saved state yet.');
+        const project = await getProject(projectId);
+        const failed = await restoreSnapshot(version.parts, project ? project.name : version.label);
+        setOpenProject(projectId);
+        lastSavedJson = (await snapshot()).json;
+        return { version: version, failed: failed };
+    }
+
+    // -----------------------------------------------------------------
+    // Project ZIP: project.json + <part>.json
+    // -----------------------------------------------------------------
+    const download = window.ExportUtils.download;
+
+    async function exportProjectZip() {
+        if (!window.JSZip) throw new Error('JSZip library not found.');
+        const project = openProjectId ? await getProject(openProjectId) : null;
+        const name = project ? project.name : 'MACE project';
+        const snap = await snapshot();
+        const zip = new JSZip();
+        zip.file('project.json', JSON.stringify({
+            format: ZIP_FORMAT,
+            version: 1,
+            name: name,
+            created: project ? project.created : new Date().toISOString(),
+            savedAt: new Date().toISOString(),
+            parts: Object.keys(snap.parts)
+        }, null, 2));
+        Object.keys(snap.parts).forEach(partName => {
+            zip.file(`${partName}.json`, JSON.stringify(snap.parts[partName], null, 2));
+        });
+        const fileName = name.replace(/[^\w\-]+/g, '_') + '.mace-project.zip';
+        download(await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }), fileName);
+        return Object.keys(snap.parts).length;
+    }
+
+    /** Imports a project ZIP as a new project, opens it and returns the project. */
+    async function importProjectZip(file) {
+        if (!window.JSZip) throw new Error('JSZip library not found.');
+        const zip = await JSZip.loadAsync(file);
+        const manifestFile = zip.file('project.json');
+        if (!manifestFile) throw new Error('Not a MACE project ZIP (no project.json).');
+        const manifest = JSON.parse(await manifestFile.async('string'));
+        if (manifest.format !== ZIP_FORMAT) throw new Error('Not a MACE project ZIP.');
+        const state = {};
+        for (const partName of manifest.parts || []) {
+            const partFile = zip.file(`${partName}.json`);
+            if (partFile) {
+                state[partName] = JSON.parse(await partFile.async('string'));
+            } else {
+                console.warn(`Project ZIP lists ${partName} but has no ${partName}.json.`);
+            }
+        }
+        const project = await createProject(manifest.name || file.name.replace(/(\.mace-project)?\.zip$/i, ''));
+        await writeVersion(project.id, `Imported ${file.name}`, false, state);
+        await writeVersion(project.id, 'Autosave', true, state);
+        const failed = await restoreSnapshot(state, project.name);
+        setOpenProject(project.id);
+        lastSavedJson = (await snapshot()).json;
+        return { project: project, failed: failed };
+    }
+
+    // -----------------------------------------------------------------
+    // Sidebar
+    // -----------------------------------------------------------------
+    function setStatus(message, type) {
+        const el = document.getElementById('project-status');
+        if (!el) return;
+        el.textContent = message;
+        el.className = type === 'error' ? 'text-danger' : 'text-muted';
+    }
+
+    async function refreshProjects(selectId) {
+        const select = $('#project-list');
+        if (!select.length) return;
+        const projects = (await allProjects()).sort((a, b) => b.updated.localeCompare(a.updated));
+        select.empty();
+        if (projects.length === 0) {
+            select.append($('<option value="">').text('No saved projects'));
+        }
+        projects.forEach(p => {
+            const open = p.id === openProjectId ? ' (open)' : '';
+            select.append($('<option>').val(p.id).text(p.name + open));
+        });
+        if (selectId) select.val(selectId);
+        await refreshVersions();
+    }
+
+    async function refreshVersions() {
+        const select = $('#project-versions');
+        if (!select.length) return;
+        const projectId = $('#project-list').val();
+        const selected = select.val();
+        select.empty();
+        if (!projectId) return;
+        const versions = await listVersions(projectId);
+        if (versions.length === 0) {
+            select.append($('<option value="">').text('No versions yet'));
+        }
+        versions.forEach(v => {
+            select.append($('<option>').val(v.id).text(`${v.label} – ${new Date(v.savedAt).toLocaleString()}`));
+        });
+        // Autosaves refresh the list; keep the version the user picked
+        if (selected && versions.some(v => v.id === selected)) select.val(selected);
+    }
+
+    function reportRestore(name, failed) {
+        if (failed.length) {
+            setStatus(`Opened "${name}"; could not restore: ${failed.join(', ')}.`, 'error');
+        } else {
+            setStatus(`Opened "${name}".`);
+        }
+        if (typeof window.displayMessage === 'function') {
+            window.displayMessage('overallStatus', failed.length ?
+                `Project "${name}" opened; could not restore ${failed.join(', ')}.` :
+                `Project "${name}" opened.`, failed.length ? 'warn' : 'success');
+        }
+    }
+
+    function onError(action) {
+        return err => {
+            console.error(`Project ${action} failed:`, err);
+            setStatus(`${action} failed: ${err.message}`, 'error');
+        };
+    }
+
+    $(document).ready(function() {
+        if (!document.getElementById('project-list')) return;
+
+        $('#project-list').on('change', () => refreshVersions().catch(onError('Listing versions')));
+
+        $('#btn-project-new').on('click', function() {
+            const name = prompt('Project name:', 'New project');
+            if (!name) return;
+            createProject(name.trim()).then(async project => {
+                // The new project starts from what is currently on the map
+                setOpenProject(project.id);
+                lastSavedJson = null;
+                await autosave();
+                await refreshProjects(project.id);
+                setStatus(`Project "${project.name}" created and open; changes are autosaved.`);
+            }).catch(onError('Create'));
+        });
+
+        $('#btn-project-open').on('click', function() {
+            const projectId = $('#project-list').val();
+            if (!projectId) return;
+            const versionId = $('#project-versions').val();
+            openVersion(projectId, versionId).then(async result => {
+                const project = await getProject(projectId);
+                await refreshProjects(projectId);
+                reportRestore(`${project.name}: ${result.version.label}`, result.failed);
+            }).catch(onError('Open'));
+        });
+
+        $('#btn-project-save-version').on('click', function() {
+            if (!openProjectId) {
+                setStatus('Create or open a project first.', 'error');
+                return;
+            }
+            const label = prompt('Version name:', `Version ${new Date().toLocaleString()}`);
+            if (!label) return;
+            saveNamedVersion(label.trim()).then(() => refreshProjects(openProjectId))
+                .then(() => setStatus(`Saved version "${label.trim()}".`))
+                .catch(onError('Save'));
+        });
+
+        $('#btn-project-delete-version').on('click', function() {
+            const versionId = $('#project-versions').val();
+            if (!versionId || !confirm('Delete the selected version?')) return;
+            deleteVersion(versionId).then(refreshVersions)
+                .then(() => setStatus('Version deleted.'))
+                .catch(onError('Delete'));
+        });
+
+        $('#btn-project-delete').on('click', function() {
+            const projectId = $('#project-list').val();
+            if (!projectId) return;
+            getProject(projectId).then(project => {
+                if (!project || !confirm(`Delete project "${project.name}" and all its versions?`)) return null;
+                if (projectId === openProjectId) openProjectId = null;
+                return deleteProject(projectId).then(() => refreshProjects())
+                    .then(() => setStatus(`Project "${project.name}" deleted.`));
+            }).catch(onError('Delete'));
+        });
+
+        $('#btn-project-export').on('click', function() {
+            exportProjectZip().then(n => setStatus(`Exported project ZIP with ${n} parts.`)).catch(onError('Export'));
+        });
+
+        $('#input-project-zip').on('change', function(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (!file) return;
+            importProjectZip(file).then(async result => {
+                await refreshProjects(result.project.id);
+                reportRestore(result.project.name, result.failed);
+            }).catch(onError('Import'));
+        });
+
+        $('#project-autosave').on('change', function() {
+            autosaveEnabled = this.checked;
+            if (autosaveEnabled) autosave().catch(onError('Autosave'));
+        });
+
+        setInterval(() => autosave().catch(onError('Autosave')), AUTOSAVE_MS);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') autosave().catch(onError('Autosave'));
+        });
+
+        // After a restart the last project is preselected; it is restored on Open so the
+        // empty start-up state never overwrites its autosave
+        let lastId = null;
+        try {
+            lastId = localStorage.getItem(LAST_PROJECT_KEY);
+        } catch (e) {
+            console.warn('Could not read the last project:', e);
+        }
+        refreshProjects().then(async () => {
+            const project = lastId ? await getProject(lastId) : null;
+            if (project) {
+                $('#project-list').val(project.id);
+                await refreshVersions();
+                setStatus(`Last project: "${project.name}" (saved ${new Date(project.updated).toLocaleString()}). Click Open to continue.`);
+            }
+        }).catch(onError('Loading projects'));
+    });
+
+    window.ProjectWorkspace = {
+        registerPart: registerPart,
+        snapshot: snapshot,
+        restore: restoreSnapshot,
+        autosave: autosave,
+        saveVersion: saveNamedVersion,
+        exportZip: exportProjectZip,
+        importZip: importProjectZip
+    };
+})();
@@ -0,0 +1,210 @@
+// =================================================================
+// REFRACTION – shared atmospheric refraction models
+// =================================================================
+// Used by the terrain sweep (horizon.js -> HorizonCore refraction coefficient k)
+// and by the apparent-altitude search in hwtip.js (astronomical refraction).
+// Pure functions; the sidebar is only read by readConditions(), so the module
+// also loads in Web Workers and Node.
+//
+// Astronomical models (refraction added to a geometric altitude):
+//   saemundsson - Sæmundsson (1986), defined on true altitude
+//   bennett     - Bennett (1982), defined on apparent altitude (solved iteratively)
+//   thom        - low-altitude mean refraction table, interpolated (Bennett above 10°)
+// All three are scaled from standard conditions (10 °C, 1010 mb) by (P/1010)·(283/T).
+//
+// Terrain (terrestrial) refraction coefficient k:
+//   fixed       - user-supplied k (default 0.13, the canonical MACE2026 value)
+//   atmosphere  - k = 503·P/T²·(0.0343 + dT/dh), with dT/dh = -0.0065 K/m × lapse-rate scale
+
+(function(global) {
+    'use strict';
+
+    const STANDARD_K = 0.13;
+    const STANDARD_LAPSE_RATE = -0.0065; // K/m
+    const DEFAULTS = {
+        model: 'saemundsson',
+        kMode: 'fixed',
+        k: STANDARD_K,
+        temperatureC: 15,
+        pressureMb: 1013.25,
+        lapseScale: 1
+    };
+
+    // Mean refraction (arcmin) against apparent altitude (deg) at 10 °C / 1010 mb
+    const LOW_ALTITUDE_TABLE = [
+        [-1.0, 49.8], [-0.75, 45.7], [-0.5, 41.7], [-0.25, 37.9],
+        [0.0, 34.5], [0.25, 31.4], [0.5, 28.8], [0.75, 26.4],
+        [1.0, 24.3], [1.5, 20.9], [2.0, 18.2], [2.5, 16.1],
+        [3.0, 14.3], [3.5, 12.9], [4.0, 11.7], [5.0, 9.9],
+        [6.0, 8.5], [7.0, 7.5], [8.0, 6.6], [9.0, 5.9], [10.0, 5.4]
+    ];
+
+    function cotDeg(deg) {
+        return 1.0 / Math.tan(deg * Math.PI / 180);
+    }
+
+    // Scale factor from standard conditions (10 °C, 1010 mb)
+    function conditionsFactor(conditions) {
+        const P = conditions.pressureMb;
+        const T = conditions.temperatureC + 273.15;
+        if (!(P > 0) || !(T > 0)) return 1;
+        return (P / 1010) * (283 / T);
+    }
+
+    function saemundssonArcmin(trueAltDeg) {
+        return 1.02 * cotDeg(trueAltDeg + 10.3 / (trueAltDeg + 5.11));
+    }
+
+    function bennettArcmin(apparentAltDeg) {
+        return cotDeg(apparentAltDeg + 7.31 / (apparentAltDeg + 4.4));
+    }
+
+    function tableArcmin(apparentAltDeg) {
+        const t = LOW_ALTITUDE_TABLE;
+        if (apparentAltDeg <= t[0][0]) return t[0][1];
+        if (apparentAltDeg >= t[t.length - 1][0]) return bennettArcmin(apparentAltDeg);
+        for (let i = 1; i < t.length; i++) {
+            if (apparentAltDeg <= t[i][0]) {
+                const f = (apparentAltDeg - t[i-1][0]) / (t[i][0] - t[i-1][0]);
+                return t[i-1][1] + f * (t[i][1] - t[i-1][1]);
+            }
+        }
+        return t[t.length - 1][1];
+    }
+
+    // Models defined on apparent altitude: solve h_app = h_true + R(h_app)
+    function fromApparentModel(fn, trueAltDeg) {
+        let apparent = trueAltDeg;
+        for (let i = 0; i < 5; i++) {
+            apparent = trueAltDeg + fn(apparent) / 60;
+        }
+        return fn(apparent);
+    }
+
+    /**
+     * Astronomical refraction for a body at the given geometric (true) altitude.
+     * @param {number} geometricAltitudeDeg
+     * @param {Object} [conditions] - { model, temperatureC, pressureMb }; defaults to standard.
+     * @returns {number} Refraction in degrees (positive: lifts the body).
+     */
+    function astronomical(geometricAltitudeDeg, conditions) {
+        const c = Object.assign({}, DEFAULTS, conditions || {});
+        // Clamp to prevent extreme values well below the horizon
+        const h = Math.max(-1.0, geometricAltitudeDeg);
+        let arcmin;
+        if (c.model === 'bennett') {
+            arcmin = fromApparentModel(bennettArcmin, h);
+        } else if (c.model === 'thom') {
+            arcmin = fromApparentModel(tableArcmin, h);
+        } else {
+            arcmin = saemundssonArcmin(Math.max(-0.5, h));
+        }
+        return (arcmin * conditionsFactor(c)) / 60.0;
+    }
+
+    /**
+     * Inverse of astronomical(): the geometric altitude that appears at the given apparent altitude.
+     * @param {number} apparentAltitudeDeg - Observed altitude (e.g. of a horizon point).
+     * @param {Object} [conditions]
+     * @returns {number} Geometric (true) altitude in degrees.
+     */
+    function geometric(apparentAltitudeDeg, conditions) {
+        let trueAlt = apparentAltitudeDeg;
+        for (let i = 0; i < 10; i++) {
+            trueAlt = apparentAltitudeDeg - astronomical(trueAlt, conditions);
+        }
+        return trueAlt;
+    }
+
+    /**
+     * Terrestrial refraction coefficient k for the terrain sweep.
+     * @param {Object} [conditions] - { kMode, k, temperatureC, pressureMb, lapseScale }
+     */
+    function terrainCoefficient(conditions) {
+        const c = Object.assign({}, DEFAULTS, conditions || {});
+        if (c.kMode !== 'atmosphere') {
+            return isFinite(c.k) ? c.k : STANDARD_K;
+        }
+        const T = c.temperatureC + 273.15;
+        const lapse = STANDARD_LAPSE_RATE * (isFinite(c.lapseScale) ? c.lapseScale : 1);
+        return 503 * c.pressureMb / (T * T) * (0.0343 + lapse);
+    }
+
+    /**
+     * Reduce sea-level temperature/pressure to the observer's height
+     * (same reduction as compute() in omphalopsychicsingle.js, with the lapse rate scaled).
+     */
+    function reduceToHeight(temperatureC, pressureMb, heightMeters, lapseScale) {
+        const scale = isFinite(lapseScale) ? lapseScale : 1;
+        let T = 273.15 + temperatureC + STANDARD_LAPSE_RATE * scale * heightMeters;
+        // use average temp (sea and local temp) for air pressure determination
+        const P = pressureMb * Math.exp(-9.80665 * 0.0289644 / (T - STANDARD_LAPSE_RATE * scale * heightMeters / 2) /
+            8.31441 * heightMeters);
+        return { temperatureC: T - 273.15, pressureMb: P };
+    }
+
+    /**
+     * Read refraction settings and T/P from the sidebar.
+     * @param {number} [observerHeightMeters] - Used when pressure is given at sea level.
+     */
+    function readConditions(observerHeightMeters) {
+        const c = Object.assign({}, DEFAULTS);
+        if (typeof document === 'undefined') return c;
+
+        const num = (id, fallback) => {
+            const el = document.getElementById(id);
+            const v = el ? parseFloat(el.value) : NaN;
+            return isNaN(v) ? fallback : v;
+        };
+        const val = (id, fallback) => {
+            const el = document.getElementById(id);
+            return el && el.value ? el.value : fallback;
+        };
+
+        c.model = val('refraction-model', DEFAULTS.model);
+        c.kMode = val('refraction-k-mode', DEFAULTS.kMode);
+        c.k = num('refraction-k', DEFAULTS.k);
+        c.lapseScale = num('refraction-lapse-scale', DEFAULTS.lapseScale);
+        c.temperatureC = num('T', DEFAULTS.temperatureC);
+        c.pressureMb = num('P', DEFAULTS.pressureMb);
+
+        const seaLevel = document.getElementById('height2');
+        if (seaLevel && seaLevel.checked && observerHeightMeters > 0) {
+            const reduced = reduceToHeight(c.temperatureC, c.pressureMb, observerHeightMeters, c.lapseScale);
+            c.temperatureC = reduced.temperatureC;
+            c.pressureMb = reduced.pressureMb;
+        }
+        return c;
+    }
+
+    /**
+     * Short description for saved outputs and status messages.
+     */
+    function describe(conditions) {
+        const c = Object.assign({}, DEFAULTS, conditions || {});
+        return {
+            model: c.model,
+            k: Math.round(terrainCoefficient(c) * 10000) / 10000,
+            kMode: c.kMode,
+            temperatureC: Math.round(c.temperatureC * 100) / 100,
+            pressureMb: Math.round(c.pressureMb * 100) / 100,
+            lapseScale: c.lapseScale
+        };
+    }
+
+    const Refraction = {
+        STANDARD_K: STANDARD_K,
+        DEFAULTS: DEFAULTS,
+        astronomical: astronomical,
+        geometric: geometric,
+        terrainCoefficient: terrainCoefficient,
+        reduceToHeight: reduceToHeight,
+        readConditions: readConditions,
+        describe: describe
+    };
+
+    global.Refraction = Refraction;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Refraction;
+    }
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : this));
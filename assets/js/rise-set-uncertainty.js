@@ -0,0 +1,385 @@
+// =================================================================
+// RISE/SET UNCERTAINTY – Monte-Carlo envelopes for rise/set azimuths
+// =================================================================
+// Re-runs findActualAzimuthForTargetApparentAltitude (hwtip.js) for the centre of
+// each solar/lunar event over N perturbed trials:
+//   latitude          - N(0, σ) with σ from the sidebar "Latitude +/-" field (degrees)
+//   observer height   - N(0, σ) metres; shifts each horizon point by -Δh/d and feeds the
+//                       refraction height reduction
+//   refraction        - N(0, σ) fractional scale on both the astronomical refraction
+//                       (via air pressure) and the terrain coefficient k (Δk·d/2R per point)
+//   horizon altitude  - N(0, σ) degrees, one offset per trial (DEM / survey error)
+// Per event it reports the mean azimuth, standard deviation and the 2.5–97.5 percentile
+// interval, draws that interval as a wedge on the map and keeps the results in
+// window.HC_riseSetUncertainty for the rise/set GeoJSON export (horizon-loadsave.js).
+
+(function() {
+    'use strict';
+
+    const LAYER_NAME = 'Rise/Set Uncertainty';
+
+    // Same event set and declination/azimuth globals as HC_executeRiseSetCalculations
+    const EVENTS = [
+        { key: 'SSR', name: 'Summer Solstice Rise', azimuth: 'solsticeazisumrise', declination: 'declinationSummerSolstice', lunar: false, crossQuarter: false, color: '#FFC966' },
+        { key: 'WSR', name: 'Winter Solstice Rise', azimuth: 'solsticeaziwinrise', declination: 'declinationWinterSolstice', lunar: false, crossQuarter: false, color: '#FFC966' },
+        { key: 'SSS', name: 'Summer Solstice Set', azimuth: 'solsticeazisumset', declination: 'declinationSummerSolstice', lunar: false, crossQuarter: false, color: '#FFC966' },
+        { key: 'WSS', name: 'Winter Solstice Set', azimuth: 'solsticeaziwinset', declination: 'declinationWinterSolstice', lunar: false, crossQuarter: false, color: '#FFC966' },
+        { key: 'ER', name: 'Equinox Rise', azimuth: 'equinoxazisumrise', declination: 'declinationEquinox', lunar: false, crossQuarter: false, color: '#FFFF99' },
+        { key: 'ES', name: 'Equinox Set', azimuth: 'equinoxazisumset', declination: 'declinationEquinox', lunar: false, crossQuarter: false, color: '#FFFF99' },
+        { key: 'NCQR', name: 'Northmost Cross-Quarter Rise', azimuth: 'crossquarterazisumrise', declination: 'declinationCrossQuarterNorth', lunar: false, crossQuarter: true, color: '#66CC66' },
+        { key: 'SCQR', name: 'Southmost Cross-Quarter Rise', azimuth: 'crossquarteraziwinrise', declination: 'declinationCrossQuarterSouth', lunar: false, crossQuarter: true, color: '#66CC66' },
+        { key: 'NCQS', name: 'Northmost Cross-Quarter Set', azimuth: 'crossquarterazisumset', declination: 'declinationCrossQuarterNorth', lunar: false, crossQuarter: true, color: '#66CC66' },
+        { key: 'SCQS', name: 'Southmost Cross-Quarter Set', azimuth: 'crossquarteraziwinset', declination: 'declinationCrossQuarterSouth', lunar: false, crossQuarter: true, color: '#66CC66' },
+        { key: 'NMLR', name: 'Northmost Major Lunar Rise', azimuth: 'majorazisumrise', declination: 'declinationMajorLunarNorth', lunar: true, standstill: ['major', 'north'], crossQuarter: false, color: '#6666FF' },
+        { key: 'SMLR', name: 'Southmost Major Lunar Rise', azimuth: 'majoraziwinrise', declination: 'declinationMajorLunarSouth', lunar: true, standstill: ['major', 'south'], crossQuarter: false, color: '#6666FF' },
+        { key: 'NMLS', name: 'Northmost Major Lunar Set', azimuth: 'majorazisumset', declination: 'declinationMajorLunarNorth', lunar: true, standstill: ['major', 'north'], crossQuarter: false, color: '#6666FF' },
+        { key: 'SMLS', name: 'Southmost Major Lunar Set', azimuth: 'majoraziwinset', declination: 'declinationMajorLunarSouth', lunar: true, standstill: ['major', 'south'], crossQuarter: false, color: '#6666FF' },
+        { key: 'NMNLR', name: 'Northmost Minor Lunar Rise', azimuth: 'minorazisumrise', declination: 'declinationMinorLunarNorth', lunar: true, standstill: ['minor', 'north'], crossQuarter: false, color: '#FF6666' },
+        { key: 'SMNLR', name: 'Southmost Minor Lunar Rise', azimuth: 'minoraziwinrise', declination: 'declinationMinorLunarSouth', lunar: true, standstill: ['minor', 'south'], crossQuarter: false, color: '#FF6666' },
+        { key: 'NMNLS', name: 'Northmost Minor Lunar Set', azimuth: 'minorazisumset', declination: 'declinationMinorLunarNorth', lunar: true, standstill: ['minor', 'north'], crossQuarter: false, color: '#FF6666' },
+        { key: 'SMNLS', name: 'Southmost Minor Lunar Set', azimuth: 'minoraziwinset', declination: 'declinationMinorLunarSouth', lunar: true, standstill: ['minor', 'south'], crossQuarter: false, color: '#FF6666' }
+    ];
+
+    const DEFAULTS = {
+        trials: 200,
+        latitudeSd: 0.01,
+        heightSd: 1,
+        refractionSd: 0.1,
+        horizonSd: 0.05
+    };
+
+    let layerGroup = null;
+    let running = false;
+
+    // Standard normal deviate (Box–Muller)
+    function gaussian() {
+        let u = 0, v = 0;
+        while (u === 0) u = Math.random();
+        while (v === 0) v = Math.random();
+        return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+    }
+
+    function readNumber(id, fallback) {
+        const el = document.getElementById(id);
+        const v = el ? parseFloat(el.value) : NaN;
+        return isNaN(v) ? fallback : v;
+    }
+
+    /**
+     * Read the trial count and standard deviations from the sidebar.
+     */
+    function readSettings() {
+        return {
+            trials: Math.max(2, Math.round(readNumber('uncertainty-trials', DEFAULTS.trials))),
+            latitudeSd: Math.abs(readNumber('errorlat', DEFAULTS.latitudeSd)),
+            heightSd: Math.abs(readNumber('uncertainty-height-sd', DEFAULTS.heightSd)),
+            refractionSd: Math.abs(readNumber('uncertainty-refraction-sd', DEFAULTS.refractionSd * 100)) / 100,
+            horizonSd: Math.abs(readNumber('uncertainty-horizon-sd', DEFAULTS.horizonSd))
+        };
+    }
+
+    /**
+     * Flatten the horizon into typed arrays once; each trial only rewrites the altitudes.
+     * Distances are needed to turn height and k perturbations into altitude shifts.
+     */
+    function prepareHorizon(horizonData, observerLat, observerLon) {
+        const points = horizonData.filter(p => p && !isNaN(p.azimuth) && !isNaN(p.altitude))
+            .slice().sort((a, b) => a.azimuth - b.azimuth);
+        const n = points.length;
+        // One wrapped point at each end so every azimuth in [0, 360) is bracketed
+        const azimuths = new Float64Array(n + 2);
+        const baseAltitudes = new Float64Array(n + 2);
+        const distances = new Float64Array(n + 2);
+        for (let i = 0; i < n; i++) {
+            const p = points[i];
+            azimuths[i + 1] = p.azimuth;
+            baseAltitudes[i + 1] = p.altitude;
+            const d = (p.horizonLat !== undefined && p.horizonLon !== undefined)
+                ? window.HorizonCore.distance(observerLat, observerLon, p.horizonLat, p.horizonLon)
+                : NaN;
+            distances[i + 1] = d > 0 ? d : NaN;
+        }
+        azimuths[0] = points[n - 1].azimuth - 360;
+        baseAltitudes[0] = baseAltitudes[n];
+        distances[0] = distances[n];
+        azimuths[n + 1] = points[0].azimuth + 360;
+        baseAltitudes[n + 1] = baseAltitudes[1];
+        distances[n + 1] = distances[1];
+        return { azimuths, baseAltitudes, distances, altitudes: new Float64Array(n + 2) };
+    }
+
+    function perturbHorizon(horizon, offsetDeg, heightDelta, kDelta) {
+        const toDeg = 180 / Math.PI;
+        for (let i = 0; i < horizon.azimuths.length; i++) {
+            const d = horizon.distances[i];
+            let shift = offsetDeg;
+            if (!isNaN(d)) {
+                // Raising the observer lowers the horizon by ~Δh/d; more refraction lifts it by Δk·d/2R
+                shift += (-heightDelta / d + kDelta * d / (2 * window.HorizonCore.EARTH_RADIUS_METERS)) * toDeg;
+            }
+            horizon.altitudes[i] = horizon.baseAltitudes[i] + shift;
+        }
+    }
+
+    function percentile(sorted, q) {
+        if (sorted.length === 0) return NaN;
+        const pos = (sorted.length - 1) * q;
+        const i = Math.floor(pos);
+        const f = pos - i;
+        return i + 1 < sorted.length ? sorted[i] + f * (sorted[i + 1] - sorted[i]) : sorted[i];
+    }
+
+    function summarise(event, nominal, offsets, failed) {
+        const n = offsets.length;
+        const result = {
+            key: event.key,
+            name: event.name,
+            nominalAzimuth: nominal.azimuth,
+            trials: n + failed,
+            failed: failed,
+            meanAzimuth: null,
+            sd: null,
+            ci95: null,
+            horizonLat: nominal.lat,
+            horizonLon: nominal.lon,
+            color: event.color
+        };
+        if (n < 2) return result;
+        const mean = offsets.reduce((a, b) => a + b, 0) / n;
+        const variance = offsets.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (n - 1);
+        const sorted = offsets.slice().sort((a, b) => a - b);
+        result.meanAzimuth = window.normalizeAzimuth(nominal.azimuth + mean);
+        result.sd = Math.sqrt(variance);
+        result.ci95 = [
+            window.normalizeAzimuth(nominal.azimuth + percentile(sorted, 0.025)),
+            window.normalizeAzimuth(nominal.azimuth + percentile(sorted, 0.975))
+        ];
+        // Width kept separately so wedges crossing north are drawn the right way round
+        result.ci95Width = percentile(sorted, 0.975) - percentile(sorted, 0.025);
+        return result;
+    }
+
+    /**
+     * Wedge from the observer to the horizon distance of the nominal event, spanning the 95% interval.
+     * @returns {Array<[number, number]>} [lat, lng] ring (not closed)
+     */
+    function wedgeLatLngs(observerLat, observerLon, result) {
+        let radius = window.HorizonCore.distance(observerLat, observerLon, result.horizonLat, result.horizonLon);
+        if (!(radius > 0)) radius = 5000;
+        const start = result.ci95[0];
+        const width = Math.max(result.ci95Width, 0.01);
+        const steps = Math.max(2, Math.ceil(width / 0.25));
+        const ring = [[observerLat, observerLon]];
+        for (let i = 0; i <= steps; i++) {
+            const p = window.HorizonCore.destinationPoint(observerLat, observerLon, radius, start + width * i / steps);
+            ring.push([p.lat, p.lng]);
+        }
+        return ring;
+    }
+
+    function popupHtml(r, settings) {
+        return `<b>${r.name} (${r.key}) – uncertainty</b><br>` +
+            `Nominal azimuth: ${r.nominalAzimuth.toFixed(3)}°<br>` +
+            `Mean azimuth: ${r.meanAzimuth.toFixed(3)}°<br>` +
+            `SD: ${r.sd.toFixed(3)}°<br>` +
+            `95% interval: ${r.ci95[0].toFixed(3)}° – ${r.ci95[1].toFixed(3)}°<br>` +
+            `Trials: ${r.trials - r.failed}/${r.trials}` +
+            (settings ? `<br><small>σ lat ${settings.latitudeSd}°, σ height ${settings.heightSd} m, ` +
+                `σ refraction ${Math.round(settings.refractionSd * 100)}%, σ horizon ${settings.horizonSd}°</small>` : '');
+    }
+
+    function renderTable(results) {
+        const container = document.getElementById('rise-set-uncertainty-results');
+        if (!container) return;
+        if (!results || results.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        let html = '<table class="table table-condensed" style="font-size:11px; margin-bottom:0;">' +
+            '<thead><tr><th>Event</th><th>Mean</th><th>SD</th><th>95%</th></tr></thead><tbody>';
+        results.forEach(r => {
+            if (r.meanAzimuth === null) {
+                html += `<tr><td>${r.key}</td><td colspan="3" class="text-muted">${r.failed}/${r.trials} trials failed</td></tr>`;
+            } else {
+                html += `<tr><td>${r.key}</td><td>${r.meanAzimuth.toFixed(2)}°</td><td>${r.sd.toFixed(3)}°</td>` +
+                    `<td>${r.ci95[0].toFixed(2)}–${r.ci95[1].toFixed(2)}°</td></tr>`;
+            }
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    function showProgress(message) {
+        const container = document.getElementById('rise-set-uncertainty-results');
+        if (container) {
+            container.style.display = 'block';
+            container.innerHTML = `<span class="text-info"><i class="fa fa-spinner fa-spin"></i> ${message}</span>`;
+        }
+    }
+
+    function removeLayerGroup() {
+        if (!layerGroup) return;
+        if (window.map && window.map.hasLayer(layerGroup)) {
+            window.map.removeLayer(layerGroup);
+        }
+        if (window.layersControl) {
+            window.layersControl.removeLayer(layerGroup);
+        }
+        layerGroup = null;
+    }
+
+    function drawWedges(observer, results, settings) {
+        const mapInstance = window.map;
+        if (!mapInstance) return null;
+        removeLayerGroup();
+        layerGroup = L.layerGroup();
+        layerGroup.layerNameForControl = LAYER_NAME;
+        results.forEach(r => {
+            if (r.meanAzimuth === null) return;
+            const wedge = L.polygon(wedgeLatLngs(observer.lat, observer.lng, r), {
+                color: r.color || '#333333',
+                weight: 1,
+                opacity: 0.9,
+                fillColor: r.color || '#333333',
+                fillOpacity: 0.25
+            });
+            wedge.bindPopup(popupHtml(r, settings));
+            wedge.uncertaintyResult = r; // read back by saveRiseSetLocations
+            layerGroup.addLayer(wedge);
+        });
+        mapInstance.addLayer(layerGroup);
+        if (window.layersControl) {
+            window.layersControl.addOverlay(layerGroup, LAYER_NAME);
+        }
+        if (!window.scriptCOverlayGroups) window.scriptCOverlayGroups = [];
+        window.scriptCOverlayGroups.push(layerGroup);
+        return layerGroup;
+    }
+
+    /**
+     * Run the Monte-Carlo trials for every event with a valid declination.
+     * Results are stored in window.HC_riseSetUncertainty = { observer, settings, results, layerGroup }.
+     * @param {Array<Object>} horizonData - {azimuth, altitude, horizonLat, horizonLon}, as used by hwtip.js
+     * @param {Object} locationData - {latitude, longitude, elevation_amsl}
+     */
+    async function run(horizonData, locationData) {
+        if (running) {
+            throw new Error('Uncertainty analysis already running.');
+        }
+        if (!horizonData || horizonData.length < 2) {
+            throw new Error('No horizon data for uncertainty analysis.');
+        }
+        if (!window.HorizonCore || !window.Refraction || typeof window.findActualAzimuthForTargetApparentAltitude !== 'function') {
+            throw new Error('Horizon core, refraction or rise/set search not loaded.');
+        }
+
+        running = true;
+        try {
+            const settings = readSettings();
+            const lat = locationData.latitude;
+            const lon = locationData.longitude;
+            const elevation = locationData.elevation_amsl || 0;
+            const horizon = prepareHorizon(horizonData, lat, lon);
+            const baseConditions = window.Refraction.readConditions(elevation);
+            const baseK = window.Refraction.terrainCoefficient(baseConditions);
+
+            const events = EVENTS.map(e => ({
+                event: e,
+                declination: window[e.declination + '_geo'] !== undefined ? window[e.declination + '_geo'] : window[e.declination],
+                zeroHorizonAzimuth: window[e.azimuth + '_geo'] !== undefined ? window[e.azimuth + '_geo'] : window[e.azimuth],
+                lunarOptions: window.lunarSearchOptions(e.standstill, lat)
+            })).filter(e => !isNaN(e.declination) && !isNaN(e.zeroHorizonAzimuth));
+
+            const search = (e, observerLat, conditions, altitudeAt) => {
+                const az = window.normalizeAzimuth(e.zeroHorizonAzimuth);
+                return window.findActualAzimuthForTargetApparentAltitude(
+                    horizonData, 'Center', `${e.event.key} uncertainty`, observerLat, lon,
+                    az >= 0 && az <= 180, e.declination, elevation, e.event.lunar, e.event.crossQuarter,
+                    Object.assign({ refractionConditions: conditions, altitudeAt: altitudeAt, quiet: true }, e.lunarOptions)
+                );
+            };
+
+            // Nominal (unperturbed) pass through the same fast lookup
+            perturbHorizon(horizon, 0, 0, 0);
+            const nominalLookup = window.HorizonCore.altitudeLookup(horizon.azimuths, horizon.altitudes);
+            const nominals = [];
+            for (const e of events) {
+                nominals.push(await search(e, lat, baseConditions, nominalLookup));
+            }
+
+            const offsets = events.map(() => []);
+            const failed = events.map(() => 0);
+            for (let t = 0; t < settings.trials; t++) {
+                const trialLat = lat + gaussian() * settings.latitudeSd;
+                const heightDelta = gaussian() * settings.heightSd;
+                const refractionScale = Math.max(0, 1 + gaussian() * settings.refractionSd);
+                const horizonOffset = gaussian() * settings.horizonSd;
+
+                // Astronomical refraction scales with pressure, so scale the pressure rather than the model
+                const conditions = window.Refraction.readConditions(elevation + heightDelta);
+                conditions.pressureMb *= refractionScale;
+                perturbHorizon(horizon, horizonOffset, heightDelta, baseK * (refractionScale - 1));
+                const lookup = window.HorizonCore.altitudeLookup(horizon.azimuths, horizon.altitudes);
+
+                for (let i = 0; i < events.length; i++) {
+                    if (!nominals[i]) continue;
+                    const r = await search(events[i], trialLat, conditions, lookup);
+                    if (r && !isNaN(r.azimuth)) {
+                        // Offset from nominal, unwrapped across north
+                        offsets[i].push(((r.azimuth - nominals[i].azimuth + 540) % 360) - 180);
+                    } else {
+                        failed[i]++;
+                    }
+                }
+
+                if (t % 5 === 4 || t === settings.trials - 1) {
+                    showProgress(`Uncertainty trials: ${t + 1}/${settings.trials}`);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+
+            const results = [];
+            events.forEach((e, i) => {
+                if (nominals[i]) {
+                    results.push(summarise(e.event, nominals[i], offsets[i], failed[i]));
+                }
+            });
+
+            const observer = { lat: lat, lng: lon };
+            window.HC_riseSetUncertainty = {
+                observer: observer,
+                settings: settings,
+                results: results,
+                layerGroup: drawWedges(observer, results, settings)
+            };
+            renderTable(results);
+            return window.HC_riseSetUncertainty;
+        } finally {
+            running = false;
+        }
+    }
+
+    /**
+     * Drop previous results (called when a new rise/set calculation starts).
+     */
+    function clear() {
+        window.HC_riseSetUncertainty = null;
+        removeLayerGroup();
+        renderTable(null);
+    }
+
+    window.HC_riseSetUncertainty = null;
+    window.HC_runRiseSetUncertainty = run;
+    window.HC_clearRiseSetUncertainty = clear;
+    window.HC_riseSetUncertaintyPopup = popupHtml;
+    window.HC_RISE_SET_UNCERTAINTY_LAYER = LAYER_NAME;
+    window.HC_RISE_SET_EVENTS = EVENTS;
+
+    $(document).ready(function() {
+        $('#chk-rise-set-uncertainty').on('change', function() {
+            $('#rise-set-uncertainty-options').toggle(this.checked);
+        });
+    });
+})();
@@ -0,0 +1,206 @@
+// =================================================================
+// STAR CATALOGUE – bright stars with proper motion and long-term precession
+// =================================================================
+// Positions are ICRS at epoch J2000.0 with Hipparcos proper motions (mas/yr,
+// pmRA includes cos δ). A star is carried to the requested epoch by linear space
+// motion, then precessed from the J2000 mean equator to the mean equator of date
+// with the Vondrák, Capitaine & Wallace (2011) long-term model (valid ±200 000 yr,
+// same series as SOFA iauLtp). Nutation, aberration and frame bias are ignored:
+// together they are below 1', far inside the uncertainty of a horizon alignment.
+// Pure functions, so the module also loads in Web Workers and Node.
+
+(function(global) {
+    'use strict';
+
+    const DEG = Math.PI / 180;
+    const AS2R = DEG / 3600;
+    const EPS0 = 84381.406 * AS2R; // J2000 obliquity (IAU 2006)
+
+    // Ecliptic pole: polynomial and periodic terms for P_A, Q_A (arcsec)
+    const PQ_POLY = [
+        [5851.607687, -0.1189000, -0.00028913, 0.000000101],
+        [-1600.886300, 1.1689818, -0.00000020, -0.000000437]
+    ];
+    const PQ_PERIODIC = [ // [period (centuries), C_P, C_Q, S_P, S_Q]
+        [708.15, -5486.751211, -684.661560, 667.666730, -5523.863691],
+        [2309.00, -17.127623, 2446.283880, -2354.886252, -549.747450],
+        [1620.00, -617.517403, 399.671049, -428.152441, -310.998056],
+        [492.20, 413.442940, -356.652376, 376.202861, 421.535876],
+        [1183.00, 78.614193, -186.387003, 184.778874, -36.776172],
+        [622.00, -180.732815, -316.800070, 335.321713, -145.278396],
+        [882.00, -87.676083, 198.296701, -185.138669, -34.744450],
+        [547.00, 46.140315, 101.135679, -120.972830, 22.885731]
+    ];
+
+    // Equator pole: polynomial and periodic terms for X, Y (arcsec)
+    const XY_POLY = [
+        [5453.282155, 0.4252841, -0.00037173, -0.000000152],
+        [-73750.930350, -0.7675452, -0.00018725, 0.000000231]
+    ];
+    const XY_PERIODIC = [ // [period (centuries), C_X, C_Y, S_X, S_Y]
+        [256.75, -819.940624, 75004.344875, 81491.287984, 1558.515853],
+        [708.15, -8444.676815, 624.033993, 787.163481, 7774.939698],
+        [274.20, 2600.009459, 1251.136893, 1251.296102, -2219.534038],
+        [241.45, 2755.175630, -1102.212834, -1257.950837, -2523.969396],
+        [2309.00, -167.659835, -2660.664980, -2966.799730, 247.850422],
+        [492.20, 871.855056, 699.291817, 639.744522, -846.485643],
+        [396.10, 44.769698, 153.167220, 131.600209, -1393.124055],
+        [288.90, -512.313065, -950.865637, -445.040117, 368.526116],
+        [231.10, -819.415595, 499.754645, 584.522874, 749.045012],
+        [1610.00, -538.071099, -145.188210, -89.756563, -444.704518],
+        [620.00, -189.793622, 558.532351, 524.429630, 235.934465],
+        [157.87, -402.922932, -23.923029, -13.549067, 374.049623],
+        [220.30, 179.516345, -165.405086, -210.157124, -171.330180],
+        [1200.00, -9.814756, 9.344131, -44.919798, -22.899655]
+    ];
+
+    // id, name, RA/Dec (deg, ICRS J2000), pmRA*/pmDec (mas/yr), V magnitude
+    const STARS = [
+        { id: 'sirius', name: 'Sirius', designation: 'α CMa', ra: 101.287155, dec: -16.716116, pmRA: -546.01, pmDec: -1223.07, vmag: -1.46 },
+        { id: 'canopus', name: 'Canopus', designation: 'α Car', ra: 95.987958, dec: -52.695661, pmRA: 19.93, pmDec: 23.24, vmag: -0.74 },
+        { id: 'rigilkent', name: 'Rigil Kentaurus', designation: 'α Cen', ra: 219.902066, dec: -60.833975, pmRA: -3679.25, pmDec: 473.67, vmag: -0.27 },
+        { id: 'arcturus', name: 'Arcturus', designation: 'α Boo', ra: 213.915300, dec: 19.182409, pmRA: -1093.39, pmDec: -2000.06, vmag: -0.05 },
+        { id: 'vega', name: 'Vega', designation: 'α Lyr', ra: 279.234735, dec: 38.783689, pmRA: 200.94, pmDec: 286.23, vmag: 0.03 },
+        { id: 'capella', name: 'Capella', designation: 'α Aur', ra: 79.172328, dec: 45.997991, pmRA: 75.52, pmDec: -427.13, vmag: 0.08 },
+        { id: 'rigel', name: 'Rigel', designation: 'β Ori', ra: 78.634467, dec: -8.201638, pmRA: 1.87, pmDec: -0.56, vmag: 0.13 },
+        { id: 'procyon', name: 'Procyon', designation: 'α CMi', ra: 114.825498, dec: 5.224988, pmRA: -716.57, pmDec: -1034.58, vmag: 0.34 },
+        { id: 'achernar', name: 'Achernar', designation: 'α Eri', ra: 24.428523, dec: -57.236753, pmRA: 88.02, pmDec: -40.08, vmag: 0.46 },
+        { id: 'betelgeuse', name: 'Betelgeuse', designation: 'α Ori', ra: 88.792939, dec: 7.407064, pmRA: 27.33, pmDec: 10.86, vmag: 0.50 },
+        { id: 'hadar', name: 'Hadar', designation: 'β Cen', ra: 210.955856, dec: -60.373035, pmRA: -33.27, pmDec: -23.16, vmag: 0.61 },
+        { id: 'altair', name: 'Altair', designation: 'α Aql', ra: 297.695827, dec: 8.868321, pmRA: 536.23, pmDec: 385.29, vmag: 0.76 },
+        { id: 'acrux', name: 'Acrux', designation: 'α Cru', ra: 186.649563, dec: -63.099093, pmRA: -35.37, pmDec: -14.73, vmag: 0.77 },
+        { id: 'aldebaran', name: 'Aldebaran', designation: 'α Tau', ra: 68.980163, dec: 16.509302, pmRA: 62.78, pmDec: -189.36, vmag: 0.86 },
+        { id: 'antares', name: 'Antares', designation: 'α Sco', ra: 247.351915, dec: -26.432003, pmRA: -10.16, pmDec: -23.21, vmag: 0.96 },
+        { id: 'spica', name: 'Spica', designation: 'α Vir', ra: 201.298247, dec: -11.161319, pmRA: -42.50, pmDec: -31.73, vmag: 0.97 },
+        { id: 'pollux', name: 'Pollux', designation: 'β Gem', ra: 116.328958, dec: 28.026199, pmRA: -626.55, pmDec: -45.80, vmag: 1.14 },
+        { id: 'fomalhaut', name: 'Fomalhaut', designation: 'α PsA', ra: 344.412693, dec: -29.622237, pmRA: 328.95, pmDec: -164.67, vmag: 1.16 },
+        { id: 'deneb', name: 'Deneb', designation: 'α Cyg', ra: 310.357980, dec: 45.280339, pmRA: 2.01, pmDec: 1.85, vmag: 1.25 },
+        { id: 'regulus', name: 'Regulus', designation: 'α Leo', ra: 152.092962, dec: 11.967209, pmRA: -248.73, pmDec: 5.59, vmag: 1.35 },
+        { id: 'castor', name: 'Castor', designation: 'α Gem', ra: 113.649428, dec: 31.888276, pmRA: -191.45, pmDec: -145.19, vmag: 1.58 },
+        { id: 'bellatrix', name: 'Bellatrix', designation: 'γ Ori', ra: 81.282764, dec: 6.349703, pmRA: -8.75, pmDec: -13.28, vmag: 1.64 },
+        { id: 'alnilam', name: 'Alnilam', designation: 'ε Ori', ra: 84.053389, dec: -1.201919, pmRA: 1.49, pmDec: -1.06, vmag: 1.69 },
+        { id: 'alnitak', name: 'Alnitak', designation: 'ζ Ori', ra: 85.189694, dec: -1.942572, pmRA: 3.19, pmDec: 2.03, vmag: 1.77 },
+        { id: 'dubhe', name: 'Dubhe', designation: 'α UMa', ra: 165.931965, dec: 61.751035, pmRA: -134.11, pmDec: -34.70, vmag: 1.79 },
+        { id: 'alkaid', name: 'Alkaid', designation: 'η UMa', ra: 206.885157, dec: 49.313267, pmRA: -121.23, pmDec: -15.56, vmag: 1.86 },
+        { id: 'polaris', name: 'Polaris', designation: 'α UMi', ra: 37.954561, dec: 89.264109, pmRA: 44.48, pmDec: -11.85, vmag: 1.98 },
+        { id: 'pleiades', name: 'Pleiades (Alcyone)', designation: 'η Tau', ra: 56.871152, dec: 24.105136, pmRA: 19.34, pmDec: -43.67, vmag: 2.87 },
+        { id: 'thuban', name: 'Thuban', designation: 'α Dra', ra: 211.097291, dec: 64.375851, pmRA: -56.52, pmDec: 17.19, vmag: 3.65 }
+    ];
+
+    /**
+     * Astronomical year for the sidebar "age" value, which has no year 0
+     * (-3400 is 3400 BCE, i.e. astronomical year -3399), as in compute().
+     */
+    function astronomicalYear(age) {
+        if (age === 0) return 1;
+        return age < 1 ? age + 1 : age;
+    }
+
+    function polyAndPeriodic(t, poly, periodic) {
+        let a = 0, b = 0;
+        for (let i = 0; i < periodic.length; i++) {
+            const arg = 2 * Math.PI * t / periodic[i][0];
+            const c = Math.cos(arg), s = Math.sin(arg);
+            a += c * periodic[i][1] + s * periodic[i][3];
+            b += c * periodic[i][2] + s * periodic[i][4];
+        }
+        let w = 1;
+        for (let i = 0; i < poly[0].length; i++) {
+            a += poly[0][i] * w;
+            b += poly[1][i] * w;
+            w *= t;
+        }
+        return [a * AS2R, b * AS2R];
+    }
+
+    // Unit vector of the ecliptic pole of date in the J2000 frame
+    function eclipticPole(epoch) {
+        const pq = polyAndPeriodic((epoch - 2000) / 100, PQ_POLY, PQ_PERIODIC);
+        const p = pq[0], q = pq[1];
+        const w = Math.sqrt(Math.max(0, 1 - p * p - q * q));
+        const s = Math.sin(EPS0), c = Math.cos(EPS0);
+        return [p, -q * c - w * s, -q * s + w * c];
+    }
+
+    // Unit vector of the celestial pole of date in the J2000 frame
+    function equatorPole(epoch) {
+        const xy = polyAndPeriodic((epoch - 2000) / 100, XY_POLY, XY_PERIODIC);
+        const x = xy[0], y = xy[1];
+        return [x, y, Math.sqrt(Math.max(0, 1 - x * x - y * y))];
+    }
+
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    function normalize(v) {
+        const r = Math.hypot(v[0], v[1], v[2]);
+        return [v[0] / r, v[1] / r, v[2] / r];
+    }
+
+    /**
+     * Long-term precession matrix, J2000 mean equator/equinox -> mean equator/equinox of date.
+     * @param {number} epoch - Julian epoch (astronomical year, e.g. -2999 for 3000 BCE).
+     * @returns {Array<Array<number>>} 3x3 rotation matrix (rows).
+     */
+    function precessionMatrix(epoch) {
+        const pEq = equatorPole(epoch);
+        const pEcl = eclipticPole(epoch);
+        const equinox = normalize(cross(pEq, pEcl));
+        return [equinox, cross(pEq, equinox), pEq];
+    }
+
+    /**
+     * Mean place of a catalogue star at an epoch (proper motion + precession).
+     * @param {Object|string} star - Catalogue entry or id.
+     * @param {number} epoch - Julian epoch (astronomical year).
+     * @returns {{ra: number, dec: number}|null} Degrees, mean equator and equinox of date.
+     */
+    function positionAt(star, epoch) {
+        const s = typeof star === 'string' ? find(star) : star;
+        if (!s || !isFinite(epoch)) return null;
+
+        const ra = s.ra * DEG, dec = s.dec * DEG;
+        const sinA = Math.sin(ra), cosA = Math.cos(ra);
+        const sinD = Math.sin(dec), cosD = Math.cos(dec);
+        const years = epoch - 2000;
+        const muA = (s.pmRA || 0) / 1000 * AS2R * years;
+        const muD = (s.pmDec || 0) / 1000 * AS2R * years;
+
+        // Displacement along the local east and north unit vectors
+        const p = normalize([
+            cosD * cosA - muA * sinA - muD * sinD * cosA,
+            cosD * sinA + muA * cosA - muD * sinD * sinA,
+            sinD + muD * cosD
+        ]);
+
+        const m = precessionMatrix(epoch);
+        const x = m[0][0] * p[0] + m[0][1] * p[1] + m[0][2] * p[2];
+        const y = m[1][0] * p[0] + m[1][1] * p[1] + m[1][2] * p[2];
+        const z = m[2][0] * p[0] + m[2][1] * p[1] + m[2][2] * p[2];
+
+        let raDate = Math.atan2(y, x) / DEG;
+        if (raDate < 0) raDate += 360;
+        return {
+            ra: raDate,
+            dec: Math.asin(Math.max(-1, Math.min(1, z))) / DEG
+        };
+    }
+
+    function find(id) {
+        return STARS.find(s => s.id === id) || null;
+    }
+
+    const StarCatalogue = {
+        STARS: STARS,
+        find: find,
+        astronomicalYear: astronomicalYear,
+        precessionMatrix: precessionMatrix,
+        positionAt: positionAt
+    };
+
+    global.StarCatalogue = StarCatalogue;
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StarCatalogue;
+    }
+})(typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : this));
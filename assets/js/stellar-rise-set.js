@@ -0,0 +1,265 @@
+// =================================================================
+// STELLAR RISE/SET – bright-star targets against the computed horizon
+// =================================================================
+// Stars chosen in the Horizon Probe options are carried to the sidebar epoch
+// ("age") by star-catalogue.js. For each star this module:
+//   - draws zero-horizon rise/set orthodromes with the solar/lunar azimuth lines
+//     (maphwt.js calculate() / clearLines())
+//   - finds the rise and set points on the viewshed horizon with the same search as
+//     the solar events (findActualAzimuthForTargetApparentAltitude, centre, no parallax)
+//     and marks them in the "Stellar Rise/Set" layer group, so they show on the
+//     panorama and in the rise/set GeoJSON export like the solar events
+// Results are kept in window.HC_stellarRiseSet = { epoch, observer, results }.
+
+(function() {
+    'use strict';
+
+    const LAYER_NAME = 'Stellar Rise/Set';
+    const LINES_LAYER_NAME = 'Stellar Azimuths';
+    const STAR_COLOR = '#81D4FA';
+
+    let linesGroup = null;
+    let markersGroup = null;
+
+    function selectedStars() {
+        const select = document.getElementById('stellar-targets');
+        if (!select || !window.StarCatalogue) return [];
+        return Array.from(select.selectedOptions)
+            .map(opt => window.StarCatalogue.find(opt.value))
+            .filter(Boolean);
+    }
+
+    function currentEpoch() {
+        const age = parseFloat($('#age').val());
+        return window.StarCatalogue.astronomicalYear(isNaN(age) ? 2000 : age);
+    }
+
+    /**
+     * Zero-horizon azimuths (apparent altitude 0°, sidebar refraction) for a declination.
+     * @returns {{rise: number, set: number}|{circumpolar: true}|{neverRises: true}}
+     */
+    function zeroHorizonAzimuths(latDeg, decDeg, conditions) {
+        const rad = Math.PI / 180;
+        const h0 = window.Refraction.geometric(0, conditions) * rad;
+        const lat = latDeg * rad, dec = decDeg * rad;
+        const lowerCulmination = Math.asin(Math.sin(lat) * Math.sin(dec) - Math.cos(lat) * Math.cos(dec));
+        const upperCulmination = Math.asin(Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec));
+        if (lowerCulmination > h0) return { circumpolar: true };
+        if (upperCulmination < h0) return { neverRises: true };
+        const cosA = (Math.sin(dec) - Math.sin(lat) * Math.sin(h0)) / (Math.cos(lat) * Math.cos(h0));
+        const rise = Math.acos(Math.max(-1, Math.min(1, cosA))) / rad;
+        return { rise: rise, set: 360 - rise };
+    }
+
+    function removeGroup(group) {
+        if (!group) return;
+        if (window.map && window.map.hasLayer(group)) {
+            window.map.removeLayer(group);
+        }
+        if (window.layersControl) {
+            window.layersControl.removeLayer(group);
+        }
+    }
+
+    function addGroup(group, name) {
+        group.layerNameForControl = name;
+        window.map.addLayer(group);
+        if (window.layersControl) {
+            window.layersControl.addOverlay(group, name);
+        }
+    }
+
+    function formatAzimuth(az) {
+        return az === null || az === undefined ? '–' : `${az.toFixed(2)}°`;
+    }
+
+    function renderTable(epoch, results) {
+        const container = document.getElementById('stellar-results');
+        if (!container) return;
+        if (!results || results.length === 0) {
+            container.innerHTML = '';
+            container.style.display = 'none';
+            return;
+        }
+        const year = epoch < 1 ? `${1 - epoch} BCE` : `${epoch} CE`;
+        let html = `<div class="text-muted" style="font-size:11px;">Epoch ${year}</div>` +
+            '<table class="table table-condensed" style="font-size:11px; margin-bottom:0;">' +
+            '<thead><tr><th>Star</th><th>Dec</th><th>Rise</th><th>Set</th></tr></thead><tbody>';
+        results.forEach(r => {
+            const zero = r.zeroHorizon;
+            let rise, set;
+            if (zero.circumpolar || zero.neverRises) {
+                const note = zero.circumpolar ? 'circumpolar' : 'never rises';
+                html += `<tr><td>${r.name}</td><td>${r.dec.toFixed(2)}°</td><td colspan="2" class="text-muted">${note}</td></tr>`;
+                return;
+            }
+            // Horizon azimuth when a probe has been run, zero-horizon azimuth in brackets
+            rise = r.rise ? `${formatAzimuth(r.rise.azimuth)} <span class="text-muted">(${formatAzimuth(zero.rise)})</span>` : formatAzimuth(zero.rise);
+            set = r.set ? `${formatAzimuth(r.set.azimuth)} <span class="text-muted">(${formatAzimuth(zero.set)})</span>` : formatAzimuth(zero.set);
+            html += `<tr><td>${r.name}</td><td>${r.dec.toFixed(2)}°</td><td>${rise}</td><td>${set}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    function starPositions(latDeg, observerHeight) {
+        const epoch = currentEpoch();
+        const conditions = window.Refraction.readConditions(observerHeight || 0);
+        return {
+            epoch: epoch,
+            results: selectedStars().map(star => {
+                const pos = window.StarCatalogue.positionAt(star, epoch);
+                return {
+                    id: star.id,
+                    name: star.name,
+                    ra: pos.ra,
+                    dec: pos.dec,
+                    zeroHorizon: zeroHorizonAzimuths(latDeg, pos.dec, conditions),
+                    rise: null,
+                    set: null
+                };
+            })
+        };
+    }
+
+    function clearAzimuthLines() {
+        removeGroup(linesGroup);
+        linesGroup = null;
+    }
+
+    /**
+     * Draw zero-horizon rise/set orthodromes for the selected stars (called from maphwt.js calculate()).
+     */
+    function drawAzimuthLines(lat, lng) {
+        clearAzimuthLines();
+        if (!window.map || !window.StarCatalogue || !window.Refraction || isNaN(lat) || isNaN(lng)) return;
+        const positions = starPositions(lat, 0);
+        // Keep the horizon results of the last probe unless the epoch or selection has changed since
+        const last = window.HC_stellarRiseSet;
+        const ids = results => results.map(r => r.id).join(',');
+        if (!last || last.epoch !== positions.epoch || ids(last.results) !== ids(positions.results)) {
+            renderTable(positions.epoch, positions.results);
+        }
+        if (positions.results.length === 0) return;
+
+        const distMeters = (parseFloat($('#dist').val()) || 50) * 1000;
+        linesGroup = L.layerGroup();
+        positions.results.forEach(r => {
+            if (r.zeroHorizon.circumpolar || r.zeroHorizon.neverRises) return;
+            [['Rise', r.zeroHorizon.rise], ['Set', r.zeroHorizon.set]].forEach(([event, azimuth]) => {
+                const end = window.HorizonCore.destinationPoint(lat, lng, distMeters, azimuth);
+                L.geodesic([[L.latLng(lat, lng), L.latLng(end.lat, end.lng)]], {
+                    color: STAR_COLOR,
+                    opacity: 0.7,
+                    steps: 50,
+                    weight: 2,
+                    dashArray: "5 5",
+                }).bindTooltip(`${r.name} ${event} ${azimuth.toFixed(2)}°`).addTo(linesGroup);
+            });
+        });
+        addGroup(linesGroup, LINES_LAYER_NAME);
+    }
+
+    /**
+     * Rise and set points of the selected stars on the viewshed horizon.
+     * @param {Array<Object>} horizonData - {azimuth, altitude, horizonLat, horizonLon}, as used by hwtip.js
+     * @param {Object} locationData - {latitude, longitude, elevation_amsl}
+     * @returns {Promise<boolean>} False when any star that crosses the horizon could not be placed.
+     */
+    async function run(horizonData, locationData) {
+        if (!window.StarCatalogue || !window.Refraction || typeof window.findActualAzimuthForTargetApparentAltitude !== 'function') {
+            throw new Error('Star catalogue, refraction or rise/set search not loaded.');
+        }
+        removeGroup(markersGroup);
+        markersGroup = null;
+
+        const positions = starPositions(locationData.latitude, locationData.elevation_amsl);
+        window.HC_stellarRiseSet = {
+            epoch: positions.epoch,
+            observer: { lat: locationData.latitude, lng: locationData.longitude, elevation: locationData.elevation_amsl },
+            results: positions.results
+        };
+        if (positions.results.length === 0) {
+            renderTable(positions.epoch, null);
+            return true;
+        }
+
+        const group = L.layerGroup();
+        let allFound = true;
+        for (const r of positions.results) {
+            if (r.zeroHorizon.circumpolar || r.zeroHorizon.neverRises) continue;
+            for (const isRise of [true, false]) {
+                const event = isRise ? 'Rise' : 'Set';
+                // A star is a point source: centre target, and the solar constants give zero parallax
+                const point = await window.findActualAzimuthForTargetApparentAltitude(
+                    horizonData, 'Center', `${r.name} ${event} at Horizon`, locationData.latitude, locationData.longitude,
+                    isRise, r.dec, locationData.elevation_amsl, false, false
+                );
+                if (!point) {
+                    allFound = false;
+                    console.error(`${r.name} ${event} calculation failed.`);
+                    continue;
+                }
+                r[isRise ? 'rise' : 'set'] = { azimuth: point.azimuth, lat: point.lat, lon: point.lon };
+                const marker = window.drawIndividualPointMarker(point, `${r.name} ${event} Center`, '#000000', STAR_COLOR, 2.5, 1);
+                if (marker) group.addLayer(marker);
+            }
+        }
+
+        markersGroup = group;
+        addGroup(markersGroup, LAYER_NAME);
+        if (!window.scriptCOverlayGroups) window.scriptCOverlayGroups = [];
+        window.scriptCOverlayGroups.push(markersGroup);
+        renderTable(positions.epoch, positions.results);
+        return allFound;
+    }
+
+    // Re-run against the last probe without repeating the solar/lunar events
+    async function recalculate() {
+        if (!window.HC_horizonData || !window.HC_locationData) {
+            const lat = parseFloat($('#latbox').val());
+            const lng = parseFloat($('#lngbox').val());
+            drawAzimuthLines(lat, lng);
+            return;
+        }
+        try {
+            await run(window.HC_horizonData, window.HC_locationData);
+            drawAzimuthLines(window.HC_locationData.latitude, window.HC_locationData.longitude);
+            if (typeof window.HC_checkRiseSetLocations === 'function') {
+                window.HC_checkRiseSetLocations();
+            }
+        } catch (err) {
+            console.error('Stellar rise/set calculation failed:', err);
+            alert('Stellar rise/set calculation failed: ' + err.message);
+        }
+    }
+
+    function populateSelect() {
+        const select = document.getElementById('stellar-targets');
+        if (!select || !window.StarCatalogue) return;
+        select.innerHTML = '';
+        window.StarCatalogue.STARS.forEach(star => {
+            const opt = document.createElement('option');
+            opt.value = star.id;
+            opt.textContent = `${star.name} (${star.designation}, ${star.vmag.toFixed(1)})`;
+            select.appendChild(opt);
+        });
+    }
+
+    window.HC_stellarRiseSet = null;
+    window.HC_runStellarRiseSet = run;
+    window.HC_stellarSelectedCount = () => selectedStars().length;
+    window.HC_drawStellarAzimuthLines = drawAzimuthLines;
+    window.HC_clearStellarAzimuthLines = clearAzimuthLines;
+
+    $(document).ready(function() {
+        populateSelect();
+        $('#btn-stellar-update').on('click', recalculate);
+        $('#stellar-targets').on('change', function() {
+            const lat = parseFloat($('#latbox').val());
+            const lng = parseFloat($('#lngbox').val());
+            drawAzimuthLines(lat, lng);
+        });
+    });
+})();